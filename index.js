@@ -20,6 +20,12 @@ import { ensureBucketExists } from './src/clients/minio.js';
 import { getMongoClient } from './src/clients/mongodb.js';
 import { initSocket } from './src/realtime/socket.js';
 import { ensureLogsIndexTemplate } from './src/services/elasticsearchTemplate.js';
+import { startCampaignScheduler } from './src/services/otaCampaignService.js';
+import { startProbationScheduler } from './src/services/otaVerificationService.js';
+import { startMaintenanceWindowScheduler } from './src/services/maintenanceWindowService.js';
+import { startOtaTimeoutScheduler } from './src/services/otaStateMachineService.js';
+import { startPendingPromotionScheduler } from './src/services/otaPendingService.js';
+import { startAnomalyInferenceScheduler } from './src/services/anomalySchedulerService.js';
 
 const app = express();
 const httpServer = createServer(app);
@@ -79,6 +85,48 @@ const startServer = async () => {
     console.warn('Warning: Socket.IO initialization failed:', error.message);
   }
 
+  // Start OTA rollout campaign evaluator
+  try {
+    startCampaignScheduler();
+  } catch (error) {
+    console.warn('Warning: OTA campaign scheduler failed to start:', error.message);
+  }
+
+  // Start post-update verification (probation) evaluator
+  try {
+    startProbationScheduler();
+  } catch (error) {
+    console.warn('Warning: OTA probation scheduler failed to start:', error.message);
+  }
+
+  // Release "scheduled" assignments when their maintenance window opens
+  try {
+    startMaintenanceWindowScheduler();
+  } catch (error) {
+    console.warn('Warning: Maintenance window scheduler failed to start:', error.message);
+  }
+
+  // Move devices stuck in an in-flight OTA state to "timed_out"
+  try {
+    startOtaTimeoutScheduler();
+  } catch (error) {
+    console.warn('Warning: OTA timeout sweeper failed to start:', error.message);
+  }
+
+  // Promote policy-delayed ("pending") assignments once allowed, expire stale ones
+  try {
+    startPendingPromotionScheduler();
+  } catch (error) {
+    console.warn('Warning: OTA pending promotion scheduler failed to start:', error.message);
+  }
+
+  // Periodic anomaly inference for every active device with fresh metrics
+  try {
+    startAnomalyInferenceScheduler();
+  } catch (error) {
+    console.warn('Warning: Anomaly inference scheduler failed to start:', error.message);
+  }
+
   // Bind to 0.0.0.0 to accept connections from all interfaces (Kubernetes requirement)
   httpServer.listen(config.server.port, '0.0.0.0', () => {
     setServerReady();
@@ -39,6 +39,24 @@ export const api = {
     return data;
   },
 
+  async delete(endpoint, body = {}) {
+    // Ensure endpoint starts with API_BASE (avoid double prefix)
+    const fullEndpoint = endpoint.startsWith(API_BASE) ? endpoint : `${API_BASE}${endpoint}`;
+    const response = await fetch(fullEndpoint, {
+      method: 'DELETE',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(body),
+    });
+
+    const data = await response.json();
+
+    if (!response.ok) {
+      throw new Error(data.message || `HTTP ${response.status}`);
+    }
+
+    return data;
+  },
+
   async patch(endpoint, body = {}) {
     // Ensure endpoint starts with API_BASE (avoid double prefix)
     const fullEndpoint = endpoint.startsWith(API_BASE) ? endpoint : `${API_BASE}${endpoint}`;
@@ -69,6 +87,11 @@ export const api = {
   firmware: {
     list: (params) => api.get('/firmware', params),
     get: (version) => api.get(`/firmware/${version}`),
+    promote: (version, body) => api.post(`/firmware/${version}/promote`, body),
+    deprecate: (version, body) => api.post(`/firmware/${version}/deprecate`, body),
+    revoke: (version, body) => api.post(`/firmware/${version}/revoke`, body),
+    purge: (version) => api.delete(`/firmware/${version}`),
+    distribution: (params) => api.get('/firmware/distribution', params),
   },
 
   logs: {
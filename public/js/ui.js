@@ -40,13 +40,13 @@ export const ui = {
       return 'bg-blue-100 text-blue-800';
     }
     
-    // Warning → light yellow
-    if (['warning', 'warn'].includes(statusLower)) {
+    // Warning / Deprecated → light yellow
+    if (['warning', 'warn', 'deprecated'].includes(statusLower)) {
       return 'bg-yellow-100 text-yellow-800';
     }
     
-    // Failed / Error / Anomaly → light red
-    if (['failed', 'error', 'anomaly', 'offline'].includes(statusLower)) {
+    // Failed / Error / Anomaly / Revoked → light red
+    if (['failed', 'error', 'anomaly', 'offline', 'revoked'].includes(statusLower)) {
       return 'bg-red-100 text-red-800';
     }
     
@@ -60,18 +60,23 @@ export const ui = {
     
     const status = otaStatus.toLowerCase();
     
-    // Success / Completed / Idle → light green
-    if (['completed', 'success', 'idle'].includes(status)) {
+    // Success / Completed / Verified / Idle → light green
+    if (['completed', 'success', 'verified', 'idle'].includes(status)) {
       return 'bg-green-100 text-green-800';
     }
     
-    // Pending / Updating → light blue
-    if (['pending', 'updating'].includes(status)) {
+    // Pending / Updating / Probation → light blue
+    if (['pending', 'updating', 'probation'].includes(status)) {
       return 'bg-blue-100 text-blue-800';
     }
+
+    // Scheduled (waiting for maintenance window) / Paused by operator → light yellow
+    if (['scheduled', 'paused'].includes(status)) {
+      return 'bg-yellow-100 text-yellow-800';
+    }
     
-    // Failed / Error → light red
-    if (['failed', 'error'].includes(status)) {
+    // Failed / Error / Regressed / Timed out → light red
+    if (['failed', 'error', 'regressed', 'timed_out'].includes(status)) {
       return 'bg-red-100 text-red-800';
     }
     
@@ -5,6 +5,11 @@ import { fileURLToPath } from 'url';
 
 import { getDb } from '../src/clients/mongodb.js';
 import { getMinioClient } from '../src/clients/minio.js';
+import { config } from '../src/config/index.js';
+import { verifyFirmwareSignature } from '../src/services/firmwareSigningService.js';
+import { RELEASE_CHANNELS } from '../src/services/firmwareChannelService.js';
+import { normalizeCompatibility } from '../src/services/firmwareCompatibilityService.js';
+import { FIRMWARE_CRITICALITIES } from '../src/services/firmwareService.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -19,6 +24,11 @@ const version = getArg('version');
 const deviceType = getArg('device');
 const filePath = getArg('file');
 const notes = getArg('notes') || '';
+const signaturePath = getArg('signature');
+const keyId = getArg('key-id');
+const channel = getArg('channel') || config.ota.channels.uploadChannel;
+const compatibilityArg = getArg('compatibility');
+const criticality = getArg('criticality') || 'normal';
 
 if (!version || !deviceType || !filePath) {
   console.error(`
@@ -27,11 +37,35 @@ node scripts/import-firmware.js \\
   --version <version> \\
   --device <deviceType> \\
   --file <path_to_bin> \\
+  [--signature <path_to_sig> --key-id <signing_key_id>] \\
+  [--channel canary|beta|stable] \\
+  [--compatibility '{"minBootloaderVersion":"1.4.0","minStorageMb":64}'] \\
+  [--criticality low|normal|high|critical] \\
   [--notes "release notes"]
 `);
   process.exit(1);
 }
 
+if (!RELEASE_CHANNELS.includes(channel)) {
+  console.error(`--channel must be one of: ${RELEASE_CHANNELS.join(', ')}`);
+  process.exit(1);
+}
+
+if (!FIRMWARE_CRITICALITIES.includes(criticality)) {
+  console.error(`--criticality must be one of: ${FIRMWARE_CRITICALITIES.join(', ')}`);
+  process.exit(1);
+}
+
+let compatibility = null;
+if (compatibilityArg) {
+  try {
+    compatibility = normalizeCompatibility(compatibilityArg);
+  } catch (err) {
+    console.error(`Invalid --compatibility: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // --- Validate file ---
 if (!fs.existsSync(filePath)) {
   console.error(`Firmware file not found: ${filePath}`);
@@ -47,6 +81,26 @@ const checksum = crypto
   .update(fileBuffer)
   .digest('hex');
 
+// --- Verify signature ---
+let signature = null;
+if (signaturePath || keyId || config.firmwareSigning.required) {
+  if (signaturePath && !fs.existsSync(signaturePath)) {
+    console.error(`Signature file not found: ${signaturePath}`);
+    process.exit(1);
+  }
+  try {
+    signature = await verifyFirmwareSignature({
+      buffer: fileBuffer,
+      signature: signaturePath ? fs.readFileSync(signaturePath) : null,
+      keyId,
+    });
+    console.log(`Signature verified with key ${signature.keyId} (${signature.algorithm})`);
+  } catch (err) {
+    console.error(`Signature verification failed: ${err.message}`);
+    process.exit(1);
+  }
+}
+
 // --- MinIO upload ---
 const minioClient = getMinioClient();
 const bucket = 'firmware';
@@ -69,6 +123,7 @@ const firmwareDoc = {
   deviceType,
   filename: path.basename(filePath),
   checksum: `sha256:${checksum}`,
+  signature,
   size: fileSize,
   storage: {
     type: 'minio',
@@ -76,6 +131,9 @@ const firmwareDoc = {
     objectKey,
   },
   status: 'available',
+  channel,
+  criticality,
+  ...(compatibility ? { compatibility } : {}),
   releaseNotes: notes,
   createdAt: new Date(),
   createdBy: 'import-script',
@@ -0,0 +1,86 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { mapWithConcurrency, summarizeInferenceRun } from '../services/anomalySchedulerService.js';
+
+describe('Fleet inference concurrency', () => {
+  test('never exceeds the limit and keeps input order', async () => {
+    let inFlight = 0;
+    let peak = 0;
+    const results = await mapWithConcurrency([30, 10, 20, 5, 15], 2, async (ms, index) => {
+      inFlight += 1;
+      peak = Math.max(peak, inFlight);
+      await new Promise((resolve) => setTimeout(resolve, ms));
+      inFlight -= 1;
+      return index;
+    });
+
+    expect(peak).toBe(2);
+    expect(results).toEqual([0, 1, 2, 3, 4]);
+  });
+
+  test('handles an empty fleet', async () => {
+    expect(await mapWithConcurrency([], 4, async () => 1)).toEqual([]);
+  });
+});
+
+describe('Fleet inference run stats', () => {
+  test('counts outcomes, risk levels and decisions', () => {
+    expect(summarizeInferenceRun([
+      { outcome: 'inferred', risk_level: 'low', decision: 'allow' },
+      { outcome: 'inferred', risk_level: 'high', decision: 'block' },
+      { outcome: 'skipped', reason: 'No fresh metrics' },
+      { outcome: 'failed', error: 'Inference service unavailable' },
+    ])).toEqual({
+      devices: 4,
+      inferred: 2,
+      skipped: 1,
+      failed: 1,
+      risk: { low: 1, medium: 0, high: 1 },
+      decisions: { allow: 1, delay: 0, block: 1 },
+    });
+  });
+});
+
+describe('Fleet inference run records', () => {
+  let devices;
+  let runs;
+
+  beforeEach(() => {
+    jest.resetModules();
+    devices = { find: jest.fn(() => ({ toArray: async () => [] })) };
+    runs = {
+      insertOne: jest.fn().mockResolvedValue({ insertedId: { toString: () => 'run-1' } }),
+      updateOne: jest.fn(),
+      updateMany: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => ({ devices, anomaly_inference_runs: runs })[name] }),
+    }));
+    jest.unstable_mockModule('../clients/influxdb.js', () => ({
+      getQueryApi: () => ({ queryRows: (_query, handlers) => handlers.complete() }),
+      getWriteApi: () => ({}),
+    }));
+  });
+
+  test('a run loads only the device fields inference needs', async () => {
+    const { runFleetInference, INFERENCE_DEVICE_PROJECTION } = await import('../services/anomalySchedulerService.js');
+
+    const run = await runFleetInference({ trigger: 'manual' });
+
+    expect(run.status).toBe('completed');
+    expect(devices.find).toHaveBeenCalledWith(
+      { status: { $nin: ['inactive', 'disabled'] } },
+      { projection: INFERENCE_DEVICE_PROJECTION },
+    );
+    expect(INFERENCE_DEVICE_PROJECTION).toMatchObject({ deviceId: 1, anomaly: 1, 'firmware.status': 1 });
+  });
+
+  test('running records older than the stale timeout are aborted', async () => {
+    const { abortStaleInferenceRuns } = await import('../services/anomalySchedulerService.js');
+    const now = new Date('2026-05-01T12:00:00Z');
+
+    expect(await abortStaleInferenceRuns(now, 60 * 60 * 1000)).toEqual({ aborted: 1 });
+    const [filter, update] = runs.updateMany.mock.calls[0];
+    expect(filter).toEqual({ status: 'running', startedAt: { $lt: new Date('2026-05-01T11:00:00Z') } });
+    expect(update.$set).toMatchObject({ status: 'aborted', finishedAt: now });
+  });
+});
@@ -0,0 +1,90 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseSelector, deviceMatchesSelector, buildSelectorFilter } from '../utils/deviceSelector.js';
+import { matchesVersionPattern } from '../utils/semver.js';
+
+const device = (overrides = {}) => ({
+  deviceId: 'dev-1',
+  model: 'gateway-v2',
+  tags: ['outdoor', 'rooftop'],
+  groups: ['pilot'],
+  site: 'A',
+  anomaly: { risk_level: 'normal' },
+  firmware: { currentVersion: '1.3.4' },
+  ...overrides,
+});
+
+describe('Version patterns', () => {
+  test('matches exact versions and x wildcards', () => {
+    expect(matchesVersionPattern('1.3.4', '1.3.4')).toBe(true);
+    expect(matchesVersionPattern('1.3.4', '1.3.x')).toBe(true);
+    expect(matchesVersionPattern('1.3.0-rc.1', '1.3.*')).toBe(true);
+    expect(matchesVersionPattern('1.3.4', '1.x')).toBe(true);
+    expect(matchesVersionPattern('1.4.0', '1.3.x')).toBe(false);
+    expect(matchesVersionPattern('2.3.0', '1.x')).toBe(false);
+  });
+});
+
+describe('Device selectors - parsing', () => {
+  test('parses string terms with any-of values and aliases', () => {
+    expect(parseSelector('model=gateway-v2 tags=outdoor,rooftop; fw>=1.2.0')).toEqual([
+      { field: 'model', op: '=', values: ['gateway-v2'] },
+      { field: 'tag', op: '=', values: ['outdoor', 'rooftop'] },
+      { field: 'version', op: '>=', values: ['1.2.0'] },
+    ]);
+  });
+
+  test('parses the object form', () => {
+    expect(parseSelector({ site: 'A', risk: ['normal', 'warning'], tag: undefined })).toEqual([
+      { field: 'site', op: '=', values: ['A'] },
+      { field: 'risk', op: '=', values: ['normal', 'warning'] },
+    ]);
+  });
+
+  test('rejects unknown fields and misplaced comparators', () => {
+    expect(() => parseSelector('color=red')).toThrow(/Unknown selector field/);
+    expect(() => parseSelector('site>A')).toThrow(/only supported for a single version/);
+    expect(() => parseSelector('version>1.0.0,2.0.0')).toThrow(/only supported for a single version/);
+    expect(() => parseSelector('outdoor')).toThrow(/expected field=value/);
+  });
+});
+
+describe('Device selectors - matching', () => {
+  test('all terms must match, values are case-insensitive', () => {
+    expect(deviceMatchesSelector(device(), parseSelector('model=Gateway-V2 tag=outdoor site=a'))).toBe(true);
+    expect(deviceMatchesSelector(device(), parseSelector('model=gateway-v2 tag=indoor'))).toBe(false);
+  });
+
+  test('model falls back to deviceType', () => {
+    const legacy = device({ model: undefined, deviceType: 'sensor-v1' });
+    expect(deviceMatchesSelector(legacy, parseSelector('model=sensor-v1'))).toBe(true);
+  });
+
+  test('negation and unevaluated risk', () => {
+    expect(deviceMatchesSelector(device(), parseSelector('risk!=high,warning'))).toBe(true);
+    expect(deviceMatchesSelector(device({ anomaly: null }), parseSelector('risk=unknown'))).toBe(true);
+    expect(deviceMatchesSelector(device(), parseSelector('group!=pilot'))).toBe(false);
+  });
+
+  test('version ranges use semver precedence', () => {
+    const terms = parseSelector('version>=1.3.0 version<1.10.0');
+    expect(deviceMatchesSelector(device(), terms)).toBe(true);
+    expect(deviceMatchesSelector(device({ firmware: { currentVersion: '1.10.0' } }), terms)).toBe(false);
+    expect(deviceMatchesSelector(device({ firmware: {} }), terms)).toBe(false);
+  });
+});
+
+describe('Device selectors - MongoDB filter', () => {
+  test('version terms require a post-filter', () => {
+    expect(buildSelectorFilter(parseSelector('tag=outdoor')).needsPostFilter).toBe(false);
+    expect(buildSelectorFilter(parseSelector('tag=outdoor version=1.3.x')).needsPostFilter).toBe(true);
+  });
+
+  test('negated terms are wrapped in $nor', () => {
+    const { filter } = buildSelectorFilter(parseSelector('site!=A'));
+    expect(filter.$and[0].$nor[0].site.$in[0].test('a')).toBe(true);
+  });
+
+  test('empty selector matches everything', () => {
+    expect(buildSelectorFilter([])).toEqual({ filter: {}, needsPostFilter: false });
+  });
+});
@@ -0,0 +1,46 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  resolvePromotionTarget,
+  getSubscribedChannels,
+  isFirmwareAvailableToDevice,
+  buildChannelFilter,
+  validateChannel,
+} from '../services/firmwareChannelService.js';
+
+describe('Release channels - promotion', () => {
+  test('promotes to the next channel by default', () => {
+    expect(resolvePromotionTarget('canary')).toBe('beta');
+    expect(resolvePromotionTarget('beta')).toBe('stable');
+  });
+
+  test('allows skipping ahead but never demoting', () => {
+    expect(resolvePromotionTarget('canary', 'stable')).toBe('stable');
+    expect(() => resolvePromotionTarget('beta', 'canary')).toThrow('Cannot promote from beta to canary');
+    expect(() => resolvePromotionTarget('beta', 'beta')).toThrow('Cannot promote from beta to beta');
+    expect(() => resolvePromotionTarget('stable')).toThrow(/already on the stable channel/);
+  });
+
+  test('rejects unknown channels', () => {
+    expect(() => validateChannel('nightly')).toThrow(/canary, beta, stable/);
+    expect(() => resolvePromotionTarget('canary', 'nightly')).toThrow(/canary, beta, stable/);
+  });
+});
+
+describe('Release channels - subscriptions', () => {
+  test('less stable subscribers also receive more stable builds', () => {
+    expect(getSubscribedChannels('canary')).toEqual(['canary']);
+    expect(getSubscribedChannels('beta')).toEqual(['canary', 'beta']);
+    expect(getSubscribedChannels('stable')).toEqual(['canary', 'beta', 'stable']);
+  });
+
+  test('devices default to stable and legacy firmware counts as stable', () => {
+    expect(isFirmwareAvailableToDevice({ channel: 'beta' }, {})).toBe(false);
+    expect(isFirmwareAvailableToDevice({ channel: 'beta' }, { channel: 'canary' })).toBe(true);
+    expect(isFirmwareAvailableToDevice({}, {})).toBe(true);
+  });
+
+  test('stable filter includes firmware without a channel', () => {
+    expect(buildChannelFilter('beta')).toEqual({ channel: 'beta' });
+    expect(buildChannelFilter('stable').$or).toContainEqual({ channel: { $exists: false } });
+  });
+});
@@ -0,0 +1,89 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeCompatibility,
+  evaluateCompatibility,
+  getSupportedModels,
+  formatIncompatibility,
+} from '../services/firmwareCompatibilityService.js';
+
+const device = (overrides = {}) => ({
+  deviceId: 'dev-1',
+  model: 'gateway-v2',
+  hardwareRevision: 'rev3',
+  bootloaderVersion: '1.4.0',
+  firmware: { currentVersion: '2.1.0' },
+  ...overrides,
+});
+
+describe('Firmware compatibility - rules', () => {
+  test('defaults to an exact deviceType match', () => {
+    const firmware = { version: '3.0.0', deviceType: 'gateway-v2' };
+    expect(evaluateCompatibility({ firmware, device: device() }).compatible).toBe(true);
+
+    const result = evaluateCompatibility({ firmware, device: device({ model: 'sensor-v1' }) });
+    expect(result.compatible).toBe(false);
+    expect(result.failures).toEqual([
+      { rule: 'models', reason: 'Device model "sensor-v1" is not supported (supported: gateway-v2)' },
+    ]);
+  });
+
+  test('compatibility.models widens the supported models', () => {
+    const firmware = { deviceType: 'gateway-v2', compatibility: { models: ['gateway-v2', 'gateway-v3'] } };
+    expect(getSupportedModels(firmware)).toEqual(['gateway-v2', 'gateway-v3']);
+    expect(evaluateCompatibility({ firmware, device: device({ model: 'gateway-v3' }) }).compatible).toBe(true);
+  });
+
+  test('checks hardware revision range, bootloader and upgrade path', () => {
+    const firmware = {
+      deviceType: 'gateway-v2',
+      compatibility: {
+        hardwareRevision: { min: 'rev2', max: 'rev10' },
+        minBootloaderVersion: '1.5.0',
+        currentVersion: { min: '2.0.0', max: null },
+      },
+    };
+    expect(evaluateCompatibility({ firmware, device: device({ bootloaderVersion: '1.5.0' }) }).compatible).toBe(true);
+
+    const result = evaluateCompatibility({
+      firmware,
+      device: device({ hardwareRevision: 'rev1', firmware: { currentVersion: '1.9.0' } }),
+    });
+    expect(result.failures.map((f) => f.rule)).toEqual(['hardwareRevision', 'minBootloaderVersion', 'currentVersion']);
+    expect(result.failures[2].reason).toMatch(/upgrade must pass through 2\.0\.0 first/);
+    expect(formatIncompatibility(result.failures)).toMatch(/^Incompatible firmware: Hardware revision rev1 is below/);
+  });
+
+  test('unknown device values fail closed', () => {
+    const firmware = { deviceType: 'gateway-v2', compatibility: { minBootloaderVersion: '1.0.0', minStorageMb: 50 } };
+    const result = evaluateCompatibility({ firmware, device: device({ bootloaderVersion: undefined }) });
+    expect(result.failures).toEqual([
+      { rule: 'minBootloaderVersion', reason: 'Bootloader version is unknown' },
+      { rule: 'minStorageMb', reason: 'No storage_mb metric reported by the device' },
+    ]);
+  });
+
+  test('checks free storage against the last storage_mb metric', () => {
+    const firmware = { deviceType: 'gateway-v2', compatibility: { minStorageMb: 64 } };
+    expect(evaluateCompatibility({ firmware, device: device(), storageMb: 64 }).compatible).toBe(true);
+    expect(evaluateCompatibility({ firmware, device: device(), storageMb: 40 }).failures[0].reason)
+      .toBe('Free storage 40 MB is below the required 64 MB');
+  });
+});
+
+describe('Firmware compatibility - validation', () => {
+  test('normalizes JSON input and drops empty bounds', () => {
+    expect(normalizeCompatibility('{"currentVersion":{"min":"2.0.0"},"minStorageMb":"32"}')).toEqual({
+      currentVersion: { min: '2.0.0', max: null },
+      minStorageMb: 32,
+    });
+  });
+
+  test('rejects malformed rules', () => {
+    expect(() => normalizeCompatibility('{')).toThrow('compatibility must be valid JSON');
+    expect(() => normalizeCompatibility({ minRam: 1 })).toThrow(/Unknown compatibility rule\(s\): minRam/);
+    expect(() => normalizeCompatibility({ hardwareRevision: {} })).toThrow(/needs min or max/);
+    expect(() => normalizeCompatibility({ currentVersion: { min: '3.0.0', max: '2.0.0' } })).toThrow(/min must not be greater/);
+    expect(() => normalizeCompatibility({ models: [] })).toThrow(/non-empty array/);
+    expect(() => normalizeCompatibility({ minStorageMb: -1 })).toThrow(/non-negative/);
+  });
+});
@@ -0,0 +1,74 @@
+import { describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import { createDelta, createDeltaAsync, applyDelta } from '../utils/binaryDelta.js';
+import { selectDeltaSources, findDelta, checkDeltaSource } from '../services/firmwareDeltaService.js';
+
+describe('Binary delta', () => {
+  const oldImage = crypto.randomBytes(64 * 1024);
+  const newImage = Buffer.concat([
+    oldImage.subarray(0, 10000),
+    Buffer.from('patched-bootloader-string'),
+    oldImage.subarray(10010, 40000),
+    crypto.randomBytes(700),
+    oldImage.subarray(40000),
+  ]);
+
+  test('round-trips and is much smaller than the full image', () => {
+    const delta = createDelta(oldImage, newImage);
+    expect(applyDelta(oldImage, delta).equals(newImage)).toBe(true);
+    expect(delta.length).toBeLessThan(newImage.length * 0.05);
+  });
+
+  test('handles unrelated and empty images', () => {
+    const unrelated = crypto.randomBytes(4096);
+    expect(applyDelta(oldImage, createDelta(oldImage, unrelated)).equals(unrelated)).toBe(true);
+    expect(applyDelta(Buffer.alloc(0), createDelta(Buffer.alloc(0), unrelated)).equals(unrelated)).toBe(true);
+  });
+
+  test('the async variant yields to the event loop and produces the same delta', async () => {
+    const bigOld = crypto.randomBytes(600 * 1024);
+    const bigNew = Buffer.concat([bigOld.subarray(0, 300 * 1024), crypto.randomBytes(100), bigOld.subarray(300 * 1024)]);
+    let ticks = 0;
+    const timer = setInterval(() => { ticks++; }, 0);
+    const delta = await createDeltaAsync(bigOld, bigNew);
+    clearInterval(timer);
+
+    expect(delta.equals(createDelta(bigOld, bigNew))).toBe(true);
+    expect(applyDelta(bigOld, delta).equals(bigNew)).toBe(true);
+    expect(ticks).toBeGreaterThan(0);
+  });
+
+  test('refuses a delta for a different base image', () => {
+    const delta = createDelta(oldImage, newImage);
+    expect(() => applyDelta(oldImage.subarray(1), delta)).toThrow('different base image');
+    expect(() => applyDelta(oldImage, Buffer.from('garbage-data-here'))).toThrow('Not an OTAD delta');
+  });
+});
+
+describe('Firmware delta selection', () => {
+  test('picks the most-installed older versions without existing deltas', () => {
+    const counts = [
+      { version: '1.0.0', devices: 3 },
+      { version: '1.2.0', devices: 40 },
+      { version: '1.1.0', devices: 12 },
+      { version: '1.4.0', devices: 1 },
+      { version: '1.3.0', devices: 7 },
+    ];
+    expect(selectDeltaSources(counts, '1.3.0', ['1.1.0'], 2)).toEqual(['1.2.0', '1.0.0']);
+  });
+
+  test('skips bases for other models or outside the target currentVersion range', () => {
+    const target = { version: '3.0.0', deviceType: 'gateway-v2', compatibility: { currentVersion: { min: '2.0.0' } } };
+    expect(checkDeltaSource(target, { version: '2.1.0', deviceType: 'gateway-v2' })).toBeNull();
+    expect(checkDeltaSource(target, { version: '2.1.0', deviceType: 'sensor-v1' })).toMatch(/Base firmware is for sensor-v1/);
+    expect(checkDeltaSource(target, { version: '1.5.0', compatibility: { models: ['gateway-v1', 'gateway-v2'] } }))
+      .toBe('3.0.0 does not accept upgrades from 1.5.0');
+  });
+
+  test('findDelta matches the installed version', () => {
+    const firmware = { deltas: [{ fromVersion: '1.2.0', size: 10 }] };
+    expect(findDelta(firmware, '1.2.0')).toEqual({ fromVersion: '1.2.0', size: 10 });
+    expect(findDelta(firmware, '1.1.0')).toBeNull();
+    expect(findDelta({}, '1.2.0')).toBeNull();
+  });
+});
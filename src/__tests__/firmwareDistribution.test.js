@@ -0,0 +1,79 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildCurrentDistribution,
+  buildDistributionTimeline,
+  findStragglers,
+} from '../services/firmwareDistributionService.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+const from = new Date('2026-05-01T00:00:00Z');
+const at = (days) => new Date(from.getTime() + days * DAY);
+
+const devices = [
+  { deviceId: 'a', model: 'gw', firmware: { currentVersion: '1.2.0', status: 'success' }, lastSeenAt: at(3) },
+  { deviceId: 'b', model: 'gw', firmware: { currentVersion: '1.1.0', status: 'failed' }, lastSeenAt: at(1) },
+  { deviceId: 'c', deviceType: 'sensor', firmware: { currentVersion: '0.9.0', status: 'idle' }, createdAt: at(1.5) },
+  { deviceId: 'd', model: 'gw', firmware: { status: 'idle' } },
+];
+
+describe('Current firmware distribution', () => {
+  test('counts devices per version, model and status', () => {
+    const current = buildCurrentDistribution(devices);
+
+    expect(current.total).toBe(4);
+    expect(current.byVersion).toEqual([
+      { version: '1.2.0', count: 1, share: 0.25 },
+      { version: '1.1.0', count: 1, share: 0.25 },
+      { version: '0.9.0', count: 1, share: 0.25 },
+      { version: 'unknown', count: 1, share: 0.25 },
+    ]);
+    expect(current.byModel).toEqual([
+      { model: 'gw', total: 3, versions: [{ version: '1.2.0', count: 1 }, { version: '1.1.0', count: 1 }, { version: 'unknown', count: 1 }] },
+      { model: 'sensor', total: 1, versions: [{ version: '0.9.0', count: 1 }] },
+    ]);
+    expect(current.byStatus).toEqual([{ status: 'idle', count: 2 }, { status: 'failed', count: 1 }, { status: 'success', count: 1 }]);
+  });
+
+  test('stragglers are behind the newest version of their model', () => {
+    expect(findStragglers(devices).devices.map((d) => [d.deviceId, d.targetVersion])).toEqual([
+      ['d', '1.2.0'],
+      ['b', '1.2.0'],
+    ]);
+    expect(findStragglers(devices, { targetVersion: '1.0.0' }).devices.map((d) => d.deviceId)).toEqual(['d', 'c']);
+  });
+});
+
+describe('Distribution timeline', () => {
+  const events = [
+    { deviceId: 'a', action: 'assign', firmwareVersion: '1.2.0', metadata: { decision: 'allow' }, createdAt: at(0.5) },
+    { deviceId: 'a', action: 'download', firmwareVersion: '1.2.0', createdAt: at(1.2) },
+    { deviceId: 'a', action: 'success', firmwareVersion: '1.2.0', metadata: { previousVersion: '1.1.0' }, createdAt: at(2.5) },
+    { deviceId: 'b', action: 'assign', firmwareVersion: '1.2.0', metadata: { decision: 'delay' }, createdAt: at(0.2) },
+    { deviceId: 'b', action: 'fail', firmwareVersion: '1.2.0', createdAt: at(2.2) },
+  ];
+
+  test('replays events forward from the state at the start of the window', () => {
+    const timeline = buildDistributionTimeline({ devices, events, from, to: at(3), interval: 'day' });
+
+    expect(timeline.points.map((p) => p.at)).toEqual([at(1), at(2), at(3)]);
+    expect(timeline.points.map((p) => p.versions)).toEqual([
+      { '1.1.0': 2, unknown: 1 },
+      { '1.1.0': 2, '0.9.0': 1, unknown: 1 },
+      { '1.2.0': 1, '1.1.0': 1, '0.9.0': 1, unknown: 1 },
+    ]);
+    expect(timeline.points[0].statuses).toEqual({ assigned: 1, pending: 1, idle: 1 });
+    expect(timeline.points[2].statuses).toEqual({ success: 1, failed: 1, idle: 2 });
+    expect(timeline.versions).toEqual(['1.2.0', '1.1.0', '0.9.0', 'unknown']);
+  });
+
+  test('falls back to the last success before the window, then unknown', () => {
+    const withoutHint = events.map((e) => (e.action === 'success' ? { ...e, metadata: null } : e));
+
+    const unknown = buildDistributionTimeline({ devices, events: withoutHint, from, to: at(1) });
+    expect(unknown.points[0].versions).toEqual({ '1.1.0': 1, unknown: 2 });
+
+    const baseline = new Map([['a', { version: '1.0.0', event: { action: 'success' } }]]);
+    const known = buildDistributionTimeline({ devices, events: withoutHint, baseline, from, to: at(1) });
+    expect(known.points[0].versions).toEqual({ '1.0.0': 1, '1.1.0': 1, unknown: 1 });
+  });
+});
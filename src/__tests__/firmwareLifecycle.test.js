@@ -0,0 +1,54 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  isFirmwareAssignable,
+  assertFirmwareAssignable,
+  resolveLifecycleTarget,
+  getFirmwareReferences,
+} from '../services/firmwareLifecycleService.js';
+import { canTransition, getStatesAccepting } from '../services/otaStateMachineService.js';
+
+describe('Firmware lifecycle - transitions', () => {
+  test('active firmware can be deprecated or revoked, not purged', () => {
+    expect(resolveLifecycleTarget({ version: '1.0.0', status: 'active' }, 'deprecate')).toBe('deprecated');
+    expect(resolveLifecycleTarget({ version: '1.0.0' }, 'revoke')).toBe('revoked');
+    expect(() => resolveLifecycleTarget({ version: '1.0.0', status: 'active' }, 'purge'))
+      .toThrow('Cannot purge firmware 1.0.0 from status "active"');
+  });
+
+  test('imported firmware ("available") is treated as active', () => {
+    expect(resolveLifecycleTarget({ version: '1.0.0', status: 'available' }, 'deprecate')).toBe('deprecated');
+  });
+
+  test('retired firmware only moves forward', () => {
+    expect(resolveLifecycleTarget({ version: '1.0.0', status: 'deprecated' }, 'revoke')).toBe('revoked');
+    expect(resolveLifecycleTarget({ version: '1.0.0', status: 'revoked' }, 'purge')).toBe('purged');
+    expect(() => resolveLifecycleTarget({ version: '1.0.0', status: 'revoked' }, 'deprecate')).toThrow(/Cannot deprecate/);
+    expect(() => resolveLifecycleTarget({ version: '1.0.0', status: 'purged' }, 'purge')).toThrow(/Cannot purge/);
+  });
+});
+
+describe('Firmware lifecycle - assignment guard', () => {
+  test('deprecated, revoked and purged firmware cannot be assigned', () => {
+    expect(isFirmwareAssignable({ status: 'active' })).toBe(true);
+    expect(isFirmwareAssignable({})).toBe(true);
+    for (const status of ['deprecated', 'revoked', 'purged']) {
+      expect(isFirmwareAssignable({ status })).toBe(false);
+    }
+    expect(() => assertFirmwareAssignable({ version: '1.0.0', status: 'deprecated' }))
+      .toThrow('Firmware 1.0.0 is deprecated and cannot be assigned');
+  });
+});
+
+describe('Firmware lifecycle - revocation and purge', () => {
+  test('revocation cancels outstanding assignments but not a running install', () => {
+    expect(getStatesAccepting('cancel')).toEqual(['pending', 'scheduled', 'assigned', 'downloading', 'paused']);
+    expect(canTransition('updating', 'cancel', 'cancelled')).toBe(false);
+    expect(canTransition('cancelled', 'assign', 'assigned')).toBe(true);
+  });
+
+  test('rollback targets keep an image referenced', () => {
+    const device = { firmware: { currentVersion: '1.2.0', lastKnownGoodVersion: '1.1.0' } };
+    expect(getFirmwareReferences(device, '1.1.0')).toEqual(['lastKnownGoodVersion']);
+    expect(getFirmwareReferences(device, '1.0.0')).toEqual([]);
+  });
+});
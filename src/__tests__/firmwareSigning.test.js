@@ -0,0 +1,64 @@
+import { describe, test, expect } from '@jest/globals';
+import crypto from 'crypto';
+import {
+  verifyDetachedSignature,
+  decodeSignature,
+  parsePublicKey,
+  computeChecksum,
+} from '../services/firmwareSigningService.js';
+
+const image = Buffer.from('firmware-image-1.3.0');
+
+const generate = (algorithm) => {
+  const { publicKey, privateKey } = algorithm === 'ed25519'
+    ? crypto.generateKeyPairSync('ed25519')
+    : crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const digest = algorithm === 'ed25519' ? null : 'sha256';
+  return {
+    publicKeyPem: publicKey.export({ type: 'spki', format: 'pem' }).toString(),
+    sign: (data) => crypto.sign(digest, data, privateKey),
+  };
+};
+
+describe('Firmware Signing - verification', () => {
+  test.each(['ed25519', 'ecdsa-p256'])('accepts a valid %s signature', (algorithm) => {
+    const { publicKeyPem, sign } = generate(algorithm);
+    const signature = sign(image).toString('base64');
+    expect(verifyDetachedSignature({ data: image, signature, publicKeyPem, algorithm })).toBe(true);
+  });
+
+  test.each(['ed25519', 'ecdsa-p256'])('rejects a tampered image for %s', (algorithm) => {
+    const { publicKeyPem, sign } = generate(algorithm);
+    const signature = sign(image).toString('base64');
+    const tampered = Buffer.from('firmware-image-1.3.1');
+    expect(verifyDetachedSignature({ data: tampered, signature, publicKeyPem, algorithm })).toBe(false);
+  });
+
+  test('rejects a signature from another key', () => {
+    const trusted = generate('ed25519');
+    const attacker = generate('ed25519');
+    const signature = attacker.sign(image).toString('base64');
+    expect(verifyDetachedSignature({ data: image, signature, publicKeyPem: trusted.publicKeyPem, algorithm: 'ed25519' })).toBe(false);
+  });
+
+  test('rejects keys that do not match the algorithm', () => {
+    const { publicKeyPem } = generate('ecdsa-p256');
+    expect(() => parsePublicKey(publicKeyPem, 'ed25519')).toThrow(/does not match/);
+    expect(() => parsePublicKey(publicKeyPem, 'rsa')).toThrow(/algorithm must be one of/);
+    expect(() => parsePublicKey('not a key', 'ed25519')).toThrow(/Invalid public key/);
+  });
+});
+
+describe('Firmware Signing - helpers', () => {
+  test('decodeSignature accepts base64, hex and base64 signature files', () => {
+    const raw = crypto.randomBytes(64);
+    expect(decodeSignature(raw.toString('base64')).equals(raw)).toBe(true);
+    expect(decodeSignature(raw.toString('hex')).equals(raw)).toBe(true);
+    expect(decodeSignature(Buffer.from(`${raw.toString('base64')}\n`)).equals(raw)).toBe(true);
+    expect(decodeSignature(null)).toBeNull();
+  });
+
+  test('computeChecksum returns a prefixed sha256 digest', () => {
+    expect(computeChecksum(image)).toBe(`sha256:${crypto.createHash('sha256').update(image).digest('hex')}`);
+  });
+});
@@ -0,0 +1,72 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseCron, getZonedParts, cronMatches, findNextStart } from '../utils/cron.js';
+import { getWindowState, evaluateMaintenanceWindows, windowAppliesToDevice } from '../services/maintenanceWindowService.js';
+
+describe('Cron parsing', () => {
+  test('supports lists, ranges, steps and Sunday as 7', () => {
+    const parsed = parseCron('*/15 1-3 * * 1,7');
+    expect([...parsed.minute]).toEqual([0, 15, 30, 45]);
+    expect([...parsed.hour]).toEqual([1, 2, 3]);
+    expect(parsed.dayOfWeek.has(0)).toBe(true);
+    expect(parsed.dayOfWeek.has(1)).toBe(true);
+  });
+
+  test('rejects malformed expressions', () => {
+    expect(() => parseCron('* * *')).toThrow(/5 fields/);
+    expect(() => parseCron('61 * * * *')).toThrow(/minute/);
+    expect(() => parseCron('* * * * MON')).toThrow(/dayOfWeek/);
+  });
+
+  test('evaluates in the window time zone', () => {
+    // 2025-12-28T18:00Z is 01:00 on Monday 2025-12-29 in Ho Chi Minh City (UTC+7)
+    const parts = getZonedParts(new Date('2025-12-28T18:00:00Z'), 'Asia/Ho_Chi_Minh');
+    expect(parts).toMatchObject({ year: 2025, month: 12, day: 29, hour: 1, minute: 0, weekday: 1 });
+    expect(cronMatches(parseCron('0 1 * * 1'), parts)).toBe(true);
+  });
+
+  test('finds the next start across days', () => {
+    const next = findNextStart(parseCron('30 2 * * 6'), 'UTC', new Date('2025-12-28T12:00:00Z'));
+    expect(next).toEqual(new Date('2026-01-03T02:30:00Z'));
+  });
+});
+
+describe('Maintenance windows', () => {
+  // Nightly 01:00-03:00 in Ho Chi Minh City (18:00-20:00 UTC)
+  const nightly = {
+    _id: 'w1',
+    name: 'Nightly',
+    schedule: '0 1 * * *',
+    durationMinutes: 120,
+    timezone: 'Asia/Ho_Chi_Minh',
+  };
+
+  test('window is open between start and start + duration', () => {
+    expect(getWindowState(nightly, new Date('2025-12-28T19:30:00Z'))).toEqual({
+      open: true,
+      closesAt: new Date('2025-12-28T20:00:00Z'),
+    });
+    expect(getWindowState(nightly, new Date('2025-12-28T20:00:00Z'))).toEqual({
+      open: false,
+      opensAt: new Date('2025-12-29T18:00:00Z'),
+    });
+  });
+
+  test('assignments outside every window are scheduled with a reason', () => {
+    const evaluation = evaluateMaintenanceWindows([nightly], new Date('2025-12-28T09:00:00Z'));
+    expect(evaluation.allowed).toBe(false);
+    expect(evaluation.nextWindowAt).toEqual(new Date('2025-12-28T18:00:00Z'));
+    expect(evaluation.reason).toContain('Nightly');
+    expect(evaluation.windowIds).toEqual(['w1']);
+  });
+
+  test('devices without windows are unrestricted', () => {
+    expect(evaluateMaintenanceWindows([], new Date()).allowed).toBe(true);
+  });
+
+  test('windows apply by device id or group', () => {
+    const window = { deviceIds: ['dev-001'], groups: ['site-hcm'] };
+    expect(windowAppliesToDevice(window, { deviceId: 'dev-001' })).toBe(true);
+    expect(windowAppliesToDevice(window, { deviceId: 'dev-002', groups: ['site-hcm'] })).toBe(true);
+    expect(windowAppliesToDevice(window, { deviceId: 'dev-003', groups: ['site-hn'] })).toBe(false);
+  });
+});
@@ -0,0 +1,87 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  normalizeFailureReason,
+  categorizeFailure,
+  summarizeDeviceAttempt,
+  buildOTAAnalytics,
+} from '../services/otaAnalyticsService.js';
+
+const T0 = Date.parse('2026-06-01T00:00:00Z');
+const ev = (deviceId, firmwareVersion, action, minutes, reason = null) => ({
+  deviceId, firmwareVersion, action, reason, createdAt: new Date(T0 + minutes * 60000),
+});
+
+describe('Failure reason clustering', () => {
+  test('normalizes numbers and ids so variants group together', () => {
+    expect(normalizeFailureReason('Checksum mismatch at block 12 (0x1F3A)'))
+      .toBe(normalizeFailureReason('checksum  mismatch at block 7 (0xBEEF)'));
+    expect(normalizeFailureReason('   ')).toBeNull();
+  });
+
+  test('maps reasons to categories, first match wins', () => {
+    const fail = (reason) => categorizeFailure({ action: 'fail', reason });
+    expect(fail('HTTP 503 while downloading image')).toBe('download');
+    expect(fail('Download finished but SHA256 digest mismatch')).toBe('checksum');
+    expect(fail('Flash write error on partition B')).toBe('flash');
+    expect(fail('Bootloop after update, watchdog reset')).toBe('boot');
+    expect(fail('Rebooted due to brown-out during install')).toBe('power');
+    expect(fail('Something odd')).toBe('other');
+    expect(categorizeFailure({ action: 'fail', metadata: { failureReason: 'CRC error' } })).toBe('checksum');
+  });
+
+  test('status codes and digest names are matched before numbers are normalized', () => {
+    const fail = (reason) => categorizeFailure({ action: 'fail', reason });
+    expect(fail('SHA256 mismatch')).toBe('checksum');
+    expect(fail('sha-1 mismatch')).toBe('checksum');
+    expect(fail('error 503')).toBe('download');
+    expect(fail('got 404')).toBe('download');
+    expect(fail('410 Gone')).toBe('download');
+    expect(fail('error 1503')).toBe('other');
+    expect(fail(null)).toBe('unspecified');
+    expect(categorizeFailure({ action: 'timeout', reason: 'Stuck in downloading' })).toBe('timeout');
+  });
+});
+
+describe('Install attempts', () => {
+  test('a recovered failure counts as a retry and time to install starts at assignment', () => {
+    const attempt = summarizeDeviceAttempt([
+      ev('a', '2.0.0', 'assign', 0),
+      ev('a', '2.0.0', 'download', 5),
+      ev('a', '2.0.0', 'fail', 10, 'network unreachable'),
+      ev('a', '2.0.0', 'download', 30),
+      ev('a', '2.0.0', 'success', 40),
+    ]);
+    expect(attempt).toMatchObject({ outcome: 'success', retries: 1, failedBeforeSuccess: true, timeToInstallMs: 40 * 60000 });
+  });
+
+  test('a trailing failure is final; a new download puts it back in progress', () => {
+    expect(summarizeDeviceAttempt([ev('b', '2.0.0', 'assign', 0), ev('b', '2.0.0', 'fail', 3)]))
+      .toMatchObject({ outcome: 'failed', retries: 0 });
+    expect(summarizeDeviceAttempt([ev('b', '2.0.0', 'assign', 0), ev('b', '2.0.0', 'fail', 3), ev('b', '2.0.0', 'download', 9)]))
+      .toMatchObject({ outcome: 'in_progress', retries: 1 });
+  });
+});
+
+describe('OTA analytics aggregation', () => {
+  const models = new Map([['a', 'gw'], ['b', 'gw'], ['c', 'sensor'], ['d', 'sensor']]);
+  const events = [
+    ev('a', '2.0.0', 'assign', 0), ev('a', '2.0.0', 'success', 20),
+    ev('b', '2.0.0', 'assign', 0), ev('b', '2.0.0', 'fail', 5, 'Flash write error at 0x40'),
+    ev('c', '2.0.0', 'assign', 0), ev('c', '2.0.0', 'fail', 5, 'flash write error at 0x80'),
+    ev('d', '1.9.0', 'assign', 0), ev('d', '1.9.0', 'success', 60),
+  ];
+
+  test('computes rates, medians and clustered reasons per version and model', () => {
+    const analytics = buildOTAAnalytics(events, models, { minSuccessRate: 0.9, minAttempts: 2 });
+
+    expect(analytics.overall).toMatchObject({ devices: 4, succeeded: 2, failed: 2, successRate: 0.5, medianTimeToInstallMs: 40 * 60000 });
+    expect(analytics.byVersion.map((v) => [v.firmwareVersion, v.successRate, v.suspect])).toEqual([
+      ['2.0.0', 0.333, true],
+      ['1.9.0', 1, false],
+    ]);
+    expect(analytics.byVersion[0].failures).toMatchObject({ flash: 2, download: 0 });
+    expect(analytics.byVersion[0].topFailureReasons).toEqual([{ reason: 'flash write error at <id>', category: 'flash', count: 2 }]);
+    expect(analytics.byModel.map((m) => [m.model, m.devices])).toEqual([['gw', 2], ['sensor', 2]]);
+    expect(analytics.byVersionModel.map((b) => `${b.firmwareVersion}/${b.model}`)).toEqual(['2.0.0/gw', '2.0.0/sensor', '1.9.0/sensor']);
+  });
+});
@@ -0,0 +1,80 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+
+const firmware = { version: '2.0.0', deviceType: 'gateway-v2', url: 'http://minio/firmware/2.0.0.bin', status: 'active' };
+
+const setup = async (device) => {
+  const devices = {
+    findOne: jest.fn(async (query) => (query.deviceId === device.deviceId ? device : null)),
+    updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+  };
+  const otaEvents = { insertOne: jest.fn() };
+  const legacyAssignments = { insertOne: jest.fn().mockResolvedValue({ insertedId: { toString: () => 'a1' } }) };
+  const collections = {
+    devices,
+    ota_events: otaEvents,
+    firmware_assignments: legacyAssignments,
+    firmwares: { findOne: async ({ version }) => (version === firmware.version ? firmware : null) },
+    ota_policies: { findOne: async () => null },
+    maintenance_windows: { find: () => ({ toArray: async () => [] }) },
+  };
+  const emitOTAProgress = jest.fn();
+
+  jest.unstable_mockModule('../clients/mongodb.js', () => ({
+    getDb: async () => ({ collection: (name) => collections[name] }),
+  }));
+  jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress }));
+
+  const { assignFirmware } = await import('../services/firmwareService.js');
+  return { assignFirmware, devices, otaEvents, legacyAssignments, emitOTAProgress };
+};
+
+describe('Unified assignment path (legacy /api/firmware/assign shim)', () => {
+  beforeEach(() => {
+    jest.resetModules();
+  });
+
+  test('applies the OTA guards, logs the assign event and notifies', async () => {
+    const ctx = await setup({
+      deviceId: 'dev-1',
+      model: 'gateway-v2',
+      firmware: { currentVersion: '1.0.0', status: 'idle' },
+      anomaly: { risk_level: 'low' },
+    });
+
+    const assignment = await ctx.assignFirmware({ deviceId: 'dev-1', firmwareVersion: '2.0.0' });
+
+    expect(assignment).toMatchObject({ id: 'a1', deviceId: 'dev-1', firmwareVersion: '2.0.0', status: 'assigned' });
+    expect(ctx.otaEvents.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'assign',
+      metadata: expect.objectContaining({ decision: 'allow', policy: { version: 0, ruleId: 'low-risk' } }),
+    }));
+    expect(ctx.devices.updateOne.mock.calls[0][1].$set).toMatchObject({
+      'firmware.desiredVersion': '2.0.0',
+      'firmware.status': 'assigned',
+    });
+    expect(ctx.devices.updateOne.mock.calls[1][1].$set).toEqual({ assignedFirmware: '2.0.0', firmwareUrl: firmware.url });
+    expect(ctx.emitOTAProgress).toHaveBeenCalledWith('dev-1', { action: 'assign', status: 'assigned', firmwareVersion: '2.0.0' });
+  });
+
+  test('a policy block is rejected with 403 and nothing is written', async () => {
+    const ctx = await setup({
+      deviceId: 'dev-2',
+      model: 'gateway-v2',
+      firmware: { currentVersion: '1.0.0', status: 'idle' },
+      anomaly: { risk_level: 'high' },
+    });
+
+    await expect(ctx.assignFirmware({ deviceId: 'dev-2', firmwareVersion: '2.0.0' }))
+      .rejects.toMatchObject({ statusCode: 403, message: expect.stringMatching(/^OTA assignment blocked/) });
+    expect(ctx.devices.updateOne).not.toHaveBeenCalled();
+    expect(ctx.otaEvents.insertOne).not.toHaveBeenCalled();
+    expect(ctx.legacyAssignments.insertOne).not.toHaveBeenCalled();
+  });
+
+  test('incompatible devices are rejected like on /api/ota/assign', async () => {
+    const ctx = await setup({ deviceId: 'dev-3', model: 'sensor-v1', firmware: { status: 'idle' }, anomaly: { risk_level: 'low' } });
+
+    await expect(ctx.assignFirmware({ deviceId: 'dev-3', firmwareVersion: '2.0.0' }))
+      .rejects.toMatchObject({ statusCode: 400, message: expect.stringMatching(/^Incompatible firmware/) });
+  });
+});
@@ -0,0 +1,26 @@
+import { describe, test, expect } from '@jest/globals';
+import { summarizeSimulation } from '../services/otaService.js';
+
+describe('Assignment dry-run summary', () => {
+  test('counts outcomes, rejecting guards and policy decisions', () => {
+    const results = [
+      { deviceId: 'a', outcome: 'assigned', decision: { action: 'allow' } },
+      { deviceId: 'b', outcome: 'scheduled', decision: { action: 'allow' } },
+      { deviceId: 'c', outcome: 'pending', decision: { action: 'delay' } },
+      { deviceId: 'd', outcome: 'rejected', guard: 'policy', decision: { action: 'block' } },
+      { deviceId: 'e', outcome: 'rejected', guard: 'compatibility' },
+      { deviceId: 'f', outcome: 'rejected', guard: 'compatibility' },
+    ];
+
+    expect(summarizeSimulation(results)).toEqual({
+      total: 6,
+      outcomes: { assigned: 1, scheduled: 1, pending: 1, rejected: 3 },
+      rejectedBy: { policy: 1, compatibility: 2 },
+      decisions: { allow: 2, delay: 1, block: 1 },
+    });
+  });
+
+  test('empty selection', () => {
+    expect(summarizeSimulation([]).outcomes).toEqual({ assigned: 0, scheduled: 0, pending: 0, rejected: 0 });
+  });
+});
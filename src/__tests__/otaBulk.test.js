@@ -0,0 +1,120 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { planBulkOperation } from '../services/otaBulkService.js';
+
+describe('Bulk operation planning', () => {
+  test('cancel resets devices that have not started installing to idle', () => {
+    for (const status of ['pending', 'scheduled', 'assigned', 'downloading', 'paused']) {
+      expect(planBulkOperation('cancel', { status })).toEqual({ apply: true, from: status, to: 'idle' });
+    }
+    expect(planBulkOperation('cancel', { status: 'updating' })).toMatchObject({ apply: false, inProgress: true });
+    expect(planBulkOperation('cancel', { status: 'success' })).toMatchObject({ apply: false, inProgress: false });
+    expect(planBulkOperation('cancel', undefined)).toMatchObject({ apply: false, from: 'idle' });
+  });
+
+  test('pause and resume return to the paused state; a paused download restarts from assigned', () => {
+    expect(planBulkOperation('pause', { status: 'scheduled' })).toEqual({ apply: true, from: 'scheduled', to: 'paused' });
+    expect(planBulkOperation('pause', { status: 'paused' }).apply).toBe(false);
+    expect(planBulkOperation('resume', { status: 'paused', pausedFrom: 'scheduled' }).to).toBe('scheduled');
+    expect(planBulkOperation('resume', { status: 'paused', pausedFrom: 'downloading' }).to).toBe('assigned');
+    expect(planBulkOperation('resume', { status: 'paused' }).to).toBe('pending');
+    expect(planBulkOperation('resume', { status: 'assigned' })).toMatchObject({ apply: false, reason: 'Cannot resume OTA when firmware.status is "assigned"' });
+  });
+});
+
+describe('runBulkOperation', () => {
+  let devices;
+  let otaEvents;
+  let emitOTAProgress;
+
+  beforeEach(() => {
+    jest.resetModules();
+    const docs = [
+      { deviceId: 'dev-1', firmware: { status: 'assigned', desiredVersion: '2.0.0' } },
+      { deviceId: 'dev-2', firmware: { status: 'updating', desiredVersion: '2.0.0' } },
+      { deviceId: 'dev-3', firmware: { status: 'success', currentVersion: '1.0.0' } },
+    ];
+    devices = {
+      find: jest.fn(() => ({ toArray: async () => docs })),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    otaEvents = { insertOne: jest.fn() };
+    emitOTAProgress = jest.fn();
+
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => ({ devices, ota_events: otaEvents })[name] }),
+    }));
+    jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress }));
+  });
+
+  test('cancels what it can, reports devices already updating and logs admin events', async () => {
+    const { runBulkOperation } = await import('../services/otaBulkService.js');
+
+    const result = await runBulkOperation({ operation: 'cancel', deviceIds: ['dev-1', 'dev-2', 'dev-3', 'dev-9'], reason: 'Bad build' });
+
+    expect(result).toMatchObject({
+      total: 4,
+      applied: [{ deviceId: 'dev-1', from: 'assigned', to: 'idle', firmwareVersion: '2.0.0' }],
+      inProgress: [{ deviceId: 'dev-2', status: 'updating', firmwareVersion: '2.0.0' }],
+      skipped: [{ deviceId: 'dev-3', status: 'success' }],
+      notFound: ['dev-9'],
+    });
+    expect(devices.updateOne).toHaveBeenCalledTimes(1);
+    const [filter, update] = devices.updateOne.mock.calls[0];
+    expect(filter).toEqual({ deviceId: 'dev-1', 'firmware.status': 'assigned', 'firmware.desiredVersion': '2.0.0' });
+    expect(update.$set).toMatchObject({ 'firmware.status': 'idle', 'firmware.desiredVersion': null });
+    expect(otaEvents.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      deviceId: 'dev-1', action: 'cancel', source: 'admin', reason: 'Bad build',
+    }));
+    expect(emitOTAProgress).toHaveBeenCalledWith('dev-1', { action: 'cancel', status: 'idle', firmwareVersion: '2.0.0' });
+  });
+
+  test('pause remembers the state to resume to', async () => {
+    const { runBulkOperation } = await import('../services/otaBulkService.js');
+
+    await runBulkOperation({ operation: 'pause', deviceIds: ['dev-1'] });
+
+    expect(devices.updateOne.mock.calls[0][1].$set).toMatchObject({ 'firmware.status': 'paused', 'firmware.pausedFrom': 'assigned' });
+  });
+
+  test('a campaign is halted before its devices are updated, including a wave launched meanwhile', async () => {
+    const calls = [];
+    const wave = (assignedDeviceIds) => ({ assignedDeviceIds });
+    const running = { id: 'c1', status: 'running', firmwareVersion: '2.0.0', waves: [wave(['dev-1']), wave([])] };
+    const halted = { ...running, status: 'halted', waves: [wave(['dev-1']), wave(['dev-2'])] };
+    const haltCampaign = jest.fn(async () => {
+      calls.push('halt');
+      return halted;
+    });
+    devices.updateOne.mockImplementation(async () => {
+      calls.push('update');
+      return { matchedCount: 1, modifiedCount: 1 };
+    });
+    devices.find.mockImplementation(() => ({
+      toArray: async () => [
+        { deviceId: 'dev-1', firmware: { status: 'assigned', desiredVersion: '2.0.0' } },
+        { deviceId: 'dev-2', firmware: { status: 'pending', desiredVersion: '2.0.0' } },
+      ],
+    }));
+    jest.unstable_mockModule('../services/otaCampaignService.js', () => ({
+      getCampaignById: async () => running,
+      haltCampaign,
+      resumeCampaign: jest.fn(),
+    }));
+    const { runBulkOperation } = await import('../services/otaBulkService.js');
+
+    const result = await runBulkOperation({ operation: 'pause', campaignId: 'c1' });
+
+    expect(calls).toEqual(['halt', 'update', 'update']);
+    expect(haltCampaign).toHaveBeenCalledWith('c1', 'Paused by operator (bulk pause)');
+    expect(result.applied.map((a) => a.deviceId)).toEqual(['dev-1', 'dev-2']);
+    expect(result.campaign).toEqual({ id: 'c1', status: 'halted' });
+  });
+
+  test('requires exactly one target and a known operation', async () => {
+    const { runBulkOperation } = await import('../services/otaBulkService.js');
+
+    await expect(runBulkOperation({ operation: 'stop', deviceIds: ['dev-1'] })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(runBulkOperation({ operation: 'cancel', deviceIds: ['dev-1'], campaignId: 'abc' }))
+      .rejects.toThrow('Provide exactly one of deviceIds, selector or campaignId');
+  });
+});
@@ -0,0 +1,182 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { ObjectId } from 'mongodb';
+import {
+  normalizeWavePercentages,
+  orderCampaignDevices,
+  buildWaves,
+  computeDeviceOutcomes,
+  evaluateWaveProgress,
+} from '../services/otaCampaignService.js';
+
+const deviceIds = (n) => Array.from({ length: n }, (_, i) => `device-${i + 1}`);
+
+describe('OTA Campaign - wave planning', () => {
+  test('rejects non-increasing or incomplete wave percentages', () => {
+    expect(() => normalizeWavePercentages([10, 5, 100])).toThrow();
+    expect(() => normalizeWavePercentages([1, 10, 50])).toThrow();
+    expect(() => normalizeWavePercentages([])).toThrow();
+    expect(normalizeWavePercentages(['1', 10, 100])).toEqual([1, 10, 100]);
+  });
+
+  test('device order is deterministic per campaign and covers every device once', () => {
+    const ids = deviceIds(20);
+    const a = orderCampaignDevices(ids, 'campaign-a');
+    const b = orderCampaignDevices([...ids].reverse(), 'campaign-a');
+
+    expect(a).toEqual(b);
+    expect(new Set(a).size).toBe(20);
+    expect(orderCampaignDevices(ids, 'campaign-b')).not.toEqual(a);
+  });
+
+  test('splits devices into cumulative waves', () => {
+    const waves = buildWaves(deviceIds(200), [1, 10, 50, 100]);
+
+    expect(waves.map((w) => w.deviceIds.length)).toEqual([2, 18, 80, 100]);
+    expect(waves.flatMap((w) => w.deviceIds)).toHaveLength(200);
+  });
+
+  test('small fleets get at least one device in the first wave and drop empty waves', () => {
+    const waves = buildWaves(deviceIds(3), [1, 10, 50, 100]);
+
+    expect(waves.map((w) => w.percentage)).toEqual([1, 50, 100]);
+    expect(waves.map((w) => w.deviceIds.length)).toEqual([1, 1, 1]);
+  });
+});
+
+describe('OTA Campaign - wave evaluation', () => {
+  test('latest terminal event wins per device', () => {
+    const outcomes = computeDeviceOutcomes([
+      { deviceId: 'd1', action: 'success', createdAt: '2025-12-28T10:05:00Z' },
+      { deviceId: 'd1', action: 'fail', createdAt: '2025-12-28T10:00:00Z' },
+      { deviceId: 'd2', action: 'download', createdAt: '2025-12-28T10:00:00Z' },
+      { deviceId: 'd3', action: 'fail', createdAt: '2025-12-28T10:01:00Z' },
+    ]);
+
+    expect(outcomes.get('d1')).toBe('success');
+    expect(outcomes.has('d2')).toBe(false);
+    expect(outcomes.get('d3')).toBe('fail');
+  });
+
+  test('advances when success rate meets threshold', () => {
+    const result = evaluateWaveProgress({ assignedCount: 10, successCount: 9, failedCount: 0, minSuccessRate: 0.9 });
+    expect(result.action).toBe('advance');
+    expect(result.successRate).toBe(0.9);
+  });
+
+  test('waits while devices are still in progress', () => {
+    const result = evaluateWaveProgress({ assignedCount: 10, successCount: 5, failedCount: 1 });
+    expect(result.action).toBe('wait');
+  });
+
+  test('halts when failure rate exceeds threshold', () => {
+    const result = evaluateWaveProgress({ assignedCount: 10, successCount: 3, failedCount: 2, maxFailureRate: 0.1 });
+    expect(result.action).toBe('halt');
+    expect(result.reason).toMatch(/Failure rate/);
+  });
+
+  test('expired and cancelled devices leave the wave instead of blocking it', () => {
+    const outcomes = computeDeviceOutcomes([
+      { deviceId: 'd1', action: 'success', createdAt: '2025-12-28T10:05:00Z' },
+      { deviceId: 'd2', action: 'expire', createdAt: '2025-12-28T10:06:00Z' },
+      { deviceId: 'd3', action: 'cancel', createdAt: '2025-12-28T10:07:00Z' },
+    ]);
+    expect(outcomes.get('d2')).toBe('withdrawn');
+    expect(outcomes.get('d3')).toBe('withdrawn');
+
+    // 9 of 10 succeeded, 1 expired while pending: 100% of the remaining devices
+    const result = evaluateWaveProgress({ assignedCount: 10, successCount: 9, failedCount: 0, withdrawnCount: 1, minSuccessRate: 0.95 });
+    expect(result).toMatchObject({ action: 'advance', successRate: 1 });
+    expect(evaluateWaveProgress({ assignedCount: 2, successCount: 0, failedCount: 0, withdrawnCount: 2 }).action).toBe('advance');
+  });
+
+  test('empty wave advances immediately', () => {
+    expect(evaluateWaveProgress({ assignedCount: 0, successCount: 0, failedCount: 0 }).action).toBe('advance');
+  });
+});
+
+describe('OTA Campaign - concurrent state changes', () => {
+  const _id = new ObjectId();
+  let campaigns;
+  let events;
+  let assignOTA;
+
+  const campaign = (overrides = {}) => ({
+    _id,
+    firmwareVersion: '2.0.0',
+    status: 'running',
+    currentWave: 0,
+    minSuccessRate: 0.9,
+    maxFailureRate: 0.1,
+    waves: [
+      { index: 0, deviceIds: [], assignedDeviceIds: [], status: 'in_progress', startedAt: new Date() },
+      { index: 1, deviceIds: ['dev-1'], assignedDeviceIds: [], status: 'waiting', startedAt: null },
+    ],
+    ...overrides,
+  });
+
+  beforeEach(() => {
+    jest.resetModules();
+    campaigns = {
+      findOne: jest.fn(),
+      findOneAndUpdate: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    events = [];
+    assignOTA = jest.fn().mockResolvedValue({ results: [{ deviceId: 'dev-1', success: true }] });
+
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({
+        collection: (name) => ({
+          ota_campaigns: campaigns,
+          ota_events: { find: () => ({ toArray: async () => events }) },
+        })[name],
+      }),
+    }));
+    jest.unstable_mockModule('../services/otaService.js', () => ({ assignOTA }));
+  });
+
+  test('a campaign halted while its wave is evaluated launches no further wave', async () => {
+    const { evaluateCampaign } = await import('../services/otaCampaignService.js');
+    campaigns.findOne.mockResolvedValue(campaign());
+    campaigns.updateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+
+    const result = await evaluateCampaign(_id.toString());
+
+    expect(result).toEqual({ action: 'skip', waveIndex: 0 });
+    expect(campaigns.updateOne.mock.calls[0][0]).toEqual({ _id, status: 'running', currentWave: 0 });
+    expect(assignOTA).not.toHaveBeenCalled();
+  });
+
+  test('a wave whose remaining device expired advances instead of waiting', async () => {
+    const { evaluateCampaign } = await import('../services/otaCampaignService.js');
+    const startedAt = new Date('2025-12-28T10:00:00Z');
+    campaigns.findOne.mockResolvedValue(campaign({
+      waves: [
+        { index: 0, deviceIds: ['dev-a', 'dev-b'], assignedDeviceIds: ['dev-a', 'dev-b'], status: 'in_progress', startedAt },
+        { index: 1, deviceIds: ['dev-1'], assignedDeviceIds: [], status: 'waiting', startedAt: null },
+      ],
+    }));
+    events = [
+      { deviceId: 'dev-a', action: 'success', createdAt: new Date('2025-12-28T10:05:00Z') },
+      { deviceId: 'dev-b', action: 'expire', createdAt: new Date('2025-12-28T10:06:00Z') },
+    ];
+
+    const result = await evaluateCampaign(_id.toString());
+
+    expect(result.action).toBe('advance');
+    expect(assignOTA).toHaveBeenCalled();
+  });
+
+  test('only the start that claims the draft launches the first wave', async () => {
+    const { startCampaign } = await import('../services/otaCampaignService.js');
+    campaigns.findOneAndUpdate.mockResolvedValueOnce(null);
+    campaigns.findOne.mockResolvedValue(campaign());
+
+    await expect(startCampaign(_id.toString())).rejects.toMatchObject({
+      statusCode: 409,
+      message: 'Campaign cannot be started from status "running"',
+    });
+    expect(campaigns.findOneAndUpdate.mock.calls[0][0]).toEqual({ _id, status: 'draft' });
+    expect(assignOTA).not.toHaveBeenCalled();
+  });
+});
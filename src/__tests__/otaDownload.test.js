@@ -0,0 +1,76 @@
+import { describe, test, expect } from '@jest/globals';
+import {
+  buildDownloadUrl,
+  verifyDownloadParams,
+  parseRangeHeader,
+  resolveFirmwareObject,
+} from '../services/otaDownloadService.js';
+
+const secret = 'test-secret';
+const now = new Date('2025-12-28T10:00:00Z');
+const device = {
+  deviceId: 'dev-001',
+  firmware: { desiredVersion: '1.3.0', assignedAt: new Date('2025-12-28T09:55:00Z'), status: 'assigned' },
+};
+
+const queryOf = (url) => Object.fromEntries(new URL(url, 'http://localhost').searchParams);
+
+describe('OTA Download - presigned URLs', () => {
+  test('URL is bound to device and assignment and verifies', () => {
+    const { url, expiresAt } = buildDownloadUrl({ baseUrl: 'http://api', device, ttlSeconds: 600, now, secret });
+    expect(url.startsWith('http://api/api/devices/dev-001/ota/download?')).toBe(true);
+    expect(expiresAt).toEqual(new Date('2025-12-28T10:10:00Z'));
+
+    const params = verifyDownloadParams({ deviceId: 'dev-001', query: queryOf(url), now, secret });
+    expect(params).toEqual({ version: '1.3.0', assignment: String(device.firmware.assignedAt.getTime()), fromVersion: null });
+  });
+
+  test('rejects tampering, other devices and expired URLs', () => {
+    const { url } = buildDownloadUrl({ device, ttlSeconds: 600, now, secret });
+    const query = queryOf(url);
+
+    expect(() => verifyDownloadParams({ deviceId: 'dev-001', query: { ...query, version: '1.4.0' }, now, secret }))
+      .toThrow('Invalid download signature');
+    expect(() => verifyDownloadParams({ deviceId: 'dev-002', query, now, secret }))
+      .toThrow('Invalid download signature');
+    expect(() => verifyDownloadParams({ deviceId: 'dev-001', query, now: new Date('2025-12-28T10:11:00Z'), secret }))
+      .toThrow('Download URL has expired');
+    expect(() => verifyDownloadParams({ deviceId: 'dev-001', query: {}, now, secret }))
+      .toThrow('missing signature parameters');
+  });
+});
+
+describe('OTA Download - byte ranges', () => {
+  test('parses open, closed and suffix ranges', () => {
+    expect(parseRangeHeader(undefined, 1000)).toBeNull();
+    expect(parseRangeHeader('bytes=500-', 1000)).toEqual({ start: 500, end: 999 });
+    expect(parseRangeHeader('bytes=0-99', 1000)).toEqual({ start: 0, end: 99 });
+    expect(parseRangeHeader('bytes=900-5000', 1000)).toEqual({ start: 900, end: 999 });
+    expect(parseRangeHeader('bytes=-100', 1000)).toEqual({ start: 900, end: 999 });
+  });
+
+  test('ignores malformed headers and rejects unsatisfiable ranges', () => {
+    expect(parseRangeHeader('bytes=0-1,5-9', 1000)).toBeNull();
+    expect(() => parseRangeHeader('bytes=1000-', 1000)).toThrow(/not satisfiable/);
+  });
+
+  test('resolves uploaded and imported image locations', () => {
+    expect(resolveFirmwareObject({ url: '/firmware/firmware/1700000000-app.bin' }))
+      .toEqual({ bucket: 'firmware', objectName: 'firmware/1700000000-app.bin' });
+    expect(resolveFirmwareObject({ storage: { bucket: 'firmware', objectKey: 'esp32/1.3.0.bin' } }))
+      .toEqual({ bucket: 'firmware', objectName: 'esp32/1.3.0.bin' });
+    expect(resolveFirmwareObject({})).toBeNull();
+  });
+});
+
+describe('OTA Download - delta URLs', () => {
+  test('delta URL carries and signs the base version', () => {
+    const { url } = buildDownloadUrl({ device, fromVersion: '1.2.0', ttlSeconds: 600, now, secret });
+    const query = queryOf(url);
+    expect(query.from).toBe('1.2.0');
+    expect(verifyDownloadParams({ deviceId: 'dev-001', query, now, secret }).fromVersion).toBe('1.2.0');
+
+    expect(() => verifyDownloadParams({ deviceId: 'dev-001', query: { ...query, from: '1.1.0' }, now, secret }))
+      .toThrow('Invalid download signature');
+  });
+});
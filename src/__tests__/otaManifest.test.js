@@ -0,0 +1,67 @@
+import { describe, test, expect } from '@jest/globals';
+import { shouldDeliverManifest, buildOtaManifest } from '../services/otaManifestService.js';
+
+const deviceWith = (status, desiredVersion = '1.3.0') => ({
+  deviceId: 'dev-001',
+  firmware: { currentVersion: '1.2.0', desiredVersion, status, assignedAt: new Date('2025-12-28T10:00:00Z') },
+});
+
+describe('OTA Manifest - delivery', () => {
+  test.each(['assigned', 'downloading', 'updating'])('delivers while %s', (status) => {
+    expect(shouldDeliverManifest(deviceWith(status)).deliver).toBe(true);
+  });
+
+  test('does not hand the image to a delayed (pending) device', () => {
+    expect(shouldDeliverManifest(deviceWith('pending'))).toEqual({ deliver: false, reason: 'OTA delayed by policy' });
+  });
+
+  test('nothing to do without an active assignment', () => {
+    expect(shouldDeliverManifest(deviceWith('success')).deliver).toBe(false);
+    expect(shouldDeliverManifest(deviceWith('assigned', null)).deliver).toBe(false);
+    expect(shouldDeliverManifest({ deviceId: 'dev-002' }).deliver).toBe(false);
+  });
+});
+
+describe('OTA Manifest - building', () => {
+  test('manifest carries version, size, checksum, signature and URL', () => {
+    const manifest = buildOtaManifest({
+      device: deviceWith('assigned'),
+      firmware: {
+        version: '1.3.0',
+        size: 1024,
+        checksum: 'sha256:abc',
+        signature: { algorithm: 'ed25519', keyId: 'release', value: 'c2ln', verifiedAt: new Date() },
+      },
+      downloadUrl: 'http://minio/firmware/x?sig',
+      expiresAt: new Date('2025-12-28T10:15:00Z'),
+    });
+
+    expect(manifest).toMatchObject({
+      version: '1.3.0',
+      currentVersion: '1.2.0',
+      size: 1024,
+      checksum: 'sha256:abc',
+      signature: { algorithm: 'ed25519', keyId: 'release', value: 'c2ln' },
+      downloadUrl: 'http://minio/firmware/x?sig',
+    });
+    expect(manifest.signature.verifiedAt).toBeUndefined();
+  });
+
+  test('offers a delta when one exists, full image otherwise', () => {
+    const firmware = { version: '1.3.0', size: 1024, checksum: 'sha256:full' };
+    const full = buildOtaManifest({ device: deviceWith('assigned'), firmware, downloadUrl: 'u', expiresAt: null });
+    expect(full.updateType).toBe('full');
+    expect(full.delta).toBeNull();
+
+    const withDelta = buildOtaManifest({
+      device: deviceWith('assigned'),
+      firmware,
+      downloadUrl: 'u',
+      expiresAt: null,
+      delta: { fromVersion: '1.2.0', size: 64, checksum: 'sha256:delta', downloadUrl: 'u?from=1.2.0' },
+    });
+    expect(withDelta.updateType).toBe('delta');
+    expect(withDelta.checksum).toBe('sha256:full');
+    expect(withDelta.delta).toMatchObject({ fromVersion: '1.2.0', size: 64, checksum: 'sha256:delta', downloadUrl: 'u?from=1.2.0' });
+  });
+});
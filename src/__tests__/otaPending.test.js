@@ -0,0 +1,77 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { findExpiredPending } from '../services/otaPendingService.js';
+import { canTransition } from '../services/otaStateMachineService.js';
+
+const HOUR = 3600000;
+const now = new Date('2025-03-01T12:00:00Z');
+
+describe('Pending assignment expiry', () => {
+  test('expires once the maximum wait has passed', () => {
+    const firmware = { status: 'pending', statusChangedAt: new Date(now.getTime() - 25 * HOUR) };
+    expect(findExpiredPending(firmware, now, 24 * HOUR)).toEqual({
+      pendingSince: firmware.statusChangedAt,
+      deadline: new Date(now.getTime() - HOUR),
+    });
+    expect(findExpiredPending(firmware, now, 48 * HOUR)).toBeNull();
+  });
+
+  test('uses the later of assignedAt and statusChangedAt', () => {
+    const firmware = {
+      status: 'pending',
+      statusChangedAt: new Date(now.getTime() - 30 * HOUR),
+      assignedAt: new Date(now.getTime() - 2 * HOUR),
+    };
+    expect(findExpiredPending(firmware, now, 24 * HOUR)).toBeNull();
+  });
+
+  test('only pending devices expire, and 0 disables expiry', () => {
+    const old = new Date(now.getTime() - 1000 * HOUR);
+    expect(findExpiredPending({ status: 'assigned', statusChangedAt: old }, now, HOUR)).toBeNull();
+    expect(findExpiredPending({ status: 'pending', statusChangedAt: old }, now, 0)).toBeNull();
+    expect(findExpiredPending({ status: 'pending' }, now, HOUR)).toBeNull();
+  });
+
+  test('state machine allows promotion and expiry only from pending', () => {
+    expect(canTransition('pending', 'promote', 'assigned')).toBe(true);
+    expect(canTransition('pending', 'promote', 'scheduled')).toBe(true);
+    expect(canTransition('scheduled', 'promote', 'assigned')).toBe(false);
+    expect(canTransition('pending', 'expire', 'expired')).toBe(true);
+    expect(canTransition('expired', 'assign', 'assigned')).toBe(true);
+  });
+});
+
+describe('Pending promotion of retired firmware', () => {
+  let devices;
+  let otaEvents;
+
+  beforeEach(() => {
+    jest.resetModules();
+    devices = { updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }) };
+    otaEvents = { insertOne: jest.fn() };
+    const firmwares = { findOne: async () => ({ version: '2.0.0', deviceType: 'gateway-v2', status: 'deprecated' }) };
+
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => ({ devices, ota_events: otaEvents, firmwares })[name] }),
+    }));
+    jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress: jest.fn() }));
+  });
+
+  test('a version deprecated while the device waited is expired, not promoted', async () => {
+    const { evaluatePendingDevice } = await import('../services/otaPendingService.js');
+    const device = {
+      deviceId: 'dev-1',
+      model: 'gateway-v2',
+      anomaly: { risk_level: 'low' },
+      firmware: { status: 'pending', desiredVersion: '2.0.0', statusChangedAt: new Date(now.getTime() - HOUR) },
+    };
+
+    const result = await evaluatePendingDevice(device, { now });
+
+    expect(result).toEqual({ deviceId: 'dev-1', outcome: 'expired', reason: 'Firmware 2.0.0 was deprecated while pending' });
+    expect(devices.updateOne.mock.calls[0][1].$set['firmware.status']).toBe('expired');
+    expect(otaEvents.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'expire',
+      metadata: expect.objectContaining({ firmwareStatus: 'deprecated' }),
+    }));
+  });
+});
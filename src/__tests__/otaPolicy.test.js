@@ -0,0 +1,173 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { compileRule, evaluateRule } from '../policy/ruleDsl.js';
+import {
+  DEFAULT_POLICY,
+  otaPolicyDecision,
+  validatePolicy,
+  evaluatePolicy,
+  getPolicyVariables,
+} from '../policy/policyEngine.js';
+import { getDeviceRiskLevel, replayPolicyDecisions, getPolicyVariableNames } from '../services/otaPolicyService.js';
+
+const matches = (source, context) => evaluateRule(compileRule(source).ast, context);
+
+describe('Policy rule DSL', () => {
+  test('comparisons, boolean operators and precedence', () => {
+    expect(matches('risk == "high"', { risk: 'high' })).toBe(true);
+    expect(matches('risk != "high" and battery >= 20', { risk: 'low', battery: 20 })).toBe(true);
+    expect(matches('risk == "low" or risk == "medium" and battery < 10', { risk: 'low', battery: 50 })).toBe(true);
+    expect(matches('(risk == "low" or risk == "medium") and battery < 10', { risk: 'low', battery: 50 })).toBe(false);
+    expect(matches('not (trend == "increasing")', { trend: 'decreasing' })).toBe(true);
+  });
+
+  test('list membership works both ways', () => {
+    expect(matches('risk in ["medium", "high"]', { risk: 'medium' })).toBe(true);
+    expect(matches('"lab" in groups', { groups: ['lab', 'eu'] })).toBe(true);
+    expect(matches('groups in ["canary-fleet"]', { groups: ['lab'] })).toBe(false);
+  });
+
+  test('unknown values never satisfy ordering comparisons', () => {
+    expect(matches('battery < 20', { battery: null })).toBe(false);
+    expect(matches('battery >= 20', {})).toBe(false);
+    expect(matches('battery == null', {})).toBe(true);
+  });
+
+  test('reports syntax errors and unknown variables', () => {
+    expect(() => compileRule('risk ==')).toThrow('Unexpected end of rule');
+    expect(() => compileRule('risk == "high')).toThrow(/Unterminated string/);
+    expect(() => compileRule('(risk == "high"')).toThrow(/Expected "\)"/);
+    expect(() => compileRule('risk = "high"')).toThrow(/Unexpected character "="/);
+    expect(() => compileRule('temperature > 80', ['risk', 'battery'])).toThrow(/Unknown variable\(s\): temperature/);
+    expect(compileRule('risk == "low" and "lab" in groups').variables).toEqual(['risk', 'groups']);
+  });
+});
+
+describe('Policy engine', () => {
+  test('default policy reproduces the risk_level mapping and fails closed', () => {
+    for (const risk of ['low', 'medium', 'high']) {
+      expect(evaluatePolicy(DEFAULT_POLICY, { risk }).decision).toBe(otaPolicyDecision(risk).decision);
+    }
+    expect(evaluatePolicy(DEFAULT_POLICY, { risk: null })).toMatchObject({ decision: 'delay', ruleId: null, policyVersion: 0 });
+  });
+
+  test('first matching rule decides and is reported', () => {
+    const policy = {
+      version: 3,
+      ...validatePolicy({
+        rules: [
+          { id: 'low-battery', when: 'battery < 15', decision: 'delay', reason: 'Battery too low' },
+          { id: 'lab-first', when: '"lab" in groups and risk != "high"', decision: 'allow' },
+          ...DEFAULT_POLICY.rules,
+        ],
+      }, getPolicyVariableNames()),
+    };
+    expect(evaluatePolicy(policy, { battery: 10, groups: ['lab'], risk: 'low' }))
+      .toEqual({ decision: 'delay', reason: 'Battery too low', ruleId: 'low-battery', policyVersion: 3 });
+    expect(evaluatePolicy(policy, { battery: 80, groups: ['lab'], risk: 'medium' }).ruleId).toBe('lab-first');
+    expect(getPolicyVariables(policy)).toEqual(['battery', 'groups', 'risk']);
+  });
+
+  test('validates rules', () => {
+    const variables = getPolicyVariableNames();
+    expect(() => validatePolicy({}, variables)).toThrow('rules must be an array');
+    expect(() => validatePolicy({ rules: [{ id: 'a', when: 'risk == "high"', decision: 'stop' }] }, variables))
+      .toThrow(/rules\[0\]\.decision must be one of/);
+    expect(() => validatePolicy({ rules: [{ id: 'a', when: 'cpu > 1', decision: 'block' }] }, variables))
+      .toThrow(/rules\[0\]\.when: Unknown variable/);
+    expect(() => validatePolicy({
+      rules: [{ id: 'a', when: 'risk == "high"', decision: 'block' }, { id: 'a', when: 'true', decision: 'allow' }],
+    }, variables)).toThrow('Duplicate rule id "a"');
+    expect(() => validatePolicy({ rules: [], defaultDecision: 'maybe' }, variables)).toThrow(/defaultDecision/);
+  });
+});
+
+describe('Policy service helpers', () => {
+  test('risk level falls back to legacy decisions', () => {
+    expect(getDeviceRiskLevel({ anomaly: { risk_level: 'HIGH' } })).toBe('high');
+    expect(getDeviceRiskLevel({ anomaly: { decision: 'ALLOW' } })).toBe('low');
+    expect(getDeviceRiskLevel({})).toBeNull();
+  });
+
+  test('replays recorded anomaly events through a candidate policy', () => {
+    const base = Date.parse('2025-01-01T00:00:00Z');
+    const events = [
+      { risk_level: 'medium', decision: 'delay', score: 0.4, decided_at: new Date(base + 60000) },
+      { risk_level: 'low', decision: 'allow', score: 0.1, decided_at: new Date(base) },
+    ];
+    const policy = {
+      version: null,
+      rules: [{ id: 'low-battery', when: 'battery < 20', decision: 'block', reason: null }, ...DEFAULT_POLICY.rules],
+      defaultDecision: 'delay',
+      defaultReason: 'none',
+    };
+    const replay = replayPolicyDecisions({
+      policy,
+      device: { deviceId: 'dev-1' },
+      events,
+      batteryHistory: [{ t: base - 1000, value: 50 }, { t: base + 30000, value: 10 }],
+    });
+
+    expect(replay.map((r) => [r.risk, r.recorded, r.decision, r.ruleId, r.changed])).toEqual([
+      ['low', 'allow', 'allow', 'low-risk', false],
+      ['medium', 'delay', 'block', 'low-battery', true],
+    ]);
+  });
+});
+
+describe('Policy versions', () => {
+  let policies;
+
+  beforeEach(() => {
+    jest.resetModules();
+    policies = {
+      createIndex: jest.fn().mockResolvedValue('version_1'),
+      find: jest.fn(),
+      insertOne: jest.fn().mockResolvedValue({}),
+      findOne: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+      updateMany: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => ({ ota_policies: policies })[name] }),
+    }));
+  });
+
+  const latestVersion = (version) => ({
+    sort: () => ({ limit: () => ({ toArray: async () => [{ version }] }) }),
+  });
+
+  test('a version number taken concurrently is retried with the next one', async () => {
+    const { createPolicyVersion } = await import('../services/otaPolicyService.js');
+    policies.find.mockReturnValueOnce(latestVersion(3)).mockReturnValueOnce(latestVersion(4));
+    policies.insertOne.mockRejectedValueOnce(Object.assign(new Error('E11000 duplicate key'), { code: 11000 }));
+
+    const created = await createPolicyVersion({ rules: DEFAULT_POLICY.rules, activate: false });
+
+    expect(policies.createIndex).toHaveBeenCalledWith({ version: 1 }, { unique: true });
+    expect(policies.insertOne.mock.calls.map(([doc]) => doc.version)).toEqual([4, 5]);
+    expect(created.version).toBe(5);
+  });
+
+  test('activation turns the target on before turning older versions off', async () => {
+    const { activatePolicyVersion } = await import('../services/otaPolicyService.js');
+    policies.findOne.mockResolvedValue({ version: 2, rules: DEFAULT_POLICY.rules, active: true });
+
+    await activatePolicyVersion(2);
+
+    expect(policies.updateOne.mock.invocationCallOrder[0]).toBeLessThan(policies.updateMany.mock.invocationCallOrder[0]);
+    const [activate] = policies.updateOne.mock.calls[0];
+    const [deactivate] = policies.updateMany.mock.calls[0];
+    expect(activate).toEqual({ version: 2 });
+    expect(deactivate).toMatchObject({ active: true, version: { $ne: 2 } });
+    // Versions activated after this call (concurrent activation) stay active
+    expect(deactivate.activatedAt).toEqual({ $not: { $gt: policies.updateOne.mock.calls[0][1].$set.activatedAt } });
+  });
+
+  test('activating an unknown version fails without deactivating the current one', async () => {
+    const { activatePolicyVersion } = await import('../services/otaPolicyService.js');
+    policies.updateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+
+    await expect(activatePolicyVersion(9)).rejects.toMatchObject({ statusCode: 404 });
+    expect(policies.updateMany).not.toHaveBeenCalled();
+  });
+});
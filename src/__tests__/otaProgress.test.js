@@ -0,0 +1,61 @@
+import { describe, test, expect } from '@jest/globals';
+import { normalizeProgressReport, buildProgressState, isProgressThrottled } from '../services/otaProgressService.js';
+import { buildTransitionFields } from '../services/otaStateMachineService.js';
+
+const T0 = new Date('2026-03-01T10:00:00Z');
+const at = (seconds) => new Date(T0.getTime() + seconds * 1000);
+
+describe('Progress report validation', () => {
+  test('derives percent from bytes and keeps an explicit percent', () => {
+    expect(normalizeProgressReport({ bytesDownloaded: 256, totalBytes: 1024 }))
+      .toEqual({ percent: 25, bytesDownloaded: 256, totalBytes: 1024, message: null });
+    expect(normalizeProgressReport({ percent: 33.333, message: '  Writing partition B ' }))
+      .toMatchObject({ percent: 33.3, message: 'Writing partition B' });
+  });
+
+  test('rejects incomplete or out-of-range values', () => {
+    expect(() => normalizeProgressReport({})).toThrow('percent or bytesDownloaded with totalBytes is required');
+    expect(() => normalizeProgressReport({ bytesDownloaded: 10 })).toThrow('percent or bytesDownloaded');
+    expect(() => normalizeProgressReport({ percent: 101 })).toThrow(/between 0 and 100/);
+    expect(() => normalizeProgressReport({ percent: '50' })).toThrow(/between 0 and 100/);
+    expect(() => normalizeProgressReport({ bytesDownloaded: 2048, totalBytes: 1024 })).toThrow(/cannot exceed/);
+    expect(() => normalizeProgressReport({ bytesDownloaded: -1, totalBytes: 1024 })).toThrow(/non-negative/);
+  });
+});
+
+describe('Progress state and ETA', () => {
+  const report = (percent, extra = {}) => ({ stage: 'downloading', firmwareVersion: '2.0.0', percent, message: null, ...extra });
+
+  test('estimates the remaining time from the average rate of the stage', () => {
+    const first = buildProgressState(null, report(10), T0);
+    expect(first).toMatchObject({ startedAt: T0, startPercent: 10, etaSeconds: null });
+
+    // 20% in 40 s → 0.5 %/s → 70% left
+    const second = buildProgressState(first, report(30), at(40));
+    expect(second).toMatchObject({ startedAt: T0, startPercent: 10, updatedAt: at(40), etaSeconds: 140 });
+
+    expect(buildProgressState(second, report(100), at(60)).etaSeconds).toBe(0);
+  });
+
+  test('a restarted download or another stage starts a new estimate', () => {
+    const previous = buildProgressState(buildProgressState(null, report(10), T0), report(60), at(50));
+
+    expect(buildProgressState(previous, report(5), at(60))).toMatchObject({ startedAt: at(60), startPercent: 5, etaSeconds: null });
+    expect(buildProgressState(previous, { ...report(70), stage: 'updating' }, at(60))).toMatchObject({ startedAt: at(60), startPercent: 70 });
+  });
+
+  test('throttles frequent reports except completion and new messages', () => {
+    const previous = buildProgressState(null, report(10, { message: 'Downloading' }), T0);
+
+    expect(isProgressThrottled(previous, report(11, { message: 'Downloading' }), at(1), 2000)).toBe(true);
+    expect(isProgressThrottled(previous, report(12), at(2), 2000)).toBe(false);
+    expect(isProgressThrottled(previous, report(100), at(1), 2000)).toBe(false);
+    expect(isProgressThrottled(previous, report(11, { message: 'Verifying' }), at(1), 2000)).toBe(false);
+    expect(isProgressThrottled(previous, report(11), at(1), 0)).toBe(false);
+    expect(isProgressThrottled(null, report(11), at(1), 2000)).toBe(false);
+  });
+
+  test('every state transition clears reported progress', () => {
+    expect(buildTransitionFields('updating', T0)).toMatchObject({ 'firmware.status': 'updating', 'firmware.progress': null });
+  });
+});
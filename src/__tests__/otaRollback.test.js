@@ -0,0 +1,174 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { evaluateRollbackPolicy, resolveLastKnownGoodVersion } from '../services/otaRollbackService.js';
+
+const policy = { enabled: true, failureThreshold: 3, regressionWindowMs: 60 * 60 * 1000 };
+
+describe('OTA Auto-Rollback - failures', () => {
+  const failedDevice = (failureCount) => ({
+    deviceId: 'dev-001',
+    firmware: {
+      currentVersion: '1.2.0',
+      desiredVersion: '1.3.0',
+      lastFailedFirmwareVersion: '1.3.0',
+      status: 'failed',
+      failureCount,
+    },
+  });
+
+  test('no rollback below failure threshold', () => {
+    const decision = evaluateRollbackPolicy({ device: failedDevice(2), trigger: 'failures', policy });
+    expect(decision.rollback).toBe(false);
+  });
+
+  test('rolls back to currentVersion once threshold is reached', () => {
+    const decision = evaluateRollbackPolicy({ device: failedDevice(3), trigger: 'failures', policy });
+    expect(decision).toMatchObject({ rollback: true, targetVersion: '1.2.0', fromVersion: '1.3.0' });
+  });
+
+  test('no rollback when disabled or no known-good version exists', () => {
+    expect(evaluateRollbackPolicy({ device: failedDevice(5), trigger: 'failures', policy: { ...policy, enabled: false } }).rollback).toBe(false);
+
+    const fresh = failedDevice(5);
+    fresh.firmware.currentVersion = null;
+    expect(evaluateRollbackPolicy({ device: fresh, trigger: 'failures', policy }).rollback).toBe(false);
+  });
+});
+
+describe('OTA Auto-Rollback - health regression', () => {
+  const now = new Date('2025-12-28T12:00:00Z');
+  const updatedDevice = (succeededAt) => ({
+    deviceId: 'dev-001',
+    firmware: {
+      currentVersion: '1.3.0',
+      lastKnownGoodVersion: '1.2.0',
+      status: 'success',
+      succeededAt,
+    },
+  });
+
+  test('high risk inside the window rolls back to lastKnownGoodVersion', () => {
+    const decision = evaluateRollbackPolicy({
+      device: updatedDevice('2025-12-28T11:30:00Z'),
+      trigger: 'health_regression',
+      riskLevel: 'high',
+      now,
+      policy,
+    });
+    expect(decision).toMatchObject({ rollback: true, targetVersion: '1.2.0', fromVersion: '1.3.0' });
+  });
+
+  test('ignores regressions outside the window or below high risk', () => {
+    expect(evaluateRollbackPolicy({
+      device: updatedDevice('2025-12-28T09:00:00Z'),
+      trigger: 'health_regression',
+      riskLevel: 'high',
+      now,
+      policy,
+    }).rollback).toBe(false);
+
+    expect(evaluateRollbackPolicy({
+      device: updatedDevice('2025-12-28T11:30:00Z'),
+      trigger: 'health_regression',
+      riskLevel: 'medium',
+      now,
+      policy,
+    }).rollback).toBe(false);
+  });
+
+  test('last-known-good depends on trigger', () => {
+    const device = updatedDevice(null);
+    expect(resolveLastKnownGoodVersion(device, 'health_regression')).toBe('1.2.0');
+    expect(resolveLastKnownGoodVersion(device, 'failures')).toBe('1.3.0');
+  });
+});
+
+describe('Auto-rollback through the unified assignment path', () => {
+  const regressedDevice = (overrides = {}) => ({
+    deviceId: 'dev-1',
+    model: 'gateway-v2',
+    anomaly: { risk_level: 'high' },
+    firmware: {
+      status: 'regressed',
+      currentVersion: '3.0.0',
+      lastKnownGoodVersion: '2.0.0',
+      probation: { regression: { reason: 'No heartbeat for 900s after update' } },
+    },
+    ...overrides,
+  });
+
+  const setup = async (device, firmware) => {
+    const devices = {
+      findOne: jest.fn(async (query) => (query.deviceId === device.deviceId ? device : null)),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    const otaEvents = { insertOne: jest.fn() };
+    const collections = {
+      devices,
+      ota_events: otaEvents,
+      firmwares: { findOne: async ({ version }) => (version === firmware.version ? firmware : null) },
+      ota_policies: { findOne: async () => null },
+      maintenance_windows: { find: () => ({ toArray: async () => [] }) },
+    };
+    const emitOTAProgress = jest.fn();
+
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => collections[name] }),
+    }));
+    jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress }));
+
+    const { triggerAutoRollback } = await import('../services/otaRollbackService.js');
+    return { triggerAutoRollback, devices, otaEvents, emitOTAProgress };
+  };
+
+  beforeEach(() => {
+    jest.resetModules();
+  });
+
+  test('uses the state machine fields, guards on the observed status and records the bypassed guards', async () => {
+    const ctx = await setup(regressedDevice(), { version: '2.0.0', deviceType: 'gateway-v2', status: 'deprecated' });
+
+    const decision = await ctx.triggerAutoRollback('dev-1', 'health_regression');
+
+    expect(decision).toMatchObject({ rollback: true, targetVersion: '2.0.0', fromVersion: '3.0.0', status: 'assigned' });
+    const [filter, update] = ctx.devices.updateOne.mock.calls[0];
+    expect(filter).toEqual({ deviceId: 'dev-1', 'firmware.status': 'regressed' });
+    expect(update.$set).toMatchObject({
+      'firmware.desiredVersion': '2.0.0',
+      'firmware.status': 'assigned',
+      'firmware.statusChangedAt': expect.any(Date),
+      'firmware.progress': null,
+      'firmware.rollback': expect.objectContaining({ fromVersion: '3.0.0', toVersion: '2.0.0', trigger: 'health_regression' }),
+    });
+    expect(ctx.otaEvents.insertOne).toHaveBeenCalledTimes(1);
+    expect(ctx.otaEvents.insertOne).toHaveBeenCalledWith(expect.objectContaining({
+      action: 'rollback',
+      source: 'system',
+      firmwareVersion: '2.0.0',
+      metadata: expect.objectContaining({
+        trigger: 'health_regression',
+        fromVersion: '3.0.0',
+        systemOverride: expect.objectContaining({ bypassed: ['downgrade', 'policy', 'lifecycle'], policyDecision: 'block' }),
+      }),
+    }));
+    expect(ctx.emitOTAProgress).toHaveBeenCalledWith('dev-1', expect.objectContaining({ action: 'rollback', status: 'assigned' }));
+  });
+
+  test('an incompatible or revoked target is not rolled back to', async () => {
+    let ctx = await setup(regressedDevice({ model: 'sensor-v1' }), { version: '2.0.0', deviceType: 'gateway-v2', status: 'active' });
+    expect(await ctx.triggerAutoRollback('dev-1', 'health_regression')).toBeNull();
+    expect(ctx.devices.updateOne).not.toHaveBeenCalled();
+
+    jest.resetModules();
+    ctx = await setup(regressedDevice(), { version: '2.0.0', deviceType: 'gateway-v2', status: 'revoked' });
+    expect(await ctx.triggerAutoRollback('dev-1', 'health_regression')).toBeNull();
+    expect(ctx.otaEvents.insertOne).not.toHaveBeenCalled();
+  });
+
+  test('a device that changed since the decision is left alone', async () => {
+    const ctx = await setup(regressedDevice(), { version: '2.0.0', deviceType: 'gateway-v2', status: 'active' });
+    ctx.devices.updateOne.mockResolvedValueOnce({ matchedCount: 0, modifiedCount: 0 });
+
+    expect(await ctx.triggerAutoRollback('dev-1', 'health_regression')).toBeNull();
+    expect(ctx.otaEvents.insertOne).not.toHaveBeenCalled();
+  });
+});
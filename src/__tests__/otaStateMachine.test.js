@@ -0,0 +1,144 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import {
+  OTA_STATUSES,
+  OTA_TRANSITIONS,
+  canTransition,
+  assertTransition,
+  getStateEnteredAt,
+  findStalledState,
+} from '../services/otaStateMachineService.js';
+
+const TIMEOUTS = { assigned: 24 * 60 * 60 * 1000, downloading: 60 * 60 * 1000, updating: 30 * 60 * 1000 };
+
+describe('OTA state machine - transitions', () => {
+  test('every state and target is a known status', () => {
+    for (const [from, events] of Object.entries(OTA_TRANSITIONS)) {
+      expect(OTA_STATUSES).toContain(from);
+      for (const targets of Object.values(events)) {
+        targets.forEach((to) => expect(OTA_STATUSES).toContain(to));
+      }
+    }
+  });
+
+  test('device reports follow assigned → downloading → updating → success|failed', () => {
+    expect(canTransition('assigned', 'report', 'downloading')).toBe(true);
+    expect(canTransition('downloading', 'report', 'updating')).toBe(true);
+    expect(canTransition('updating', 'report', 'success')).toBe(true);
+    expect(canTransition('updating', 'report', 'failed')).toBe(true);
+    expect(canTransition('assigned', 'report', 'updating')).toBe(false);
+    expect(canTransition('downloading', 'report', 'success')).toBe(false);
+  });
+
+  test('reports are rejected outside in-flight states, including timed_out', () => {
+    expect(() => assertTransition('timed_out', 'report', 'updating')).toThrow(/cannot report OTA progress when firmware.status is "timed_out"/);
+    expect(() => assertTransition(null, 'report', 'downloading')).toThrow(/"idle"/);
+    expect(() => assertTransition('assigned', 'report', 'success')).toThrow(/Allowed transitions from "assigned": downloading/);
+  });
+
+  test('assignment is allowed anywhere except mid-install', () => {
+    expect(canTransition('downloading', 'assign', 'assigned')).toBe(true);
+    expect(canTransition('timed_out', 'assign', 'pending')).toBe(true);
+    expect(() => assertTransition('updating', 'assign', 'assigned')).toThrow('Cannot assign firmware while device is updating');
+  });
+
+  test('retry only from failed or timed_out', () => {
+    expect(canTransition('failed', 'retry', 'pending')).toBe(true);
+    expect(canTransition('timed_out', 'retry', 'pending')).toBe(true);
+    expect(() => assertTransition('success', 'retry', 'pending')).toThrow(/"failed" or "timed_out"/);
+  });
+});
+
+describe('OTA state machine - timeouts', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+
+  test('state entry time is the later of statusChangedAt and assignedAt', () => {
+    expect(getStateEnteredAt({
+      statusChangedAt: '2026-01-10T10:00:00Z',
+      assignedAt: '2026-01-10T11:00:00Z',
+    })).toEqual(new Date('2026-01-10T11:00:00Z'));
+    expect(getStateEnteredAt({})).toBeNull();
+  });
+
+  test('a silent downloading device stalls after its timeout', () => {
+    const firmware = { status: 'downloading', statusChangedAt: new Date('2026-01-10T10:59:00Z') };
+    expect(findStalledState(firmware, now, TIMEOUTS)).toMatchObject({ state: 'downloading', timeoutMs: TIMEOUTS.downloading });
+    expect(findStalledState({ ...firmware, statusChangedAt: new Date('2026-01-10T11:30:00Z') }, now, TIMEOUTS)).toBeNull();
+  });
+
+  test('recent progress reports for the current stage keep the device alive', () => {
+    const firmware = {
+      status: 'updating',
+      statusChangedAt: new Date('2026-01-10T10:00:00Z'),
+      progress: { stage: 'updating', percent: 60, updatedAt: new Date('2026-01-10T11:55:00Z') },
+    };
+    expect(findStalledState(firmware, now, TIMEOUTS)).toBeNull();
+    expect(findStalledState({ ...firmware, progress: { ...firmware.progress, updatedAt: new Date('2026-01-10T11:00:00Z') } }, now, TIMEOUTS))
+      .toMatchObject({ state: 'updating', lastActivityAt: new Date('2026-01-10T11:00:00Z') });
+    // Progress left over from another stage does not count
+    expect(findStalledState({ ...firmware, progress: { ...firmware.progress, stage: 'downloading' } }, now, TIMEOUTS)?.state).toBe('updating');
+  });
+
+  test('legacy devices without statusChangedAt fall back to assignedAt', () => {
+    const firmware = { status: 'assigned', assignedAt: new Date('2026-01-09T11:00:00Z') };
+    expect(findStalledState(firmware, now, TIMEOUTS)?.state).toBe('assigned');
+  });
+
+  test('states without a timeout never stall', () => {
+    const old = new Date('2025-01-01T00:00:00Z');
+    expect(findStalledState({ status: 'pending', assignedAt: old }, now, TIMEOUTS)).toBeNull();
+    expect(findStalledState({ status: 'updating', statusChangedAt: old }, now, { ...TIMEOUTS, updating: 0 })).toBeNull();
+  });
+});
+
+describe('OTA state machine - timeout sweep', () => {
+  const now = new Date('2026-01-10T12:00:00Z');
+  let devices;
+  let triggerAutoRollback;
+
+  beforeEach(() => {
+    jest.resetModules();
+    devices = {
+      find: jest.fn(),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    triggerAutoRollback = jest.fn().mockResolvedValue(null);
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({ collection: (name) => ({ devices })[name] }),
+    }));
+    jest.unstable_mockModule('../services/otaEventService.js', () => ({ logOTAEvent: jest.fn() }));
+    jest.unstable_mockModule('../services/otaRollbackService.js', () => ({ triggerAutoRollback }));
+    jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress: jest.fn() }));
+  });
+
+  const sweep = async (firmware) => {
+    const { sweepStalledDevices } = await import('../services/otaStateMachineService.js');
+    devices.find.mockReturnValue({ toArray: async () => [{ deviceId: 'dev-1', firmware }] });
+    const result = await sweepStalledDevices(now);
+    return { result, filter: devices.updateOne.mock.calls[0][0], set: devices.updateOne.mock.calls[0][1].$set };
+  };
+
+  test('a download that stalls counts as a failed attempt', async () => {
+    const statusChangedAt = new Date('2026-01-10T10:00:00Z');
+    const { result, filter, set } = await sweep({ status: 'downloading', desiredVersion: '2.0.0', statusChangedAt, failureCount: 1 });
+
+    expect(result.timedOut).toBe(1);
+    expect(filter).toEqual({
+      deviceId: 'dev-1',
+      'firmware.status': 'downloading',
+      'firmware.statusChangedAt': statusChangedAt,
+      'firmware.progress.updatedAt': null,
+    });
+    expect(set).toMatchObject({ 'firmware.status': 'timed_out', 'firmware.failureCount': 2, 'firmware.lastFailedFirmwareVersion': '2.0.0' });
+    expect(triggerAutoRollback).toHaveBeenCalledWith('dev-1', 'failures');
+  });
+
+  test('a device that never picked up its assignment is not a failed attempt', async () => {
+    const { result, set } = await sweep({ status: 'assigned', desiredVersion: '2.0.0', statusChangedAt: new Date('2026-01-09T11:00:00Z'), failureCount: 1 });
+
+    expect(result.timedOut).toBe(1);
+    expect(set['firmware.status']).toBe('timed_out');
+    expect(Object.keys(set)).not.toContain('firmware.failureCount');
+    expect(Object.keys(set)).not.toContain('firmware.lastFailedFirmwareVersion');
+    expect(triggerAutoRollback).not.toHaveBeenCalled();
+  });
+});
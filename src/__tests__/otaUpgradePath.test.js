@@ -0,0 +1,60 @@
+import { describe, test, expect } from '@jest/globals';
+import { planUpgradePath, getHopFailures } from '../services/otaUpgradePathService.js';
+
+const fw = (version, compatibility = {}) => ({ version, deviceType: 'gateway-v2', compatibility });
+const device = (currentVersion, overrides = {}) => ({
+  deviceId: 'dev-1',
+  model: 'gateway-v2',
+  firmware: { currentVersion },
+  ...overrides,
+});
+
+// 2.0.0 needs >= 1.5.0, 3.0.0 needs >= 2.0.0, 4.0.0 needs >= 3.0.0
+const catalog = [
+  fw('1.5.0'),
+  fw('2.0.0', { currentVersion: { min: '1.5.0' } }),
+  fw('2.5.0', { currentVersion: { min: '2.0.0' } }),
+  fw('3.0.0', { currentVersion: { min: '2.0.0' } }),
+  fw('4.0.0', { currentVersion: { min: '3.0.0' } }),
+];
+const target = catalog[4];
+
+describe('Upgrade path planning', () => {
+  test('direct install when the target accepts the current version', () => {
+    expect(planUpgradePath({ device: device('3.1.0'), target, candidates: catalog })).toEqual({ steps: ['4.0.0'] });
+  });
+
+  test('chains the fewest hops, preferring the largest jumps', () => {
+    expect(planUpgradePath({ device: device('1.0.0'), target, candidates: catalog }).steps)
+      .toEqual(['1.5.0', '2.0.0', '3.0.0', '4.0.0']);
+    expect(planUpgradePath({ device: device('2.0.0'), target, candidates: catalog }).steps)
+      .toEqual(['3.0.0', '4.0.0']);
+  });
+
+  test('respects the maximum number of steps', () => {
+    const result = planUpgradePath({ device: device('1.0.0'), target, candidates: catalog, maxSteps: 3 });
+    expect(result.steps).toBeNull();
+    expect(result.reason).toMatch(/No chain of compatible firmware from 1\.0\.0 to 4\.0\.0 within 3 steps/);
+  });
+
+  test('skips intermediate versions the device cannot run', () => {
+    const candidates = [...catalog.slice(0, 3), fw('3.0.0', { currentVersion: { min: '2.0.0' }, minBootloaderVersion: '9.0.0' }), target];
+    const result = planUpgradePath({ device: device('2.0.0', { bootloaderVersion: '1.0.0' }), target, candidates });
+    expect(result.steps).toBeNull();
+  });
+
+  test('fails fast on rules no intermediate version can fix', () => {
+    const result = planUpgradePath({ device: device('1.0.0', { model: 'sensor-v1' }), target, candidates: catalog });
+    expect(result.steps).toBeNull();
+    expect(result.reason).toMatch(/^Incompatible firmware: Device model "sensor-v1" is not supported/);
+  });
+
+  test('rejects targets that are not newer', () => {
+    expect(planUpgradePath({ device: device('4.0.0'), target, candidates: catalog }).reason)
+      .toBe('Device already runs 4.0.0, not older than 4.0.0');
+  });
+
+  test('storage is checked at assignment time, not while planning', () => {
+    expect(getHopFailures(fw('5.0.0', { minStorageMb: 64 }), device('4.0.0'), '4.0.0')).toEqual([]);
+  });
+});
@@ -0,0 +1,111 @@
+import { describe, test, expect, beforeEach, jest } from '@jest/globals';
+import { evaluateProbation, buildProbationState } from '../services/otaVerificationService.js';
+import { evaluateRollbackPolicy } from '../services/otaRollbackService.js';
+
+const policy = { enabled: true, windowMs: 30 * 60 * 1000, heartbeatTimeoutMs: 10 * 60 * 1000 };
+const startedAt = new Date('2025-12-28T12:00:00Z');
+const probation = buildProbationState({ anomaly: { risk_level: 'low' } }, startedAt, policy);
+const at = (minutes) => new Date(startedAt.getTime() + minutes * 60 * 1000);
+
+describe('OTA Probation - verification window', () => {
+  test('window is derived from the success time', () => {
+    expect(probation.endsAt.toISOString()).toBe('2025-12-28T12:30:00.000Z');
+    expect(probation.baselineRiskLevel).toBe('low');
+  });
+
+  test('stays pending inside the window while healthy', () => {
+    const result = evaluateProbation({ probation, riskLevels: ['low'], lastHeartbeatAt: at(14), now: at(15), policy });
+    expect(result.outcome).toBe('pending');
+  });
+
+  test('verifies after the window without regression', () => {
+    const result = evaluateProbation({ probation, riskLevels: ['low', 'low'], lastHeartbeatAt: at(29), now: at(31), policy });
+    expect(result.outcome).toBe('verified');
+  });
+
+  test('flags regression when risk rises above baseline', () => {
+    const result = evaluateProbation({ probation, riskLevels: ['low', 'medium'], lastHeartbeatAt: at(5), now: at(6), policy });
+    expect(result.outcome).toBe('regression');
+    expect(result.reason).toMatch(/medium/);
+  });
+
+  test('does not flag regression when risk stays at a medium baseline', () => {
+    const medium = buildProbationState({ anomaly: { risk_level: 'medium' } }, startedAt, policy);
+    const result = evaluateProbation({ probation: medium, riskLevels: ['medium', 'low'], lastHeartbeatAt: at(5), now: at(6), policy });
+    expect(result.outcome).toBe('pending');
+  });
+
+  test('flags regression when heartbeats stop', () => {
+    const result = evaluateProbation({ probation, riskLevels: [], lastHeartbeatAt: at(2), now: at(20), policy });
+    expect(result.outcome).toBe('regression');
+    expect(result.reason).toMatch(/heartbeat/);
+  });
+});
+
+describe('OTA Probation - rollback hand-over', () => {
+  test('regressed device rolls back to last-known-good without risk input', () => {
+    const decision = evaluateRollbackPolicy({
+      device: {
+        firmware: {
+          status: 'regressed',
+          currentVersion: '1.3.0',
+          lastKnownGoodVersion: '1.2.0',
+          probation: { regression: { reason: 'No heartbeat for 900s after update' } },
+        },
+      },
+      trigger: 'health_regression',
+      policy: { enabled: true, failureThreshold: 3, regressionWindowMs: 0 },
+    });
+
+    expect(decision).toMatchObject({ rollback: true, targetVersion: '1.2.0', fromVersion: '1.3.0' });
+    expect(decision.reason).toMatch(/heartbeat/);
+  });
+});
+
+describe('OTA Probation - upgrade plan hand-over', () => {
+  let devices;
+  let advanceUpgradePlan;
+
+  beforeEach(() => {
+    jest.resetModules();
+    devices = {
+      findOne: jest.fn().mockResolvedValue({
+        deviceId: 'dev-1',
+        lastSeenAt: at(29),
+        firmware: {
+          status: 'probation',
+          currentVersion: '2.0.0',
+          probation,
+          upgradePlan: { status: 'active', steps: ['2.0.0', '3.0.0'], currentStep: 0 },
+        },
+      }),
+      updateOne: jest.fn().mockResolvedValue({ matchedCount: 1, modifiedCount: 1 }),
+    };
+    advanceUpgradePlan = jest.fn().mockResolvedValue(null);
+
+    jest.unstable_mockModule('../clients/mongodb.js', () => ({
+      getDb: async () => ({
+        collection: (name) => ({
+          devices,
+          anomaly_events: { find: () => ({ toArray: async () => [] }) },
+          ota_events: { insertOne: jest.fn() },
+        })[name],
+      }),
+    }));
+    jest.unstable_mockModule('../clients/influxdb.js', () => ({
+      getQueryApi: () => ({ queryRows: (_query, handlers) => handlers.complete() }),
+    }));
+    jest.unstable_mockModule('../realtime/socket.js', () => ({ emitOTAProgress: jest.fn() }));
+    jest.unstable_mockModule('../services/otaUpgradePathService.js', () => ({ advanceUpgradePlan }));
+  });
+
+  test('the next hop is assigned only once the current hop is verified', async () => {
+    const { evaluateProbationForDevice } = await import('../services/otaVerificationService.js');
+
+    expect((await evaluateProbationForDevice('dev-1', { now: at(20) })).outcome).toBe('pending');
+    expect(advanceUpgradePlan).not.toHaveBeenCalled();
+
+    expect((await evaluateProbationForDevice('dev-1', { now: at(31) })).outcome).toBe('verified');
+    expect(advanceUpgradePlan).toHaveBeenCalledWith('dev-1', '2.0.0');
+  });
+});
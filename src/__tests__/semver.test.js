@@ -0,0 +1,102 @@
+import { describe, test, expect } from '@jest/globals';
+import { parseSemver, compareVersions, isVersionOlder, sortByVersionDesc } from '../utils/semver.js';
+import {
+  validateDowngradeOverride,
+  validateCriticalOverride,
+  applyCriticalOverride,
+  buildAssignEventReason,
+} from '../services/otaService.js';
+
+describe('Semver - parsing', () => {
+  test('parses pre-release and build metadata', () => {
+    const v = parseSemver('v1.2.3-rc.1+build.42');
+    expect(v).toMatchObject({ major: 1, minor: 2, patch: 3, prerelease: ['rc', '1'], build: ['build', '42'] });
+  });
+
+  test('tolerates missing minor/patch and rejects garbage', () => {
+    expect(parseSemver('2')).toMatchObject({ major: 2, minor: 0, patch: 0 });
+    expect(parseSemver('1.4')).toMatchObject({ major: 1, minor: 4, patch: 0 });
+    expect(parseSemver('1.02.0')).toBeNull();
+    expect(parseSemver('latest')).toBeNull();
+    expect(parseSemver(null)).toBeNull();
+  });
+});
+
+describe('Semver - precedence', () => {
+  test('numeric comparison instead of string comparison', () => {
+    expect(compareVersions('1.10.0', '1.2.0')).toBe(1);
+    expect(isVersionOlder('1.2.0', '1.10.0')).toBe(true);
+  });
+
+  test('pre-release precedence follows SemVer 2.0', () => {
+    const ordered = [
+      '1.0.0-alpha',
+      '1.0.0-alpha.1',
+      '1.0.0-alpha.beta',
+      '1.0.0-beta',
+      '1.0.0-beta.2',
+      '1.0.0-beta.11',
+      '1.0.0-rc.1',
+      '1.0.0',
+    ];
+    for (let i = 0; i < ordered.length - 1; i += 1) {
+      expect(compareVersions(ordered[i], ordered[i + 1])).toBe(-1);
+    }
+  });
+
+  test('build metadata is ignored for precedence', () => {
+    expect(compareVersions('1.0.0+build.1', '1.0.0+build.2')).toBe(0);
+  });
+
+  test('sorts newest first, with legacy versions last', () => {
+    const sorted = sortByVersionDesc(['1.2.0', 'legacy-build', '1.10.0', '1.10.0-rc.1', '0.9.9']);
+    expect(sorted).toEqual(['1.10.0', '1.10.0-rc.1', '1.2.0', '0.9.9', 'legacy-build']);
+  });
+});
+
+describe('Downgrade override', () => {
+  test('no override unless explicitly requested', () => {
+    expect(validateDowngradeOverride(undefined, 'reason')).toBeNull();
+    expect(validateDowngradeOverride('true', 'reason')).toBeNull();
+  });
+
+  test('override requires a reason', () => {
+    expect(() => validateDowngradeOverride(true, '')).toThrow(/downgradeReason/);
+    expect(validateDowngradeOverride(true, '  boot loop in 1.4.0 ')).toEqual({
+      allowDowngrade: true,
+      reason: 'boot loop in 1.4.0',
+    });
+  });
+
+  test('override reason is recorded on the assign event', () => {
+    const reason = buildAssignEventReason({ action: 'delay' }, { allowDowngrade: true, reason: 'rollback' });
+    expect(reason).toBe('Downgrade override: rollback; OTA delayed: Device unstable');
+    expect(buildAssignEventReason({ action: 'allow' }, null)).toBeNull();
+  });
+});
+
+describe('Critical firmware override', () => {
+  const critical = { version: '2.0.1', criticality: 'critical' };
+  const delay = { action: 'delay', reason: ['No anomaly state'], policy: { version: 0, ruleId: null } };
+
+  test('requires a justification and critical firmware', () => {
+    expect(validateCriticalOverride(critical, undefined, 'CVE fix')).toBeNull();
+    expect(() => validateCriticalOverride(critical, true, ' ')).toThrow(/overrideReason/);
+    expect(() => validateCriticalOverride({ version: '2.0.1' }, true, 'CVE fix'))
+      .toThrow('overrideDelay requires critical firmware (2.0.1 is normal)');
+    expect(validateCriticalOverride(critical, true, ' CVE-2025-1234 ')).toEqual({ overrideDelay: true, reason: 'CVE-2025-1234' });
+  });
+
+  test('bypasses delay but never block', () => {
+    const override = { overrideDelay: true, reason: 'CVE-2025-1234' };
+    const allowed = applyCriticalOverride(delay, override);
+    expect(allowed).toMatchObject({
+      action: 'allow',
+      policy: delay.policy,
+      override: { overriddenDecision: 'delay', policyReason: ['No anomaly state'], reason: 'CVE-2025-1234' },
+    });
+    expect(applyCriticalOverride({ action: 'block', reason: ['High risk'] }, override).action).toBe('block');
+    expect(applyCriticalOverride(delay, null)).toBe(delay);
+    expect(buildAssignEventReason(allowed, null)).toBe('Critical override of delay (No anomaly state): CVE-2025-1234');
+  });
+});
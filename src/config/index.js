@@ -107,7 +107,69 @@ export const config = {
   grafana: {
     url: process.env.GRAFANA_URL || '',
   },
+  firmwareSigning: {
+    required: process.env.FIRMWARE_SIGNATURE_REQUIRED !== 'false',
+  },
+  anomaly: {
+    // Fleet inference: periodic POST /infer equivalent for every active device with fresh metrics
+    schedule: {
+      enabled: process.env.ANOMALY_SCHEDULE_ENABLED !== 'false',
+      intervalMs: parseInt(process.env.ANOMALY_SCHEDULE_INTERVAL_MS || '900000', 10),
+      concurrency: parseInt(process.env.ANOMALY_SCHEDULE_CONCURRENCY || '4', 10),
+      metricsFreshnessMs: parseInt(process.env.ANOMALY_SCHEDULE_METRICS_FRESHNESS_MS || '3600000', 10),
+      // A "running" run older than this on startup was left behind by a crash
+      staleRunMs: parseInt(process.env.ANOMALY_SCHEDULE_STALE_RUN_MS || '21600000', 10),
+    },
+  },
+  ota: {
+    campaignEvaluationIntervalMs: parseInt(process.env.OTA_CAMPAIGN_EVAL_INTERVAL_MS || '60000', 10),
+    maintenanceWindowIntervalMs: parseInt(process.env.OTA_MAINTENANCE_WINDOW_INTERVAL_MS || '60000', 10),
+    manifestUrlTtlSeconds: parseInt(process.env.OTA_MANIFEST_URL_TTL_SECONDS || '900', 10),
+    // Dedicated key: anyone holding it can forge presigned download URLs
+    downloadUrlSecret: getRequiredEnv('OTA_DOWNLOAD_URL_SECRET', 'local-download-url-secret'),
+    delta: {
+      enabled: process.env.OTA_DELTA_ENABLED !== 'false',
+      maxSourceVersions: parseInt(process.env.OTA_DELTA_MAX_SOURCE_VERSIONS || '5', 10),
+      maxSizeRatio: parseFloat(process.env.OTA_DELTA_MAX_SIZE_RATIO || '0.7'),
+    },
+    autoRollback: {
+      enabled: process.env.OTA_AUTO_ROLLBACK_ENABLED !== 'false',
+      failureThreshold: parseInt(process.env.OTA_AUTO_ROLLBACK_FAILURE_THRESHOLD || '3', 10),
+      regressionWindowMs: parseInt(process.env.OTA_AUTO_ROLLBACK_REGRESSION_WINDOW_MS || '3600000', 10),
+    },
+    channels: {
+      uploadChannel: process.env.OTA_UPLOAD_CHANNEL || 'canary',
+      autoAssignOnPromote: process.env.OTA_CHANNEL_AUTO_ASSIGN === 'true',
+    },
+    upgradePath: {
+      maxSteps: parseInt(process.env.OTA_UPGRADE_PATH_MAX_STEPS || '5', 10),
+    },
+    // Max time a device may stay in each in-flight state before it is moved to "timed_out" (0 disables)
+    stateTimeouts: {
+      assigned: parseInt(process.env.OTA_TIMEOUT_ASSIGNED_MS || '86400000', 10),
+      downloading: parseInt(process.env.OTA_TIMEOUT_DOWNLOADING_MS || '3600000', 10),
+      updating: parseInt(process.env.OTA_TIMEOUT_UPDATING_MS || '1800000', 10),
+    },
+    timeoutSweepIntervalMs: parseInt(process.env.OTA_TIMEOUT_SWEEP_INTERVAL_MS || '60000', 10),
+    // Policy-delayed ("pending") assignments: re-evaluation interval and max wait before "expired" (0 = never)
+    pending: {
+      evaluationIntervalMs: parseInt(process.env.OTA_PENDING_EVAL_INTERVAL_MS || '300000', 10),
+      maxWaitMs: parseInt(process.env.OTA_PENDING_MAX_WAIT_MS || '604800000', 10),
+    },
+    // Progress reports within downloading/updating: closer reports are not stored or published
+    progress: {
+      minIntervalMs: parseInt(process.env.OTA_PROGRESS_MIN_INTERVAL_MS || '2000', 10),
+    },
+    probation: {
+      enabled: process.env.OTA_PROBATION_ENABLED !== 'false',
+      windowMs: parseInt(process.env.OTA_PROBATION_WINDOW_MS || '1800000', 10),
+      heartbeatTimeoutMs: parseInt(process.env.OTA_PROBATION_HEARTBEAT_TIMEOUT_MS || '600000', 10),
+      evaluationIntervalMs: parseInt(process.env.OTA_PROBATION_EVAL_INTERVAL_MS || '60000', 10),
+    },
+  },
   server: {
     port: parseInt(process.env.PORT || '3000', 10),
+    // Host of signed download URLs; never taken from request headers
+    publicBaseUrl: getRequiredEnv('PUBLIC_BASE_URL', `http://localhost:${process.env.PORT || '3000'}`),
   },
 };
\ No newline at end of file
@@ -3,10 +3,7 @@ import { getDb } from '../clients/mongodb.js';
 import { AppError } from '../utils/errors.js';
 import { buildFeatureVectorCountBased } from '../services/featureAggregationService.js';
 import { inferenceProxy } from '../services/inferenceProxyService.js';
-import { otaPolicyDecision } from '../policy/policyEngine.js';
-
-const isMlContractViolation = (error) =>
-  Boolean(error && typeof error.message === 'string' && error.message.startsWith('ML_CONTRACT_VIOLATION'));
+import { runAnomalyInference, isMlContractViolation } from '../services/anomalyInferenceService.js';
 
 // ARCHITECTURE: Read-only endpoint - returns current anomaly state from devices collection
 // NO ML inference, NO database writes
@@ -94,7 +91,8 @@ export const getAnomalyAnalysisHandler = async (req, res, next) => {
 };
 
 // ARCHITECTURE: Production inference endpoint - ML inference with production state update
-// This is the ONLY endpoint that can write to devices.anomaly and anomaly_events.
+// This is the ONLY endpoint that can write to devices.anomaly and anomaly_events
+// (through anomalyInferenceService.js, shared with the fleet inference scheduler).
 // Updates operational state for system use
 export const postAnomalyInferHandler = async (req, res, next) => {
   try {
@@ -107,10 +105,9 @@ export const postAnomalyInferHandler = async (req, res, next) => {
       throw new AppError('Device not found', 404);
     }
 
-    // 1) Aggregate features (ML training contract: count-based window, ordered feature list)
-    let featureVector;
+    let result;
     try {
-      featureVector = await buildFeatureVectorCountBased(deviceId);
+      result = await runAnomalyInference(deviceId, { device, trigger: 'api' });
     } catch (error) {
       if (isMlContractViolation(error)) {
         // HARD FAIL on contract violation: do not update device state, do not insert events.
@@ -125,111 +122,14 @@ export const postAnomalyInferHandler = async (req, res, next) => {
       throw error;
     }
 
-    // DEBUG (guarded): verify vector contract without logging full payload.
-    if (String(process.env.DEBUG_ML || '') === '1') {
-      const entries = Object.entries(featureVector);
-      const featureCount = entries.length;
-      const nonZeroCount = entries
-        .filter(([k]) => !k.endsWith('_present'))
-        .filter(([, v]) => typeof v === 'number' && Number.isFinite(v) && v !== 0)
-        .length;
-      const timeGapAvg = typeof featureVector.time_gap_avg === 'number' ? featureVector.time_gap_avg : null;
-      const timeGapStd = typeof featureVector.time_gap_std === 'number' ? featureVector.time_gap_std : null;
-      const sample = entries.slice(0, 10);
-      console.log(
-        `[ML_VECTOR_DEBUG] deviceId=${deviceId} featureCount=${featureCount} nonZeroCount=${nonZeroCount} time_gap_avg=${timeGapAvg} time_gap_std=${timeGapStd} sample=${JSON.stringify(sample)}`,
-      );
-    }
-
-    const nonZeroFeatureCount = Object.entries(featureVector)
-      .filter(([k]) => !k.endsWith('_present'))
-      .filter(([, v]) => Number.isFinite(v) && v !== 0)
-      .length;
-    if (nonZeroFeatureCount < 5) {
-      console.warn('[ML_ASSERT] Too few non-zero features for inference', { deviceId, nonZeroFeatureCount });
-    }
-    const allPresentZero = Object.entries(featureVector)
-      .filter(([k]) => k.endsWith('_present'))
-      .every(([, v]) => v === 0);
-    if (allPresentZero) {
-      console.error('[ML_ASSERT] All *_present flags are 0 → invalid feature vector', { deviceId });
-    }
-
-    // 2) Call inference service (authoritative)
-    const upstream = await inferenceProxy.predict({ data: featureVector });
-    if (!upstream || upstream.status !== 200 || !upstream.data || typeof upstream.data !== 'object') {
-      throw new AppError('Inference service unavailable', 503);
-    }
-
-    // NEW inference contract (authoritative):
-    // { anomaly_score, risk_level, threshold, soft_threshold, ... }
-    const score = upstream.data.anomaly_score;
-    const threshold = upstream.data.threshold;
-    const softThreshold = upstream.data.soft_threshold;
-    const risk_level = upstream.data.risk_level;
-
-    if (
-      typeof score !== 'number' ||
-      typeof threshold !== 'number' ||
-      typeof softThreshold !== 'number'
-    ) {
-      throw new AppError('Invalid inference response', 502);
-    }
-
-    // 3) Validate risk_level format
-    if (typeof risk_level !== 'string' || !['low', 'medium', 'high'].includes(risk_level)) {
-      throw new AppError('Invalid inference response', 502);
-    }
-
-    // 4) Delegate OTA decision to policy engine (separation of concerns)
-    const policyResult = otaPolicyDecision(risk_level);
-    const decision = policyResult.decision;
-
-    const now = new Date();
-    const anomalyState = {
-      score,
-      risk_level,
-      decision,
-      threshold,
-      soft_threshold: softThreshold,
-      updated_at: now,
-    };
-
-    // Persist current anomaly state ONLY in devices.anomaly
-    const updateResult = await db.collection('devices').updateOne(
-      { deviceId },
-      { $set: { anomaly: anomalyState } },
-      { upsert: false },
-    );
-    if (updateResult.matchedCount === 0) {
-      throw new AppError('Device not found', 404);
-    }
-
-    // Insert ONE record into anomaly_events per inference.
-    await db.collection('anomaly_events').insertOne({
-      deviceId,
-      score,
-      risk_level: anomalyState.risk_level,
-      decision,
-      threshold,
-      soft_threshold: softThreshold,
-      decided_at: now,
-      source: 'ml-inference',
-    });
-
     res.json({
       success: true,
       data: {
-        deviceId,
-        score,
-        risk_level: anomalyState.risk_level,
-        decision,
-        threshold,
-        soft_threshold: softThreshold,
+        ...result,
 
         // Backward-compatible aliases for existing UI (read-only display)
-        action: decision.toUpperCase(),
-        thresholds: { hard: threshold, soft: softThreshold },
+        action: result.decision.toUpperCase(),
+        thresholds: { hard: result.threshold, soft: result.soft_threshold },
       },
     });
 
@@ -0,0 +1,59 @@
+import {
+  getFleetInferenceStatus,
+  getFleetInferenceRuns,
+  getFleetInferenceRun,
+  triggerFleetInference,
+} from '../services/anomalySchedulerService.js';
+
+export const getFleetInferenceStatusHandler = async (req, res, next) => {
+  try {
+    const status = await getFleetInferenceStatus();
+
+    res.json({
+      success: true,
+      data: status,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFleetInferenceRunsHandler = async (req, res, next) => {
+  try {
+    const runs = await getFleetInferenceRuns({ limit: req.query.limit });
+
+    res.json({
+      success: true,
+      data: runs,
+      count: runs.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFleetInferenceRunHandler = async (req, res, next) => {
+  try {
+    const run = await getFleetInferenceRun(req.params.runId);
+
+    res.json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const triggerFleetInferenceHandler = async (req, res, next) => {
+  try {
+    const run = await triggerFleetInference();
+
+    res.status(202).json({
+      success: true,
+      data: run,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,6 +2,10 @@ import { getDevices, getDeviceById, assignFirmwareToDevice, reportDeviceFirmware
 import { validateDeviceId, validateQueryParams } from '../utils/validators.js';
 import { AppError } from '../utils/errors.js';
 import { getOTAEvents } from '../services/otaEventService.js';
+import { getDeviceOtaManifest } from '../services/otaManifestService.js';
+import { openFirmwareDownload, recordDownloadBytes, getDeviceDownloads } from '../services/otaDownloadService.js';
+import { setDeviceChannel } from '../services/firmwareChannelService.js';
+import { reportOTAProgress } from '../services/otaProgressService.js';
 
 export const getDevicesHandler = async (req, res, next) => {
   try {
@@ -14,6 +18,9 @@ export const getDevicesHandler = async (req, res, next) => {
     if (req.query.skip) {
       queryParams.skip = parseInt(req.query.skip, 10);
     }
+    if (req.query.selector) {
+      queryParams.selector = String(req.query.selector);
+    }
 
     const devices = await getDevices(queryParams);
 
@@ -47,7 +54,7 @@ export const assignFirmwareToDeviceHandler = async (req, res, next) => {
   console.log('Request Body:', req.body);
   try {
     const { deviceId } = req.params;
-    const { firmwareVersion } = req.body;
+    const { firmwareVersion, allowDowngrade, downgradeReason, overrideDelay, overrideReason } = req.body;
     
     console.log('Extracted deviceId:', deviceId);
     console.log('Extracted firmwareVersion:', firmwareVersion);
@@ -60,7 +67,12 @@ export const assignFirmwareToDeviceHandler = async (req, res, next) => {
       throw new AppError('Firmware version is required', 400);
     }
 
-    const updatedDevice = await assignFirmwareToDevice(deviceId, firmwareVersion);
+    const updatedDevice = await assignFirmwareToDevice(deviceId, firmwareVersion, {
+      allowDowngrade,
+      downgradeReason,
+      overrideDelay,
+      overrideReason,
+    });
 
     res.json({
       success: true,
@@ -97,6 +109,84 @@ export const reportDeviceFirmwareHandler = async (req, res, next) => {
   }
 };
 
+export const reportOTAProgressHandler = async (req, res, next) => {
+  try {
+    const { stage, firmwareVersion, percent, bytesDownloaded, totalBytes, message } = req.body || {};
+
+    const result = await reportOTAProgress(req.authenticatedDevice, {
+      stage, firmwareVersion, percent, bytesDownloaded, totalBytes, message,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getOtaManifestHandler = async (req, res, next) => {
+  try {
+    const manifest = await getDeviceOtaManifest(req.authenticatedDevice);
+
+    if (!manifest) {
+      return res.status(204).end();
+    }
+
+    res.json({
+      success: true,
+      data: manifest,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const downloadFirmwareHandler = async (req, res, next) => {
+  try {
+    const deviceId = validateDeviceId(req.params.deviceId);
+    const download = await openFirmwareDownload({
+      deviceId,
+      query: req.query,
+      rangeHeader: req.headers.range,
+    });
+
+    // Count bytes actually written so interrupted transfers are recorded as partial
+    let bytes = 0;
+    download.stream.on('data', (chunk) => {
+      bytes += chunk.length;
+    });
+    res.on('close', () => {
+      recordDownloadBytes(download.record, bytes);
+    });
+    download.stream.on('error', (error) => {
+      console.error(`Firmware stream failed for ${deviceId}: ${error.message}`);
+      res.destroy(error);
+    });
+
+    res.status(download.statusCode).set(download.headers);
+    download.stream.pipe(res);
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFirmwareDownloadsHandler = async (req, res, next) => {
+  try {
+    const deviceId = validateDeviceId(req.params.deviceId);
+    const downloads = await getDeviceDownloads(deviceId);
+
+    res.json({
+      success: true,
+      data: downloads,
+      count: downloads.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
 export const retryOTAForDeviceHandler = async (req, res, next) => {
   try {
     const { deviceId } = req.params;
@@ -130,4 +220,18 @@ export const getOTAEventsHandler = async (req, res, next) => {
   } catch (error) {
     next(error);
   }
-};
\ No newline at end of file
+};
+
+export const setDeviceChannelHandler = async (req, res, next) => {
+  try {
+    const deviceId = validateDeviceId(req.params.deviceId);
+    const result = await setDeviceChannel(deviceId, req.body.channel);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
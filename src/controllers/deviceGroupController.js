@@ -0,0 +1,90 @@
+import {
+  getDeviceGroups,
+  createDeviceGroup,
+  deleteDeviceGroup,
+  updateGroupMembers,
+  updateDeviceLabels,
+} from '../services/deviceGroupService.js';
+
+export const getDeviceGroupsHandler = async (req, res, next) => {
+  try {
+    const groups = await getDeviceGroups();
+
+    res.json({
+      success: true,
+      data: groups,
+      count: groups.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createDeviceGroupHandler = async (req, res, next) => {
+  try {
+    const { name, description } = req.body;
+    const group = await createDeviceGroup({ name, description });
+
+    res.status(201).json({
+      success: true,
+      data: group,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteDeviceGroupHandler = async (req, res, next) => {
+  try {
+    const result = await deleteDeviceGroup(req.params.name);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const addGroupMembersHandler = async (req, res, next) => {
+  try {
+    const { deviceIds, selector } = req.body;
+    const result = await updateGroupMembers(req.params.name, { deviceIds, selector }, 'add');
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const removeGroupMembersHandler = async (req, res, next) => {
+  try {
+    const { deviceIds, selector } = req.body;
+    const result = await updateGroupMembers(req.params.name, { deviceIds, selector }, 'remove');
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateDeviceLabelsHandler = async (req, res, next) => {
+  try {
+    const { addTags, removeTags, site } = req.body;
+    const result = await updateDeviceLabels(req.params.deviceId, { addTags, removeTags, site });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -2,7 +2,7 @@ import { getDeviceStatistics } from '../services/deviceStatsService.js';
 
 export const getDeviceStatisticsHandler = async (req, res, next) => {
   try {
-    const stats = await getDeviceStatistics();
+    const stats = await getDeviceStatistics(req.query.selector ? String(req.query.selector) : null);
 
     res.json({
       success: true,
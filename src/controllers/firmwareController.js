@@ -1,4 +1,15 @@
-import { uploadFirmware, getFirmwareList, getFirmwareByVersion, assignFirmware } from '../services/firmwareService.js';
+import {
+  uploadFirmware,
+  getFirmwareList,
+  getFirmwareByVersion,
+  assignFirmware,
+  setFirmwareCriticality,
+} from '../services/firmwareService.js';
+import { getSigningKeys, addSigningKey, revokeSigningKey } from '../services/firmwareSigningService.js';
+import { generateDeltasForFirmware } from '../services/firmwareDeltaService.js';
+import { promoteFirmware, getFirmwarePromotions } from '../services/firmwareChannelService.js';
+import { deprecateFirmware, revokeFirmware, purgeFirmware } from '../services/firmwareLifecycleService.js';
+import { setFirmwareCompatibility, checkFirmwareCompatibility } from '../services/firmwareCompatibilityService.js';
 import { AppError } from '../utils/errors.js';
 
 export const uploadFirmwareHandler = async (req, res, next) => {
@@ -12,7 +23,8 @@ export const uploadFirmwareHandler = async (req, res, next) => {
       uploadedBy: req.body.uploadedBy || 'system',
     };
 
-    const result = await uploadFirmware(req.file, metadata);
+    const { signature, keyId, channel, compatibility, criticality } = req.body;
+    const result = await uploadFirmware(req.file, metadata, { signature, keyId }, { channel, compatibility, criticality });
 
     res.status(201).json({
       success: true,
@@ -26,10 +38,11 @@ export const uploadFirmwareHandler = async (req, res, next) => {
 export const getFirmwareListHandler = async (req, res, next) => {
   console.log('--- GET /api/firmware request received ---');
   try {
-    const { limit, skip } = req.query;
+    const { limit, skip, channel } = req.query;
     const queryParams = {
       limit: limit ? parseInt(limit, 10) : undefined,
       skip: skip ? parseInt(skip, 10) : undefined,
+      channel: channel ? String(channel) : undefined,
     };
 
     const firmwareList = await getFirmwareList(queryParams);
@@ -81,3 +94,175 @@ export const assignFirmwareHandler = async (req, res, next) => {
   }
 };
 
+
+export const getSigningKeysHandler = async (req, res, next) => {
+  try {
+    const keys = await getSigningKeys();
+
+    res.json({
+      success: true,
+      data: keys,
+      count: keys.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const addSigningKeyHandler = async (req, res, next) => {
+  try {
+    const { keyId, algorithm, publicKey, description } = req.body;
+    const key = await addSigningKey({ keyId, algorithm, publicKey, description });
+
+    res.status(201).json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeSigningKeyHandler = async (req, res, next) => {
+  try {
+    const key = await revokeSigningKey(req.params.keyId);
+
+    res.json({
+      success: true,
+      data: key,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const generateDeltasHandler = async (req, res, next) => {
+  try {
+    const { fromVersions } = req.body || {};
+    if (fromVersions !== undefined && !Array.isArray(fromVersions)) {
+      throw new AppError('fromVersions must be an array of versions', 400);
+    }
+
+    const result = await generateDeltasForFirmware(req.params.version, { fromVersions });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const promoteFirmwareHandler = async (req, res, next) => {
+  try {
+    const { channel, promotedBy, reason, autoAssign } = req.body || {};
+    if (autoAssign !== undefined && typeof autoAssign !== 'boolean') {
+      throw new AppError('autoAssign must be a boolean', 400);
+    }
+
+    const promotion = await promoteFirmware(req.params.version, { channel, promotedBy, reason, autoAssign });
+
+    res.json({
+      success: true,
+      data: promotion,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getFirmwarePromotionsHandler = async (req, res, next) => {
+  try {
+    const promotions = await getFirmwarePromotions({ firmwareVersion: req.params.version });
+
+    res.json({
+      success: true,
+      data: promotions,
+      count: promotions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deprecateFirmwareHandler = async (req, res, next) => {
+  try {
+    const { reason, by } = req.body || {};
+    const result = await deprecateFirmware(req.params.version, { reason, by });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const revokeFirmwareHandler = async (req, res, next) => {
+  try {
+    const { reason, by } = req.body || {};
+    const result = await revokeFirmware(req.params.version, { reason, by });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const purgeFirmwareHandler = async (req, res, next) => {
+  try {
+    const { by } = req.body || {};
+    const result = await purgeFirmware(req.params.version, { by });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setFirmwareCompatibilityHandler = async (req, res, next) => {
+  try {
+    const result = await setFirmwareCompatibility(req.params.version, req.body || {});
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const checkFirmwareCompatibilityHandler = async (req, res, next) => {
+  try {
+    const result = await checkFirmwareCompatibility(req.params.version, req.params.deviceId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const setFirmwareCriticalityHandler = async (req, res, next) => {
+  try {
+    const result = await setFirmwareCriticality(req.params.version, req.body?.criticality);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
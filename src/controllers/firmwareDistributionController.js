@@ -0,0 +1,22 @@
+import { getFirmwareDistribution } from '../services/firmwareDistributionService.js';
+
+export const getFirmwareDistributionHandler = async (req, res, next) => {
+  try {
+    const { selector, days, interval, targetVersion, stragglerLimit } = req.query;
+
+    const report = await getFirmwareDistribution({
+      selector: selector ? String(selector) : null,
+      days,
+      interval: interval ? String(interval) : undefined,
+      targetVersion: targetVersion ? String(targetVersion) : null,
+      stragglerLimit,
+    });
+
+    res.json({
+      success: true,
+      data: report,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
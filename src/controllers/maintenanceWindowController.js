@@ -0,0 +1,71 @@
+import {
+  createMaintenanceWindow,
+  getMaintenanceWindows,
+  updateMaintenanceWindow,
+  deleteMaintenanceWindow,
+} from '../services/maintenanceWindowService.js';
+
+export const createMaintenanceWindowHandler = async (req, res, next) => {
+  try {
+    const { name, schedule, durationMinutes, timezone, deviceIds, groups, enabled, createdBy } = req.body;
+
+    const window = await createMaintenanceWindow({
+      name,
+      schedule,
+      durationMinutes,
+      timezone,
+      deviceIds,
+      groups,
+      enabled,
+      createdBy,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: window,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getMaintenanceWindowsHandler = async (req, res, next) => {
+  try {
+    const { deviceId, group } = req.query;
+    const windows = await getMaintenanceWindows({ deviceId, group });
+
+    res.json({
+      success: true,
+      data: windows,
+      count: windows.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const updateMaintenanceWindowHandler = async (req, res, next) => {
+  try {
+    const window = await updateMaintenanceWindow(req.params.windowId, req.body || {});
+
+    res.json({
+      success: true,
+      data: window,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const deleteMaintenanceWindowHandler = async (req, res, next) => {
+  try {
+    const result = await deleteMaintenanceWindow(req.params.windowId);
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
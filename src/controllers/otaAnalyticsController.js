@@ -0,0 +1,23 @@
+import { getOTAAnalytics } from '../services/otaAnalyticsService.js';
+
+export const getOTAAnalyticsHandler = async (req, res, next) => {
+  try {
+    const { from, to, firmwareVersion, model, minSuccessRate, minAttempts } = req.query;
+
+    const analytics = await getOTAAnalytics({
+      from,
+      to,
+      firmwareVersion: firmwareVersion ? String(firmwareVersion) : undefined,
+      model: model ? String(model) : undefined,
+      minSuccessRate,
+      minAttempts,
+    });
+
+    res.json({
+      success: true,
+      data: analytics,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -0,0 +1,25 @@
+import { runBulkOperation } from '../services/otaBulkService.js';
+
+const buildBulkHandler = (operation, verb) => async (req, res, next) => {
+  try {
+    const { deviceIds, selector, campaignId, reason, by } = req.body || {};
+
+    const result = await runBulkOperation({ operation, deviceIds, selector, campaignId, reason, by });
+
+    res.json({
+      success: true,
+      data: result,
+      count: result.applied.length,
+      message: `${verb} ${result.applied.length} of ${result.total} device(s)` +
+        (result.inProgress.length ? `; ${result.inProgress.length} already updating` : ''),
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const bulkCancelHandler = buildBulkHandler('cancel', 'Cancelled');
+
+export const bulkPauseHandler = buildBulkHandler('pause', 'Paused');
+
+export const bulkResumeHandler = buildBulkHandler('resume', 'Resumed');
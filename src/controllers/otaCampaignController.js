@@ -0,0 +1,128 @@
+import {
+  createCampaign,
+  getCampaigns,
+  getCampaignById,
+  getCampaignWave,
+  startCampaign,
+  haltCampaign,
+  resumeCampaign,
+} from '../services/otaCampaignService.js';
+import { AppError } from '../utils/errors.js';
+
+export const createCampaignHandler = async (req, res, next) => {
+  try {
+    const { name, firmwareVersion, selector, waves, minSuccessRate, maxFailureRate, createdBy, autoStart } = req.body;
+
+    if (!firmwareVersion || typeof firmwareVersion !== 'string') {
+      throw new AppError('firmwareVersion is required', 400);
+    }
+
+    let campaign = await createCampaign({
+      name,
+      firmwareVersion,
+      selector,
+      waves,
+      minSuccessRate,
+      maxFailureRate,
+      createdBy,
+    });
+
+    if (autoStart === true) {
+      campaign = await startCampaign(campaign.id);
+    }
+
+    res.status(201).json({
+      success: true,
+      data: campaign,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCampaignsHandler = async (req, res, next) => {
+  try {
+    const { status, limit } = req.query;
+    const campaigns = await getCampaigns({
+      status,
+      limit: limit ? Math.min(Math.max(parseInt(limit, 10) || 100, 1), 1000) : undefined,
+    });
+
+    res.json({
+      success: true,
+      data: campaigns,
+      count: campaigns.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCampaignByIdHandler = async (req, res, next) => {
+  try {
+    const campaign = await getCampaignById(req.params.campaignId);
+
+    res.json({
+      success: true,
+      data: campaign,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getCampaignWaveHandler = async (req, res, next) => {
+  try {
+    const wave = await getCampaignWave(req.params.campaignId, req.params.waveIndex);
+
+    res.json({
+      success: true,
+      data: wave,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const startCampaignHandler = async (req, res, next) => {
+  try {
+    const campaign = await startCampaign(req.params.campaignId);
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: 'Campaign started',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const haltCampaignHandler = async (req, res, next) => {
+  try {
+    const { reason } = req.body || {};
+    const campaign = await haltCampaign(req.params.campaignId, reason);
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: 'Campaign halted',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const resumeCampaignHandler = async (req, res, next) => {
+  try {
+    const campaign = await resumeCampaign(req.params.campaignId);
+
+    res.json({
+      success: true,
+      data: campaign,
+      message: 'Campaign resumed',
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -1,19 +1,74 @@
-import { deployOTA, assignOTA } from '../services/otaService.js';
+import { deployOTA, assignOTA, simulateAssignment } from '../services/otaService.js';
 import { AppError } from '../utils/errors.js';
 
 export const assignOTAHandler = async (req, res, next) => {
   try {
-    const { deviceIds, firmwareVersion } = req.body;
+    const { deviceIds, selector, firmwareVersion, allowDowngrade, downgradeReason, overrideDelay, overrideReason } = req.body;
 
-    if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
-      throw new AppError('deviceIds array is required and must not be empty', 400);
+    if (!selector && (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0)) {
+      throw new AppError('deviceIds array or selector is required', 400);
     }
 
     if (!firmwareVersion || typeof firmwareVersion !== 'string') {
       throw new AppError('firmwareVersion is required', 400);
     }
 
-    const result = await assignOTA({ deviceIds, firmwareVersion });
+    const result = await assignOTA({
+      deviceIds,
+      selector,
+      firmwareVersion,
+      allowDowngrade,
+      downgradeReason,
+      overrideDelay,
+      overrideReason,
+    });
+
+    res.status(200).json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const simulateAssignmentHandler = async (req, res, next) => {
+  try {
+    const {
+      deviceIds,
+      selector,
+      firmwareVersion,
+      allowDowngrade,
+      downgradeReason,
+      overrideDelay,
+      overrideReason,
+      policy,
+      policyVersion,
+    } = req.body;
+
+    if (!selector && (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0)) {
+      throw new AppError('deviceIds array or selector is required', 400);
+    }
+
+    if (!firmwareVersion || typeof firmwareVersion !== 'string') {
+      throw new AppError('firmwareVersion is required', 400);
+    }
+
+    if (policy && policyVersion !== undefined && policyVersion !== null) {
+      throw new AppError('Provide either policy or policyVersion, not both', 400);
+    }
+
+    const result = await simulateAssignment({
+      deviceIds,
+      selector,
+      firmwareVersion,
+      allowDowngrade,
+      downgradeReason,
+      overrideDelay,
+      overrideReason,
+      policy,
+      policyVersion,
+    });
 
     res.status(200).json({
       success: true,
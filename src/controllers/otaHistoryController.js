@@ -1,4 +1,5 @@
 import { getOTAHistory } from '../services/otaService.js';
+import { getOverrideEvents } from '../services/otaEventService.js';
 import { validateDeviceId } from '../utils/validators.js';
 
 export const getOTAHistoryHandler = async (req, res, next) => {
@@ -16,3 +17,17 @@ export const getOTAHistoryHandler = async (req, res, next) => {
   }
 };
 
+export const getOverrideEventsHandler = async (req, res, next) => {
+  try {
+    const { type, from, to, deviceId, firmwareVersion, limit } = req.query;
+    const report = await getOverrideEvents({ type, from, to, deviceId, firmwareVersion, limit });
+
+    res.json({
+      success: true,
+      data: report,
+      count: report.events.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
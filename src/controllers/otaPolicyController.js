@@ -0,0 +1,93 @@
+import {
+  getActivePolicy,
+  getPolicyVariableNames,
+  getPolicyVersions,
+  createPolicyVersion,
+  activatePolicyVersion,
+  testPolicyAgainstHistory,
+} from '../services/otaPolicyService.js';
+
+export const getActivePolicyHandler = async (req, res, next) => {
+  try {
+    const policy = await getActivePolicy();
+
+    res.json({
+      success: true,
+      data: { ...policy, variables: getPolicyVariableNames() },
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const getPolicyVersionsHandler = async (req, res, next) => {
+  try {
+    const versions = await getPolicyVersions();
+
+    res.json({
+      success: true,
+      data: versions,
+      count: versions.length,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const createPolicyVersionHandler = async (req, res, next) => {
+  try {
+    const { rules, defaultDecision, defaultReason, comment, createdBy, activate } = req.body || {};
+
+    const policy = await createPolicyVersion({
+      rules,
+      defaultDecision,
+      defaultReason,
+      comment,
+      createdBy,
+      activate: activate !== false,
+    });
+
+    res.status(201).json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const activatePolicyVersionHandler = async (req, res, next) => {
+  try {
+    const policy = await activatePolicyVersion(req.params.version);
+
+    res.json({
+      success: true,
+      data: policy,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const testPolicyHandler = async (req, res, next) => {
+  try {
+    const { policy, version, deviceIds, selector, days, criticality, limit } = req.body || {};
+
+    const result = await testPolicyAgainstHistory({
+      policy,
+      version,
+      deviceIds,
+      selector,
+      days: days ?? 7,
+      criticality: criticality ?? null,
+      limit: limit ? Math.min(parseInt(limit, 10) || 200, 1000) : 200,
+    });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
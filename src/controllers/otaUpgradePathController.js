@@ -0,0 +1,33 @@
+import { createUpgradePaths, abandonUpgradePlan } from '../services/otaUpgradePathService.js';
+import { AppError } from '../utils/errors.js';
+
+export const createUpgradePathsHandler = async (req, res, next) => {
+  try {
+    const { deviceIds, selector, targetVersion, dryRun } = req.body || {};
+    if (dryRun !== undefined && typeof dryRun !== 'boolean') {
+      throw new AppError('dryRun must be a boolean', 400);
+    }
+
+    const result = await createUpgradePaths({ deviceIds, selector, targetVersion, dryRun });
+
+    res.json({
+      success: true,
+      data: result,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
+
+export const abandonUpgradePlanHandler = async (req, res, next) => {
+  try {
+    const plan = await abandonUpgradePlan(req.params.deviceId);
+
+    res.json({
+      success: true,
+      data: plan,
+    });
+  } catch (error) {
+    next(error);
+  }
+};
@@ -11,7 +11,8 @@ setInterval(() => {
   }
 }, cleanupInterval);
 
-export const rateLimitDevice = (maxRequests = 60, windowMs = 60000) => {
+// `scope` gives a route its own budget instead of sharing the device's default one
+export const rateLimitDevice = (maxRequests = 60, windowMs = 60000, scope = 'device') => {
   return (req, res, next) => {
     const { deviceId } = req.params;
 
@@ -19,7 +20,7 @@ export const rateLimitDevice = (maxRequests = 60, windowMs = 60000) => {
       return next();
     }
 
-    const key = `device:${deviceId}`;
+    const key = `${scope}:${deviceId}`;
     const now = Date.now();
     const windowStart = now - windowMs;
 
@@ -1,15 +1,19 @@
 // ============================================================================
 // OTA POLICY ENGINE
 // ============================================================================
-// Deterministic policy engine that maps risk_level to OTA decisions.
+// Deterministic policy engine that maps a device context (risk_level,
+// anomaly trend, battery, firmware criticality, groups...) to OTA decisions.
 //
 // Architecture:
-// - Pure function (no side effects)
-// - Deterministic mapping: risk_level → OTA decision
+// - Pure functions (no side effects); stored policies and context
+//   resolution live in otaPolicyService.js
+// - Ordered rules written in the rule DSL (ruleDsl.js), first match wins
 // - No ML knowledge (does not know about anomaly_score, thresholds, etc.)
 // - Explainable and auditable
 // ============================================================================
 
+import { compileRule, evaluateRule } from './ruleDsl.js';
+
 /**
  * Determine OTA policy decision based on risk level.
  *
@@ -49,3 +53,116 @@ export function otaPolicyDecision(riskLevel) {
 
   throw new Error(`Unknown riskLevel: "${riskLevel}". Expected "low", "medium", or "high"`);
 }
+
+// ============================================================================
+// RULE-BASED POLICIES
+// ============================================================================
+// A policy is an ordered rule list; the first rule whose `when` expression
+// (see ruleDsl.js) matches decides. Without a match the default decision
+// applies. DEFAULT_POLICY reproduces otaPolicyDecision() and fails closed
+// (delay) when the device has no risk level yet.
+//
+//   { version, rules: [{ id, when, decision, reason }], defaultDecision, defaultReason }
+// ============================================================================
+
+export const POLICY_DECISIONS = ['allow', 'delay', 'block'];
+
+export const DEFAULT_POLICY = Object.freeze({
+  version: 0,
+  rules: [
+    { id: 'high-risk', when: 'risk == "high"', decision: 'block', reason: 'High anomaly risk, OTA blocked' },
+    { id: 'medium-risk', when: 'risk == "medium"', decision: 'delay', reason: 'Early anomaly detected, waiting for stabilization' },
+    { id: 'low-risk', when: 'risk == "low"', decision: 'allow', reason: 'System behavior within normal operating range' },
+  ],
+  defaultDecision: 'delay',
+  defaultReason: 'No anomaly state for device (fail-closed)',
+});
+
+const RULE_ID_PATTERN = /^[a-z0-9][a-z0-9_-]{0,63}$/i;
+
+/**
+ * Validate and normalize a policy definition.
+ * @param {Object} input - { rules, defaultDecision?, defaultReason? }
+ * @param {Array<string>} allowedVariables - Variables rules may reference
+ * @returns {Object} { rules, defaultDecision, defaultReason }
+ * @throws {Error} Describing the first invalid rule
+ */
+export function validatePolicy(input, allowedVariables) {
+  if (!input || !Array.isArray(input.rules)) {
+    throw new Error('rules must be an array');
+  }
+
+  const seen = new Set();
+  const rules = input.rules.map((rule, index) => {
+    const label = `rules[${index}]`;
+    if (!rule || typeof rule !== 'object') {
+      throw new Error(`${label} must be an object`);
+    }
+    const id = typeof rule.id === 'string' ? rule.id.trim() : '';
+    if (!RULE_ID_PATTERN.test(id)) {
+      throw new Error(`${label}.id must be 1-64 characters of letters, digits, "-" or "_"`);
+    }
+    if (seen.has(id)) {
+      throw new Error(`Duplicate rule id "${id}"`);
+    }
+    seen.add(id);
+    if (!POLICY_DECISIONS.includes(rule.decision)) {
+      throw new Error(`${label}.decision must be one of: ${POLICY_DECISIONS.join(', ')}`);
+    }
+    try {
+      compileRule(rule.when, allowedVariables);
+    } catch (error) {
+      throw new Error(`${label}.when: ${error.message}`);
+    }
+    return {
+      id,
+      when: rule.when.trim(),
+      decision: rule.decision,
+      reason: rule.reason ? String(rule.reason) : null,
+    };
+  });
+
+  const defaultDecision = input.defaultDecision ?? DEFAULT_POLICY.defaultDecision;
+  if (!POLICY_DECISIONS.includes(defaultDecision)) {
+    throw new Error(`defaultDecision must be one of: ${POLICY_DECISIONS.join(', ')}`);
+  }
+
+  return {
+    rules,
+    defaultDecision,
+    defaultReason: input.defaultReason ? String(input.defaultReason) : 'No policy rule matched',
+  };
+}
+
+/**
+ * Variables referenced by a policy's rules.
+ * @returns {Array<string>}
+ */
+export function getPolicyVariables(policy) {
+  return [...new Set(policy.rules.flatMap((rule) => compileRule(rule.when).variables))];
+}
+
+/**
+ * Evaluate a policy against a decision context.
+ * @param {Object} policy
+ * @param {Object} context - Variable values (see otaPolicyService.js)
+ * @returns {Object} { decision, reason, ruleId (null for the default), policyVersion }
+ */
+export function evaluatePolicy(policy, context) {
+  for (const rule of policy.rules) {
+    if (evaluateRule(compileRule(rule.when).ast, context)) {
+      return {
+        decision: rule.decision,
+        reason: rule.reason || `Rule "${rule.id}" matched`,
+        ruleId: rule.id,
+        policyVersion: policy.version ?? null,
+      };
+    }
+  }
+  return {
+    decision: policy.defaultDecision,
+    reason: policy.defaultReason,
+    ruleId: null,
+    policyVersion: policy.version ?? null,
+  };
+}
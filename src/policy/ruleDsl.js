@@ -0,0 +1,248 @@
+// ============================================================================
+// OTA POLICY RULE DSL
+// ============================================================================
+// Small boolean expression language for OTA policy rules, e.g.
+//
+//   risk == "high"
+//   trend == "increasing" and battery < 20
+//   criticality == "critical" and not (risk in ["high"])
+//   "lab" in groups or model == "gateway-v2"
+//
+// Grammar:
+//   expr    := and ("or" and)*
+//   and     := not ("and" not)*
+//   not     := "not" not | compare
+//   compare := value (("==" | "!=" | "<" | "<=" | ">" | ">=" | "in") value)?
+//   value   := number | "string" | true | false | null | identifier
+//            | "[" (value ("," value)*)? "]" | "(" expr ")"
+//
+// Semantics:
+// - Identifiers read variables from the evaluation context (unknown → null)
+// - Ordering operators only match numbers; a null operand never matches
+// - `x in list` matches when x is in list; when x is itself a list (e.g. groups),
+//   when any element is in list. `"lab" in groups` tests list membership.
+//
+// Pure: no I/O. Compilation errors throw Error with the position.
+// ============================================================================
+
+const KEYWORDS = { and: 'and', or: 'or', not: 'not', in: 'in', true: true, false: false, null: null };
+const COMPARATORS = ['==', '!=', '<=', '>=', '<', '>', 'in'];
+
+const tokenize = (source) => {
+  const tokens = [];
+  let i = 0;
+  while (i < source.length) {
+    const ch = source[i];
+    if (/\s/.test(ch)) {
+      i += 1;
+      continue;
+    }
+    if (ch === '"' || ch === "'") {
+      const end = source.indexOf(ch, i + 1);
+      if (end === -1) throw new Error(`Unterminated string at position ${i}`);
+      tokens.push({ type: 'literal', value: source.slice(i + 1, end), pos: i });
+      i = end + 1;
+      continue;
+    }
+    const number = /^-?\d+(\.\d+)?/.exec(source.slice(i));
+    if (number) {
+      tokens.push({ type: 'literal', value: Number(number[0]), pos: i });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][A-Za-z0-9_]*/.exec(source.slice(i));
+    if (word) {
+      const text = word[0];
+      if (Object.prototype.hasOwnProperty.call(KEYWORDS, text)) {
+        const keyword = KEYWORDS[text];
+        tokens.push(typeof keyword === 'string'
+          ? { type: 'op', value: keyword, pos: i }
+          : { type: 'literal', value: keyword, pos: i });
+      } else {
+        tokens.push({ type: 'ident', value: text, pos: i });
+      }
+      i += text.length;
+      continue;
+    }
+    const op = ['==', '!=', '<=', '>='].find((o) => source.startsWith(o, i)) || (/[<>()[\],]/.test(ch) ? ch : null);
+    if (!op) throw new Error(`Unexpected character "${ch}" at position ${i}`);
+    tokens.push({ type: 'op', value: op, pos: i });
+    i += op.length;
+  }
+  return tokens;
+};
+
+const parse = (tokens) => {
+  let index = 0;
+  const peek = () => tokens[index];
+  const isOp = (value) => peek()?.type === 'op' && peek().value === value;
+  const expect = (value) => {
+    if (!isOp(value)) {
+      const token = peek();
+      throw new Error(token ? `Expected "${value}" at position ${token.pos}` : `Expected "${value}" at end of rule`);
+    }
+    index += 1;
+  };
+
+  const parseValue = () => {
+    const token = peek();
+    if (!token) throw new Error('Unexpected end of rule');
+    if (token.type === 'literal') {
+      index += 1;
+      return { type: 'literal', value: token.value };
+    }
+    if (token.type === 'ident') {
+      index += 1;
+      return { type: 'var', name: token.value };
+    }
+    if (isOp('(')) {
+      index += 1;
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+    if (isOp('[')) {
+      index += 1;
+      const items = [];
+      while (!isOp(']')) {
+        items.push(parseValue());
+        if (!isOp(']')) expect(',');
+      }
+      index += 1;
+      return { type: 'list', items };
+    }
+    throw new Error(`Unexpected "${token.value}" at position ${token.pos}`);
+  };
+
+  const parseCompare = () => {
+    const left = parseValue();
+    const token = peek();
+    if (token?.type === 'op' && COMPARATORS.includes(token.value)) {
+      index += 1;
+      return { type: 'compare', op: token.value, left, right: parseValue() };
+    }
+    return left;
+  };
+
+  const parseNot = () => {
+    if (isOp('not')) {
+      index += 1;
+      return { type: 'not', operand: parseNot() };
+    }
+    return parseCompare();
+  };
+
+  const parseAnd = () => {
+    let node = parseNot();
+    while (isOp('and')) {
+      index += 1;
+      node = { type: 'and', left: node, right: parseNot() };
+    }
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isOp('or')) {
+      index += 1;
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  const ast = parseOr();
+  if (index < tokens.length) {
+    throw new Error(`Unexpected "${tokens[index].value}" at position ${tokens[index].pos}`);
+  }
+  return ast;
+};
+
+const collectVariables = (node, names = new Set()) => {
+  switch (node.type) {
+    case 'var':
+      names.add(node.name);
+      break;
+    case 'list':
+      node.items.forEach((item) => collectVariables(item, names));
+      break;
+    case 'not':
+      collectVariables(node.operand, names);
+      break;
+    case 'compare':
+    case 'and':
+    case 'or':
+      collectVariables(node.left, names);
+      collectVariables(node.right, names);
+      break;
+    default:
+      break;
+  }
+  return names;
+};
+
+/**
+ * Compile a rule expression.
+ * @param {string} source
+ * @param {Array<string>} [allowedVariables] - Reject identifiers outside this list
+ * @returns {Object} { ast, variables: Array<string> }
+ * @throws {Error} On syntax errors or unknown variables
+ */
+export const compileRule = (source, allowedVariables = null) => {
+  if (typeof source !== 'string' || source.trim().length === 0) {
+    throw new Error('Rule expression must be a non-empty string');
+  }
+  const ast = parse(tokenize(source));
+  const variables = [...collectVariables(ast)];
+  if (allowedVariables) {
+    const unknown = variables.filter((name) => !allowedVariables.includes(name));
+    if (unknown.length > 0) {
+      throw new Error(`Unknown variable(s): ${unknown.join(', ')} (allowed: ${allowedVariables.join(', ')})`);
+    }
+  }
+  return { ast, variables };
+};
+
+const compare = (op, left, right) => {
+  switch (op) {
+    case '==':
+      return left === right;
+    case '!=':
+      return left !== right;
+    case 'in':
+      if (!Array.isArray(right)) return false;
+      return Array.isArray(left) ? left.some((item) => right.includes(item)) : right.includes(left);
+    default:
+      if (typeof left !== 'number' || typeof right !== 'number') return false;
+      if (op === '<') return left < right;
+      if (op === '<=') return left <= right;
+      if (op === '>') return left > right;
+      return left >= right;
+  }
+};
+
+const evaluateNode = (node, context) => {
+  switch (node.type) {
+    case 'literal':
+      return node.value;
+    case 'var':
+      return context[node.name] ?? null;
+    case 'list':
+      return node.items.map((item) => evaluateNode(item, context));
+    case 'not':
+      return !evaluateNode(node.operand, context);
+    case 'and':
+      return Boolean(evaluateNode(node.left, context)) && Boolean(evaluateNode(node.right, context));
+    case 'or':
+      return Boolean(evaluateNode(node.left, context)) || Boolean(evaluateNode(node.right, context));
+    case 'compare':
+      return compare(node.op, evaluateNode(node.left, context), evaluateNode(node.right, context));
+    default:
+      throw new Error(`Unknown node type: ${node.type}`);
+  }
+};
+
+/**
+ * Evaluate a compiled rule against a context.
+ * @returns {boolean}
+ */
+export const evaluateRule = (ast, context = {}) => Boolean(evaluateNode(ast, context));
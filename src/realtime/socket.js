@@ -76,3 +76,18 @@ export const getIO = () => {
   return io;
 };
 
+/**
+ * Emit an OTA progress update originating from this server (not from Redis).
+ * Payload shape matches the Redis `ota_progress` channel so the UI handles both.
+ */
+export const emitOTAProgress = (deviceId, payload = {}) => {
+  if (!io || !deviceId) return;
+
+  try {
+    const message = { device_id: deviceId, ...payload, timestamp: new Date().toISOString() };
+    io.to(`device:${deviceId}`).emit('ota_progress', message);
+    io.emit('device:update', { deviceId, ...message });
+  } catch (error) {
+    console.error('Error emitting ota_progress event:', error.message);
+  }
+};
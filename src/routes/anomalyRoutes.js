@@ -5,16 +5,29 @@ import {
   postAnomalyInferHandler,
   getAnomaliesHistoryHandler
 } from '../controllers/anomalyController.js';
+import {
+  getFleetInferenceStatusHandler,
+  getFleetInferenceRunsHandler,
+  getFleetInferenceRunHandler,
+  triggerFleetInferenceHandler,
+} from '../controllers/anomalyFleetController.js';
 
 const router = express.Router();
 
+// Fleet inference scheduler (registered before /:device_id)
+router.get('/fleet/status', getFleetInferenceStatusHandler);
+router.get('/fleet/runs', getFleetInferenceRunsHandler);
+router.get('/fleet/runs/:runId', getFleetInferenceRunHandler);
+router.post('/fleet/runs', triggerFleetInferenceHandler);
+
 // Read-only: Get current anomaly state from devices collection
 router.get('/:device_id', getAnomalyHandler);
 
 // Manual analysis: ML inference without updating production state
 router.get('/:device_id/analyze', getAnomalyAnalysisHandler);
 
-// Production inference: ML inference with production state update (ONLY writer of devices.anomaly and anomaly_events)
+// Production inference: ML inference with production state update (ONLY writer of devices.anomaly and anomaly_events,
+// together with the fleet inference scheduler)
 router.post('/:device_id/infer', postAnomalyInferHandler);
 
 // Read-only: Get anomaly history from anomaly_events collection
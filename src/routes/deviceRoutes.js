@@ -1,6 +1,15 @@
 import express from 'express';
-import { getDevicesHandler, getDeviceByIdHandler, assignFirmwareToDeviceHandler, reportDeviceFirmwareHandler, retryOTAForDeviceHandler, getOTAEventsHandler } from '../controllers/deviceController.js';
+import { getDevicesHandler, getDeviceByIdHandler, assignFirmwareToDeviceHandler, reportDeviceFirmwareHandler, reportOTAProgressHandler, retryOTAForDeviceHandler, getOTAEventsHandler, getOtaManifestHandler, downloadFirmwareHandler, getFirmwareDownloadsHandler, setDeviceChannelHandler } from '../controllers/deviceController.js';
 import { getDeviceStatisticsHandler } from '../controllers/deviceStatsController.js';
+import {
+  getDeviceGroupsHandler,
+  createDeviceGroupHandler,
+  deleteDeviceGroupHandler,
+  addGroupMembersHandler,
+  removeGroupMembersHandler,
+  updateDeviceLabelsHandler,
+} from '../controllers/deviceGroupController.js';
+import { abandonUpgradePlanHandler } from '../controllers/otaUpgradePathController.js';
 import { getAnomaliesHistoryHandler } from '../controllers/anomalyController.js';
 import { getAnomalyMonitorHandler } from '../controllers/anomalyMonitorController.js';
 import { getAnomalyHistorySummaryHandler } from '../controllers/anomalySummaryController.js';
@@ -11,13 +20,29 @@ const router = express.Router();
 
 router.get('/stats', getDeviceStatisticsHandler);
 router.get('/', getDevicesHandler);
+
+// Groups (membership is stored on devices.groups)
+router.get('/groups', getDeviceGroupsHandler);
+router.post('/groups', createDeviceGroupHandler);
+router.delete('/groups/:name', deleteDeviceGroupHandler);
+router.post('/groups/:name/members', addGroupMembersHandler);
+router.delete('/groups/:name/members', removeGroupMembersHandler);
+
+router.patch('/:deviceId/labels', updateDeviceLabelsHandler);
+router.patch('/:deviceId/channel', setDeviceChannelHandler);
 router.get('/:deviceId/anomalies', getAnomaliesHistoryHandler);
 router.get('/:deviceId/anomaly/monitor', getAnomalyMonitorHandler);
 router.get('/:deviceId/anomaly/summary', getAnomalyHistorySummaryHandler);
 router.get('/:deviceId/ota-events', getOTAEventsHandler);
 router.patch('/:deviceId/assign-firmware', assignFirmwareToDeviceHandler);
 router.post('/:deviceId/retry-ota', retryOTAForDeviceHandler);
+router.delete('/:deviceId/upgrade-plan', abandonUpgradePlanHandler);
 router.post('/:deviceId/report', rateLimitDevice(60, 60000), authenticateDevice, reportDeviceFirmwareHandler);
+router.post('/:deviceId/progress', rateLimitDevice(120, 60000, 'progress'), authenticateDevice, reportOTAProgressHandler);
+router.get('/:deviceId/ota/manifest', rateLimitDevice(60, 60000), authenticateDevice, getOtaManifestHandler);
+// Presigned: the signed query string replaces X-Device-Token
+router.get('/:deviceId/ota/download', downloadFirmwareHandler);
+router.get('/:deviceId/ota/downloads', getFirmwareDownloadsHandler);
 router.get('/:id', getDeviceByIdHandler);
 
 export default router;
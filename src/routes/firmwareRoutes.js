@@ -1,14 +1,50 @@
 import express from 'express';
 import multer from 'multer';
-import { uploadFirmwareHandler, getFirmwareListHandler, getFirmwareByVersionHandler, assignFirmwareHandler } from '../controllers/firmwareController.js';
+import {
+  uploadFirmwareHandler,
+  getFirmwareListHandler,
+  getFirmwareByVersionHandler,
+  assignFirmwareHandler,
+  getSigningKeysHandler,
+  addSigningKeyHandler,
+  revokeSigningKeyHandler,
+  generateDeltasHandler,
+  promoteFirmwareHandler,
+  getFirmwarePromotionsHandler,
+  deprecateFirmwareHandler,
+  revokeFirmwareHandler,
+  purgeFirmwareHandler,
+  setFirmwareCompatibilityHandler,
+  checkFirmwareCompatibilityHandler,
+  setFirmwareCriticalityHandler,
+} from '../controllers/firmwareController.js';
+import { getFirmwareDistributionHandler } from '../controllers/firmwareDistributionController.js';
 
 const router = express.Router();
 const upload = multer({ storage: multer.memoryStorage() });
 
 router.get('/', getFirmwareListHandler);
+// Trusted signing keys (registered before /:version so "keys" is not read as a version)
+router.get('/keys', getSigningKeysHandler);
+router.post('/keys', addSigningKeyHandler);
+router.post('/keys/:keyId/revoke', revokeSigningKeyHandler);
+// Release channel promotion audit trail across all versions
+router.get('/promotions', getFirmwarePromotionsHandler);
+// Fleet version distribution, its history and stragglers
+router.get('/distribution', getFirmwareDistributionHandler);
 router.get('/:version', getFirmwareByVersionHandler);
 router.post('/upload', upload.single('firmware'), uploadFirmwareHandler);
 router.post('/assign', assignFirmwareHandler);
+router.post('/:version/deltas', generateDeltasHandler);
+router.post('/:version/promote', promoteFirmwareHandler);
+router.get('/:version/promotions', getFirmwarePromotionsHandler);
+router.put('/:version/compatibility', setFirmwareCompatibilityHandler);
+router.get('/:version/compatibility/:deviceId', checkFirmwareCompatibilityHandler);
+router.put('/:version/criticality', setFirmwareCriticalityHandler);
+// Lifecycle: deprecate → revoke → purge (DELETE removes the stored image)
+router.post('/:version/deprecate', deprecateFirmwareHandler);
+router.post('/:version/revoke', revokeFirmwareHandler);
+router.delete('/:version', purgeFirmwareHandler);
 
 export default router;
 
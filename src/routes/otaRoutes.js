@@ -1,11 +1,71 @@
 import express from 'express';
-import { deployOTAHandler, assignOTAHandler } from '../controllers/otaController.js';
-import { getOTAHistoryHandler } from '../controllers/otaHistoryController.js';
+import { deployOTAHandler, assignOTAHandler, simulateAssignmentHandler } from '../controllers/otaController.js';
+import { getOTAHistoryHandler, getOverrideEventsHandler } from '../controllers/otaHistoryController.js';
+import {
+  createCampaignHandler,
+  getCampaignsHandler,
+  getCampaignByIdHandler,
+  getCampaignWaveHandler,
+  startCampaignHandler,
+  haltCampaignHandler,
+  resumeCampaignHandler,
+} from '../controllers/otaCampaignController.js';
+import {
+  createMaintenanceWindowHandler,
+  getMaintenanceWindowsHandler,
+  updateMaintenanceWindowHandler,
+  deleteMaintenanceWindowHandler,
+} from '../controllers/maintenanceWindowController.js';
+import { createUpgradePathsHandler } from '../controllers/otaUpgradePathController.js';
+import { bulkCancelHandler, bulkPauseHandler, bulkResumeHandler } from '../controllers/otaBulkController.js';
+import { getOTAAnalyticsHandler } from '../controllers/otaAnalyticsController.js';
+import {
+  getActivePolicyHandler,
+  getPolicyVersionsHandler,
+  createPolicyVersionHandler,
+  activatePolicyVersionHandler,
+  testPolicyHandler,
+} from '../controllers/otaPolicyController.js';
 
 const router = express.Router();
 
 router.post('/assign', assignOTAHandler);
+// Dry run: same guards as /assign, nothing is written
+router.post('/assign/dry-run', simulateAssignmentHandler);
 router.post('/deploy', deployOTAHandler);
 router.get('/history/:device_id', getOTAHistoryHandler);
+// Audit: assignments made with a critical or downgrade override
+router.get('/overrides', getOverrideEventsHandler);
+// Success/failure analytics per firmware version and model, with failure categories
+router.get('/analytics', getOTAAnalyticsHandler);
+// Multi-step upgrade paths (intermediate versions assigned hop by hop)
+router.post('/upgrade-paths', createUpgradePathsHandler);
 
-export default router;
\ No newline at end of file
+// Bulk operator actions on outstanding assignments (deviceIds, selector or campaignId)
+router.post('/bulk/cancel', bulkCancelHandler);
+router.post('/bulk/pause', bulkPauseHandler);
+router.post('/bulk/resume', bulkResumeHandler);
+
+// Staged rollout campaigns
+router.get('/campaigns', getCampaignsHandler);
+router.post('/campaigns', createCampaignHandler);
+router.get('/campaigns/:campaignId', getCampaignByIdHandler);
+router.get('/campaigns/:campaignId/waves/:waveIndex', getCampaignWaveHandler);
+router.post('/campaigns/:campaignId/start', startCampaignHandler);
+router.post('/campaigns/:campaignId/halt', haltCampaignHandler);
+router.post('/campaigns/:campaignId/resume', resumeCampaignHandler);
+
+// Maintenance windows
+router.get('/maintenance-windows', getMaintenanceWindowsHandler);
+router.post('/maintenance-windows', createMaintenanceWindowHandler);
+router.patch('/maintenance-windows/:windowId', updateMaintenanceWindowHandler);
+router.delete('/maintenance-windows/:windowId', deleteMaintenanceWindowHandler);
+
+// Decision policy (versioned rules, see src/policy/policyEngine.js)
+router.get('/policy', getActivePolicyHandler);
+router.post('/policy', createPolicyVersionHandler);
+router.get('/policy/versions', getPolicyVersionsHandler);
+router.post('/policy/versions/:version/activate', activatePolicyVersionHandler);
+router.post('/policy/test', testPolicyHandler);
+
+export default router;
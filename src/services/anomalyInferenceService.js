@@ -0,0 +1,165 @@
+// ============================================================================
+// ANOMALY INFERENCE (PRODUCTION)
+// ============================================================================
+// The only writer of devices.anomaly and anomaly_events. Shared by
+// POST /api/anomaly/:device_id/infer and the fleet inference scheduler
+// (anomalySchedulerService.js):
+//
+// 1) Aggregate features (ML training contract: count-based window)
+// 2) Call the inference service (authoritative score and risk_level)
+// 3) Validate the response
+// 4) Delegate the OTA decision to the active policy
+// 5) Persist devices.anomaly + one anomaly_events record
+// 6) OTA follow-ups: probation, auto-rollback, pending promotion
+//
+// ML contract violations are thrown unchanged (AppError 400 whose message
+// starts with ML_CONTRACT_VIOLATION) before anything is written.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+import { buildFeatureVectorCountBased } from './featureAggregationService.js';
+import { inferenceProxy } from './inferenceProxyService.js';
+import { decideOta } from './otaPolicyService.js';
+import { triggerAutoRollback } from './otaRollbackService.js';
+import { evaluateProbationForDevice } from './otaVerificationService.js';
+import { promotePendingDevice } from './otaPendingService.js';
+
+export const isMlContractViolation = (error) =>
+  Boolean(error && typeof error.message === 'string' && error.message.startsWith('ML_CONTRACT_VIOLATION'));
+
+/**
+ * Run production inference for one device and persist the result.
+ * @param {string} deviceId - Validated device ID
+ * @param {Object} [options] - { device? (already loaded document), trigger?: "api" | "schedule" (default "api") }
+ * @returns {Object} { deviceId, score, risk_level, decision, policy, threshold, soft_threshold }
+ * @throws {AppError} 404 unknown device, 400 ML contract violation, 502/503 inference errors
+ */
+export const runAnomalyInference = async (deviceId, { device: loadedDevice = null, trigger = 'api' } = {}) => {
+  const db = await getDb();
+  const device = loadedDevice || await db.collection('devices').findOne({ deviceId });
+  if (!device) {
+    throw new AppError('Device not found', 404);
+  }
+
+  // 1) Aggregate features (ML training contract: count-based window, ordered feature list)
+  const featureVector = await buildFeatureVectorCountBased(deviceId);
+
+  // DEBUG (guarded): verify vector contract without logging full payload.
+  if (String(process.env.DEBUG_ML || '') === '1') {
+    const entries = Object.entries(featureVector);
+    const featureCount = entries.length;
+    const nonZeroCount = entries
+      .filter(([k]) => !k.endsWith('_present'))
+      .filter(([, v]) => typeof v === 'number' && Number.isFinite(v) && v !== 0)
+      .length;
+    const timeGapAvg = typeof featureVector.time_gap_avg === 'number' ? featureVector.time_gap_avg : null;
+    const timeGapStd = typeof featureVector.time_gap_std === 'number' ? featureVector.time_gap_std : null;
+    const sample = entries.slice(0, 10);
+    console.log(
+      `[ML_VECTOR_DEBUG] deviceId=${deviceId} featureCount=${featureCount} nonZeroCount=${nonZeroCount} time_gap_avg=${timeGapAvg} time_gap_std=${timeGapStd} sample=${JSON.stringify(sample)}`,
+    );
+  }
+
+  const nonZeroFeatureCount = Object.entries(featureVector)
+    .filter(([k]) => !k.endsWith('_present'))
+    .filter(([, v]) => Number.isFinite(v) && v !== 0)
+    .length;
+  if (nonZeroFeatureCount < 5) {
+    console.warn('[ML_ASSERT] Too few non-zero features for inference', { deviceId, nonZeroFeatureCount });
+  }
+  const allPresentZero = Object.entries(featureVector)
+    .filter(([k]) => k.endsWith('_present'))
+    .every(([, v]) => v === 0);
+  if (allPresentZero) {
+    console.error('[ML_ASSERT] All *_present flags are 0 → invalid feature vector', { deviceId });
+  }
+
+  // 2) Call inference service (authoritative)
+  const upstream = await inferenceProxy.predict({ data: featureVector });
+  if (!upstream || upstream.status !== 200 || !upstream.data || typeof upstream.data !== 'object') {
+    throw new AppError('Inference service unavailable', 503);
+  }
+
+  // NEW inference contract (authoritative):
+  // { anomaly_score, risk_level, threshold, soft_threshold, ... }
+  const score = upstream.data.anomaly_score;
+  const threshold = upstream.data.threshold;
+  const softThreshold = upstream.data.soft_threshold;
+  const risk_level = upstream.data.risk_level;
+
+  if (
+    typeof score !== 'number' ||
+    typeof threshold !== 'number' ||
+    typeof softThreshold !== 'number'
+  ) {
+    throw new AppError('Invalid inference response', 502);
+  }
+
+  // 3) Validate risk_level format
+  if (typeof risk_level !== 'string' || !['low', 'medium', 'high'].includes(risk_level)) {
+    throw new AppError('Invalid inference response', 502);
+  }
+
+  // 4) Delegate OTA decision to the active policy (separation of concerns).
+  // No firmware is involved here, so rules on criticality see null.
+  const policyResult = await decideOta({ device: { ...device, anomaly: { ...device.anomaly, risk_level } } });
+  const decision = policyResult.decision;
+  const policy = { version: policyResult.policyVersion, ruleId: policyResult.ruleId, reason: policyResult.reason };
+
+  const now = new Date();
+  const anomalyState = {
+    score,
+    risk_level,
+    decision,
+    policy,
+    threshold,
+    soft_threshold: softThreshold,
+    updated_at: now,
+  };
+
+  // Persist current anomaly state ONLY in devices.anomaly
+  const updateResult = await db.collection('devices').updateOne(
+    { deviceId },
+    { $set: { anomaly: anomalyState } },
+    { upsert: false },
+  );
+  if (updateResult.matchedCount === 0) {
+    throw new AppError('Device not found', 404);
+  }
+
+  // Insert ONE record into anomaly_events per inference.
+  await db.collection('anomaly_events').insertOne({
+    deviceId,
+    score,
+    risk_level: anomalyState.risk_level,
+    decision,
+    policy,
+    threshold,
+    soft_threshold: softThreshold,
+    decided_at: now,
+    source: 'ml-inference',
+    trigger,
+  });
+
+  // Post-update health: re-check probation immediately on new inference, or
+  // (probation disabled) roll back on high risk shortly after a successful OTA
+  if (device.firmware?.status === 'probation') {
+    await evaluateProbationForDevice(deviceId);
+  } else if (device.firmware?.status === 'success') {
+    await triggerAutoRollback(deviceId, 'health_regression', { riskLevel: risk_level });
+  } else if (device.firmware?.status === 'pending') {
+    // A policy-delayed assignment is promoted as soon as the policy allows it
+    await promotePendingDevice(deviceId);
+  }
+
+  return {
+    deviceId,
+    score,
+    risk_level: anomalyState.risk_level,
+    decision,
+    policy,
+    threshold,
+    soft_threshold: softThreshold,
+  };
+};
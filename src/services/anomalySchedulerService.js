@@ -0,0 +1,326 @@
+// ============================================================================
+// FLEET ANOMALY INFERENCE SCHEDULER
+// ============================================================================
+// Keeps devices.anomaly fresh without manual POST /api/anomaly/:id/infer calls.
+// Every config.anomaly.schedule.intervalMs a run infers every active device
+// (stored status not "inactive"/"disabled") that reported device_metrics
+// within metricsFreshnessMs, at most `concurrency` devices at a time.
+//
+// Each run is tracked in anomaly_inference_runs:
+//   { trigger: "interval" | "manual", status: "running" | "completed" | "failed" | "aborted",
+//     startedAt, finishedAt, durationMs, stats, failures: [{ deviceId, error }] }
+// Only one run executes at a time (per process). A "running" record older than
+// staleRunMs when the scheduler starts was left by a crash and is "aborted".
+// ============================================================================
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../clients/mongodb.js';
+import { getQueryApi } from '../clients/influxdb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { runAnomalyInference, isMlContractViolation } from './anomalyInferenceService.js';
+
+const MAX_RECORDED_FAILURES = 50;
+
+// Device fields runAnomalyInference and the OTA policy read
+export const INFERENCE_DEVICE_PROJECTION = {
+  deviceId: 1,
+  model: 1,
+  deviceType: 1,
+  groups: 1,
+  tags: 1,
+  site: 1,
+  anomaly: 1,
+  'firmware.status': 1,
+};
+
+/**
+ * Run `worker` over `items` with at most `limit` calls in flight (results keep input order).
+ * @returns {Promise<Array>}
+ */
+export const mapWithConcurrency = async (items, limit, worker) => {
+  const results = new Array(items.length);
+  let next = 0;
+  const lanes = Array.from({ length: Math.max(1, Math.min(limit, items.length)) }, async () => {
+    while (next < items.length) {
+      const index = next++;
+      results[index] = await worker(items[index], index);
+    }
+  });
+  await Promise.all(lanes);
+  return results;
+};
+
+/**
+ * Aggregate per-device outcomes of a run (pure).
+ * @param {Array<Object>} results - [{ outcome: 'inferred'|'skipped'|'failed', risk_level?, decision? }]
+ * @returns {Object} { devices, inferred, skipped, failed, risk: { low, medium, high }, decisions: { allow, delay, block } }
+ */
+export const summarizeInferenceRun = (results) => {
+  const stats = {
+    devices: results.length,
+    inferred: 0,
+    skipped: 0,
+    failed: 0,
+    risk: { low: 0, medium: 0, high: 0 },
+    decisions: { allow: 0, delay: 0, block: 0 },
+  };
+  for (const result of results) {
+    stats[result.outcome] += 1;
+    if (result.outcome === 'inferred') {
+      stats.risk[result.risk_level] += 1;
+      stats.decisions[result.decision] += 1;
+    }
+  }
+  return stats;
+};
+
+/**
+ * Last device_metrics timestamp per device within the freshness window.
+ * @returns {Promise<Map<string, Date>>}
+ */
+const getFreshMetricTimes = async (freshnessMs) => {
+  const queryApi = getQueryApi();
+  const fluxQuery = `
+    from(bucket: "${config.influx.bucket}")
+      |> range(start: -${Math.max(1, Math.round(freshnessMs / 1000))}s)
+      |> filter(fn: (r) => r._measurement == "device_metrics")
+      |> group(columns: ["deviceId"])
+      |> last()
+      |> keep(columns: ["deviceId", "_time"])
+  `;
+
+  const times = new Map();
+  await new Promise((resolve, reject) => {
+    queryApi.queryRows(fluxQuery, {
+      next(row, tableMeta) {
+        const o = tableMeta.toObject(row);
+        if (o.deviceId) times.set(String(o.deviceId), new Date(o._time));
+      },
+      error: reject,
+      complete: resolve,
+    });
+  });
+  return times;
+};
+
+const formatRun = ({ _id, ...run }) => ({ runId: _id.toString(), ...run });
+
+let activeRun = null;
+let anomalySchedulerTimer = null;
+
+const beginRun = async (trigger) => {
+  if (activeRun) {
+    throw new AppError('A fleet inference run is already in progress', 409);
+  }
+  activeRun = { runId: null };
+  try {
+    const db = await getDb();
+    const run = { trigger, status: 'running', startedAt: new Date(), finishedAt: null, durationMs: null, stats: null, failures: [] };
+    const { insertedId } = await db.collection('anomaly_inference_runs').insertOne(run);
+    activeRun = { ...run, _id: insertedId, runId: insertedId.toString() };
+    return activeRun;
+  } catch (error) {
+    activeRun = null;
+    throw error;
+  }
+};
+
+const inferDevice = async (device, freshTimes) => {
+  const lastMetricAt = freshTimes.get(device.deviceId);
+  if (!lastMetricAt) {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: 'No fresh metrics' };
+  }
+  try {
+    const result = await runAnomalyInference(device.deviceId, { device, trigger: 'schedule' });
+    return { deviceId: device.deviceId, outcome: 'inferred', risk_level: result.risk_level, decision: result.decision };
+  } catch (error) {
+    return {
+      deviceId: device.deviceId,
+      outcome: 'failed',
+      error: isMlContractViolation(error) ? `ML contract violation: ${error.message}` : error.message,
+    };
+  }
+};
+
+const executeRun = async (run) => {
+  const { concurrency, metricsFreshnessMs } = config.anomaly.schedule;
+  const update = {};
+  try {
+    const db = await getDb();
+    const devices = await db.collection('devices')
+      .find({ status: { $nin: ['inactive', 'disabled'] } }, { projection: INFERENCE_DEVICE_PROJECTION })
+      .toArray();
+    const freshTimes = await getFreshMetricTimes(metricsFreshnessMs);
+
+    const results = await mapWithConcurrency(devices, concurrency, (device) => inferDevice(device, freshTimes));
+
+    update.status = 'completed';
+    update.stats = summarizeInferenceRun(results);
+    update.failures = results
+      .filter((r) => r.outcome === 'failed')
+      .slice(0, MAX_RECORDED_FAILURES)
+      .map(({ deviceId, error }) => ({ deviceId, error }));
+  } catch (error) {
+    console.error(`[ANOMALY_SCHEDULE] Run ${run.runId} failed: ${error.message}`);
+    update.status = 'failed';
+    update.error = error.message;
+  } finally {
+    update.finishedAt = new Date();
+    update.durationMs = update.finishedAt.getTime() - run.startedAt.getTime();
+    activeRun = null;
+  }
+
+  try {
+    const db = await getDb();
+    await db.collection('anomaly_inference_runs').updateOne({ _id: run._id }, { $set: update });
+  } catch (error) {
+    console.error(`[ANOMALY_SCHEDULE] Failed to record run ${run.runId}: ${error.message}`);
+  }
+  return formatRun({ ...run, ...update });
+};
+
+/**
+ * Infer every active device with fresh metrics and wait for the run to finish.
+ * @param {Object} [options] - { trigger?: "interval" | "manual" }
+ * @returns {Object} Finished run
+ * @throws {AppError} 409 when a run is already in progress
+ */
+export const runFleetInference = async ({ trigger = 'interval' } = {}) => executeRun(await beginRun(trigger));
+
+/**
+ * Start a manual run in the background.
+ * @returns {Object} The run as created ({ runId, status: "running", ... })
+ * @throws {AppError} 409 when a run is already in progress
+ */
+export const triggerFleetInference = async () => {
+  const run = await beginRun('manual');
+  // executeRun records its own failures and never rejects
+  executeRun(run);
+  return formatRun(run);
+};
+
+/**
+ * Scheduler settings with the current and last finished run.
+ * @returns {Object} { enabled, intervalMs, concurrency, metricsFreshnessMs, schedulerStarted, running, currentRun, lastRun }
+ */
+export const getFleetInferenceStatus = async () => {
+  try {
+    const db = await getDb();
+    const [lastRun] = await db.collection('anomaly_inference_runs')
+      .find({ status: { $ne: 'running' } })
+      .sort({ startedAt: -1 })
+      .limit(1)
+      .toArray();
+
+    return {
+      ...config.anomaly.schedule,
+      schedulerStarted: Boolean(anomalySchedulerTimer),
+      running: Boolean(activeRun),
+      currentRun: activeRun?.runId ? formatRun(activeRun) : null,
+      lastRun: lastRun ? formatRun(lastRun) : null,
+    };
+  } catch (error) {
+    throw new AppError(`Failed to get fleet inference status: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Recent runs, newest first.
+ * @param {Object} [params] - { limit? (default 20, max 100) }
+ * @returns {Array<Object>}
+ */
+export const getFleetInferenceRuns = async ({ limit } = {}) => {
+  try {
+    const max = Math.min(Math.max(parseInt(limit, 10) || 20, 1), 100);
+    const db = await getDb();
+    const runs = await db.collection('anomaly_inference_runs')
+      .find({})
+      .sort({ startedAt: -1 })
+      .limit(max)
+      .toArray();
+    return runs.map(formatRun);
+  } catch (error) {
+    throw new AppError(`Failed to get fleet inference runs: ${error.message}`, 500);
+  }
+};
+
+/**
+ * A single run.
+ * @throws {AppError} 400 invalid id, 404 unknown run
+ */
+export const getFleetInferenceRun = async (runId) => {
+  if (!runId || !ObjectId.isValid(String(runId))) {
+    throw new AppError('Invalid run id', 400);
+  }
+  try {
+    const db = await getDb();
+    const run = await db.collection('anomaly_inference_runs').findOne({ _id: new ObjectId(String(runId)) });
+    if (!run) {
+      throw new AppError('Fleet inference run not found', 404);
+    }
+    return formatRun(run);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get fleet inference run: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Mark "running" runs started before now - staleRunMs as "aborted" (a crashed
+ * process never finished them). Runs of this process are left alone.
+ * @returns {Object} { aborted }
+ */
+export const abortStaleInferenceRuns = async (now = new Date(), staleRunMs = config.anomaly.schedule.staleRunMs) => {
+  const db = await getDb();
+  const filter = {
+    status: 'running',
+    startedAt: { $lt: new Date(now.getTime() - staleRunMs) },
+    ...(activeRun?._id ? { _id: { $ne: activeRun._id } } : {}),
+  };
+  const { modifiedCount } = await db.collection('anomaly_inference_runs').updateMany(filter, {
+    $set: { status: 'aborted', finishedAt: now, error: 'Run did not finish (process stopped)' },
+  });
+  return { aborted: modifiedCount };
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+
+export const startAnomalyInferenceScheduler = (intervalMs = config.anomaly.schedule.intervalMs) => {
+  if (anomalySchedulerTimer) {
+    return;
+  }
+
+  abortStaleInferenceRuns()
+    .then(({ aborted }) => {
+      if (aborted > 0) console.warn(`[ANOMALY_SCHEDULE] Marked ${aborted} stale run(s) as aborted`);
+    })
+    .catch((error) => console.error(`[ANOMALY_SCHEDULE] Failed to clean up stale runs: ${error.message}`));
+
+  if (!config.anomaly.schedule.enabled) {
+    return;
+  }
+
+  anomalySchedulerTimer = setInterval(async () => {
+    if (activeRun) return;
+    try {
+      const run = await runFleetInference({ trigger: 'interval' });
+      console.log(`[ANOMALY_SCHEDULE] Run ${run.runId} ${run.status}: ${JSON.stringify(run.stats)}`);
+    } catch (error) {
+      console.error(`[ANOMALY_SCHEDULE] Run failed: ${error.message}`);
+    }
+  }, intervalMs);
+
+  console.log(`Fleet anomaly inference scheduler started (interval: ${intervalMs}ms)`);
+};
+
+export const stopAnomalyInferenceScheduler = () => {
+  if (anomalySchedulerTimer) {
+    clearInterval(anomalySchedulerTimer);
+    anomalySchedulerTimer = null;
+  }
+};
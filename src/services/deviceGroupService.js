@@ -0,0 +1,228 @@
+// ============================================================================
+// DEVICE GROUP SERVICE
+// ============================================================================
+// Named groups, free-form tags and a site label on each device, plus
+// resolution of selectors (utils/deviceSelector.js) to device sets.
+//
+// Membership is stored on the device so selectors and maintenance windows
+// can match it without a join:
+//   devices.groups: ['pilot', ...]
+//   devices.tags:   ['outdoor', ...]
+//   devices.site:   'A'
+// The device_groups collection only holds group metadata.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+import { parseSelector, buildSelectorFilter, deviceMatchesSelector } from '../utils/deviceSelector.js';
+
+const LABEL_PATTERN = /^[A-Za-z0-9._:-]{1,64}$/;
+
+export const validateLabel = (value, kind) => {
+  if (typeof value !== 'string' || !LABEL_PATTERN.test(value.trim())) {
+    throw new AppError(`${kind} must be 1-64 characters of letters, digits, ".", "_", ":" or "-"`, 400);
+  }
+  return value.trim();
+};
+
+const validateLabelList = (values, kind) => {
+  if (values === undefined || values === null) return [];
+  if (!Array.isArray(values)) {
+    throw new AppError(`${kind} must be an array`, 400);
+  }
+  return [...new Set(values.map((v) => validateLabel(v, kind)))];
+};
+
+// ============================================================================
+// SELECTOR RESOLUTION
+// ============================================================================
+
+/**
+ * Find the devices matching a selector.
+ * @param {string|Object} selector
+ * @param {Object} [options] - { baseFilter, projection, sort }
+ * @returns {Array<Object>} Matching device documents
+ */
+export const findDevicesBySelector = async (selector, { baseFilter = {}, projection, sort = { createdAt: -1 } } = {}) => {
+  const terms = parseSelector(selector);
+  const { filter, needsPostFilter } = buildSelectorFilter(terms);
+  const query = Object.keys(baseFilter).length ? { $and: [baseFilter, filter] } : filter;
+
+  const db = await getDb();
+  const devices = await db.collection('devices').find(query, projection ? { projection } : {}).sort(sort).toArray();
+  return needsPostFilter ? devices.filter((device) => deviceMatchesSelector(device, terms)) : devices;
+};
+
+/**
+ * Resolve a selector to deviceIds.
+ * @throws {AppError} 400 when the selector is empty or malformed
+ */
+export const resolveSelectorDeviceIds = async (selector) => {
+  if (parseSelector(selector).length === 0) {
+    throw new AppError('selector must contain at least one term', 400);
+  }
+  const devices = await findDevicesBySelector(selector, {
+    projection: { deviceId: 1, model: 1, deviceType: 1, tags: 1, groups: 1, site: 1, anomaly: 1, 'firmware.currentVersion': 1 },
+  });
+  return devices.map((d) => d.deviceId).filter(Boolean);
+};
+
+const resolveTargets = async ({ deviceIds, selector }) => {
+  if (Array.isArray(deviceIds) && deviceIds.length > 0) {
+    return [...new Set(deviceIds.map((id) => String(id).trim()).filter(Boolean))];
+  }
+  if (selector) {
+    return resolveSelectorDeviceIds(selector);
+  }
+  throw new AppError('deviceIds or selector is required', 400);
+};
+
+// ============================================================================
+// GROUPS
+// ============================================================================
+
+const formatGroup = (group, deviceCount = 0) => ({
+  name: group.name,
+  description: group.description || null,
+  deviceCount,
+  createdAt: group.createdAt,
+  updatedAt: group.updatedAt,
+});
+
+export const getDeviceGroups = async () => {
+  try {
+    const db = await getDb();
+    const groups = await db.collection('device_groups').find({}).sort({ name: 1 }).toArray();
+    const counts = await db.collection('devices').aggregate([
+      { $unwind: '$groups' },
+      { $group: { _id: '$groups', devices: { $sum: 1 } } },
+    ]).toArray();
+    const countByName = new Map(counts.map((c) => [c._id, c.devices]));
+
+    return groups.map((g) => formatGroup(g, countByName.get(g.name) || 0));
+  } catch (error) {
+    throw new AppError(`Failed to get device groups: ${error.message}`, 500);
+  }
+};
+
+export const createDeviceGroup = async ({ name, description } = {}) => {
+  try {
+    const groupName = validateLabel(name, 'name');
+    const db = await getDb();
+    const collection = db.collection('device_groups');
+
+    if (await collection.findOne({ name: groupName })) {
+      throw new AppError(`Device group "${groupName}" already exists`, 409);
+    }
+
+    const now = new Date();
+    const group = {
+      name: groupName,
+      description: description ? String(description) : null,
+      createdAt: now,
+      updatedAt: now,
+    };
+    await collection.insertOne(group);
+    return formatGroup(group);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to create device group: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Delete a group and remove it from every device.
+ */
+export const deleteDeviceGroup = async (name) => {
+  try {
+    const db = await getDb();
+    const result = await db.collection('device_groups').deleteOne({ name });
+    if (result.deletedCount === 0) {
+      throw new AppError('Device group not found', 404);
+    }
+    const { modifiedCount } = await db.collection('devices').updateMany({ groups: name }, { $pull: { groups: name } });
+    return { name, deleted: true, devicesRemoved: modifiedCount };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to delete device group: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Add or remove group members by deviceIds or selector.
+ * @param {string} name - Group name
+ * @param {Object} members - { deviceIds } or { selector }
+ * @param {'add'|'remove'} action
+ * @returns {Object} { name, action, matched, modified }
+ */
+export const updateGroupMembers = async (name, members = {}, action = 'add') => {
+  try {
+    const db = await getDb();
+    const group = await db.collection('device_groups').findOne({ name });
+    if (!group) {
+      throw new AppError('Device group not found', 404);
+    }
+
+    const deviceIds = await resolveTargets(members);
+    const update = action === 'remove' ? { $pull: { groups: name } } : { $addToSet: { groups: name } };
+    const result = await db.collection('devices').updateMany({ deviceId: { $in: deviceIds } }, update);
+    await db.collection('device_groups').updateOne({ name }, { $set: { updatedAt: new Date() } });
+
+    return { name, action, matched: result.matchedCount, modified: result.modifiedCount };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to update device group members: ${error.message}`, 500);
+  }
+};
+
+// ============================================================================
+// TAGS AND SITE
+// ============================================================================
+
+/**
+ * Update a device's tags and site.
+ * @param {string} deviceId
+ * @param {Object} labels - { addTags, removeTags, site } (site: null clears it)
+ * @returns {Object} { deviceId, tags, groups, site }
+ */
+export const updateDeviceLabels = async (deviceId, { addTags, removeTags, site } = {}) => {
+  try {
+    const toAdd = validateLabelList(addTags, 'addTags');
+    const toRemove = validateLabelList(removeTags, 'removeTags');
+    if (toAdd.length === 0 && toRemove.length === 0 && site === undefined) {
+      throw new AppError('addTags, removeTags or site is required', 400);
+    }
+
+    const db = await getDb();
+    const collection = db.collection('devices');
+    const device = await collection.findOne({ deviceId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+
+    const tags = [...new Set([...(device.tags || []), ...toAdd])].filter((t) => !toRemove.includes(t));
+    const $set = { tags, updatedAt: new Date() };
+    if (site !== undefined) {
+      $set.site = site === null || site === '' ? null : validateLabel(site, 'site');
+    }
+    await collection.updateOne({ deviceId }, { $set });
+
+    return {
+      deviceId,
+      tags,
+      groups: device.groups || [],
+      site: site !== undefined ? $set.site : (device.site || null),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to update device labels: ${error.message}`, 500);
+  }
+};
@@ -4,6 +4,13 @@ import { getQueryApi } from '../clients/influxdb.js';
 import { config } from '../config/index.js';
 import { AppError } from '../utils/errors.js';
 import { logOTAEvent } from './otaEventService.js';
+import { assignOTAToDevice } from './otaService.js';
+import { triggerAutoRollback } from './otaRollbackService.js';
+import { buildProbationState } from './otaVerificationService.js';
+import { getAssignmentDownload } from './otaDownloadService.js';
+import { findDevicesBySelector } from './deviceGroupService.js';
+import { REPORTABLE_STATUSES, assertTransition, buildTransitionFields } from './otaStateMachineService.js';
+import { advanceUpgradePlan } from './otaUpgradePathService.js';
 
 // Helper: Get last log timestamp from Elasticsearch
 const getLastLogTimestamp = async (deviceId) => {
@@ -62,17 +69,20 @@ export const getDevices = async (queryParams = {}) => {
     const db = await getDb();
     const collection = db.collection('devices');
 
-    const { status, limit = 100, skip = 0 } = queryParams;
+    const { status, selector, limit = 100, skip = 0 } = queryParams;
     const filter = {};
 
     if (status) filter.status = status;
 
-    const devices = await collection
-      .find(filter)
-      .sort({ createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
-      .toArray();
+    // Selector version terms are matched in JS, so paginate after filtering
+    const devices = selector
+      ? (await findDevicesBySelector(selector, { baseFilter: filter })).slice(skip, skip + limit)
+      : await collection
+        .find(filter)
+        .sort({ createdAt: -1 })
+        .limit(limit)
+        .skip(skip)
+        .toArray();
 
     const now = Date.now();
     const ONLINE_THRESHOLD_MS = 5 * 60 * 1000; // 5 minutes
@@ -153,6 +163,9 @@ export const getDevices = async (queryParams = {}) => {
 
     return enrichedDevices;
   } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
     throw new AppError(`Failed to get devices: ${error.message}`, 500);
   }
 };
@@ -286,187 +299,28 @@ export const getDeviceById = async (deviceId) => {
   }
 };
 
-export const assignFirmwareToDevice = async (deviceId, firmwareVersion) => {
-  console.log('--- deviceService.assignFirmwareToDevice called with: ---');
-  console.log('Device ID:', deviceId);
-  console.log('Device ID type:', typeof deviceId);
-  console.log('Device ID value (stringified):', JSON.stringify(deviceId));
-  console.log('Firmware Version:', firmwareVersion);
+/**
+ * Assign firmware to one device (PATCH /api/devices/:deviceId/assign-firmware).
+ * Goes through the same guards, events and notifications as POST /api/ota/assign
+ * (see assignOTAToDevice); a rejected guard is thrown with its HTTP status.
+ * @param {Object} [options] - { allowDowngrade?, downgradeReason?, overrideDelay?, overrideReason? }
+ * @returns {Object} Updated device
+ */
+export const assignFirmwareToDevice = async (deviceId, firmwareVersion, options = {}) => {
   try {
-    const normalizedDeviceId = String(deviceId).trim();
-    console.log('Normalized deviceId:', normalizedDeviceId);
+    const assignment = await assignOTAToDevice(String(deviceId).trim(), firmwareVersion, options);
 
     const db = await getDb();
-    const devicesCollection = db.collection('devices');
-    const firmwaresCollection = db.collection('firmwares');
-
-    console.log('Database name:', db.databaseName);
-    console.log('Collection name: devices');
-
-    console.log('Checking firmware existence with version:', firmwareVersion);
-    const firmware = await firmwaresCollection.findOne({ version: firmwareVersion });
-    if (!firmware) {
-      console.log('Firmware not found with version:', firmwareVersion);
-      throw new AppError('Firmware version not found', 404);
-    }
-    console.log('Firmware found:', firmware.version);
-
-    console.log('Searching for device with deviceId:', normalizedDeviceId);
-    let device = await devicesCollection.findOne({ deviceId: normalizedDeviceId });
-
-    if (!device) {
-      device = await devicesCollection.findOne({
-        deviceId: { $regex: `^\\s*${normalizedDeviceId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`, $options: 'i' }
-      });
-    }
-
-    if (!device) {
-      console.log('Device not found with deviceId:', normalizedDeviceId);
-      const allDevices = await devicesCollection.find({}).limit(5).toArray();
-      console.log('Sample devices in collection (first 5):', allDevices.map(d => ({
-        _id: d._id?.toString(),
-        deviceId: d.deviceId,
-        deviceIdType: typeof d.deviceId
-      })));
-      throw new AppError('Device not found', 404);
-    }
-
-    console.log('Device found, updating...');
-    const query = { deviceId: normalizedDeviceId };
-    console.log('Query filter:', query);
-
-    // Get current firmware version (if exists) - ONLY from device.firmware{}
-    const currentVersion = device.firmware?.currentVersion || null;
-    const currentFirmwareStatus = device.firmware?.status || 'idle';
-
-    // ========================================================================
-    // STATE CONSISTENCY GUARDS
-    // ========================================================================
-    // Guard 1: Cannot assign firmware older than currentVersion
-    // NOTE: Using simple string comparison. For semantic versions (e.g., "1.10.0" vs "1.2.0"),
-    // this may not work correctly. Consider using a semver library if versions follow semantic versioning.
-    if (currentVersion && firmwareVersion < currentVersion) {
-      throw new AppError(`Cannot assign firmware version ${firmwareVersion} older than current version ${currentVersion}`, 400);
-    }
-
-    // Guard 2: Cannot assign if status = updating
-    if (currentFirmwareStatus === 'updating') {
-      throw new AppError('Cannot assign firmware while device is updating', 400);
-    }
-
-    // ========================================================================
-    // RETRY POLICY ENFORCEMENT (BLOCK AFTER 3 FAILURES)
-    // ========================================================================
-    const failureCount = device.firmware?.failureCount || 0;
-    const lastFailedFirmwareVersion = device.firmware?.lastFailedFirmwareVersion || null;
-    
-    // Block if failureCount >= 3 and trying to assign same firmwareVersion
-    if (failureCount >= 3) {
-      // Check if we're trying to assign the same firmware version that failed
-      const isRetryingSameVersion = lastFailedFirmwareVersion === firmwareVersion || 
-                                   (device.firmware?.desiredVersion === firmwareVersion && !lastFailedFirmwareVersion);
-      
-      if (isRetryingSameVersion) {
-        throw new AppError('OTA blocked after repeated failures', 409);
-      }
-    }
-
-    // ========================================================================
-    // OTA DECISION ENFORCEMENT
-    // ========================================================================
-    // Anomaly decision must be centralized in /api/anomaly/:deviceId/infer.
-    // OTA enforcement reads current anomaly decision ONLY from devices.anomaly.
-    let otaDecision = { action: 'delay' }; // Fail-closed if device has no anomaly state yet
-    const currentAnomaly = device.anomaly ?? null;
-    const policyDecision = currentAnomaly?.decision ?? currentAnomaly?.action ?? null;
-    if (policyDecision === 'allow' || policyDecision === 'ALLOW') {
-      otaDecision = { action: 'allow' };
-    } else if (policyDecision === 'delay' || policyDecision === 'DELAY') {
-      otaDecision = { action: 'delay' };
-    } else if (policyDecision === 'block' || policyDecision === 'BLOCK') {
-      otaDecision = { action: 'block' };
-    }
-
-    // Enforce decision
-    if (otaDecision.action === 'block') {
-      throw new AppError(`OTA assignment blocked: ${otaDecision.reason?.join(', ') || 'Anomaly detected'}`, 403);
-    }
-
-    // ========================================================================
-    // LOG OTA EVENT (assign)
-    // ========================================================================
-    await logOTAEvent({
-      deviceId: normalizedDeviceId,
-      firmwareVersion: firmwareVersion,
-      action: 'assign',
-      source: 'admin',
-      reason: otaDecision.action === 'delay' 
-        ? `OTA delayed: ${otaDecision.reason?.join(', ') || 'Device unstable'}` 
-        : null,
-      metadata: {
-        decision: otaDecision.action,
-        confidence: otaDecision.confidence,
-      },
-    });
-
-    // ========================================================================
-    // UPDATE DEVICE STATE
-    // ========================================================================
-    // Decision enforcement: delay → "pending", allow → "assigned"
-    const firmwareStatus = otaDecision.action === 'delay' ? 'pending' : 'assigned';
-
-    // Reset failureCount if assigning different firmware version (fresh start)
-    const updatePayload = {
-      'firmware.desiredVersion': firmwareVersion,
-      'firmware.status': firmwareStatus,
-      'firmware.assignedAt': new Date(),
-      updatedAt: new Date(),
-    };
-    
-    // Reset failure tracking if assigning different firmware version
-    const lastFailedVersion = device.firmware?.lastFailedFirmwareVersion || null;
-    if (lastFailedVersion && lastFailedVersion !== firmwareVersion) {
-      updatePayload['firmware.failureCount'] = 0;
-      updatePayload['firmware.lastFailedFirmwareVersion'] = null;
-      updatePayload['firmware.lastFailureReason'] = null;
-    }
-
-    const updateResult = await devicesCollection.updateOne(
-      { deviceId: normalizedDeviceId },
-      {
-        $set: updatePayload,
-        // Only set currentVersion if it doesn't exist
-        $setOnInsert: {
-          'firmware.currentVersion': currentVersion,
-        },
-      }
-    );
-
-    console.log('updateOne result:', updateResult);
-    console.log('Matched count:', updateResult.matchedCount);
-    console.log('Modified count:', updateResult.modifiedCount);
-
-    if (updateResult.matchedCount === 0) {
-      throw new AppError('Device not found', 404);
-    }
-
-    const updatedDevice = await devicesCollection.findOne({
-      deviceId: normalizedDeviceId,
-    });
-
+    const updatedDevice = await db.collection('devices').findOne({ deviceId: assignment.deviceId });
     if (!updatedDevice) {
       throw new AppError('Device update failed', 500);
     }
 
-    console.log('Device found and updated successfully');
-
-    const deviceData = {
+    return {
       id: updatedDevice._id.toString(),
       ...updatedDevice,
       _id: undefined,
     };
-
-    return deviceData;
   } catch (error) {
     if (error.statusCode) {
       throw error;
@@ -500,54 +354,20 @@ export const reportDeviceFirmware = async (deviceId, reportedFirmwareVersion, ot
     // ========================================================================
     // VALIDATE otaStatus (REQUIRED - NO INFERENCE)
     // ========================================================================
-    const validOtaStatuses = ['downloading', 'updating', 'success', 'failed'];
-    if (!otaStatus || !validOtaStatuses.includes(otaStatus)) {
-      throw new AppError(`otaStatus is required and must be one of: ${validOtaStatuses.join(', ')}`, 400);
+    if (!otaStatus || !REPORTABLE_STATUSES.includes(otaStatus)) {
+      throw new AppError(`otaStatus is required and must be one of: ${REPORTABLE_STATUSES.join(', ')}`, 400);
     }
 
     // ========================================================================
     // OTA STATE TRANSITION GUARD (STRICT - EXECUTES BEFORE ANY UPDATES)
     // ========================================================================
     const currentFirmwareStatus = device.firmware?.status || 'idle';
-
-    // Define allowed transitions: from → to
-    const allowedTransitions = {
-      'assigned': ['downloading'],
-      'downloading': ['updating'],
-      'updating': ['success', 'failed'],
-    };
-
-    // Reject if current status is terminal or invalid for OTA reports
-    const invalidStatusesForReport = ['idle', 'pending', 'success', 'failed'];
-    if (invalidStatusesForReport.includes(currentFirmwareStatus)) {
-      throw new AppError(
-        `Invalid OTA state transition: cannot report OTA progress when firmware.status is "${currentFirmwareStatus}". ` +
-        `Device must be in "assigned", "downloading", or "updating" state to report OTA progress.`,
-        400
-      );
-    }
-
-    // Validate transition is allowed
-    const allowedNextStatuses = allowedTransitions[currentFirmwareStatus];
-    if (!allowedNextStatuses) {
-      throw new AppError(
-        `Invalid OTA state transition: current firmware.status "${currentFirmwareStatus}" does not allow OTA reports. ` +
-        `Only transitions from "assigned", "downloading", or "updating" are allowed.`,
-        400
-      );
-    }
-
-    if (!allowedNextStatuses.includes(otaStatus)) {
-      throw new AppError(
-        `Invalid OTA state transition: cannot transition from "${currentFirmwareStatus}" to "${otaStatus}". ` +
-        `Allowed transitions from "${currentFirmwareStatus}": ${allowedNextStatuses.join(', ')}.`,
-        400
-      );
-    }
+    assertTransition(currentFirmwareStatus, 'report', otaStatus);
 
     const updateFields = {
       reportedFirmwareVersion: reportedFirmwareVersion,
       lastSeenAt: new Date(),
+      ...buildTransitionFields(otaStatus),
     };
 
     // ========================================================================
@@ -584,9 +404,32 @@ export const reportDeviceFirmware = async (deviceId, reportedFirmwareVersion, ot
       if (reportedFirmwareVersion !== device.firmware.desiredVersion) {
         throw new AppError(`Reported firmware version ${reportedFirmwareVersion} does not match desired version ${device.firmware.desiredVersion}`, 400);
       }
+      // LAST-KNOWN-GOOD: the version the device ran before this update becomes the
+      // rollback target, unless this success completes a rollback (that version regressed)
+      const previousVersion = device.firmware?.currentVersion || null;
+      const pendingRollback = device.firmware?.rollback;
+      const isRollbackCompletion = Boolean(pendingRollback) && !pendingRollback.completedAt &&
+        pendingRollback.toVersion === reportedFirmwareVersion;
+      if (isRollbackCompletion) {
+        updateFields['firmware.rollback.completedAt'] = new Date();
+      } else if (previousVersion && previousVersion !== reportedFirmwareVersion) {
+        updateFields['firmware.lastKnownGoodVersion'] = previousVersion;
+      }
       updateFields['firmware.currentVersion'] = reportedFirmwareVersion;
       updateFields['firmware.desiredVersion'] = null;
-      updateFields['firmware.status'] = 'success';
+      // An install that was already running when its version was revoked is flagged on completion
+      const installed = await db.collection('firmwares').findOne({ version: reportedFirmwareVersion }, { projection: { status: 1, lifecycle: 1 } });
+      updateFields['firmware.revokedFirmware'] = installed?.status === 'revoked'
+        ? { version: reportedFirmwareVersion, reason: installed.lifecycle?.findLast((l) => l.operation === 'revoke')?.reason || null, flaggedAt: new Date() }
+        : null;
+      updateFields['firmware.succeededAt'] = new Date();
+      // PROBATION: success is not final until the verification window passes without regression
+      if (config.ota.probation.enabled) {
+        updateFields['firmware.status'] = 'probation';
+        updateFields['firmware.probation'] = buildProbationState(device, updateFields['firmware.succeededAt']);
+      } else {
+        updateFields['firmware.status'] = 'success';
+      }
       // RESET RULE: Reset failureCount and clear failure-related fields on success
       updateFields['firmware.failureCount'] = 0;
       updateFields['firmware.lastFailureReason'] = null;
@@ -604,14 +447,35 @@ export const reportDeviceFirmware = async (deviceId, reportedFirmwareVersion, ot
     if (!device.firmware?.desiredVersion) {
       throw new AppError('Cannot log OTA event without an assigned desiredVersion', 400);
     }
+
+    // DOWNLOAD CROSS-CHECK: compare reported progress with bytes actually served
+    let downloadCheck;
+    if (otaStatus === 'downloading' || otaStatus === 'updating') {
+      const download = await getAssignmentDownload(device);
+      downloadCheck = download
+        ? { bytesDelivered: download.bytesDelivered, size: download.size, completed: Boolean(download.completedAt) }
+        : { bytesDelivered: 0, size: null, completed: false };
+      if (otaStatus === 'updating' && !downloadCheck.completed) {
+        console.warn(
+          `[OTA_DOWNLOAD] ${normalizedDeviceId} reported "updating" for ${device.firmware.desiredVersion} ` +
+          `but only ${downloadCheck.bytesDelivered}/${downloadCheck.size ?? '?'} bytes were served`
+        );
+      }
+    }
+
     await logOTAEvent({
       deviceId: normalizedDeviceId,
       firmwareVersion: device.firmware.desiredVersion,
       action: eventAction,
       source: 'device',
+      // Kept per event: firmware.lastFailureReason is overwritten by the next failure
+      reason: otaStatus === 'failed' && failureReason ? String(failureReason) : null,
       metadata: {
         reportedFirmwareVersion,
         otaStatus,
+        // The version replaced by this install (used to reconstruct version history)
+        ...(otaStatus === 'success' ? { previousVersion: device.firmware?.currentVersion || null } : {}),
+        ...(downloadCheck ? { download: downloadCheck } : {}),
       },
     });
 
@@ -620,6 +484,21 @@ export const reportDeviceFirmware = async (deviceId, reportedFirmwareVersion, ot
       { $set: updateFields }
     );
 
+    // ========================================================================
+    // AUTO-ROLLBACK (after N failures → last-known-good version)
+    // ========================================================================
+    if (otaStatus === 'failed') {
+      await triggerAutoRollback(normalizedDeviceId, 'failures');
+    }
+
+    // ========================================================================
+    // UPGRADE PATH: a successful hop assigns the next step of the plan.
+    // With probation enabled the hop must be verified first (otaVerificationService)
+    // ========================================================================
+    if (otaStatus === 'success' && !config.ota.probation.enabled && device.firmware?.upgradePlan?.status === 'active') {
+      await advanceUpgradePlan(device.deviceId, reportedFirmwareVersion);
+    }
+
     const updatedDevice = await devicesCollection.findOne({
       deviceId: normalizedDeviceId,
     });
@@ -666,10 +545,7 @@ export const retryOTAForDevice = async (deviceId) => {
     }
 
     // Check firmware status using new schema
-    const firmwareStatus = device.firmware?.status;
-    if (firmwareStatus !== 'failed') {
-      throw new AppError('OTA retry is only allowed when firmware.status is "failed"', 400);
-    }
+    assertTransition(device.firmware?.status, 'retry', 'pending');
 
     if (!device.firmware?.desiredVersion) {
       throw new AppError('No target firmware version found for retry', 400);
@@ -679,7 +555,7 @@ export const retryOTAForDevice = async (deviceId) => {
       { deviceId: normalizedDeviceId },
       {
         $set: {
-          'firmware.status': 'pending',
+          ...buildTransitionFields('pending'),
           'firmware.assignedAt': new Date(),
           updatedAt: new Date(),
         },
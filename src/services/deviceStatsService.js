@@ -1,13 +1,20 @@
 import { getDb } from '../clients/mongodb.js';
 import { AppError } from '../utils/errors.js';
+import { findDevicesBySelector } from './deviceGroupService.js';
 
-export const getDeviceStatistics = async () => {
+/**
+ * Fleet anomaly counts, optionally restricted to a device selector.
+ * @param {string|Object|null} [selector]
+ */
+export const getDeviceStatistics = async (selector = null) => {
   try {
     const db = await getDb();
     const collection = db.collection('devices');
     
     // Get all devices with status
-    const devices = await collection.find({}).toArray();
+    const devices = selector
+      ? await findDevicesBySelector(selector)
+      : await collection.find({}).toArray();
     
     const totalDevices = devices.length;
     let normalCount = 0;
@@ -33,6 +40,9 @@ export const getDeviceStatistics = async () => {
       warning: warningCount,
     };
   } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
     throw new AppError(`Failed to get device statistics: ${error.message}`, 500);
   }
 };
@@ -0,0 +1,212 @@
+// ============================================================================
+// FIRMWARE RELEASE CHANNELS
+// ============================================================================
+// Firmware moves through canary → beta → stable; each device subscribes to
+// one channel (devices.channel, "stable" when unset).
+//
+// - A device receives firmware released on its channel or a more stable one:
+//   canary subscribers get canary, beta and stable builds; stable subscribers
+//   only stable builds
+// - New uploads start on config.ota.channels.uploadChannel (default canary);
+//   firmware uploaded before channels existed counts as stable
+// - Every promotion is recorded in firmware_promotions (audit trail)
+// - With autoAssign, a promotion assigns the firmware to the newly eligible
+//   devices through assignOTA (all OTA guards apply)
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { isVersionOlder } from '../utils/semver.js';
+import { assignOTA } from './otaService.js';
+import { assertFirmwareAssignable } from './firmwareLifecycleService.js';
+import { getSupportedModels } from './firmwareCompatibilityService.js';
+
+export const RELEASE_CHANNELS = ['canary', 'beta', 'stable'];
+export const DEFAULT_DEVICE_CHANNEL = 'stable';
+
+export const validateChannel = (channel, field = 'channel') => {
+  if (!RELEASE_CHANNELS.includes(channel)) {
+    throw new AppError(`${field} must be one of: ${RELEASE_CHANNELS.join(', ')}`, 400);
+  }
+  return channel;
+};
+
+export const getFirmwareChannel = (firmware) => firmware?.channel || 'stable';
+export const getDeviceChannel = (device) => device?.channel || DEFAULT_DEVICE_CHANNEL;
+
+/**
+ * Channels whose subscribers receive firmware released on `channel`.
+ * @returns {Array<string>} e.g. beta → ['canary', 'beta']
+ */
+export const getSubscribedChannels = (channel) => RELEASE_CHANNELS.slice(0, RELEASE_CHANNELS.indexOf(channel) + 1);
+
+export const isFirmwareAvailableToDevice = (firmware, device) =>
+  getSubscribedChannels(getFirmwareChannel(firmware)).includes(getDeviceChannel(device));
+
+/**
+ * MongoDB filter for firmware released on a channel (legacy firmware is stable).
+ */
+export const buildChannelFilter = (channel) => (channel === 'stable'
+  ? { $or: [{ channel: 'stable' }, { channel: { $exists: false } }, { channel: null }] }
+  : { channel });
+
+/**
+ * Resolve the target channel of a promotion (pure).
+ * @param {string} current - Firmware's current channel
+ * @param {string} [requested] - Explicit target; defaults to the next channel
+ * @returns {string}
+ * @throws {AppError} 400 when the target is not more stable than the current channel
+ */
+export const resolvePromotionTarget = (current, requested) => {
+  const currentIndex = RELEASE_CHANNELS.indexOf(current);
+  if (requested === undefined || requested === null) {
+    if (currentIndex === RELEASE_CHANNELS.length - 1) {
+      throw new AppError(`Firmware is already on the ${current} channel`, 400);
+    }
+    return RELEASE_CHANNELS[currentIndex + 1];
+  }
+  validateChannel(requested);
+  if (RELEASE_CHANNELS.indexOf(requested) <= currentIndex) {
+    throw new AppError(`Cannot promote from ${current} to ${requested}`, 400);
+  }
+  return requested;
+};
+
+const findNewlyEligibleDevices = async (db, firmware, fromChannel, toChannel) => {
+  const models = getSupportedModels(firmware);
+  const newChannels = getSubscribedChannels(toChannel).filter((c) => !getSubscribedChannels(fromChannel).includes(c));
+  const channelClause = newChannels.includes(DEFAULT_DEVICE_CHANNEL)
+    ? { $or: [{ channel: { $in: newChannels } }, { channel: { $exists: false } }, { channel: null }] }
+    : { channel: { $in: newChannels } };
+
+  const devices = await db.collection('devices')
+    .find(
+      {
+        ...channelClause,
+        ...(models.length > 0 ? { $and: [{ $or: [{ model: { $in: models } }, { deviceType: { $in: models } }] }] } : {}),
+      },
+      { projection: { deviceId: 1, firmware: 1 } },
+    )
+    .toArray();
+
+  // Skip devices already on (or heading to) this version or a newer one
+  return devices
+    .filter((d) => {
+      const current = d.firmware?.currentVersion;
+      const desired = d.firmware?.desiredVersion;
+      return (!current || isVersionOlder(current, firmware.version)) &&
+        (!desired || isVersionOlder(desired, firmware.version));
+    })
+    .map((d) => d.deviceId)
+    .filter(Boolean);
+};
+
+/**
+ * Promote a firmware to a more stable channel.
+ * @param {string} version
+ * @param {Object} options - { channel?, promotedBy?, reason?, autoAssign? }
+ * @returns {Object} Promotion record (with autoAssign results when requested)
+ */
+export const promoteFirmware = async (version, { channel, promotedBy, reason, autoAssign } = {}) => {
+  try {
+    const db = await getDb();
+    const firmwares = db.collection('firmwares');
+
+    const firmware = await firmwares.findOne({ version });
+    if (!firmware) {
+      throw new AppError('Firmware version not found', 404);
+    }
+    assertFirmwareAssignable(firmware);
+
+    const fromChannel = getFirmwareChannel(firmware);
+    const toChannel = resolvePromotionTarget(fromChannel, channel);
+    const now = new Date();
+
+    // Guard on the observed channel so concurrent promotions cannot both apply
+    const updateResult = await firmwares.updateOne(
+      { version, ...buildChannelFilter(fromChannel) },
+      { $set: { channel: toChannel, channelUpdatedAt: now } },
+    );
+    if (updateResult.modifiedCount === 0) {
+      throw new AppError('Firmware channel changed concurrently, retry the promotion', 409);
+    }
+
+    const shouldAutoAssign = typeof autoAssign === 'boolean' ? autoAssign : config.ota.channels.autoAssignOnPromote;
+    const promotion = {
+      firmwareVersion: version,
+      fromChannel,
+      toChannel,
+      promotedBy: promotedBy || 'admin',
+      reason: reason ? String(reason) : null,
+      autoAssign: null,
+      createdAt: now,
+    };
+
+    if (shouldAutoAssign) {
+      const deviceIds = await findNewlyEligibleDevices(db, firmware, fromChannel, toChannel);
+      if (deviceIds.length > 0) {
+        const result = await assignOTA({ deviceIds, firmwareVersion: version });
+        promotion.autoAssign = {
+          eligible: deviceIds.length,
+          assigned: result.assigned,
+          failed: result.failed,
+          failures: result.results.filter((r) => !r.success).map(({ deviceId, error }) => ({ deviceId, error })),
+        };
+      } else {
+        promotion.autoAssign = { eligible: 0, assigned: 0, failed: 0, failures: [] };
+      }
+    }
+
+    const { insertedId } = await db.collection('firmware_promotions').insertOne(promotion);
+    return { id: insertedId.toString(), ...promotion };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to promote firmware: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Promotion audit trail, newest first.
+ * @param {Object} [filters] - { firmwareVersion, limit }
+ */
+export const getFirmwarePromotions = async ({ firmwareVersion, limit = 100 } = {}) => {
+  try {
+    const db = await getDb();
+    const promotions = await db.collection('firmware_promotions')
+      .find(firmwareVersion ? { firmwareVersion } : {})
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+    return promotions.map(({ _id, ...p }) => ({ id: _id.toString(), ...p }));
+  } catch (error) {
+    throw new AppError(`Failed to get firmware promotions: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Subscribe a device to a release channel.
+ * @returns {Object} { deviceId, channel, previousChannel }
+ */
+export const setDeviceChannel = async (deviceId, channel) => {
+  try {
+    validateChannel(channel);
+    const db = await getDb();
+    const devices = db.collection('devices');
+
+    const device = await devices.findOne({ deviceId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+
+    await devices.updateOne({ deviceId }, { $set: { channel, updatedAt: new Date() } });
+    return { deviceId, channel, previousChannel: getDeviceChannel(device) };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to set device channel: ${error.message}`, 500);
+  }
+};
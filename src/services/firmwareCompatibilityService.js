@@ -0,0 +1,276 @@
+// ============================================================================
+// FIRMWARE COMPATIBILITY SERVICE
+// ============================================================================
+// Compatibility rules stored on the firmware document:
+//
+//   firmwares.compatibility: {
+//     models: ['gateway-v2'],                      // default: [firmware.deviceType]
+//     hardwareRevision: { min: 'B', max: 'D' },    // device.hardwareRevision, inclusive
+//     minBootloaderVersion: '1.4.0',               // device.bootloaderVersion
+//     currentVersion: { min: '2.0.0', max: null }, // device.firmware.currentVersion, inclusive
+//     minStorageMb: 120,                           // last storage_mb metric (free space)
+//   }
+//
+// Every rule is evaluated so a refusal lists all failing rules. Versions and
+// revisions are compared by semver precedence ("rev2" < "rev10" for
+// non-semver values). A rule whose device value is unknown fails closed;
+// firmware without any model information skips the model rule.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { getQueryApi } from '../clients/influxdb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { compareVersions } from '../utils/semver.js';
+
+const RULE_FIELDS = ['models', 'hardwareRevision', 'minBootloaderVersion', 'currentVersion', 'minStorageMb'];
+
+const validateRange = (value, field) => {
+  if (value === undefined || value === null) return null;
+  if (typeof value !== 'object' || Array.isArray(value)) {
+    throw new AppError(`compatibility.${field} must be an object { min, max }`, 400);
+  }
+  const range = {
+    min: value.min === undefined || value.min === null || value.min === '' ? null : String(value.min),
+    max: value.max === undefined || value.max === null || value.max === '' ? null : String(value.max),
+  };
+  if (!range.min && !range.max) {
+    throw new AppError(`compatibility.${field} needs min or max`, 400);
+  }
+  if (range.min && range.max && compareVersions(range.min, range.max) > 0) {
+    throw new AppError(`compatibility.${field}.min must not be greater than max`, 400);
+  }
+  return range;
+};
+
+/**
+ * Validate and normalize compatibility rules.
+ * @param {Object|string} rules - Object or JSON string (multipart uploads)
+ * @returns {Object} Normalized rules (unset rules are omitted)
+ * @throws {AppError} 400 when a rule is malformed
+ */
+export const normalizeCompatibility = (rules) => {
+  let parsed = rules;
+  if (typeof rules === 'string') {
+    try {
+      parsed = JSON.parse(rules);
+    } catch {
+      throw new AppError('compatibility must be valid JSON', 400);
+    }
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new AppError('compatibility must be an object', 400);
+  }
+
+  const unknown = Object.keys(parsed).filter((key) => !RULE_FIELDS.includes(key));
+  if (unknown.length > 0) {
+    throw new AppError(`Unknown compatibility rule(s): ${unknown.join(', ')} (allowed: ${RULE_FIELDS.join(', ')})`, 400);
+  }
+
+  const normalized = {};
+  if (parsed.models !== undefined && parsed.models !== null) {
+    if (!Array.isArray(parsed.models) || parsed.models.length === 0 || parsed.models.some((m) => typeof m !== 'string' || !m.trim())) {
+      throw new AppError('compatibility.models must be a non-empty array of model names', 400);
+    }
+    normalized.models = [...new Set(parsed.models.map((m) => m.trim()))];
+  }
+  const hardwareRevision = validateRange(parsed.hardwareRevision, 'hardwareRevision');
+  if (hardwareRevision) normalized.hardwareRevision = hardwareRevision;
+  if (parsed.minBootloaderVersion !== undefined && parsed.minBootloaderVersion !== null) {
+    if (typeof parsed.minBootloaderVersion !== 'string' || !parsed.minBootloaderVersion.trim()) {
+      throw new AppError('compatibility.minBootloaderVersion must be a version string', 400);
+    }
+    normalized.minBootloaderVersion = parsed.minBootloaderVersion.trim();
+  }
+  const currentVersion = validateRange(parsed.currentVersion, 'currentVersion');
+  if (currentVersion) normalized.currentVersion = currentVersion;
+  if (parsed.minStorageMb !== undefined && parsed.minStorageMb !== null) {
+    const minStorageMb = Number(parsed.minStorageMb);
+    if (!Number.isFinite(minStorageMb) || minStorageMb < 0) {
+      throw new AppError('compatibility.minStorageMb must be a non-negative number', 400);
+    }
+    normalized.minStorageMb = minStorageMb;
+  }
+  return normalized;
+};
+
+/**
+ * Models a firmware supports (explicit list, else its deviceType).
+ * @returns {Array<string>}
+ */
+export const getSupportedModels = (firmware) => {
+  if (Array.isArray(firmware?.compatibility?.models) && firmware.compatibility.models.length > 0) {
+    return firmware.compatibility.models;
+  }
+  const deviceType = firmware?.deviceType || firmware?.metadata?.deviceType;
+  return deviceType ? [deviceType] : [];
+};
+
+const checkRange = (rule, label, actual, range, hint = null) => {
+  if (!range) return null;
+  if (!actual) {
+    return { rule, reason: `${label} is unknown` };
+  }
+  if (range.min && compareVersions(actual, range.min) < 0) {
+    return { rule, reason: `${label} ${actual} is below the required minimum ${range.min}${hint ? ` (${hint(range)})` : ''}` };
+  }
+  if (range.max && compareVersions(actual, range.max) > 0) {
+    return { rule, reason: `${label} ${actual} is above the supported maximum ${range.max}` };
+  }
+  return null;
+};
+
+/**
+ * Evaluate every compatibility rule of a firmware against a device (pure).
+ * @param {Object} params - { firmware, device, storageMb }
+ * @returns {Object} { compatible, failures: [{ rule, reason }] }
+ */
+export const evaluateCompatibility = ({ firmware, device, storageMb = null }) => {
+  const rules = firmware?.compatibility || {};
+  const failures = [];
+
+  const models = getSupportedModels(firmware);
+  const deviceModel = device?.model || device?.deviceType || null;
+  if (models.length > 0 && !models.includes(deviceModel)) {
+    failures.push({
+      rule: 'models',
+      reason: `Device model "${deviceModel}" is not supported (supported: ${models.join(', ')})`,
+    });
+  }
+
+  const hardware = checkRange('hardwareRevision', 'Hardware revision', device?.hardwareRevision, rules.hardwareRevision);
+  if (hardware) failures.push(hardware);
+
+  if (rules.minBootloaderVersion) {
+    const bootloader = device?.bootloaderVersion;
+    if (!bootloader) {
+      failures.push({ rule: 'minBootloaderVersion', reason: 'Bootloader version is unknown' });
+    } else if (compareVersions(bootloader, rules.minBootloaderVersion) < 0) {
+      failures.push({
+        rule: 'minBootloaderVersion',
+        reason: `Bootloader ${bootloader} is older than the required ${rules.minBootloaderVersion}`,
+      });
+    }
+  }
+
+  const upgradePath = checkRange(
+    'currentVersion',
+    'Current firmware',
+    device?.firmware?.currentVersion,
+    rules.currentVersion,
+    (range) => `upgrade must pass through ${range.min} first`,
+  );
+  if (upgradePath) failures.push(upgradePath);
+
+  if (typeof rules.minStorageMb === 'number') {
+    if (typeof storageMb !== 'number' || !Number.isFinite(storageMb)) {
+      failures.push({ rule: 'minStorageMb', reason: 'No storage_mb metric reported by the device' });
+    } else if (storageMb < rules.minStorageMb) {
+      failures.push({
+        rule: 'minStorageMb',
+        reason: `Free storage ${storageMb} MB is below the required ${rules.minStorageMb} MB`,
+      });
+    }
+  }
+
+  return { compatible: failures.length === 0, failures };
+};
+
+export const formatIncompatibility = (failures) => `Incompatible firmware: ${failures.map((f) => f.reason).join('; ')}`;
+
+/**
+ * Last storage_mb metric reported by a device.
+ * @returns {number|null}
+ */
+export const getLastStorageMb = async (deviceId) => {
+  try {
+    const queryApi = getQueryApi();
+    const fluxQuery = `
+      from(bucket: "${config.influx.bucket}")
+        |> range(start: -30d)
+        |> filter(fn: (r) => r._measurement == "device_metrics")
+        |> filter(fn: (r) => r.deviceId == "${deviceId}")
+        |> filter(fn: (r) => r._field == "storage_mb")
+        |> last()
+    `;
+
+    let value = null;
+    await new Promise((resolve, reject) => {
+      queryApi.queryRows(fluxQuery, {
+        next(row, tableMeta) {
+          const o = tableMeta.toObject(row);
+          if (typeof o._value === 'number') value = o._value;
+        },
+        error: reject,
+        complete: resolve,
+      });
+    });
+
+    return value;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Check a device against a firmware, fetching the storage metric only when a
+ * storage rule exists.
+ * @returns {Object} { compatible, failures }
+ */
+export const checkDeviceCompatibility = async (firmware, device) => {
+  const storageMb = typeof firmware?.compatibility?.minStorageMb === 'number'
+    ? await getLastStorageMb(device.deviceId)
+    : null;
+  return evaluateCompatibility({ firmware, device, storageMb });
+};
+
+/**
+ * Replace the compatibility rules of a firmware version.
+ * @param {string} version
+ * @param {Object} rules - See normalizeCompatibility; an empty object clears every rule
+ * @returns {Object} { version, compatibility }
+ */
+export const setFirmwareCompatibility = async (version, rules) => {
+  try {
+    const compatibility = normalizeCompatibility(rules);
+    const db = await getDb();
+    const result = await db.collection('firmwares').updateOne(
+      { version },
+      { $set: { compatibility, compatibilityUpdatedAt: new Date() } },
+    );
+    if (result.matchedCount === 0) {
+      throw new AppError('Firmware version not found', 404);
+    }
+    return { version, compatibility };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to set firmware compatibility: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Dry-run the compatibility rules of a firmware version for one device.
+ * @returns {Object} { version, deviceId, compatible, failures }
+ */
+export const checkFirmwareCompatibility = async (version, deviceId) => {
+  try {
+    const db = await getDb();
+    const firmware = await db.collection('firmwares').findOne({ version });
+    if (!firmware) {
+      throw new AppError('Firmware version not found', 404);
+    }
+    const device = await db.collection('devices').findOne({ deviceId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+    const result = await checkDeviceCompatibility(firmware, device);
+    return { version, deviceId, ...result };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to check firmware compatibility: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,190 @@
+// ============================================================================
+// FIRMWARE DELTA SERVICE
+// ============================================================================
+// Generates binary deltas (OTAD1, see utils/binaryDelta.js) from the versions
+// the fleet currently runs to a newly uploaded version, so devices on metered
+// links can download only the changed bytes. Only devices that could install
+// the target count as sources: a supported model, and a current version inside
+// the target's compatibility.currentVersion range. Deltas are computed with
+// createDeltaAsync so the upload request process keeps serving requests.
+//
+// Deltas are stored in MinIO next to the full image and listed on the target
+// firmware document:
+//   firmwares.deltas: [{ fromVersion, size, checksum, storage, createdAt }]
+// A delta is only kept when it is meaningfully smaller than the full image.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { getMinioClient } from '../clients/minio.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { createDeltaAsync } from '../utils/binaryDelta.js';
+import { isVersionOlder, compareVersions } from '../utils/semver.js';
+import { computeChecksum } from './firmwareSigningService.js';
+import { resolveFirmwareObject } from './otaDownloadService.js';
+import { getSupportedModels } from './firmwareCompatibilityService.js';
+
+const readObject = async (location) => {
+  const stream = await getMinioClient().getObject(location.bucket, location.objectName);
+  const chunks = [];
+  for await (const chunk of stream) {
+    chunks.push(chunk);
+  }
+  return Buffer.concat(chunks);
+};
+
+/**
+ * Pick the source versions a delta should be generated from (pure).
+ * @param {Array<Object>} versionCounts - [{ version, devices }] of firmware.currentVersion in the fleet
+ * @param {string} targetVersion
+ * @param {Array<string>} existing - fromVersions that already have a delta
+ * @param {number} limit
+ * @returns {Array<string>} Most-installed older versions first
+ */
+export const selectDeltaSources = (versionCounts, targetVersion, existing = [], limit = config.ota.delta.maxSourceVersions) =>
+  versionCounts
+    .filter(({ version }) => version && isVersionOlder(version, targetVersion) && !existing.includes(version))
+    .sort((a, b) => b.devices - a.devices)
+    .slice(0, limit)
+    .map(({ version }) => version);
+
+const acceptsCurrentVersion = (target, version) => {
+  const range = target?.compatibility?.currentVersion;
+  if (!range) return true;
+  if (range.min && compareVersions(version, range.min) < 0) return false;
+  return !(range.max && compareVersions(version, range.max) > 0);
+};
+
+/**
+ * Why a base firmware cannot be a delta source for a target (pure): no device
+ * can run both when they share no model, or when the target does not accept
+ * upgrades from the base version.
+ * @returns {string|null} Reason, or null when the base is usable
+ */
+export const checkDeltaSource = (target, base) => {
+  const targetModels = getSupportedModels(target);
+  const baseModels = getSupportedModels(base);
+  if (targetModels.length > 0 && baseModels.length > 0 && !baseModels.some((m) => targetModels.includes(m))) {
+    return `Base firmware is for ${baseModels.join(', ')}, target supports ${targetModels.join(', ')}`;
+  }
+  if (!acceptsCurrentVersion(target, base.version)) {
+    return `${target.version} does not accept upgrades from ${base.version}`;
+  }
+  return null;
+};
+
+/**
+ * Find the delta a device can use for a target firmware.
+ * @returns {Object|null} Delta entry from firmware.deltas
+ */
+export const findDelta = (firmware, fromVersion) => {
+  if (!fromVersion || !Array.isArray(firmware?.deltas)) return null;
+  return firmware.deltas.find((d) => d.fromVersion === fromVersion) || null;
+};
+
+/**
+ * Generate deltas to a firmware version from the versions installed in the fleet.
+ * @param {string} version - Target firmware version
+ * @param {Object} [options] - { fromVersions } to force specific sources
+ * @returns {Object} { version, generated: [...], skipped: [{ fromVersion, reason }] }
+ */
+export const generateDeltasForFirmware = async (version, { fromVersions = null } = {}) => {
+  try {
+    const db = await getDb();
+    const firmwares = db.collection('firmwares');
+
+    const target = await firmwares.findOne({ version });
+    if (!target) {
+      throw new AppError('Firmware version not found', 404);
+    }
+    const targetLocation = resolveFirmwareObject(target);
+    if (!targetLocation) {
+      throw new AppError(`Firmware ${version} has no stored image`, 404);
+    }
+
+    const existing = (target.deltas || []).map((d) => d.fromVersion);
+    let sources;
+    if (Array.isArray(fromVersions)) {
+      sources = fromVersions.filter((v) => typeof v === 'string' && v !== version && !existing.includes(v));
+    } else {
+      // Same model resolution as evaluateCompatibility: model, else deviceType
+      const models = getSupportedModels(target);
+      const versionCounts = await db.collection('devices').aggregate([
+        {
+          $match: {
+            'firmware.currentVersion': { $type: 'string' },
+            ...(models.length > 0 ? {
+              $or: [
+                { model: { $in: models } },
+                { model: { $in: [null, ''] }, deviceType: { $in: models } },
+              ],
+            } : {}),
+          },
+        },
+        { $group: { _id: '$firmware.currentVersion', devices: { $sum: 1 } } },
+        { $project: { _id: 0, version: '$_id', devices: 1 } },
+      ]).toArray();
+      sources = selectDeltaSources(
+        versionCounts.filter((entry) => acceptsCurrentVersion(target, entry.version)),
+        version,
+        existing,
+      );
+    }
+
+    const result = { version, generated: [], skipped: [] };
+    if (sources.length === 0) {
+      return result;
+    }
+
+    const newImage = await readObject(targetLocation);
+
+    for (const fromVersion of sources) {
+      const base = await firmwares.findOne({ version: fromVersion });
+      const baseLocation = resolveFirmwareObject(base);
+      if (!baseLocation) {
+        result.skipped.push({ fromVersion, reason: 'Base firmware image not found' });
+        continue;
+      }
+      const incompatibility = checkDeltaSource(target, base);
+      if (incompatibility) {
+        result.skipped.push({ fromVersion, reason: incompatibility });
+        continue;
+      }
+
+      const delta = await createDeltaAsync(await readObject(baseLocation), newImage);
+      if (delta.length > newImage.length * config.ota.delta.maxSizeRatio) {
+        result.skipped.push({
+          fromVersion,
+          reason: `Delta is ${Math.round((delta.length / newImage.length) * 100)}% of the full image`,
+        });
+        continue;
+      }
+
+      const objectKey = `deltas/${fromVersion}_to_${version}.otad`;
+      await getMinioClient().putObject(targetLocation.bucket, objectKey, delta, delta.length, {
+        'Content-Type': 'application/octet-stream',
+      });
+
+      const entry = {
+        fromVersion,
+        size: delta.length,
+        checksum: computeChecksum(delta),
+        format: 'otad1',
+        storage: { type: 'minio', bucket: targetLocation.bucket, objectKey },
+        createdAt: new Date(),
+      };
+      await firmwares.updateOne(
+        { version, 'deltas.fromVersion': { $ne: fromVersion } },
+        { $push: { deltas: entry } },
+      );
+      result.generated.push({ fromVersion, size: entry.size, checksum: entry.checksum });
+    }
+
+    return result;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to generate firmware deltas: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,363 @@
+// ============================================================================
+// FIRMWARE VERSION DISTRIBUTION
+// ============================================================================
+// Fleet breakdown by firmware.currentVersion, model and firmware.status, and
+// how each changed over time.
+//
+// The current distribution is read from devices. The history is reconstructed
+// from ota_events, walking forward from the state at the start of the window:
+// - version: a "success" event installs its firmwareVersion. Before the first
+//   success in the window a device runs that event's metadata.previousVersion,
+//   else the version of its last success before the window, else "unknown".
+//   A device without successes in the window runs firmware.currentVersion.
+// - status: the status each event moves the device to (EVENT_STATUS); before
+//   its first event a device is "idle" (or its current status if it has none).
+// Devices are counted from their createdAt.
+//
+// Stragglers are devices running an older version than the newest one
+// installed on their model (or than an explicit target version).
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+import { compareVersions, isVersionOlder, sortByVersionDesc } from '../utils/semver.js';
+import { findDevicesBySelector } from './deviceGroupService.js';
+
+export const DISTRIBUTION_INTERVALS = {
+  hour: 60 * 60 * 1000,
+  day: 24 * 60 * 60 * 1000,
+  week: 7 * 24 * 60 * 60 * 1000,
+};
+
+const MAX_TIMELINE_POINTS = 500;
+const MAX_WINDOW_DAYS = 365;
+const DEFAULT_STRAGGLER_LIMIT = 100;
+const UNKNOWN = 'unknown';
+
+/**
+ * firmware.status an ota_events action leaves the device in.
+ */
+export const EVENT_STATUS = {
+  assign: (event) => {
+    if (event.metadata?.schedule) return 'scheduled';
+    return event.metadata?.decision === 'delay' ? 'pending' : 'assigned';
+  },
+  promote: (event) => (event.metadata?.schedule ? 'scheduled' : 'assigned'),
+  release: () => 'assigned',
+  rollback: () => 'assigned',
+  download: () => 'downloading',
+  update: () => 'updating',
+  success: () => 'success',
+  fail: () => 'failed',
+  timeout: () => 'timed_out',
+  verify: () => 'verified',
+  regression: () => 'regressed',
+  expire: () => 'expired',
+  pause: () => 'paused',
+  // Revocation cancels to "cancelled"; bulk actions record the resulting status
+  cancel: (event) => event.metadata?.status || 'cancelled',
+  resume: (event) => event.metadata?.status || 'pending',
+};
+
+const getModel = (device) => device.model || device.deviceType || UNKNOWN;
+const getVersion = (device) => device.firmware?.currentVersion || UNKNOWN;
+const getStatus = (device) => device.firmware?.status || 'idle';
+
+const increment = (counts, key) => {
+  counts[key] = (counts[key] || 0) + 1;
+};
+
+const toShare = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : 0);
+
+const sortVersions = (versions) => [
+  ...sortByVersionDesc(versions.filter((v) => v !== UNKNOWN)),
+  ...(versions.includes(UNKNOWN) ? [UNKNOWN] : []),
+];
+
+/**
+ * Current devices per version, per model (with its versions) and per status (pure).
+ * @param {Array<Object>} devices
+ * @returns {Object} { total, byVersion, byModel, byStatus }
+ */
+export const buildCurrentDistribution = (devices) => {
+  const versions = {};
+  const statuses = {};
+  const models = {};
+
+  for (const device of devices) {
+    const version = getVersion(device);
+    const model = getModel(device);
+    increment(versions, version);
+    increment(statuses, getStatus(device));
+    models[model] = models[model] || { total: 0, versions: {} };
+    models[model].total += 1;
+    increment(models[model].versions, version);
+  }
+
+  const total = devices.length;
+  return {
+    total,
+    byVersion: sortVersions(Object.keys(versions)).map((version) => ({
+      version,
+      count: versions[version],
+      share: toShare(versions[version], total),
+    })),
+    byModel: Object.keys(models).sort().map((model) => ({
+      model,
+      total: models[model].total,
+      versions: sortVersions(Object.keys(models[model].versions))
+        .map((version) => ({ version, count: models[model].versions[version] })),
+    })),
+    byStatus: Object.entries(statuses)
+      .sort(([a, ca], [b, cb]) => cb - ca || a.localeCompare(b))
+      .map(([status, count]) => ({ status, count })),
+  };
+};
+
+/**
+ * Devices behind the newest version installed on their model, or behind
+ * `targetVersion` when given (pure). Devices with an unknown version are stragglers too.
+ * @returns {Object} { total, devices: [{ deviceId, model, currentVersion, targetVersion, status, lastSeenAt }] }
+ */
+export const findStragglers = (devices, { targetVersion = null, limit = DEFAULT_STRAGGLER_LIMIT } = {}) => {
+  const newestByModel = new Map();
+  if (!targetVersion) {
+    for (const device of devices) {
+      const version = device.firmware?.currentVersion;
+      if (!version) continue;
+      const model = getModel(device);
+      const newest = newestByModel.get(model);
+      if (!newest || compareVersions(version, newest) > 0) {
+        newestByModel.set(model, version);
+      }
+    }
+  }
+
+  const stragglers = [];
+  for (const device of devices) {
+    const target = targetVersion || newestByModel.get(getModel(device));
+    if (!target) continue;
+    const version = device.firmware?.currentVersion || null;
+    if (version && !isVersionOlder(version, target)) continue;
+    stragglers.push({
+      deviceId: device.deviceId,
+      model: getModel(device),
+      currentVersion: version,
+      targetVersion: target,
+      status: getStatus(device),
+      lastSeenAt: device.lastSeenAt || null,
+    });
+  }
+
+  // Oldest version first, then longest unseen
+  stragglers.sort((a, b) =>
+    compareVersions(a.currentVersion, b.currentVersion) ||
+    new Date(a.lastSeenAt || 0).getTime() - new Date(b.lastSeenAt || 0).getTime());
+
+  return { total: stragglers.length, devices: stragglers.slice(0, limit) };
+};
+
+/**
+ * Reconstruct version and status counts at the end of every interval (pure).
+ * @param {Object} params
+ * @param {Array<Object>} params.devices - Current device documents
+ * @param {Array<Object>} params.events - ota_events within [from, to], any order
+ * @param {Map<string, Object>} [params.baseline] - deviceId → { version?, event? }: last success version
+ *   and last status-changing event before `from`
+ * @param {Date} params.from
+ * @param {Date} params.to
+ * @param {string} [params.interval] - "hour" | "day" | "week"
+ * @returns {Object} { interval, from, to, versions, statuses, points: [{ at, total, versions, statuses }] }
+ */
+export const buildDistributionTimeline = ({ devices, events, baseline = new Map(), from, to, interval = 'day' }) => {
+  const step = DISTRIBUTION_INTERVALS[interval];
+  const byDevice = new Map(devices.map((device) => [device.deviceId, device]));
+  const sorted = events
+    .filter((e) => byDevice.has(e.deviceId) && EVENT_STATUS[e.action])
+    .slice()
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+  const firstSuccess = new Map();
+  const hasEvents = new Set();
+  for (const event of sorted) {
+    hasEvents.add(event.deviceId);
+    if (event.action === 'success' && !firstSuccess.has(event.deviceId)) {
+      firstSuccess.set(event.deviceId, event);
+    }
+  }
+
+  // State at `from`
+  const state = new Map();
+  for (const device of devices) {
+    const base = baseline.get(device.deviceId) || {};
+    const success = firstSuccess.get(device.deviceId);
+    const version = success
+      ? success.metadata?.previousVersion || base.version || UNKNOWN
+      : getVersion(device);
+    let status = base.event ? EVENT_STATUS[base.event.action](base.event) : 'idle';
+    if (!base.event && !hasEvents.has(device.deviceId)) {
+      status = getStatus(device);
+    }
+    state.set(device.deviceId, { version, status });
+  }
+
+  const points = [];
+  const seenVersions = new Set();
+  const seenStatuses = new Set();
+  let cursor = 0;
+  for (let at = from.getTime() + step; at < to.getTime() + step; at += step) {
+    const pointAt = Math.min(at, to.getTime());
+    while (cursor < sorted.length && new Date(sorted[cursor].createdAt).getTime() <= pointAt) {
+      const event = sorted[cursor++];
+      const current = state.get(event.deviceId);
+      current.status = EVENT_STATUS[event.action](event);
+      if (event.action === 'success') {
+        current.version = event.firmwareVersion;
+      }
+    }
+
+    const versions = {};
+    const statuses = {};
+    let total = 0;
+    for (const [deviceId, current] of state) {
+      const createdAt = byDevice.get(deviceId).createdAt;
+      if (createdAt && new Date(createdAt).getTime() > pointAt) continue;
+      total += 1;
+      increment(versions, current.version);
+      increment(statuses, current.status);
+      seenVersions.add(current.version);
+      seenStatuses.add(current.status);
+    }
+    points.push({ at: new Date(pointAt), total, versions, statuses });
+  }
+
+  return {
+    interval,
+    from,
+    to,
+    versions: sortVersions([...seenVersions]),
+    statuses: [...seenStatuses].sort(),
+    points,
+  };
+};
+
+/**
+ * First in-window install per version (pure).
+ * @returns {Array<Object>} [{ version, firstInstalledAt, installs }]
+ */
+const summarizeInstalls = (events) => {
+  const installs = new Map();
+  for (const event of events) {
+    if (event.action !== 'success') continue;
+    const entry = installs.get(event.firmwareVersion) || { version: event.firmwareVersion, firstInstalledAt: null, installs: 0 };
+    entry.installs += 1;
+    const at = new Date(event.createdAt);
+    if (!entry.firstInstalledAt || at < entry.firstInstalledAt) {
+      entry.firstInstalledAt = at;
+    }
+    installs.set(event.firmwareVersion, entry);
+  }
+  return installs;
+};
+
+const loadBaseline = async (db, deviceIds, from) => {
+  const [successes, lastEvents] = await Promise.all([
+    db.collection('ota_events').aggregate([
+      { $match: { deviceId: { $in: deviceIds }, action: 'success', createdAt: { $lt: from } } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$deviceId', version: { $last: '$firmwareVersion' } } },
+    ]).toArray(),
+    db.collection('ota_events').aggregate([
+      { $match: { deviceId: { $in: deviceIds }, action: { $in: Object.keys(EVENT_STATUS) }, createdAt: { $lt: from } } },
+      { $sort: { createdAt: 1 } },
+      { $group: { _id: '$deviceId', action: { $last: '$action' }, metadata: { $last: '$metadata' } } },
+    ]).toArray(),
+  ]);
+
+  const baseline = new Map();
+  for (const { _id, version } of successes) {
+    baseline.set(_id, { version });
+  }
+  for (const { _id, action, metadata } of lastEvents) {
+    baseline.set(_id, { ...baseline.get(_id), event: { action, metadata } });
+  }
+  return baseline;
+};
+
+const parseWindow = ({ days, interval }) => {
+  const step = interval || 'day';
+  if (!DISTRIBUTION_INTERVALS[step]) {
+    throw new AppError(`interval must be one of: ${Object.keys(DISTRIBUTION_INTERVALS).join(', ')}`, 400);
+  }
+  const windowDays = days === undefined || days === null || days === '' ? 30 : Number(days);
+  if (!Number.isFinite(windowDays) || windowDays <= 0 || windowDays > MAX_WINDOW_DAYS) {
+    throw new AppError(`days must be a number between 1 and ${MAX_WINDOW_DAYS}`, 400);
+  }
+  const windowMs = windowDays * DISTRIBUTION_INTERVALS.day;
+  if (Math.ceil(windowMs / DISTRIBUTION_INTERVALS[step]) > MAX_TIMELINE_POINTS) {
+    throw new AppError(`Window too long for interval "${step}" (max ${MAX_TIMELINE_POINTS} points)`, 400);
+  }
+  return { windowMs, interval: step };
+};
+
+/**
+ * Firmware version distribution report.
+ * @param {Object} [params] - { selector?, days? (default 30), interval? ("day"), targetVersion?, stragglerLimit? }
+ * @returns {Object} { generatedAt, current, releases, timeline, stragglers }
+ */
+export const getFirmwareDistribution = async ({ selector = null, days, interval, targetVersion = null, stragglerLimit } = {}) => {
+  try {
+    const window = parseWindow({ days, interval });
+    const limit = Math.min(Math.max(parseInt(stragglerLimit, 10) || DEFAULT_STRAGGLER_LIMIT, 1), 1000);
+    const to = new Date();
+    const from = new Date(to.getTime() - window.windowMs);
+
+    const db = await getDb();
+    const devices = selector
+      ? await findDevicesBySelector(selector)
+      : await db.collection('devices').find({}).toArray();
+    const deviceIds = devices.map((d) => d.deviceId).filter(Boolean);
+
+    const [events, baseline, firmwares] = await Promise.all([
+      db.collection('ota_events')
+        .find({ deviceId: { $in: deviceIds }, action: { $in: Object.keys(EVENT_STATUS) }, createdAt: { $gte: from, $lte: to } })
+        .sort({ createdAt: 1 })
+        .toArray(),
+      loadBaseline(db, deviceIds, from),
+      db.collection('firmwares')
+        .find({}, { projection: { version: 1, createdAt: 1, channel: 1, status: 1 } })
+        .toArray(),
+    ]);
+
+    const current = buildCurrentDistribution(devices);
+    const installs = summarizeInstalls(events);
+    const running = new Map(current.byVersion.map((v) => [v.version, v]));
+
+    // Adoption per release: when it was uploaded, first installed and how much of the fleet runs it now
+    const releases = sortByVersionDesc(firmwares, (fw) => fw.version)
+      .filter((fw) => running.has(fw.version) || installs.has(fw.version))
+      .map((fw) => ({
+        version: fw.version,
+        releasedAt: fw.createdAt || null,
+        channel: fw.channel || null,
+        status: fw.status || null,
+        firstInstalledAt: installs.get(fw.version)?.firstInstalledAt || null,
+        installs: installs.get(fw.version)?.installs || 0,
+        devices: running.get(fw.version)?.count || 0,
+        share: running.get(fw.version)?.share || 0,
+      }));
+
+    return {
+      generatedAt: to,
+      current,
+      releases,
+      timeline: buildDistributionTimeline({ devices, events, baseline, from, to, interval: window.interval }),
+      stragglers: findStragglers(devices, { targetVersion, limit }),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get firmware distribution: ${error.message}`, 500);
+  }
+};
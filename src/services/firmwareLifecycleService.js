@@ -0,0 +1,270 @@
+// ============================================================================
+// FIRMWARE LIFECYCLE SERVICE
+// ============================================================================
+// Retiring firmware versions (firmwares.status):
+//
+//   active ──deprecate──► deprecated ──revoke──► revoked
+//   active ──revoke──► revoked
+//   deprecated | revoked ──purge──► purged
+//
+// - deprecated: no new assignments; in-flight updates continue
+// - revoked: additionally cancels pending/scheduled/assigned/downloading
+//   devices (an "updating" install cannot be interrupted) and flags devices
+//   running the version with firmware.revokedFirmware
+// - purged: the MinIO image and its deltas are removed; only allowed when no
+//   device references the version (current, desired or rollback target). The
+//   firmware document is kept as a tombstone for the audit trail.
+//
+// Deprecating or revoking halts running campaigns for the version. Every
+// operation is appended to firmwares.lifecycle.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { getMinioClient } from '../clients/minio.js';
+import { AppError } from '../utils/errors.js';
+import { logOTAEvent } from './otaEventService.js';
+import { resolveFirmwareObject } from './otaDownloadService.js';
+import { canTransition, buildTransitionFields, getStatesAccepting } from './otaStateMachineService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+
+export const RETIRED_FIRMWARE_STATUSES = ['deprecated', 'revoked', 'purged'];
+
+export const isFirmwareAssignable = (firmware) => !RETIRED_FIRMWARE_STATUSES.includes(firmware?.status);
+
+/**
+ * Reject assignments of retired firmware.
+ * @throws {AppError} 409
+ */
+export const assertFirmwareAssignable = (firmware) => {
+  if (!isFirmwareAssignable(firmware)) {
+    throw new AppError(`Firmware ${firmware.version} is ${firmware.status} and cannot be assigned`, 409);
+  }
+};
+
+const LIFECYCLE_TRANSITIONS = {
+  deprecate: { from: ['active', 'available'], to: 'deprecated' },
+  revoke: { from: ['active', 'available', 'deprecated'], to: 'revoked' },
+  purge: { from: ['deprecated', 'revoked'], to: 'purged' },
+};
+
+/**
+ * Validate a lifecycle operation against the firmware's current status (pure).
+ * @returns {string} Target status
+ * @throws {AppError} 409 when the operation is not allowed
+ */
+export const resolveLifecycleTarget = (firmware, operation) => {
+  const transition = LIFECYCLE_TRANSITIONS[operation];
+  const current = firmware.status || 'active';
+  if (!transition.from.includes(current)) {
+    throw new AppError(`Cannot ${operation} firmware ${firmware.version} from status "${current}"`, 409);
+  }
+  return transition.to;
+};
+
+/**
+ * Device references that keep a firmware image alive (pure).
+ * @returns {Array<string>} Reference kinds, e.g. ['currentVersion', 'lastKnownGoodVersion']
+ */
+export const getFirmwareReferences = (device, version) => {
+  const firmware = device.firmware || {};
+  const references = [];
+  if (firmware.currentVersion === version) references.push('currentVersion');
+  if (firmware.desiredVersion === version) references.push('desiredVersion');
+  if (firmware.lastKnownGoodVersion === version) references.push('lastKnownGoodVersion');
+  return references;
+};
+
+const loadFirmware = async (db, version) => {
+  const firmware = await db.collection('firmwares').findOne({ version });
+  if (!firmware) {
+    throw new AppError('Firmware version not found', 404);
+  }
+  return firmware;
+};
+
+const haltCampaignsForVersion = async (db, version, reason) => {
+  const now = new Date();
+  const { modifiedCount } = await db.collection('ota_campaigns').updateMany(
+    { firmwareVersion: version, status: 'running' },
+    { $set: { status: 'halted', haltReason: reason, haltedAt: now, updatedAt: now } },
+  );
+  return modifiedCount;
+};
+
+const applyLifecycle = async (db, firmware, operation, entry, extraFields = {}) => {
+  const to = resolveLifecycleTarget(firmware, operation);
+  const now = new Date();
+  const record = { operation, fromStatus: firmware.status || 'active', toStatus: to, ...entry, at: now };
+
+  // Guard on the observed status so concurrent operations cannot both apply
+  const result = await db.collection('firmwares').updateOne(
+    { version: firmware.version, status: firmware.status ?? null },
+    { $set: { status: to, [`${to}At`]: now, ...extraFields }, $push: { lifecycle: record } },
+  );
+  if (result.modifiedCount === 0) {
+    throw new AppError('Firmware status changed concurrently, retry the operation', 409);
+  }
+  return record;
+};
+
+/**
+ * Deprecate a firmware version: it can no longer be assigned.
+ * @param {string} version
+ * @param {Object} options - { reason?, by? }
+ */
+export const deprecateFirmware = async (version, { reason, by } = {}) => {
+  try {
+    const db = await getDb();
+    const firmware = await loadFirmware(db, version);
+    const record = await applyLifecycle(db, firmware, 'deprecate', {
+      reason: reason ? String(reason) : null,
+      by: by || 'admin',
+    });
+    const campaignsHalted = await haltCampaignsForVersion(db, version, `Firmware ${version} deprecated`);
+    return { version, ...record, campaignsHalted };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to deprecate firmware: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Revoke a firmware version: cancel outstanding assignments and flag devices
+ * that already run it.
+ * @param {string} version
+ * @param {Object} options - { reason (required), by? }
+ * @returns {Object} { version, cancelled, flagged, inProgress, campaignsHalted, ... }
+ */
+export const revokeFirmware = async (version, { reason, by } = {}) => {
+  try {
+    if (!reason || typeof reason !== 'string' || reason.trim().length === 0) {
+      throw new AppError('reason is required to revoke firmware', 400);
+    }
+    const revokeReason = reason.trim();
+
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+    const firmware = await loadFirmware(db, version);
+    const record = await applyLifecycle(db, firmware, 'revoke', { reason: revokeReason, by: by || 'admin' });
+    const now = new Date();
+
+    // Cancel outstanding assignments
+    const outstanding = await devicesCollection
+      .find({ 'firmware.desiredVersion': version, 'firmware.status': { $in: [...getStatesAccepting('cancel'), 'updating'] } })
+      .toArray();
+
+    const cancelled = [];
+    const inProgress = [];
+    for (const device of outstanding) {
+      const status = device.firmware.status;
+      if (!canTransition(status, 'cancel', 'cancelled')) {
+        inProgress.push(device.deviceId);
+        continue;
+      }
+      const updateResult = await devicesCollection.updateOne(
+        { deviceId: device.deviceId, 'firmware.status': status, 'firmware.desiredVersion': version },
+        {
+          $set: {
+            ...buildTransitionFields('cancelled', now),
+            'firmware.desiredVersion': null,
+            'firmware.schedule': null,
+            updatedAt: now,
+          },
+        },
+      );
+      if (updateResult.modifiedCount === 0) continue;
+
+      await logOTAEvent({
+        deviceId: device.deviceId,
+        firmwareVersion: version,
+        action: 'cancel',
+        source: 'admin',
+        reason: `Firmware revoked: ${revokeReason}`,
+        metadata: { previousStatus: status, revokedBy: record.by },
+      });
+      emitOTAProgress(device.deviceId, { action: 'cancel', status: 'cancelled', firmwareVersion: version });
+      cancelled.push(device.deviceId);
+    }
+
+    // Flag devices running the revoked version
+    const { modifiedCount: flagged } = await devicesCollection.updateMany(
+      { 'firmware.currentVersion': version },
+      { $set: { 'firmware.revokedFirmware': { version, reason: revokeReason, flaggedAt: now } } },
+    );
+
+    const campaignsHalted = await haltCampaignsForVersion(db, version, `Firmware ${version} revoked`);
+
+    return {
+      version,
+      ...record,
+      cancelled: cancelled.length,
+      cancelledDeviceIds: cancelled,
+      inProgress,
+      flagged,
+      campaignsHalted,
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to revoke firmware: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Remove a retired firmware image (and its deltas) from object storage.
+ * @param {string} version
+ * @param {Object} options - { by? }
+ * @throws {AppError} 409 while any device references the version
+ */
+export const purgeFirmware = async (version, { by } = {}) => {
+  try {
+    const db = await getDb();
+    const firmware = await loadFirmware(db, version);
+    resolveLifecycleTarget(firmware, 'purge');
+
+    const referencing = await db.collection('devices')
+      .find(
+        {
+          $or: [
+            { 'firmware.currentVersion': version },
+            { 'firmware.desiredVersion': version },
+            { 'firmware.lastKnownGoodVersion': version },
+          ],
+        },
+        { projection: { deviceId: 1, firmware: 1 } },
+      )
+      .limit(20)
+      .toArray();
+    if (referencing.length > 0) {
+      const sample = referencing.slice(0, 5)
+        .map((d) => `${d.deviceId} (${getFirmwareReferences(d, version).join(', ')})`)
+        .join('; ');
+      throw new AppError(`Firmware ${version} is still referenced by devices: ${sample}`, 409);
+    }
+
+    const client = getMinioClient();
+    const removed = [];
+    const location = resolveFirmwareObject(firmware);
+    if (location) {
+      await client.removeObject(location.bucket, location.objectName);
+      removed.push(`${location.bucket}/${location.objectName}`);
+    }
+    for (const delta of firmware.deltas || []) {
+      if (delta.storage?.bucket && delta.storage.objectKey) {
+        await client.removeObject(delta.storage.bucket, delta.storage.objectKey);
+        removed.push(`${delta.storage.bucket}/${delta.storage.objectKey}`);
+      }
+    }
+
+    const record = await applyLifecycle(db, firmware, 'purge', { by: by || 'admin', removedObjects: removed }, { deltas: [] });
+    return { version, ...record };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to purge firmware: ${error.message}`, 500);
+  }
+};
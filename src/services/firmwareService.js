@@ -3,9 +3,52 @@ import { getMinioClient, ensureBucketExists } from '../clients/minio.js';
 import { getDb } from '../clients/mongodb.js';
 import { config } from '../config/index.js';
 import { AppError } from '../utils/errors.js';
+import { sortByVersionDesc } from '../utils/semver.js';
+import { verifyFirmwareSignature, computeChecksum } from './firmwareSigningService.js';
+import { generateDeltasForFirmware } from './firmwareDeltaService.js';
+import { validateChannel, buildChannelFilter, getFirmwareChannel } from './firmwareChannelService.js';
+import { normalizeCompatibility } from './firmwareCompatibilityService.js';
+import { assignOTAToDevice } from './otaService.js';
 
-export const uploadFirmware = async (file, metadata = {}) => {
+export const FIRMWARE_CRITICALITIES = ['low', 'normal', 'high', 'critical'];
+
+export const validateCriticality = (criticality) => {
+  if (!FIRMWARE_CRITICALITIES.includes(criticality)) {
+    throw new AppError(`criticality must be one of: ${FIRMWARE_CRITICALITIES.join(', ')}`, 400);
+  }
+  return criticality;
+};
+
+const formatDeltas = (deltas) => (deltas || []).map((d) => ({
+  fromVersion: d.fromVersion,
+  size: d.size,
+  checksum: d.checksum,
+  createdAt: d.createdAt,
+}));
+
+/**
+ * Upload a firmware image.
+ * The detached signature is verified against a trusted key before anything is
+ * stored; unsigned uploads are only accepted when signing is not required.
+ * @param {Object} file - Multer file (buffer, size, originalname, mimetype)
+ * @param {Object} metadata - Upload metadata (stored on the object and record)
+ * @param {Object} signing - { signature: base64|hex string, keyId }
+ * @param {Object} [options] - { channel, compatibility, criticality } release channel (default
+ *   config.ota.channels.uploadChannel), compatibility rules (see firmwareCompatibilityService.js)
+ *   and criticality referenced by OTA policy rules (default "normal")
+ */
+export const uploadFirmware = async (file, metadata = {}, signing = {}, options = {}) => {
   try {
+    const channel = validateChannel(options.channel || config.ota.channels.uploadChannel);
+    const compatibility = options.compatibility ? normalizeCompatibility(options.compatibility) : null;
+    const criticality = validateCriticality(options.criticality || 'normal');
+    const { signature, keyId } = signing;
+    let signatureRecord = null;
+    if (signature || keyId || config.firmwareSigning.required) {
+      signatureRecord = await verifyFirmwareSignature({ buffer: file.buffer, signature, keyId });
+    }
+    const checksum = computeChecksum(file.buffer);
+
     await ensureBucketExists();
     const client = getMinioClient();
     
@@ -36,8 +79,13 @@ export const uploadFirmware = async (file, metadata = {}) => {
       fileName,
       size: file.size,
       url,
+      checksum,
+      signature: signatureRecord,
       createdAt: new Date(),
       status: 'active',
+      channel,
+      criticality,
+      ...(compatibility ? { compatibility } : {}),
       metadata: {
         ...metadata,
         originalName: file.originalname,
@@ -47,14 +95,33 @@ export const uploadFirmware = async (file, metadata = {}) => {
 
     await collection.insertOne(firmwareDoc);
 
+    // Deltas from the versions the fleet runs are generated in the background
+    if (config.ota.delta.enabled) {
+      generateDeltasForFirmware(version)
+        .then(({ generated }) => {
+          if (generated.length > 0) {
+            console.log(`[FIRMWARE_DELTA] ${version}: generated deltas from ${generated.map((d) => d.fromVersion).join(', ')}`);
+          }
+        })
+        .catch((error) => console.error(`[FIRMWARE_DELTA] ${version}: ${error.message}`));
+    }
+
     return {
       fileName,
       objectName,
       size: file.size,
       url,
       version,
+      checksum,
+      signature: signatureRecord,
+      channel,
+      criticality,
+      compatibility,
     };
   } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
     throw new AppError(`Failed to upload firmware: ${error.message}`, 500);
   }
 };
@@ -64,18 +131,20 @@ export const getFirmwareList = async (queryParams = {}) => {
     const db = await getDb();
     const collection = db.collection('firmwares');
     
-    const { limit = 100, skip = 0 } = queryParams;
+    const { limit = 100, skip = 0, channel } = queryParams;
+    const filter = channel ? buildChannelFilter(validateChannel(channel)) : {};
     
-    console.log('Query parameters:', { limit, skip });
+    console.log('Query parameters:', { limit, skip, channel });
     console.log('Database name:', db.databaseName);
     console.log('Collection name: firmwares');
     
-    const firmwareList = await collection
-      .find({})
-      .sort({ version: -1, createdAt: -1 })
-      .limit(limit)
-      .skip(skip)
+    // Versions are ordered by semver precedence (newest first), which MongoDB
+    // cannot do on a string field, so pagination is applied after sorting.
+    const allFirmware = await collection
+      .find(filter)
+      .sort({ createdAt: -1 })
       .toArray();
+    const firmwareList = sortByVersionDesc(allFirmware, (fw) => fw.version).slice(skip, skip + limit);
 
     console.log('Data from MongoDB:', firmwareList);
     console.log('Number of documents found:', firmwareList.length);
@@ -86,8 +155,13 @@ export const getFirmwareList = async (queryParams = {}) => {
       fileName: fw.fileName,
       size: fw.size,
       url: fw.url,
+      checksum: fw.checksum || null,
+      signature: fw.signature || null,
+      deltas: formatDeltas(fw.deltas),
       createdAt: fw.createdAt,
       status: fw.status || 'active',
+      channel: getFirmwareChannel(fw),
+      criticality: fw.criticality || 'normal',
       _id: undefined,
     }));
 
@@ -96,6 +170,9 @@ export const getFirmwareList = async (queryParams = {}) => {
 
     return mappedFirmwareList;
   } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
     throw new AppError(`Failed to get firmware list: ${error.message}`, 500);
   }
 };
@@ -117,8 +194,16 @@ export const getFirmwareByVersion = async (version) => {
       fileName: firmware.fileName,
       size: firmware.size,
       url: firmware.url,
+      checksum: firmware.checksum || null,
+      signature: firmware.signature || null,
+      deltas: formatDeltas(firmware.deltas),
       createdAt: firmware.createdAt,
       status: firmware.status || 'active',
+      channel: getFirmwareChannel(firmware),
+      channelUpdatedAt: firmware.channelUpdatedAt || null,
+      criticality: firmware.criticality || 'normal',
+      lifecycle: firmware.lifecycle || [],
+      compatibility: firmware.compatibility || null,
       metadata: firmware.metadata || {},
     };
   } catch (error) {
@@ -129,6 +214,15 @@ export const getFirmwareByVersion = async (version) => {
   }
 };
 
+/**
+ * Legacy single-device assignment (POST /api/firmware/assign), kept for
+ * compatibility: the assignment itself goes through assignOTAToDevice (guards,
+ * ota_events, realtime notification); the firmware_assignments row and the
+ * device's assignedFirmware/firmwareUrl fields are still written for old readers.
+ * @param {Object} assignmentData - { deviceId, firmwareVersion }
+ * @returns {Object} { id, deviceId, firmwareVersion, firmwareUrl, assignedAt, status }
+ *   - status is the resulting firmware.status ("assigned", "scheduled" or "pending")
+ */
 export const assignFirmware = async (assignmentData) => {
   try {
     const { deviceId, firmwareVersion } = assignmentData;
@@ -137,42 +231,25 @@ export const assignFirmware = async (assignmentData) => {
       throw new AppError('deviceId and firmwareVersion are required', 400);
     }
 
-    const db = await getDb();
-    const firmwareCollection = db.collection('firmwares');
-    const devicesCollection = db.collection('devices');
-
-    // Verify firmware exists
-    const firmware = await firmwareCollection.findOne({ version: firmwareVersion });
-    if (!firmware) {
-      throw new AppError('Firmware version not found', 404);
-    }
-
-    // Verify device exists
-    const device = await devicesCollection.findOne({ deviceId });
-    if (!device) {
-      throw new AppError('Device not found', 404);
-    }
+    const result = await assignOTAToDevice(String(deviceId), String(firmwareVersion));
 
-    // Create assignment record
+    const db = await getDb();
     const assignment = {
-      deviceId,
-      firmwareVersion,
-      firmwareUrl: firmware.url,
+      deviceId: result.deviceId,
+      firmwareVersion: result.firmwareVersion,
+      firmwareUrl: result.firmware.url,
       assignedAt: new Date(),
-      status: 'pending',
+      status: result.status,
     };
 
-    const assignmentsCollection = db.collection('firmware_assignments');
-    const result = await assignmentsCollection.insertOne(assignment);
-
-    // Update device's assigned firmware
-    await devicesCollection.updateOne(
-      { deviceId },
-      { $set: { assignedFirmware: firmwareVersion, firmwareUrl: firmware.url } }
+    const { insertedId } = await db.collection('firmware_assignments').insertOne(assignment);
+    await db.collection('devices').updateOne(
+      { deviceId: result.deviceId },
+      { $set: { assignedFirmware: result.firmwareVersion, firmwareUrl: result.firmware.url } }
     );
 
     return {
-      id: result.insertedId.toString(),
+      id: insertedId.toString(),
       ...assignment,
     };
   } catch (error) {
@@ -183,3 +260,25 @@ export const assignFirmware = async (assignmentData) => {
   }
 };
 
+/**
+ * Set the criticality of a firmware version (referenced by OTA policy rules).
+ * @returns {Object} { version, criticality, previousCriticality }
+ */
+export const setFirmwareCriticality = async (version, criticality) => {
+  try {
+    validateCriticality(criticality);
+    const db = await getDb();
+    const firmware = await db.collection('firmwares').findOne({ version }, { projection: { criticality: 1 } });
+    if (!firmware) {
+      throw new AppError('Firmware version not found', 404);
+    }
+
+    await db.collection('firmwares').updateOne({ version }, { $set: { criticality, criticalityUpdatedAt: new Date() } });
+    return { version, criticality, previousCriticality: firmware.criticality || 'normal' };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to set firmware criticality: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,210 @@
+// ============================================================================
+// FIRMWARE SIGNING SERVICE
+// ============================================================================
+// Verifies detached firmware signatures against a managed set of trusted
+// public keys (firmware_signing_keys collection).
+//
+// Supported algorithms:
+// - "ed25519"     : Ed25519 signature over the raw image bytes
+// - "ecdsa-p256"  : ECDSA P-256 / SHA-256 signature (DER) over the raw image bytes
+//
+// Keys are never deleted, only revoked, so historical firmware records keep a
+// resolvable keyId.
+// ============================================================================
+
+import crypto from 'crypto';
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+
+export const SIGNATURE_ALGORITHMS = ['ed25519', 'ecdsa-p256'];
+
+const KEY_ID_PATTERN = /^[A-Za-z0-9._-]{1,64}$/;
+
+const EXPECTED_KEY_TYPES = {
+  ed25519: (key) => key.asymmetricKeyType === 'ed25519',
+  'ecdsa-p256': (key) => key.asymmetricKeyType === 'ec' && key.asymmetricKeyDetails?.namedCurve === 'prime256v1',
+};
+
+/**
+ * Decode a detached signature given as a Buffer, base64 or hex string.
+ * @returns {Buffer|null}
+ */
+export const decodeSignature = (signature) => {
+  if (!signature) return null;
+  if (Buffer.isBuffer(signature)) {
+    // Signature files may contain base64 text instead of raw bytes
+    const text = signature.toString('utf-8').trim();
+    if (/^[A-Za-z0-9+/=\s]+$/.test(text) && text.length >= 64) {
+      return Buffer.from(text.replace(/\s+/g, ''), 'base64');
+    }
+    return signature;
+  }
+  if (typeof signature !== 'string') return null;
+
+  const value = signature.trim();
+  if (/^[0-9a-fA-F]+$/.test(value) && value.length % 2 === 0) {
+    return Buffer.from(value, 'hex');
+  }
+  return Buffer.from(value, 'base64');
+};
+
+/**
+ * Parse and validate a PEM public key for the given algorithm.
+ * @returns {crypto.KeyObject}
+ */
+export const parsePublicKey = (publicKeyPem, algorithm) => {
+  if (!SIGNATURE_ALGORITHMS.includes(algorithm)) {
+    throw new AppError(`algorithm must be one of: ${SIGNATURE_ALGORITHMS.join(', ')}`, 400);
+  }
+
+  let key;
+  try {
+    key = crypto.createPublicKey(publicKeyPem);
+  } catch (error) {
+    throw new AppError(`Invalid public key: ${error.message}`, 400);
+  }
+
+  if (!EXPECTED_KEY_TYPES[algorithm](key)) {
+    throw new AppError(`Public key type does not match algorithm "${algorithm}"`, 400);
+  }
+  return key;
+};
+
+/**
+ * Verify a detached signature (pure, no DB access).
+ * @returns {boolean}
+ */
+export const verifyDetachedSignature = ({ data, signature, publicKeyPem, algorithm }) => {
+  const key = parsePublicKey(publicKeyPem, algorithm);
+  const sig = decodeSignature(signature);
+  if (!sig || sig.length === 0) return false;
+
+  try {
+    const digest = algorithm === 'ed25519' ? null : 'sha256';
+    return crypto.verify(digest, data, key, sig);
+  } catch {
+    return false;
+  }
+};
+
+export const computeChecksum = (buffer) => `sha256:${crypto.createHash('sha256').update(buffer).digest('hex')}`;
+
+/**
+ * Verify a firmware image against a trusted key.
+ * @param {Object} params - { buffer, signature, keyId }
+ * @returns {Object} Signature record stored on the firmware document
+ * @throws {AppError} 400 when unsigned, unknown/revoked key, or bad signature
+ */
+export const verifyFirmwareSignature = async ({ buffer, signature, keyId }) => {
+  if (!signature || !keyId) {
+    throw new AppError('Firmware signature and keyId are required', 400);
+  }
+
+  const db = await getDb();
+  const key = await db.collection('firmware_signing_keys').findOne({ keyId: String(keyId) });
+  if (!key) {
+    throw new AppError(`Unknown signing key: ${keyId}`, 400);
+  }
+  if (key.status !== 'active') {
+    throw new AppError(`Signing key ${keyId} is ${key.status}`, 400);
+  }
+
+  const valid = verifyDetachedSignature({
+    data: buffer,
+    signature,
+    publicKeyPem: key.publicKey,
+    algorithm: key.algorithm,
+  });
+  if (!valid) {
+    throw new AppError('Firmware signature verification failed', 400);
+  }
+
+  return {
+    algorithm: key.algorithm,
+    keyId: key.keyId,
+    value: decodeSignature(signature).toString('base64'),
+    verifiedAt: new Date(),
+  };
+};
+
+const formatKey = (key) => ({
+  keyId: key.keyId,
+  algorithm: key.algorithm,
+  publicKey: key.publicKey,
+  status: key.status,
+  description: key.description || null,
+  createdAt: key.createdAt,
+  revokedAt: key.revokedAt || null,
+});
+
+export const getSigningKeys = async () => {
+  try {
+    const db = await getDb();
+    const keys = await db.collection('firmware_signing_keys').find({}).sort({ createdAt: -1 }).toArray();
+    return keys.map(formatKey);
+  } catch (error) {
+    throw new AppError(`Failed to get signing keys: ${error.message}`, 500);
+  }
+};
+
+export const addSigningKey = async ({ keyId, algorithm, publicKey, description }) => {
+  try {
+    if (!keyId || typeof keyId !== 'string' || !KEY_ID_PATTERN.test(keyId)) {
+      throw new AppError('keyId is required (letters, digits, ".", "_", "-", max 64 chars)', 400);
+    }
+    if (!publicKey || typeof publicKey !== 'string') {
+      throw new AppError('publicKey (PEM) is required', 400);
+    }
+
+    const keyObject = parsePublicKey(publicKey, algorithm);
+    const db = await getDb();
+    const collection = db.collection('firmware_signing_keys');
+
+    const existing = await collection.findOne({ keyId });
+    if (existing) {
+      throw new AppError(`Signing key ${keyId} already exists`, 409);
+    }
+
+    const doc = {
+      keyId,
+      algorithm,
+      publicKey: keyObject.export({ type: 'spki', format: 'pem' }).toString(),
+      status: 'active',
+      description: description ? String(description) : null,
+      createdAt: new Date(),
+    };
+    await collection.insertOne(doc);
+
+    return formatKey(doc);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to add signing key: ${error.message}`, 500);
+  }
+};
+
+export const revokeSigningKey = async (keyId) => {
+  try {
+    const db = await getDb();
+    const collection = db.collection('firmware_signing_keys');
+
+    const key = await collection.findOne({ keyId });
+    if (!key) {
+      throw new AppError('Signing key not found', 404);
+    }
+    if (key.status === 'revoked') {
+      return formatKey(key);
+    }
+
+    const revokedAt = new Date();
+    await collection.updateOne({ keyId }, { $set: { status: 'revoked', revokedAt } });
+
+    return formatKey({ ...key, status: 'revoked', revokedAt });
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to revoke signing key: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,356 @@
+// ============================================================================
+// MAINTENANCE WINDOW SERVICE
+// ============================================================================
+// Recurring windows during which devices may install OTA updates.
+//
+// A window is a cron start schedule + duration in a time zone, attached to
+// individual devices (deviceIds) and/or device groups (groups, matched
+// against device.groups). Devices without any window are unrestricted.
+//
+// State flow: an allowed assignment outside every window → "scheduled"
+// (firmware.schedule records why and when) → "assigned" when a window opens.
+// ============================================================================
+
+import { ObjectId } from 'mongodb';
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { parseCron, isValidTimeZone, findPreviousStart, findNextStart } from '../utils/cron.js';
+import { logOTAEvent } from './otaEventService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+
+export const MAX_WINDOW_DURATION_MINUTES = 24 * 60;
+
+const toWindowObjectId = (windowId) => {
+  if (!windowId || !ObjectId.isValid(String(windowId))) {
+    throw new AppError('Invalid maintenance window id', 400);
+  }
+  return new ObjectId(String(windowId));
+};
+
+const toStringList = (value, field) => {
+  if (value === undefined || value === null) return [];
+  if (!Array.isArray(value) || value.some((v) => typeof v !== 'string' || v.trim().length === 0)) {
+    throw new AppError(`${field} must be an array of non-empty strings`, 400);
+  }
+  return [...new Set(value.map((v) => v.trim()))];
+};
+
+/**
+ * Whether a window is open at `now` (pure).
+ * @returns {Object} { open: boolean, opensAt?: Date, closesAt?: Date }
+ */
+export const getWindowState = (window, now = new Date()) => {
+  const parsed = parseCron(window.schedule);
+  const durationMs = window.durationMinutes * 60 * 1000;
+
+  const start = findPreviousStart(parsed, window.timezone, now, window.durationMinutes);
+  if (start && now.getTime() < start.getTime() + durationMs) {
+    return { open: true, closesAt: new Date(start.getTime() + durationMs) };
+  }
+  return { open: false, opensAt: findNextStart(parsed, window.timezone, now) };
+};
+
+/**
+ * Decide whether an allowed assignment may be released now (pure).
+ * @param {Array<Object>} windows - Enabled windows that apply to the device
+ *   (a precomputed `state` from getWindowState is used when present)
+ * @returns {Object} { allowed: boolean, reason, nextWindowAt, windowIds }
+ */
+export const evaluateMaintenanceWindows = (windows, now = new Date()) => {
+  if (!windows || windows.length === 0) {
+    return { allowed: true, reason: null, nextWindowAt: null, windowIds: [] };
+  }
+
+  const windowIds = windows.map((w) => String(w._id ?? w.windowId));
+  let nextWindow = null;
+  for (const window of windows) {
+    const state = window.state ?? getWindowState(window, now);
+    if (state.open) {
+      return { allowed: true, reason: `Inside maintenance window "${window.name}"`, nextWindowAt: null, windowIds };
+    }
+    if (state.opensAt && (!nextWindow || state.opensAt < nextWindow.opensAt)) {
+      nextWindow = { name: window.name, timezone: window.timezone, opensAt: state.opensAt };
+    }
+  }
+
+  return {
+    allowed: false,
+    reason: nextWindow
+      ? `Outside maintenance window; next window "${nextWindow.name}" opens ${nextWindow.opensAt.toISOString()} (${nextWindow.timezone})`
+      : 'Outside maintenance window; no upcoming window found',
+    nextWindowAt: nextWindow ? nextWindow.opensAt : null,
+    windowIds,
+  };
+};
+
+export const windowAppliesToDevice = (window, device) => {
+  const groups = Array.isArray(device.groups) ? device.groups : [];
+  return (window.deviceIds || []).includes(device.deviceId) ||
+    (window.groups || []).some((g) => groups.includes(g));
+};
+
+const getWindowsForDevice = async (db, device) => {
+  const groups = Array.isArray(device.groups) ? device.groups : [];
+  return db.collection('maintenance_windows').find({
+    enabled: true,
+    $or: [{ deviceIds: device.deviceId }, ...(groups.length ? [{ groups: { $in: groups } }] : [])],
+  }).toArray();
+};
+
+/**
+ * Resolve the status an allowed assignment should get for a device.
+ * @returns {Object} { status: 'assigned'|'scheduled', schedule: Object|null }
+ */
+export const resolveAssignmentSchedule = async (device, now = new Date()) => {
+  const db = await getDb();
+  const windows = await getWindowsForDevice(db, device);
+  const evaluation = evaluateMaintenanceWindows(windows, now);
+  if (evaluation.allowed) {
+    return { status: 'assigned', schedule: null };
+  }
+  return {
+    status: 'scheduled',
+    schedule: {
+      reason: evaluation.reason,
+      nextWindowAt: evaluation.nextWindowAt,
+      windowIds: evaluation.windowIds,
+      scheduledAt: now,
+    },
+  };
+};
+
+// ============================================================================
+// CRUD
+// ============================================================================
+const formatWindow = (window) => ({
+  id: window._id.toString(),
+  name: window.name,
+  schedule: window.schedule,
+  durationMinutes: window.durationMinutes,
+  timezone: window.timezone,
+  deviceIds: window.deviceIds || [],
+  groups: window.groups || [],
+  enabled: window.enabled !== false,
+  createdBy: window.createdBy || null,
+  createdAt: window.createdAt,
+  updatedAt: window.updatedAt,
+});
+
+const validateWindowFields = (data, existing = null) => {
+  const merged = { ...(existing || {}), ...data };
+
+  if (!merged.name || typeof merged.name !== 'string') {
+    throw new AppError('name is required', 400);
+  }
+  try {
+    parseCron(merged.schedule);
+  } catch (error) {
+    throw new AppError(`schedule: ${error.message}`, 400);
+  }
+  const durationMinutes = Number(merged.durationMinutes);
+  if (!Number.isInteger(durationMinutes) || durationMinutes < 1 || durationMinutes > MAX_WINDOW_DURATION_MINUTES) {
+    throw new AppError(`durationMinutes must be an integer between 1 and ${MAX_WINDOW_DURATION_MINUTES}`, 400);
+  }
+  const timezone = merged.timezone || 'UTC';
+  if (!isValidTimeZone(timezone)) {
+    throw new AppError(`Unknown time zone: ${timezone}`, 400);
+  }
+  const deviceIds = toStringList(merged.deviceIds, 'deviceIds');
+  const groups = toStringList(merged.groups, 'groups');
+  if (deviceIds.length === 0 && groups.length === 0) {
+    throw new AppError('A maintenance window must target at least one device or group', 400);
+  }
+
+  return {
+    name: merged.name.trim(),
+    schedule: merged.schedule.trim(),
+    durationMinutes,
+    timezone,
+    deviceIds,
+    groups,
+    enabled: merged.enabled !== false,
+  };
+};
+
+export const createMaintenanceWindow = async (windowData = {}) => {
+  try {
+    const fields = validateWindowFields(windowData);
+    const now = new Date();
+    const window = {
+      _id: new ObjectId(),
+      ...fields,
+      createdBy: windowData.createdBy || 'admin',
+      createdAt: now,
+      updatedAt: now,
+    };
+
+    const db = await getDb();
+    await db.collection('maintenance_windows').insertOne(window);
+    return formatWindow(window);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to create maintenance window: ${error.message}`, 500);
+  }
+};
+
+export const getMaintenanceWindows = async ({ deviceId, group } = {}) => {
+  try {
+    const filter = {};
+    if (deviceId) filter.deviceIds = String(deviceId);
+    if (group) filter.groups = String(group);
+
+    const db = await getDb();
+    const windows = await db.collection('maintenance_windows').find(filter).sort({ createdAt: -1 }).toArray();
+    const now = new Date();
+    return windows.map((w) => ({ ...formatWindow(w), state: w.enabled === false ? null : getWindowState(w, now) }));
+  } catch (error) {
+    throw new AppError(`Failed to get maintenance windows: ${error.message}`, 500);
+  }
+};
+
+export const updateMaintenanceWindow = async (windowId, updates = {}) => {
+  try {
+    const _id = toWindowObjectId(windowId);
+    const db = await getDb();
+    const collection = db.collection('maintenance_windows');
+
+    const existing = await collection.findOne({ _id });
+    if (!existing) {
+      throw new AppError('Maintenance window not found', 404);
+    }
+
+    const allowed = ['name', 'schedule', 'durationMinutes', 'timezone', 'deviceIds', 'groups', 'enabled'];
+    const changes = Object.fromEntries(Object.entries(updates).filter(([key]) => allowed.includes(key)));
+    const fields = validateWindowFields(changes, existing);
+    const updated = { ...existing, ...fields, updatedAt: new Date() };
+
+    await collection.updateOne({ _id }, { $set: { ...fields, updatedAt: updated.updatedAt } });
+    return formatWindow(updated);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to update maintenance window: ${error.message}`, 500);
+  }
+};
+
+export const deleteMaintenanceWindow = async (windowId) => {
+  try {
+    const _id = toWindowObjectId(windowId);
+    const db = await getDb();
+    const result = await db.collection('maintenance_windows').deleteOne({ _id });
+    if (result.deletedCount === 0) {
+      throw new AppError('Maintenance window not found', 404);
+    }
+    return { id: String(windowId), deleted: true };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to delete maintenance window: ${error.message}`, 500);
+  }
+};
+
+// ============================================================================
+// RELEASE SCHEDULED ASSIGNMENTS
+// ============================================================================
+/**
+ * Move "scheduled" devices whose maintenance window is open to "assigned".
+ * Devices whose windows were all removed are released as well.
+ */
+export const releaseScheduledAssignments = async (now = new Date()) => {
+  const db = await getDb();
+  const devicesCollection = db.collection('devices');
+  const devices = await devicesCollection.find({ 'firmware.status': 'scheduled' }).toArray();
+  if (devices.length === 0) {
+    return { evaluated: 0, released: 0 };
+  }
+
+  // Window state is the same for every device, compute it once per run
+  const windows = (await db.collection('maintenance_windows').find({ enabled: true }).toArray())
+    .map((w) => ({ ...w, state: getWindowState(w, now) }));
+
+  let released = 0;
+  for (const device of devices) {
+    try {
+      const evaluation = evaluateMaintenanceWindows(windows.filter((w) => windowAppliesToDevice(w, device)), now);
+      if (!evaluation.allowed) {
+        if (String(device.firmware.schedule?.nextWindowAt) !== String(evaluation.nextWindowAt)) {
+          await devicesCollection.updateOne(
+            { deviceId: device.deviceId, 'firmware.status': 'scheduled' },
+            { $set: { 'firmware.schedule.reason': evaluation.reason, 'firmware.schedule.nextWindowAt': evaluation.nextWindowAt } },
+          );
+        }
+        continue;
+      }
+
+      const updateResult = await devicesCollection.updateOne(
+        { deviceId: device.deviceId, 'firmware.status': 'scheduled' },
+        {
+          $set: {
+            'firmware.status': 'assigned',
+            'firmware.assignedAt': now,
+            'firmware.schedule': null,
+            updatedAt: now,
+          },
+        },
+      );
+      if (updateResult.modifiedCount === 0) continue;
+
+      await logOTAEvent({
+        deviceId: device.deviceId,
+        firmwareVersion: device.firmware.desiredVersion,
+        action: 'release',
+        source: 'system',
+        reason: evaluation.reason || 'Maintenance window opened',
+        metadata: { windowIds: evaluation.windowIds, scheduledAt: device.firmware.schedule?.scheduledAt ?? null },
+      });
+      emitOTAProgress(device.deviceId, {
+        action: 'release',
+        status: 'assigned',
+        firmwareVersion: device.firmware.desiredVersion,
+      });
+      released++;
+    } catch (error) {
+      console.error(`[MAINTENANCE_WINDOW] Failed to release ${device.deviceId}: ${error.message}`);
+    }
+  }
+
+  return { evaluated: devices.length, released };
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+let maintenanceSchedulerTimer = null;
+let maintenanceReleaseRunning = false;
+
+export const startMaintenanceWindowScheduler = (intervalMs = config.ota.maintenanceWindowIntervalMs) => {
+  if (maintenanceSchedulerTimer) {
+    return;
+  }
+
+  maintenanceSchedulerTimer = setInterval(async () => {
+    if (maintenanceReleaseRunning) return;
+    maintenanceReleaseRunning = true;
+    try {
+      await releaseScheduledAssignments();
+    } catch (error) {
+      console.error(`[MAINTENANCE_WINDOW] Release failed: ${error.message}`);
+    } finally {
+      maintenanceReleaseRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`Maintenance window scheduler started (interval: ${intervalMs}ms)`);
+};
+
+export const stopMaintenanceWindowScheduler = () => {
+  if (maintenanceSchedulerTimer) {
+    clearInterval(maintenanceSchedulerTimer);
+    maintenanceSchedulerTimer = null;
+  }
+};
@@ -0,0 +1,291 @@
+// ============================================================================
+// OTA SUCCESS / FAILURE ANALYTICS
+// ============================================================================
+// Install outcomes per firmware version and device model, computed from
+// ota_events (devices only supply the model).
+//
+// Events are grouped per (device, firmwareVersion):
+// - outcome: "success" when the group contains a success event, "failed" when
+//   its last terminal event is fail/timeout, otherwise "in_progress"
+// - retries: fail/timeout events the device recovered from (followed by more
+//   events for the same version)
+// - time to install: last assign/rollback before the success → success
+//
+// Failure reasons (fail events carry the device's failureReason) are grouped
+// into normalized categories so a bad release stands out even when devices
+// word the same problem differently. A version/model whose success rate is
+// below minSuccessRate (default: the rollout campaign threshold) over at least
+// minAttempts finished installs is flagged as suspect.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+import { compareVersions, sortByVersionDesc } from '../utils/semver.js';
+import { DEFAULT_MIN_SUCCESS_RATE } from './otaCampaignService.js';
+
+export const FAILURE_CATEGORIES = ['download', 'checksum', 'flash', 'boot', 'power', 'timeout', 'other', 'unspecified'];
+
+// First match wins: an integrity error seen while downloading is "checksum",
+// a reboot caused by power loss is "power"
+const FAILURE_PATTERNS = [
+  ['checksum', /checksum|sha-?\d+|hash|digest|crc|signature|integrity|corrupt/],
+  ['power', /power|battery|brown-?out|voltage|low bat|shut ?down/],
+  ['flash', /flash|write|erase|partition|storage|no space|disk full|eeprom|nand|mtd|read-only/],
+  ['boot', /boot|kernel|panic|watchdog|crash|no heartbeat|did not start|failed to start|rollback by device/],
+  ['download', /download|http|network|connect|dns|tls|ssl|socket|unreachable|timed? ?out|econn|etimedout|\b40[34]\b|\b410\b|\b5\d\d\b/],
+];
+
+const TERMINAL_FAILURE_ACTIONS = ['fail', 'timeout'];
+const ATTEMPT_START_ACTIONS = ['assign', 'rollback'];
+const ANALYTICS_ACTIONS = ['assign', 'rollback', 'download', 'update', 'success', 'fail', 'timeout', 'regression'];
+const TOP_REASONS = 5;
+const DEFAULT_WINDOW_DAYS = 30;
+const DEFAULT_MIN_ATTEMPTS = 5;
+
+/**
+ * Normalize free-text failure reasons so variants group together (pure):
+ * lowercase, numbers and hex ids replaced, whitespace collapsed.
+ */
+export const normalizeFailureReason = (reason) => {
+  if (!reason || typeof reason !== 'string') return null;
+  const normalized = reason
+    .toLowerCase()
+    .replace(/0x[0-9a-f]+|\b[0-9a-f]{8,}\b/g, '<id>')
+    .replace(/\d+(\.\d+)*/g, '<n>')
+    .replace(/\s+/g, ' ')
+    .trim();
+  return normalized || null;
+};
+
+/**
+ * Failure category of a fail/timeout event (pure). Patterns see the raw reason
+ * (lowercased): normalization would hide codes such as "sha256" or "503".
+ * @returns {string} One of FAILURE_CATEGORIES
+ */
+export const categorizeFailure = (event) => {
+  if (event.action === 'timeout') return 'timeout';
+  const raw = event.reason || event.metadata?.failureReason;
+  if (!normalizeFailureReason(raw)) return 'unspecified';
+  const reason = raw.toLowerCase().replace(/\s+/g, ' ');
+  const match = FAILURE_PATTERNS.find(([, pattern]) => pattern.test(reason));
+  return match ? match[0] : 'other';
+};
+
+const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : Math.round((sorted[mid - 1] + sorted[mid]) / 2);
+};
+
+const rate = (count, total) => (total > 0 ? Math.round((count / total) * 1000) / 1000 : null);
+
+/**
+ * Reduce one device's events for one version (sorted ascending) to its install attempt (pure).
+ * @returns {Object} { outcome, retries, failedBeforeSuccess, timeToInstallMs, failures: [event], regressions }
+ */
+export const summarizeDeviceAttempt = (events) => {
+  let outcome = 'in_progress';
+  let retries = 0;
+  let failures = 0;
+  let regressions = 0;
+  let startedAt = null;
+  let timeToInstallMs = null;
+  const failureEvents = [];
+
+  events.forEach((event, index) => {
+    const time = new Date(event.createdAt).getTime();
+    if (ATTEMPT_START_ACTIONS.includes(event.action)) {
+      startedAt = time;
+      if (outcome === 'failed') outcome = 'in_progress';
+    } else if (event.action === 'success') {
+      outcome = 'success';
+      if (startedAt !== null && timeToInstallMs === null) {
+        timeToInstallMs = time - startedAt;
+      }
+    } else if (TERMINAL_FAILURE_ACTIONS.includes(event.action)) {
+      failures += 1;
+      failureEvents.push(event);
+      if (index < events.length - 1) {
+        retries += 1;
+      }
+      if (outcome !== 'success') {
+        outcome = 'failed';
+      }
+    } else if (event.action === 'regression') {
+      regressions += 1;
+    } else if (outcome === 'failed') {
+      // Downloading/updating again after a failure: the retry is in flight
+      outcome = 'in_progress';
+    }
+  });
+
+  return {
+    outcome,
+    retries,
+    failedBeforeSuccess: outcome === 'success' && failures > 0,
+    timeToInstallMs,
+    failures: failureEvents,
+    regressions,
+  };
+};
+
+const emptyBucket = (key) => ({
+  ...key,
+  devices: 0,
+  succeeded: 0,
+  failed: 0,
+  inProgress: 0,
+  firstAttemptSucceeded: 0,
+  retries: 0,
+  regressions: 0,
+  installTimes: [],
+  failures: Object.fromEntries(FAILURE_CATEGORIES.map((c) => [c, 0])),
+  reasons: new Map(),
+});
+
+const addAttempt = (bucket, attempt) => {
+  bucket.devices += 1;
+  if (attempt.outcome === 'success') bucket.succeeded += 1;
+  if (attempt.outcome === 'failed') bucket.failed += 1;
+  if (attempt.outcome === 'in_progress') bucket.inProgress += 1;
+  if (attempt.outcome === 'success' && !attempt.failedBeforeSuccess) bucket.firstAttemptSucceeded += 1;
+  bucket.retries += attempt.retries;
+  bucket.regressions += attempt.regressions;
+  if (attempt.timeToInstallMs !== null) bucket.installTimes.push(attempt.timeToInstallMs);
+
+  for (const event of attempt.failures) {
+    const category = categorizeFailure(event);
+    bucket.failures[category] += 1;
+    const reason = normalizeFailureReason(event.reason || event.metadata?.failureReason);
+    if (reason && event.action === 'fail') {
+      const entry = bucket.reasons.get(reason) || { reason, category, count: 0 };
+      entry.count += 1;
+      bucket.reasons.set(reason, entry);
+    }
+  }
+};
+
+const finalizeBucket = ({ installTimes, reasons, ...bucket }, { minSuccessRate, minAttempts }) => {
+  const finished = bucket.succeeded + bucket.failed;
+  const successRate = rate(bucket.succeeded, finished);
+  return {
+    ...bucket,
+    successRate,
+    firstAttemptSuccessRate: rate(bucket.firstAttemptSucceeded, finished),
+    medianTimeToInstallMs: median(installTimes),
+    topFailureReasons: [...reasons.values()].sort((a, b) => b.count - a.count).slice(0, TOP_REASONS),
+    suspect: finished >= minAttempts && successRate < minSuccessRate,
+  };
+};
+
+/**
+ * Aggregate events into per-version, per-model and per-version/model outcome stats (pure).
+ * @param {Array<Object>} events - ota_events (any order)
+ * @param {Map<string, string>} models - deviceId → model
+ * @param {Object} [options] - { minSuccessRate, minAttempts }
+ * @returns {Object} { overall, byVersion, byModel, byVersionModel }
+ */
+export const buildOTAAnalytics = (events, models, { minSuccessRate = DEFAULT_MIN_SUCCESS_RATE, minAttempts = DEFAULT_MIN_ATTEMPTS } = {}) => {
+  const groups = new Map();
+  const sorted = events
+    .slice()
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+  for (const event of sorted) {
+    const key = `${event.deviceId}\u0000${event.firmwareVersion}`;
+    if (!groups.has(key)) groups.set(key, []);
+    groups.get(key).push(event);
+  }
+
+  const overall = emptyBucket({});
+  const byVersion = new Map();
+  const byModel = new Map();
+  const byVersionModel = new Map();
+  const bucketFor = (map, mapKey, key) => {
+    if (!map.has(mapKey)) map.set(mapKey, emptyBucket(key));
+    return map.get(mapKey);
+  };
+
+  for (const groupEvents of groups.values()) {
+    const { deviceId, firmwareVersion } = groupEvents[0];
+    const model = models.get(deviceId) || 'unknown';
+    const attempt = summarizeDeviceAttempt(groupEvents);
+
+    addAttempt(overall, attempt);
+    addAttempt(bucketFor(byVersion, firmwareVersion, { firmwareVersion }), attempt);
+    addAttempt(bucketFor(byModel, model, { model }), attempt);
+    addAttempt(bucketFor(byVersionModel, `${firmwareVersion}\u0000${model}`, { firmwareVersion, model }), attempt);
+  }
+
+  const options = { minSuccessRate, minAttempts };
+  const finalize = (buckets) => [...buckets.values()].map((bucket) => finalizeBucket(bucket, options));
+  const { suspect, ...overallStats } = finalizeBucket(overall, options);
+
+  return {
+    overall: overallStats,
+    byVersion: sortByVersionDesc(finalize(byVersion), (b) => b.firmwareVersion),
+    byModel: finalize(byModel).sort((a, b) => a.model.localeCompare(b.model)),
+    byVersionModel: finalize(byVersionModel)
+      .sort((a, b) => compareVersions(b.firmwareVersion, a.firmwareVersion) || a.model.localeCompare(b.model)),
+  };
+};
+
+const parseDate = (value, name) => {
+  if (!value) return null;
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * OTA outcome analytics over a time window.
+ * @param {Object} [params] - { from?, to? (default: last 30 days), firmwareVersion?, model?, minSuccessRate?, minAttempts? }
+ * @returns {Object} { window, thresholds, overall, byVersion, byModel, byVersionModel }
+ */
+export const getOTAAnalytics = async ({ from, to, firmwareVersion, model, minSuccessRate, minAttempts } = {}) => {
+  try {
+    const end = parseDate(to, 'to') || new Date();
+    const start = parseDate(from, 'from') || new Date(end.getTime() - DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (start >= end) {
+      throw new AppError('from must be before to', 400);
+    }
+
+    const successThreshold = minSuccessRate === undefined || minSuccessRate === null || minSuccessRate === ''
+      ? DEFAULT_MIN_SUCCESS_RATE
+      : Number(minSuccessRate);
+    if (!Number.isFinite(successThreshold) || successThreshold < 0 || successThreshold > 1) {
+      throw new AppError('minSuccessRate must be a number between 0 and 1', 400);
+    }
+    const attemptThreshold = Math.max(parseInt(minAttempts, 10) || DEFAULT_MIN_ATTEMPTS, 1);
+
+    const db = await getDb();
+    const deviceQuery = model ? { $or: [{ model }, { model: { $exists: false }, deviceType: model }] } : {};
+    const devices = await db.collection('devices')
+      .find(deviceQuery, { projection: { deviceId: 1, model: 1, deviceType: 1 } })
+      .toArray();
+    const models = new Map(devices.map((d) => [d.deviceId, d.model || d.deviceType || 'unknown']));
+
+    const eventQuery = {
+      action: { $in: ANALYTICS_ACTIONS },
+      createdAt: { $gte: start, $lte: end },
+      ...(firmwareVersion ? { firmwareVersion: String(firmwareVersion) } : {}),
+      ...(model ? { deviceId: { $in: [...models.keys()] } } : {}),
+    };
+    const events = await db.collection('ota_events')
+      .find(eventQuery, { projection: { deviceId: 1, firmwareVersion: 1, action: 1, reason: 1, metadata: 1, createdAt: 1 } })
+      .toArray();
+
+    return {
+      window: { from: start, to: end },
+      thresholds: { minSuccessRate: successThreshold, minAttempts: attemptThreshold },
+      ...buildOTAAnalytics(events, models, { minSuccessRate: successThreshold, minAttempts: attemptThreshold }),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get OTA analytics: ${error.message}`, 500);
+  }
+};
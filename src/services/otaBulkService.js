@@ -0,0 +1,225 @@
+// ============================================================================
+// BULK OTA OPERATIONS
+// ============================================================================
+// Operator actions on outstanding assignments of many devices at once,
+// selected by deviceIds, a device selector or a rollout campaign:
+//
+//   cancel  pending | scheduled | assigned | downloading | paused ──► idle
+//           (desiredVersion cleared)
+//   pause   pending | scheduled | assigned | downloading ──► paused
+//           (firmware.pausedFrom remembers where to resume)
+//   resume  paused ──► pausedFrom ("downloading" restarts from "assigned")
+//
+// Devices already "updating" are never touched and are reported back in
+// `inProgress`. Every change is logged to ota_events with source "admin".
+// For a campaign, only devices it assigned and that still target its version
+// are affected; cancel/pause first halt a running campaign so no new wave is
+// launched while devices are updated (its waves are re-read after the halt),
+// and resume continues a campaign halted by a bulk pause.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { AppError } from '../utils/errors.js';
+import { logOTAEvent } from './otaEventService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+import { resolveSelectorDeviceIds } from './deviceGroupService.js';
+import { canTransition, buildTransitionFields } from './otaStateMachineService.js';
+import { getCampaignById, haltCampaign, resumeCampaign } from './otaCampaignService.js';
+
+export const BULK_OPERATIONS = ['cancel', 'pause', 'resume'];
+
+const BULK_PAUSE_HALT_REASON = 'Paused by operator (bulk pause)';
+const BULK_CANCEL_HALT_REASON = 'Cancelled by operator (bulk cancel)';
+
+const resumeTarget = (pausedFrom) => {
+  if (pausedFrom === 'downloading') return 'assigned';
+  return ['pending', 'scheduled', 'assigned'].includes(pausedFrom) ? pausedFrom : 'pending';
+};
+
+/**
+ * Decide what a bulk operation does to one device (pure).
+ * @param {string} operation - "cancel" | "pause" | "resume"
+ * @param {Object} firmware - device.firmware
+ * @returns {Object} { apply: true, from, to } or { apply: false, from, inProgress, reason }
+ */
+export const planBulkOperation = (operation, firmware = {}) => {
+  const from = firmware?.status || 'idle';
+
+  if (from === 'updating') {
+    return { apply: false, from, inProgress: true, reason: 'Install already in progress' };
+  }
+
+  const to = {
+    cancel: 'idle',
+    pause: 'paused',
+    resume: resumeTarget(firmware?.pausedFrom),
+  }[operation];
+
+  if (!canTransition(from, operation, to)) {
+    return { apply: false, from, inProgress: false, reason: `Cannot ${operation} OTA when firmware.status is "${from}"` };
+  }
+  return { apply: true, from, to };
+};
+
+const buildOperationFields = (operation, plan, now) => {
+  const fields = { ...buildTransitionFields(plan.to, now), updatedAt: now };
+  if (operation === 'cancel') {
+    fields['firmware.desiredVersion'] = null;
+    fields['firmware.schedule'] = null;
+    fields['firmware.pausedFrom'] = null;
+  } else if (operation === 'pause') {
+    fields['firmware.pausedFrom'] = plan.from;
+  } else {
+    fields['firmware.pausedFrom'] = null;
+  }
+  return fields;
+};
+
+const getCampaignDeviceIds = (campaign) =>
+  [...new Set(campaign.waves.flatMap((wave) => wave.assignedDeviceIds || []))];
+
+const resolveBulkTargets = async ({ deviceIds, selector, campaignId }) => {
+  const given = [deviceIds, selector, campaignId].filter((v) => v !== undefined && v !== null);
+  if (given.length !== 1) {
+    throw new AppError('Provide exactly one of deviceIds, selector or campaignId', 400);
+  }
+
+  if (campaignId) {
+    const campaign = await getCampaignById(campaignId);
+    return { campaign, deviceIds: getCampaignDeviceIds(campaign) };
+  }
+
+  if (selector) {
+    const ids = await resolveSelectorDeviceIds(selector);
+    if (ids.length === 0) {
+      throw new AppError('selector matched no devices', 400);
+    }
+    return { campaign: null, deviceIds: ids };
+  }
+
+  if (!Array.isArray(deviceIds) || deviceIds.length === 0) {
+    throw new AppError('deviceIds array is required and must not be empty', 400);
+  }
+  return { campaign: null, deviceIds: [...new Set(deviceIds.map((id) => String(id).trim()))] };
+};
+
+// Halt a running campaign before its devices are touched
+// @returns {Object} The campaign as it is after the halt
+const haltCampaignForOperation = async (operation, campaign) => {
+  if ((operation === 'cancel' || operation === 'pause') && campaign.status === 'running') {
+    return haltCampaign(campaign.id, operation === 'pause' ? BULK_PAUSE_HALT_REASON : BULK_CANCEL_HALT_REASON);
+  }
+  return campaign;
+};
+
+const resumeCampaignForOperation = async (operation, campaign) => {
+  if (operation === 'resume' && campaign.status === 'halted' && campaign.haltReason === BULK_PAUSE_HALT_REASON) {
+    const resumed = await resumeCampaign(campaign.id);
+    return { id: campaign.id, status: resumed.status };
+  }
+  return { id: campaign.id, status: campaign.status };
+};
+
+/**
+ * Cancel, pause or resume the outstanding assignments of many devices.
+ * @param {Object} params - { operation, deviceIds? | selector? | campaignId?, reason?, by? }
+ * @returns {Object} { operation, total, applied, inProgress, skipped, notFound, campaign }
+ */
+export const runBulkOperation = async ({ operation, deviceIds, selector, campaignId, reason, by } = {}) => {
+  try {
+    if (!BULK_OPERATIONS.includes(operation)) {
+      throw new AppError(`operation must be one of: ${BULK_OPERATIONS.join(', ')}`, 400);
+    }
+    if (reason !== undefined && reason !== null && typeof reason !== 'string') {
+      throw new AppError('reason must be a string', 400);
+    }
+
+    let targets = await resolveBulkTargets({ deviceIds, selector, campaignId });
+    if (targets.campaign) {
+      // A wave launched before the halt is included in the re-read waves
+      const campaign = await haltCampaignForOperation(operation, targets.campaign);
+      targets = { campaign, deviceIds: getCampaignDeviceIds(campaign) };
+    }
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+
+    const devices = await devicesCollection.find({ deviceId: { $in: targets.deviceIds } }).toArray();
+    const byId = new Map(devices.map((device) => [device.deviceId, device]));
+
+    const operatorReason = reason?.trim() || null;
+    const now = new Date();
+    const result = {
+      operation,
+      total: targets.deviceIds.length,
+      applied: [],
+      inProgress: [],
+      skipped: [],
+      notFound: [],
+      campaign: null,
+    };
+
+    for (const deviceId of targets.deviceIds) {
+      const device = byId.get(deviceId);
+      if (!device) {
+        result.notFound.push(deviceId);
+        continue;
+      }
+
+      const firmwareVersion = device.firmware?.desiredVersion || null;
+      // A campaign device that was re-assigned since belongs to another rollout
+      if (targets.campaign && firmwareVersion !== targets.campaign.firmwareVersion) {
+        result.skipped.push({ deviceId, status: device.firmware?.status || 'idle', reason: `No longer targets ${targets.campaign.firmwareVersion}` });
+        continue;
+      }
+
+      const plan = planBulkOperation(operation, device.firmware);
+      if (!plan.apply) {
+        if (plan.inProgress) {
+          result.inProgress.push({ deviceId, status: plan.from, firmwareVersion });
+        } else {
+          result.skipped.push({ deviceId, status: plan.from, reason: plan.reason });
+        }
+        continue;
+      }
+
+      // Guard on the observed status/version so a concurrent report or assignment wins
+      const updateResult = await devicesCollection.updateOne(
+        { deviceId, 'firmware.status': plan.from, 'firmware.desiredVersion': firmwareVersion },
+        { $set: buildOperationFields(operation, plan, now) },
+      );
+      if (updateResult.modifiedCount === 0) {
+        result.skipped.push({ deviceId, status: plan.from, reason: 'Device changed during operation' });
+        continue;
+      }
+
+      if (firmwareVersion) {
+        await logOTAEvent({
+          deviceId,
+          firmwareVersion,
+          action: operation,
+          source: 'admin',
+          reason: operatorReason || `Bulk ${operation} by operator`,
+          metadata: {
+            previousStatus: plan.from,
+            status: plan.to,
+            by: by || 'admin',
+            ...(targets.campaign ? { campaignId: targets.campaign.id } : {}),
+          },
+        });
+      }
+      emitOTAProgress(deviceId, { action: operation, status: plan.to, firmwareVersion });
+      result.applied.push({ deviceId, from: plan.from, to: plan.to, firmwareVersion });
+    }
+
+    if (targets.campaign) {
+      result.campaign = await resumeCampaignForOperation(operation, targets.campaign);
+    }
+
+    return result;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to ${operation || 'run'} OTA assignments: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,725 @@
+// ============================================================================
+// OTA ROLLOUT CAMPAIGN SERVICE
+// ============================================================================
+// Staged rollout of one firmware version to a device selection.
+//
+// Architecture:
+// - Campaign state lives in ota_campaigns (one document per campaign)
+// - Wave membership is fixed at creation time (deterministic device order)
+// - Each wave is assigned through assignOTA (same guards as /api/ota/assign)
+// - Wave progress is read from ota_events (single source of truth for OTA timeline)
+// - A background evaluator advances waves or halts the campaign
+// ============================================================================
+
+import crypto from 'crypto';
+import { ObjectId } from 'mongodb';
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { assignOTA } from './otaService.js';
+import { findDevicesBySelector } from './deviceGroupService.js';
+
+export const DEFAULT_WAVE_PERCENTAGES = [1, 10, 50, 100];
+export const DEFAULT_MIN_SUCCESS_RATE = 0.9;
+export const DEFAULT_MAX_FAILURE_RATE = 0.1;
+
+const CAMPAIGN_STATUSES = ['draft', 'running', 'halted', 'completed'];
+
+const toRate = (value, fallback, name) => {
+  if (value === undefined || value === null) return fallback;
+  const rate = Number(value);
+  if (!Number.isFinite(rate) || rate < 0 || rate > 1) {
+    throw new AppError(`${name} must be a number between 0 and 1`, 400);
+  }
+  return rate;
+};
+
+const toCampaignObjectId = (campaignId) => {
+  if (!campaignId || !ObjectId.isValid(String(campaignId))) {
+    throw new AppError('Invalid campaign ID', 400);
+  }
+  return new ObjectId(String(campaignId));
+};
+
+/**
+ * Validate wave percentages: strictly increasing, within (0, 100], ending at 100.
+ * @param {Array<number>} percentages
+ * @returns {Array<number>}
+ */
+export const normalizeWavePercentages = (percentages = DEFAULT_WAVE_PERCENTAGES) => {
+  if (!Array.isArray(percentages) || percentages.length === 0) {
+    throw new AppError('waves must be a non-empty array of percentages', 400);
+  }
+
+  const normalized = percentages.map((p) => Number(p));
+  let previous = 0;
+  for (const p of normalized) {
+    if (!Number.isFinite(p) || p <= previous || p > 100) {
+      throw new AppError('waves must be strictly increasing percentages between 0 and 100', 400);
+    }
+    previous = p;
+  }
+
+  if (normalized[normalized.length - 1] !== 100) {
+    throw new AppError('The last wave must cover 100% of the selected devices', 400);
+  }
+
+  return normalized;
+};
+
+/**
+ * Order devices deterministically for a campaign so wave membership is stable
+ * and not biased by insertion order (e.g. oldest devices always first).
+ * @param {Array<string>} deviceIds
+ * @param {string} seed - Campaign ID
+ * @returns {Array<string>}
+ */
+export const orderCampaignDevices = (deviceIds, seed) => {
+  const hash = (deviceId) => crypto.createHash('sha256').update(`${seed}:${deviceId}`).digest('hex');
+  return [...new Set(deviceIds)]
+    .map((deviceId) => ({ deviceId, key: hash(deviceId) }))
+    .sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0))
+    .map(({ deviceId }) => deviceId);
+};
+
+/**
+ * Split an ordered device list into cumulative percentage waves.
+ * Every non-empty wave gets at least one device; empty waves are dropped.
+ * @param {Array<string>} orderedDeviceIds
+ * @param {Array<number>} percentages - Cumulative percentages, e.g. [1, 10, 50, 100]
+ * @returns {Array<{ percentage: number, deviceIds: Array<string> }>}
+ */
+export const buildWaves = (orderedDeviceIds, percentages) => {
+  const total = orderedDeviceIds.length;
+  const waves = [];
+  let offset = 0;
+
+  for (const percentage of percentages) {
+    const cumulative = Math.min(total, Math.max(1, Math.ceil((total * percentage) / 100)));
+    if (cumulative > offset) {
+      waves.push({
+        percentage,
+        deviceIds: orderedDeviceIds.slice(offset, cumulative),
+      });
+      offset = cumulative;
+    }
+  }
+
+  return waves;
+};
+
+const TERMINAL_EVENT_OUTCOMES = {
+  success: 'success',
+  verify: 'success',
+  fail: 'fail',
+  // A post-update regression found during probation counts as a failed update
+  regression: 'fail',
+  // A device stuck in an in-flight state past its timeout never finished the update
+  timeout: 'fail',
+  // Expired while pending, or cancelled (bulk cancel, revocation): the device left
+  // the wave without trying the firmware, so it is neither a success nor a failure
+  expire: 'withdrawn',
+  cancel: 'withdrawn',
+};
+
+/**
+ * Reduce ota_events into the latest terminal outcome per device.
+ * @param {Array<Object>} events - ota_events documents (any order)
+ * @returns {Map<string, 'success'|'fail'|'withdrawn'>}
+ */
+export const computeDeviceOutcomes = (events) => {
+  const outcomes = new Map();
+  const sorted = events
+    .filter((e) => e && TERMINAL_EVENT_OUTCOMES[e.action])
+    .slice()
+    .sort((a, b) => new Date(a.createdAt).getTime() - new Date(b.createdAt).getTime());
+
+  for (const event of sorted) {
+    outcomes.set(event.deviceId, TERMINAL_EVENT_OUTCOMES[event.action]);
+  }
+  return outcomes;
+};
+
+/**
+ * Decide what to do with the active wave.
+ * Rates are computed over devices that were actually assigned in the wave and
+ * did not leave it (withdrawnCount: expired or cancelled).
+ * @returns {Object} { action: 'advance'|'halt'|'wait', successRate, failureRate, ... }
+ */
+export const evaluateWaveProgress = ({
+  assignedCount,
+  successCount,
+  failedCount,
+  withdrawnCount = 0,
+  minSuccessRate = DEFAULT_MIN_SUCCESS_RATE,
+  maxFailureRate = DEFAULT_MAX_FAILURE_RATE,
+}) => {
+  if (!assignedCount) {
+    return { action: 'advance', successRate: null, failureRate: null, reason: 'No devices assigned in wave' };
+  }
+  const remaining = assignedCount - withdrawnCount;
+  if (remaining <= 0) {
+    return { action: 'advance', successRate: null, failureRate: null, reason: 'Every device of the wave expired or was cancelled' };
+  }
+
+  const successRate = successCount / remaining;
+  const failureRate = failedCount / remaining;
+  const rates = {
+    successRate: Number(successRate.toFixed(4)),
+    failureRate: Number(failureRate.toFixed(4)),
+  };
+
+  if (failureRate > maxFailureRate) {
+    return {
+      action: 'halt',
+      ...rates,
+      reason: `Failure rate ${(failureRate * 100).toFixed(1)}% exceeds ${(maxFailureRate * 100).toFixed(1)}%`,
+    };
+  }
+
+  if (successRate >= minSuccessRate) {
+    return { action: 'advance', ...rates, reason: null };
+  }
+
+  return { action: 'wait', ...rates, reason: null };
+};
+
+const resolveCampaignDevices = async (db, firmware, selector = {}) => {
+  const devicesCollection = db.collection('devices');
+
+  if (Array.isArray(selector.deviceIds) && selector.deviceIds.length > 0) {
+    return selector.deviceIds.map((id) => String(id).trim()).filter(Boolean);
+  }
+
+  const model = selector.model || firmware.deviceType || firmware.metadata?.deviceType;
+  if (!model) {
+    throw new AppError('selector.model is required when firmware deviceType is missing', 400);
+  }
+
+  // Other selector fields (tag, group, site, risk, version) narrow the model's fleet
+  const { deviceIds: _ignored, ...fields } = selector;
+  if (Object.keys(fields).some((key) => key !== 'model')) {
+    const devices = await findDevicesBySelector(
+      { ...fields, model },
+      { baseFilter: { 'firmware.currentVersion': { $ne: firmware.version } } },
+    );
+    return devices.map((d) => d.deviceId).filter(Boolean);
+  }
+
+  const devices = await devicesCollection
+    .find(
+      {
+        $or: [{ model }, { deviceType: model }],
+        'firmware.currentVersion': { $ne: firmware.version },
+      },
+      { projection: { deviceId: 1 } },
+    )
+    .toArray();
+
+  return devices.map((d) => d.deviceId).filter(Boolean);
+};
+
+const getWaveStats = async (db, campaign, wave) => {
+  const assignedDeviceIds = wave.assignedDeviceIds || [];
+  if (!wave.startedAt || assignedDeviceIds.length === 0) {
+    return {
+      assigned: assignedDeviceIds.length,
+      success: 0,
+      failed: 0,
+      withdrawn: 0,
+      inProgress: assignedDeviceIds.length,
+      outcomes: new Map(),
+    };
+  }
+
+  const events = await db
+    .collection('ota_events')
+    .find({
+      deviceId: { $in: assignedDeviceIds },
+      firmwareVersion: campaign.firmwareVersion,
+      action: { $in: Object.keys(TERMINAL_EVENT_OUTCOMES) },
+      createdAt: { $gte: wave.startedAt },
+    })
+    .toArray();
+
+  const outcomes = computeDeviceOutcomes(events);
+  let success = 0;
+  let failed = 0;
+  let withdrawn = 0;
+  for (const outcome of outcomes.values()) {
+    if (outcome === 'success') success++;
+    else if (outcome === 'withdrawn') withdrawn++;
+    else failed++;
+  }
+
+  return {
+    assigned: assignedDeviceIds.length,
+    success,
+    failed,
+    withdrawn,
+    inProgress: assignedDeviceIds.length - success - failed - withdrawn,
+    outcomes,
+  };
+};
+
+const formatCampaign = (campaign) => ({
+  id: campaign._id.toString(),
+  ...campaign,
+  _id: undefined,
+});
+
+/**
+ * Create a rollout campaign (draft). Wave membership is computed immediately.
+ * @param {Object} campaignData - { name, firmwareVersion, selector, waves, minSuccessRate, maxFailureRate, createdBy }
+ */
+export const createCampaign = async (campaignData = {}) => {
+  try {
+    const { name, firmwareVersion, selector = {}, waves, createdBy } = campaignData;
+
+    if (!firmwareVersion || typeof firmwareVersion !== 'string') {
+      throw new AppError('firmwareVersion is required', 400);
+    }
+    if (selector && (typeof selector !== 'object' || Array.isArray(selector))) {
+      throw new AppError('selector must be an object', 400);
+    }
+
+    const percentages = normalizeWavePercentages(waves ?? DEFAULT_WAVE_PERCENTAGES);
+    const minSuccessRate = toRate(campaignData.minSuccessRate, DEFAULT_MIN_SUCCESS_RATE, 'minSuccessRate');
+    const maxFailureRate = toRate(campaignData.maxFailureRate, DEFAULT_MAX_FAILURE_RATE, 'maxFailureRate');
+
+    const db = await getDb();
+    const firmware = await db.collection('firmwares').findOne({ version: firmwareVersion });
+    if (!firmware) {
+      throw new AppError('Firmware version not found', 404);
+    }
+
+    const deviceIds = await resolveCampaignDevices(db, firmware, selector || {});
+    if (deviceIds.length === 0) {
+      throw new AppError('Campaign selector matched no devices', 400);
+    }
+
+    const campaignId = new ObjectId();
+    const ordered = orderCampaignDevices(deviceIds, campaignId.toString());
+    const now = new Date();
+
+    const campaign = {
+      _id: campaignId,
+      name: name ? String(name) : `Rollout ${firmwareVersion}`,
+      firmwareVersion,
+      selector: selector || {},
+      status: 'draft',
+      minSuccessRate,
+      maxFailureRate,
+      currentWave: null,
+      totalDevices: ordered.length,
+      waves: buildWaves(ordered, percentages).map((wave, index) => ({
+        index,
+        percentage: wave.percentage,
+        deviceIds: wave.deviceIds,
+        assignedDeviceIds: [],
+        rejected: [],
+        status: 'waiting',
+        startedAt: null,
+        completedAt: null,
+      })),
+      haltReason: null,
+      createdBy: createdBy || 'admin',
+      createdAt: now,
+      updatedAt: now,
+      startedAt: null,
+      completedAt: null,
+    };
+
+    await db.collection('ota_campaigns').insertOne(campaign);
+
+    return formatCampaign(campaign);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to create campaign: ${error.message}`, 500);
+  }
+};
+
+const launchWave = async (db, campaign, waveIndex) => {
+  const wave = campaign.waves[waveIndex];
+  const now = new Date();
+
+  const result = await assignOTA({
+    deviceIds: wave.deviceIds,
+    firmwareVersion: campaign.firmwareVersion,
+    campaignId: campaign._id.toString(),
+  });
+
+  const assignedDeviceIds = result.results.filter((r) => r.success).map((r) => r.deviceId);
+  const rejected = result.results
+    .filter((r) => !r.success)
+    .map((r) => ({ deviceId: r.deviceId, error: r.error }));
+
+  // status is left alone: a halt that lands while the wave is being assigned must stick
+  await db.collection('ota_campaigns').updateOne(
+    { _id: campaign._id },
+    {
+      $set: {
+        currentWave: waveIndex,
+        [`waves.${waveIndex}.status`]: 'in_progress',
+        [`waves.${waveIndex}.startedAt`]: now,
+        [`waves.${waveIndex}.assignedDeviceIds`]: assignedDeviceIds,
+        [`waves.${waveIndex}.rejected`]: rejected,
+        updatedAt: now,
+      },
+    },
+  );
+};
+
+/**
+ * Start a draft campaign by launching its first wave.
+ */
+export const startCampaign = async (campaignId) => {
+  try {
+    const _id = toCampaignObjectId(campaignId);
+    const db = await getDb();
+    const collection = db.collection('ota_campaigns');
+
+    // Claim the draft atomically so concurrent starts launch the first wave once
+    const now = new Date();
+    const campaign = await collection.findOneAndUpdate(
+      { _id, status: 'draft' },
+      { $set: { status: 'running', startedAt: now, updatedAt: now } },
+    );
+    if (!campaign) {
+      const existing = await collection.findOne({ _id }, { projection: { status: 1 } });
+      if (!existing) {
+        throw new AppError('Campaign not found', 404);
+      }
+      throw new AppError(`Campaign cannot be started from status "${existing.status}"`, 409);
+    }
+
+    try {
+      await launchWave(db, campaign, 0);
+    } catch (error) {
+      // Nothing was launched: hand the campaign back as a draft
+      await collection.updateOne(
+        { _id, status: 'running', currentWave: null },
+        { $set: { status: 'draft', startedAt: null, updatedAt: new Date() } },
+      );
+      throw error;
+    }
+
+    return getCampaignById(campaignId);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to start campaign: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Halt a running campaign. Devices already assigned keep their assignment.
+ */
+export const haltCampaign = async (campaignId, reason = null) => {
+  try {
+    const _id = toCampaignObjectId(campaignId);
+    const db = await getDb();
+    const collection = db.collection('ota_campaigns');
+
+    const campaign = await collection.findOne({ _id });
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+    if (campaign.status !== 'running') {
+      throw new AppError(`Campaign cannot be halted from status "${campaign.status}"`, 409);
+    }
+
+    await collection.updateOne(
+      { _id, status: 'running' },
+      {
+        $set: {
+          status: 'halted',
+          haltReason: reason || 'Halted by operator',
+          haltedAt: new Date(),
+          updatedAt: new Date(),
+        },
+      },
+    );
+
+    return getCampaignById(campaignId);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to halt campaign: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Resume a halted campaign. The current wave is re-evaluated on the next tick.
+ */
+export const resumeCampaign = async (campaignId) => {
+  try {
+    const _id = toCampaignObjectId(campaignId);
+    const db = await getDb();
+    const collection = db.collection('ota_campaigns');
+
+    const campaign = await collection.findOne({ _id });
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+    if (campaign.status !== 'halted') {
+      throw new AppError(`Campaign cannot be resumed from status "${campaign.status}"`, 409);
+    }
+
+    await collection.updateOne(
+      { _id, status: 'halted' },
+      {
+        $set: { status: 'running', haltReason: null, updatedAt: new Date() },
+        $unset: { haltedAt: '' },
+      },
+    );
+
+    return getCampaignById(campaignId);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to resume campaign: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Evaluate the active wave of a running campaign and advance/halt/complete it.
+ * @returns {Object} Evaluation result for the active wave
+ */
+export const evaluateCampaign = async (campaignId) => {
+  const _id = toCampaignObjectId(campaignId);
+  const db = await getDb();
+  const collection = db.collection('ota_campaigns');
+
+  const campaign = await collection.findOne({ _id });
+  if (!campaign || campaign.status !== 'running' || campaign.currentWave === null) {
+    return { action: 'skip' };
+  }
+
+  const waveIndex = campaign.currentWave;
+  const wave = campaign.waves[waveIndex];
+  const stats = await getWaveStats(db, campaign, wave);
+  const evaluation = evaluateWaveProgress({
+    assignedCount: stats.assigned,
+    successCount: stats.success,
+    failedCount: stats.failed,
+    withdrawnCount: stats.withdrawn,
+    minSuccessRate: campaign.minSuccessRate,
+    maxFailureRate: campaign.maxFailureRate,
+  });
+
+  const now = new Date();
+
+  if (evaluation.action === 'halt') {
+    await collection.updateOne(
+      { _id, status: 'running' },
+      {
+        $set: {
+          status: 'halted',
+          haltReason: `Wave ${waveIndex + 1}: ${evaluation.reason}`,
+          haltedAt: now,
+          updatedAt: now,
+        },
+      },
+    );
+    console.warn(`[OTA_CAMPAIGN] Campaign ${campaignId} halted at wave ${waveIndex + 1}: ${evaluation.reason}`);
+  } else if (evaluation.action === 'advance') {
+    const isLastWave = waveIndex >= campaign.waves.length - 1;
+    const updateResult = await collection.updateOne(
+      { _id, status: 'running', currentWave: waveIndex },
+      {
+        $set: {
+          [`waves.${waveIndex}.status`]: 'completed',
+          [`waves.${waveIndex}.completedAt`]: now,
+          ...(isLastWave ? { status: 'completed', completedAt: now } : {}),
+          updatedAt: now,
+        },
+      },
+    );
+    // Halted (or advanced by another evaluation) in the meantime: launch nothing
+    if (updateResult.modifiedCount === 0) {
+      return { action: 'skip', waveIndex };
+    }
+
+    if (!isLastWave) {
+      await launchWave(db, campaign, waveIndex + 1);
+    }
+  }
+
+  return { ...evaluation, waveIndex };
+};
+
+/**
+ * Evaluate every running campaign (used by the background scheduler).
+ */
+export const evaluateRunningCampaigns = async () => {
+  const db = await getDb();
+  const running = await db
+    .collection('ota_campaigns')
+    .find({ status: 'running' }, { projection: { _id: 1 } })
+    .toArray();
+
+  for (const { _id } of running) {
+    try {
+      await evaluateCampaign(_id.toString());
+    } catch (error) {
+      console.error(`[OTA_CAMPAIGN] Failed to evaluate campaign ${_id}: ${error.message}`);
+    }
+  }
+
+  return { evaluated: running.length };
+};
+
+export const getCampaigns = async (queryParams = {}) => {
+  try {
+    const { status, limit = 100 } = queryParams;
+    const filter = {};
+
+    if (status) {
+      if (!CAMPAIGN_STATUSES.includes(status)) {
+        throw new AppError(`status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`, 400);
+      }
+      filter.status = status;
+    }
+
+    const db = await getDb();
+    const campaigns = await db
+      .collection('ota_campaigns')
+      .find(filter, { projection: { 'waves.deviceIds': 0, 'waves.assignedDeviceIds': 0, 'waves.rejected': 0 } })
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    return campaigns.map(formatCampaign);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get campaigns: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Get a campaign with live per-wave progress computed from ota_events.
+ */
+export const getCampaignById = async (campaignId) => {
+  try {
+    const _id = toCampaignObjectId(campaignId);
+    const db = await getDb();
+
+    const campaign = await db.collection('ota_campaigns').findOne({ _id });
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    const waves = [];
+    for (const wave of campaign.waves) {
+      const { outcomes, ...stats } = await getWaveStats(db, campaign, wave);
+      waves.push({
+        ...wave,
+        progress: stats,
+      });
+    }
+
+    return formatCampaign({ ...campaign, waves });
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get campaign: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Get per-device membership and outcome for a single wave.
+ */
+export const getCampaignWave = async (campaignId, waveIndex) => {
+  try {
+    const _id = toCampaignObjectId(campaignId);
+    const index = parseInt(waveIndex, 10);
+    const db = await getDb();
+
+    const campaign = await db.collection('ota_campaigns').findOne({ _id });
+    if (!campaign) {
+      throw new AppError('Campaign not found', 404);
+    }
+
+    const wave = Number.isInteger(index) ? campaign.waves[index] : undefined;
+    if (!wave) {
+      throw new AppError('Wave not found', 404);
+    }
+
+    const { outcomes, ...stats } = await getWaveStats(db, campaign, wave);
+    const assigned = new Set(wave.assignedDeviceIds || []);
+    const rejected = new Map((wave.rejected || []).map((r) => [r.deviceId, r.error]));
+
+    const devices = wave.deviceIds.map((deviceId) => {
+      let state = 'waiting';
+      if (rejected.has(deviceId)) state = 'rejected';
+      else if (outcomes.get(deviceId) === 'success') state = 'success';
+      else if (outcomes.get(deviceId) === 'fail') state = 'failed';
+      else if (assigned.has(deviceId)) state = 'in_progress';
+
+      return {
+        deviceId,
+        state,
+        error: rejected.get(deviceId) || null,
+      };
+    });
+
+    return {
+      campaignId: campaign._id.toString(),
+      index: wave.index,
+      percentage: wave.percentage,
+      status: wave.status,
+      startedAt: wave.startedAt,
+      completedAt: wave.completedAt,
+      progress: stats,
+      devices,
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get campaign wave: ${error.message}`, 500);
+  }
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+let campaignSchedulerTimer = null;
+let campaignEvaluationRunning = false;
+
+export const startCampaignScheduler = (intervalMs = config.ota.campaignEvaluationIntervalMs) => {
+  if (campaignSchedulerTimer) {
+    return;
+  }
+
+  campaignSchedulerTimer = setInterval(async () => {
+    // Skip the tick if the previous evaluation is still running
+    if (campaignEvaluationRunning) return;
+    campaignEvaluationRunning = true;
+    try {
+      await evaluateRunningCampaigns();
+    } catch (error) {
+      console.error(`[OTA_CAMPAIGN] Campaign evaluation failed: ${error.message}`);
+    } finally {
+      campaignEvaluationRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`OTA campaign scheduler started (interval: ${intervalMs}ms)`);
+};
+
+export const stopCampaignScheduler = () => {
+  if (campaignSchedulerTimer) {
+    clearInterval(campaignSchedulerTimer);
+    campaignSchedulerTimer = null;
+  }
+};
@@ -0,0 +1,311 @@
+// ============================================================================
+// OTA DOWNLOAD SERVICE
+// ============================================================================
+// Serves firmware images to devices through time-limited, server-signed URLs.
+//
+// - URLs are bound to one device and one assignment (desiredVersion +
+//   assignedAt) and expire after config.ota.manifestUrlTtlSeconds
+// - HTTP Range requests are supported so devices can resume after a drop
+// - A "from" parameter selects the delta from that version instead of the
+//   full image (see firmwareDeltaService.js)
+// - Every download is tracked in ota_downloads (one record per assignment
+//   and variant):
+//   startedAt, bytesServed (all transfers), bytesDelivered (highest offset
+//   reached), completedAt once the last byte has been served
+// ============================================================================
+
+import crypto from 'crypto';
+import { getDb } from '../clients/mongodb.js';
+import { getMinioClient } from '../clients/minio.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+
+// Assignment states in which a device may fetch its image
+export const ACTIVE_ASSIGNMENT_STATUSES = ['assigned', 'downloading', 'updating'];
+
+const toAssignmentId = (assignedAt) => {
+  const d = assignedAt ? new Date(assignedAt) : null;
+  return d && !Number.isNaN(d.getTime()) ? String(d.getTime()) : '0';
+};
+
+/**
+ * Resolve where a firmware image is stored.
+ * Uploaded images keep "/<bucket>/<objectName>" in url; imported images keep
+ * an explicit storage { bucket, objectKey }.
+ * @returns {Object|null} { bucket, objectName }
+ */
+export const resolveFirmwareObject = (firmware) => {
+  if (firmware?.storage?.bucket && firmware.storage.objectKey) {
+    return { bucket: firmware.storage.bucket, objectName: firmware.storage.objectKey };
+  }
+  if (typeof firmware?.url === 'string') {
+    const match = firmware.url.match(/^\/([^/]+)\/(.+)$/);
+    if (match) {
+      return { bucket: match[1], objectName: match[2] };
+    }
+  }
+  return null;
+};
+
+export const signDownload = ({ deviceId, version, assignment, expires, from = null, secret = config.ota.downloadUrlSecret }) =>
+  crypto
+    .createHmac('sha256', secret)
+    .update(`${deviceId}\n${version}\n${assignment}\n${expires}${from ? `\n${from}` : ''}`)
+    .digest('hex');
+
+/**
+ * Mint a presigned download URL for a device's current assignment.
+ * @param {Object} params
+ * @param {string} [params.fromVersion] - Base version, to download the delta instead of the full image
+ * @returns {Object} { url, expiresAt }
+ */
+export const buildDownloadUrl = ({
+  baseUrl = '',
+  device,
+  fromVersion = null,
+  ttlSeconds = config.ota.manifestUrlTtlSeconds,
+  now = new Date(),
+  secret = config.ota.downloadUrlSecret,
+}) => {
+  const version = device.firmware.desiredVersion;
+  const assignment = toAssignmentId(device.firmware.assignedAt);
+  const expires = Math.floor(now.getTime() / 1000) + ttlSeconds;
+  const signature = signDownload({ deviceId: device.deviceId, version, assignment, expires, from: fromVersion, secret });
+
+  const query = new URLSearchParams({
+    version,
+    assignment,
+    expires: String(expires),
+    ...(fromVersion ? { from: fromVersion } : {}),
+    signature,
+  });
+  return {
+    url: `${baseUrl}/api/devices/${encodeURIComponent(device.deviceId)}/ota/download?${query.toString()}`,
+    expiresAt: new Date(expires * 1000),
+  };
+};
+
+/**
+ * Validate presigned URL parameters.
+ * @returns {Object} { version, assignment, fromVersion }
+ * @throws {AppError} 403 when missing, tampered or expired
+ */
+export const verifyDownloadParams = ({ deviceId, query = {}, now = new Date(), secret = config.ota.downloadUrlSecret }) => {
+  const { version, assignment, expires, from, signature } = query;
+  if (!version || !assignment || !expires || !signature) {
+    throw new AppError('Download URL is missing signature parameters', 403);
+  }
+
+  const expected = signDownload({ deviceId, version, assignment, expires, from, secret });
+  const given = Buffer.from(String(signature), 'utf-8');
+  const wanted = Buffer.from(expected, 'utf-8');
+  if (given.length !== wanted.length || !crypto.timingSafeEqual(given, wanted)) {
+    throw new AppError('Invalid download signature', 403);
+  }
+
+  if (Number(expires) * 1000 < now.getTime()) {
+    throw new AppError('Download URL has expired', 403);
+  }
+
+  return { version: String(version), assignment: String(assignment), fromVersion: from ? String(from) : null };
+};
+
+/**
+ * Parse a single-range "Range: bytes=" header.
+ * @returns {Object|null} { start, end } (inclusive), or null to serve the whole object
+ * @throws {AppError} 416 when the range cannot be satisfied
+ */
+export const parseRangeHeader = (header, size) => {
+  if (!header) return null;
+
+  const match = /^bytes=(\d*)-(\d*)$/.exec(String(header).trim());
+  if (!match || (match[1] === '' && match[2] === '')) {
+    // Multi-range and malformed headers are ignored (RFC 7233 allows a full response)
+    return null;
+  }
+
+  let start;
+  let end;
+  if (match[1] === '') {
+    // Suffix range: last N bytes
+    const suffix = parseInt(match[2], 10);
+    start = Math.max(size - suffix, 0);
+    end = size - 1;
+  } else {
+    start = parseInt(match[1], 10);
+    end = match[2] === '' ? size - 1 : Math.min(parseInt(match[2], 10), size - 1);
+  }
+
+  if (start >= size || start > end) {
+    throw new AppError(`Range not satisfiable (size ${size})`, 416);
+  }
+  return { start, end };
+};
+
+/**
+ * Open a firmware download for a presigned request.
+ * @returns {Object} { stream, statusCode, headers, record: { deviceId, firmwareVersion, assignment, variant, start, size } }
+ */
+export const openFirmwareDownload = async ({ deviceId, query, rangeHeader }) => {
+  try {
+    const { version, assignment, fromVersion } = verifyDownloadParams({ deviceId, query });
+
+    const db = await getDb();
+    const device = await db.collection('devices').findOne({ deviceId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+
+    // The URL is only valid for the assignment it was minted for
+    const firmware = device.firmware || {};
+    if (
+      firmware.desiredVersion !== version ||
+      toAssignmentId(firmware.assignedAt) !== assignment ||
+      !ACTIVE_ASSIGNMENT_STATUSES.includes(firmware.status)
+    ) {
+      throw new AppError('Assignment for this download is no longer active', 410);
+    }
+
+    const firmwareDoc = await db.collection('firmwares').findOne({ version });
+    let artifact = firmwareDoc;
+    if (fromVersion) {
+      if (firmware.currentVersion !== fromVersion) {
+        throw new AppError(`Delta from ${fromVersion} does not match installed version ${firmware.currentVersion}`, 410);
+      }
+      artifact = (firmwareDoc?.deltas || []).find((d) => d.fromVersion === fromVersion) || null;
+    }
+    const location = resolveFirmwareObject(artifact);
+    if (!location) {
+      throw new AppError(`Firmware ${version} has no stored ${fromVersion ? `delta from ${fromVersion}` : 'image'}`, 404);
+    }
+    const variant = fromVersion ? `delta:${fromVersion}` : 'full';
+
+    const client = getMinioClient();
+    const stat = await client.statObject(location.bucket, location.objectName);
+    const size = stat.size;
+    const range = parseRangeHeader(rangeHeader, size);
+    const start = range ? range.start : 0;
+    const end = range ? range.end : size - 1;
+    const length = end - start + 1;
+
+    const stream = await client.getPartialObject(location.bucket, location.objectName, start, length);
+
+    const now = new Date();
+    await db.collection('ota_downloads').updateOne(
+      { deviceId, firmwareVersion: version, assignment, variant },
+      {
+        $setOnInsert: {
+          startedAt: now,
+          size,
+          bytesServed: 0,
+          bytesDelivered: 0,
+          completedAt: null,
+        },
+        $inc: { requests: 1 },
+        $set: { lastRequestAt: now },
+      },
+      { upsert: true },
+    );
+
+    const headers = {
+      'Content-Type': 'application/octet-stream',
+      'Content-Length': String(length),
+      'Accept-Ranges': 'bytes',
+      'Cache-Control': 'no-store',
+    };
+    if (artifact.checksum) {
+      headers['X-Firmware-Checksum'] = artifact.checksum;
+    }
+    if (range) {
+      headers['Content-Range'] = `bytes ${start}-${end}/${size}`;
+    }
+
+    return {
+      stream,
+      statusCode: range ? 206 : 200,
+      headers,
+      record: { deviceId, firmwareVersion: version, assignment, variant, start, size },
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to open firmware download: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Record bytes written for one transfer. Never throws.
+ */
+export const recordDownloadBytes = async ({ deviceId, firmwareVersion, assignment, variant, start, size }, bytes) => {
+  try {
+    const reached = start + bytes;
+    const now = new Date();
+    const update = {
+      $inc: { bytesServed: bytes },
+      $max: { bytesDelivered: reached },
+      $set: { lastRequestAt: now },
+    };
+
+    const db = await getDb();
+    const collection = db.collection('ota_downloads');
+    await collection.updateOne({ deviceId, firmwareVersion, assignment, variant }, update);
+    if (reached >= size) {
+      await collection.updateOne(
+        { deviceId, firmwareVersion, assignment, variant, completedAt: null },
+        { $set: { completedAt: now } },
+      );
+    }
+  } catch (error) {
+    console.error(`Failed to record firmware download for ${deviceId}: ${error.message}`);
+  }
+};
+
+const formatDownload = (record) => ({
+  firmwareVersion: record.firmwareVersion,
+  variant: record.variant || 'full',
+  assignedAt: record.assignment !== '0' ? new Date(Number(record.assignment)) : null,
+  size: record.size,
+  bytesServed: record.bytesServed || 0,
+  bytesDelivered: record.bytesDelivered || 0,
+  requests: record.requests || 0,
+  startedAt: record.startedAt,
+  completedAt: record.completedAt || null,
+  lastRequestAt: record.lastRequestAt || null,
+});
+
+/**
+ * Download record for a device's current assignment (completed variant first,
+ * then the most recent one).
+ * Returns null if the download never started or cannot be read (never throws).
+ */
+export const getAssignmentDownload = async (device) => {
+  try {
+    const db = await getDb();
+    const records = await db.collection('ota_downloads').find({
+      deviceId: device.deviceId,
+      firmwareVersion: device.firmware?.desiredVersion,
+      assignment: toAssignmentId(device.firmware?.assignedAt),
+    }).sort({ lastRequestAt: -1 }).toArray();
+    const record = records.find((r) => r.completedAt) || records[0];
+    return record ? formatDownload(record) : null;
+  } catch (error) {
+    console.error(`Failed to read firmware download for ${device.deviceId}: ${error.message}`);
+    return null;
+  }
+};
+
+export const getDeviceDownloads = async (deviceId, limit = 20) => {
+  try {
+    const db = await getDb();
+    const records = await db
+      .collection('ota_downloads')
+      .find({ deviceId })
+      .sort({ startedAt: -1 })
+      .limit(limit)
+      .toArray();
+    return records.map(formatDownload);
+  } catch (error) {
+    throw new AppError(`Failed to get firmware downloads: ${error.message}`, 500);
+  }
+};
@@ -17,7 +17,8 @@ import { AppError } from '../utils/errors.js';
  * @param {Object} eventData - Event data
  * @param {string} eventData.deviceId - Device ID
  * @param {string} eventData.firmwareVersion - Firmware version
- * @param {string} eventData.action - Action: "assign" | "download" | "update" | "success" | "fail" | "rollback"
+ * @param {string} eventData.action - Action: "assign" | "download" | "update" | "success" | "fail" | "rollback" | "verify" | "regression" | "release"
+ *   | "timeout" | "cancel" | "promote" | "expire" | "pause" | "resume"
  * @param {string} eventData.source - Source: "admin" | "device" | "system"
  * @param {string} [eventData.reason] - Optional reason
  * @param {Object} [eventData.metadata] - Optional metadata
@@ -30,7 +31,7 @@ export const logOTAEvent = async (eventData) => {
       throw new Error('deviceId, firmwareVersion, action, and source are required');
     }
 
-    const validActions = ['assign', 'download', 'update', 'success', 'fail', 'rollback'];
+    const validActions = ['assign', 'download', 'update', 'success', 'fail', 'rollback', 'verify', 'regression', 'release', 'timeout', 'cancel', 'promote', 'expire', 'pause', 'resume'];
     if (!validActions.includes(action)) {
       throw new Error(`Invalid action: ${action}. Must be one of: ${validActions.join(', ')}`);
     }
@@ -102,3 +103,78 @@ export const getOTAEvents = async (deviceId) => {
   }
 };
 
+
+const OVERRIDE_FILTERS = {
+  critical: { 'metadata.criticalOverride': { $exists: true } },
+  downgrade: { 'metadata.downgrade': { $exists: true } },
+};
+
+const parseAuditDate = (value, name) => {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime())) {
+    throw new AppError(`${name} must be a valid date`, 400);
+  }
+  return date;
+};
+
+/**
+ * Audit report of assignments that bypassed a guard: critical overrides of a
+ * policy delay and downgrade overrides, newest first.
+ * @param {Object} [filters] - { type?: "critical" | "downgrade", from?, to?, deviceId?, firmwareVersion?, limit? (default 100) }
+ * @returns {Object} { summary: { total, critical, downgrade }, events: Array }
+ */
+export const getOverrideEvents = async (filters = {}) => {
+  try {
+    const { type = null, deviceId = null, firmwareVersion = null } = filters;
+    if (type && !OVERRIDE_FILTERS[type]) {
+      throw new AppError(`type must be one of: ${Object.keys(OVERRIDE_FILTERS).join(', ')}`, 400);
+    }
+    const limit = Math.min(Math.max(parseInt(filters.limit, 10) || 100, 1), 1000);
+    const from = parseAuditDate(filters.from, 'from');
+    const to = parseAuditDate(filters.to, 'to');
+
+    const query = {
+      action: 'assign',
+      ...(type ? OVERRIDE_FILTERS[type] : { $or: Object.values(OVERRIDE_FILTERS) }),
+      ...(deviceId ? { deviceId: String(deviceId).trim() } : {}),
+      ...(firmwareVersion ? { firmwareVersion: String(firmwareVersion) } : {}),
+      ...(from || to ? { createdAt: { ...(from ? { $gte: from } : {}), ...(to ? { $lte: to } : {}) } } : {}),
+    };
+
+    const db = await getDb();
+    const events = await db.collection('ota_events')
+      .find(query)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .toArray();
+
+    const rows = events.map((event) => ({
+      deviceId: event.deviceId,
+      firmwareVersion: event.firmwareVersion,
+      type: event.metadata?.criticalOverride ? 'critical' : 'downgrade',
+      justification: (event.metadata?.criticalOverride || event.metadata?.downgrade)?.reason || null,
+      reason: event.reason,
+      policy: event.metadata?.policy || null,
+      criticalOverride: event.metadata?.criticalOverride || null,
+      downgrade: event.metadata?.downgrade || null,
+      createdAt: event.createdAt,
+    }));
+
+    return {
+      summary: {
+        total: rows.length,
+        critical: rows.filter((row) => row.criticalOverride).length,
+        downgrade: rows.filter((row) => row.downgrade).length,
+      },
+      events: rows,
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to get override events: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,123 @@
+// ============================================================================
+// OTA MANIFEST SERVICE
+// ============================================================================
+// Answers the device-side question "what should I install?".
+//
+// A manifest is only handed out while the device has an actionable
+// assignment (assigned / downloading / updating). "pending" means the OTA
+// decision delayed the update, so the device gets nothing until it is
+// promoted to "assigned".
+//
+// When a delta from the installed version exists, the manifest offers it
+// (updateType "delta") alongside the full image as a fallback.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { ACTIVE_ASSIGNMENT_STATUSES, buildDownloadUrl, resolveFirmwareObject } from './otaDownloadService.js';
+import { findDelta } from './firmwareDeltaService.js';
+
+/**
+ * Decide whether the device should be given a manifest.
+ * @returns {Object} { deliver: boolean, reason }
+ */
+export const shouldDeliverManifest = (device) => {
+  const firmware = device?.firmware || {};
+  const status = firmware.status || 'idle';
+
+  if (!firmware.desiredVersion) {
+    return { deliver: false, reason: 'No firmware assigned' };
+  }
+  if (status === 'pending') {
+    return { deliver: false, reason: 'OTA delayed by policy' };
+  }
+  if (!ACTIVE_ASSIGNMENT_STATUSES.includes(status)) {
+    return { deliver: false, reason: `Nothing to install (firmware.status "${status}")` };
+  }
+  return { deliver: true, reason: null };
+};
+
+/**
+ * Build the manifest returned to the device (pure).
+ * size / checksum / signature always describe the full image; the device
+ * verifies them after applying a delta.
+ * @param {Object} [params.delta] - { fromVersion, size, checksum, downloadUrl }
+ */
+export const buildOtaManifest = ({ device, firmware, downloadUrl, expiresAt, delta = null }) => ({
+  deviceId: device.deviceId,
+  version: firmware.version,
+  currentVersion: device.firmware?.currentVersion || null,
+  status: device.firmware.status,
+  updateType: delta ? 'delta' : 'full',
+  size: firmware.size ?? null,
+  checksum: firmware.checksum || null,
+  signature: firmware.signature
+    ? {
+        algorithm: firmware.signature.algorithm,
+        keyId: firmware.signature.keyId,
+        value: firmware.signature.value,
+      }
+    : null,
+  downloadUrl,
+  delta: delta
+    ? {
+        fromVersion: delta.fromVersion,
+        format: 'otad1',
+        size: delta.size,
+        checksum: delta.checksum,
+        downloadUrl: delta.downloadUrl,
+      }
+    : null,
+  expiresAt,
+  assignedAt: device.firmware.assignedAt || null,
+});
+
+/**
+ * Build the OTA manifest for an authenticated device.
+ * @param {Object} device - Device document (from authenticateDevice)
+ * @param {Object} [options] - { baseUrl } prefix for the download URL
+ * @returns {Object|null} Manifest, or null when there is nothing to do
+ */
+export const getDeviceOtaManifest = async (device, { baseUrl = config.server.publicBaseUrl } = {}) => {
+  try {
+    const db = await getDb();
+    const now = new Date();
+
+    // A manifest request is a check-in: it counts as a heartbeat
+    await db.collection('devices').updateOne(
+      { deviceId: device.deviceId },
+      { $set: { lastSeenAt: now } },
+    );
+
+    const decision = shouldDeliverManifest(device);
+    if (!decision.deliver) {
+      return null;
+    }
+
+    const firmware = await db.collection('firmwares').findOne({ version: device.firmware.desiredVersion });
+    if (!firmware) {
+      throw new AppError(`Assigned firmware ${device.firmware.desiredVersion} not found`, 404);
+    }
+
+    if (!resolveFirmwareObject(firmware)) {
+      throw new AppError(`Firmware ${firmware.version} has no stored image`, 404);
+    }
+
+    const { url, expiresAt } = buildDownloadUrl({ baseUrl, device, now });
+
+    let delta = null;
+    const deltaEntry = findDelta(firmware, device.firmware.currentVersion);
+    if (deltaEntry) {
+      const deltaUrl = buildDownloadUrl({ baseUrl, device, fromVersion: deltaEntry.fromVersion, now });
+      delta = { ...deltaEntry, downloadUrl: deltaUrl.url };
+    }
+
+    return buildOtaManifest({ device, firmware, downloadUrl: url, expiresAt, delta });
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to build OTA manifest: ${error.message}`, 500);
+  }
+};
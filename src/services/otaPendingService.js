@@ -0,0 +1,226 @@
+// ============================================================================
+// PENDING ASSIGNMENT PROMOTION
+// ============================================================================
+// An assignment the OTA policy delayed waits in "pending" (so does a retry).
+// Pending devices are re-evaluated after every anomaly inference and by a
+// periodic sweep: once the active policy allows the desired firmware (with the
+// default policy: risk_level "low") the device is promoted to "assigned", or
+// to "scheduled" outside its maintenance windows.
+//
+// A device still pending config.ota.pending.maxWaitMs after it entered the
+// state is moved to "expired"; a new assignment is needed to try again. So is
+// a device whose firmware was deprecated (or revoked) while it waited.
+//
+//   pending ──promote──► assigned | scheduled
+//   pending ──expire──► expired
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { logOTAEvent } from './otaEventService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+import { getStateEnteredAt, buildTransitionFields, canTransition } from './otaStateMachineService.js';
+import { getActivePolicy, decideAssignment } from './otaPolicyService.js';
+import { resolveAssignmentSchedule } from './maintenanceWindowService.js';
+import { isFirmwareAssignable } from './firmwareLifecycleService.js';
+
+/**
+ * Whether a pending assignment waited longer than maxWaitMs (pure).
+ * @returns {Object|null} { pendingSince, deadline } or null
+ */
+export const findExpiredPending = (firmware, now = new Date(), maxWaitMs = config.ota.pending.maxWaitMs) => {
+  if (firmware?.status !== 'pending' || !maxWaitMs || maxWaitMs <= 0) {
+    return null;
+  }
+  const pendingSince = getStateEnteredAt(firmware);
+  if (!pendingSince) return null;
+
+  const deadline = new Date(pendingSince.getTime() + maxWaitMs);
+  return now.getTime() >= deadline.getTime() ? { pendingSince, deadline } : null;
+};
+
+const formatWait = (ms) => (ms % 3600000 === 0 ? `${ms / 3600000} h` : `${Math.round(ms / 60000)} min`);
+
+const expirePendingDevice = async (devicesCollection, device, { reason, metadata }, now) => {
+  const firmwareVersion = device.firmware.desiredVersion || null;
+
+  // Guard on the observed status/version so a concurrent assignment wins
+  const updateResult = await devicesCollection.updateOne(
+    { deviceId: device.deviceId, 'firmware.status': 'pending', 'firmware.desiredVersion': firmwareVersion },
+    { $set: { ...buildTransitionFields('expired', now), 'firmware.schedule': null, updatedAt: now } },
+  );
+  if (updateResult.modifiedCount === 0) {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: 'Device changed during evaluation' };
+  }
+
+  await logOTAEvent({
+    deviceId: device.deviceId,
+    firmwareVersion,
+    action: 'expire',
+    source: 'system',
+    reason,
+    metadata,
+  });
+  emitOTAProgress(device.deviceId, { action: 'expire', status: 'expired', firmwareVersion });
+  return { deviceId: device.deviceId, outcome: 'expired', reason };
+};
+
+/**
+ * Re-evaluate one pending device: expire it, promote it or leave it waiting.
+ * @param {Object} device - Device document (firmware.status must be "pending")
+ * @param {Object} [options] - { policy? (defaults to the active policy), now? }
+ * @returns {Object} { deviceId, outcome: 'promoted'|'expired'|'waiting'|'skipped', status?, reason }
+ */
+export const evaluatePendingDevice = async (device, { policy = null, now = new Date() } = {}) => {
+  if (device.firmware?.status !== 'pending') {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: 'Device is not pending' };
+  }
+
+  const db = await getDb();
+  const devicesCollection = db.collection('devices');
+
+  const expired = findExpiredPending(device.firmware, now);
+  if (expired) {
+    return expirePendingDevice(devicesCollection, device, {
+      reason: `Still pending after ${formatWait(config.ota.pending.maxWaitMs)}`,
+      metadata: { pendingSince: expired.pendingSince, maxWaitMs: config.ota.pending.maxWaitMs },
+    }, now);
+  }
+
+  const firmwareVersion = device.firmware.desiredVersion;
+  const firmware = firmwareVersion ? await db.collection('firmwares').findOne({ version: firmwareVersion }) : null;
+  if (!firmware) {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: `Firmware ${firmwareVersion || '(none)'} not found` };
+  }
+
+  // Retired while the device waited: never promote it
+  if (!isFirmwareAssignable(firmware)) {
+    return expirePendingDevice(devicesCollection, device, {
+      reason: `Firmware ${firmwareVersion} was ${firmware.status} while pending`,
+      metadata: { pendingSince: getStateEnteredAt(device.firmware), firmwareStatus: firmware.status },
+    }, now);
+  }
+
+  const otaDecision = await decideAssignment({ device, firmware, policy });
+  if (otaDecision.action !== 'allow') {
+    return { deviceId: device.deviceId, outcome: 'waiting', reason: otaDecision.reason.join(', ') };
+  }
+
+  const maintenance = await resolveAssignmentSchedule(device, now);
+  if (!canTransition('pending', 'promote', maintenance.status)) {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: `Cannot promote to ${maintenance.status}` };
+  }
+
+  const updateResult = await devicesCollection.updateOne(
+    { deviceId: device.deviceId, 'firmware.status': 'pending', 'firmware.desiredVersion': firmwareVersion },
+    {
+      $set: {
+        ...buildTransitionFields(maintenance.status, now),
+        'firmware.assignedAt': now,
+        'firmware.schedule': maintenance.schedule,
+        updatedAt: now,
+      },
+    },
+  );
+  if (updateResult.modifiedCount === 0) {
+    return { deviceId: device.deviceId, outcome: 'skipped', reason: 'Device changed during evaluation' };
+  }
+
+  const reason = `OTA allowed: ${otaDecision.reason.join(', ')}`;
+  await logOTAEvent({
+    deviceId: device.deviceId,
+    firmwareVersion,
+    action: 'promote',
+    source: 'system',
+    reason: maintenance.schedule ? `${reason}; Scheduled: ${maintenance.schedule.reason}` : reason,
+    metadata: {
+      decision: otaDecision.action,
+      policy: otaDecision.policy,
+      pendingSince: getStateEnteredAt(device.firmware),
+      ...(maintenance.schedule ? { schedule: maintenance.schedule } : {}),
+    },
+  });
+  emitOTAProgress(device.deviceId, { action: 'promote', status: maintenance.status, firmwareVersion });
+  return { deviceId: device.deviceId, outcome: 'promoted', status: maintenance.status, reason };
+};
+
+/**
+ * Re-evaluate a pending device right after its anomaly state changed.
+ * Never throws: promotion must not fail the inference request.
+ * @returns {Object|null} Evaluation result, or null when the device is not pending
+ */
+export const promotePendingDevice = async (deviceId) => {
+  try {
+    const db = await getDb();
+    const device = await db.collection('devices').findOne({ deviceId: String(deviceId).trim() });
+    if (device?.firmware?.status !== 'pending') {
+      return null;
+    }
+    return await evaluatePendingDevice(device);
+  } catch (error) {
+    console.error(`[OTA_PENDING] Failed to evaluate ${deviceId}: ${error.message}`);
+    return null;
+  }
+};
+
+/**
+ * Re-evaluate every pending device against the active policy.
+ * @returns {Object} { evaluated, promoted, expired }
+ */
+export const sweepPendingAssignments = async (now = new Date()) => {
+  const db = await getDb();
+  const devices = await db.collection('devices').find({ 'firmware.status': 'pending' }).toArray();
+  if (devices.length === 0) {
+    return { evaluated: 0, promoted: 0, expired: 0 };
+  }
+
+  // Evaluated once so every device of this sweep sees the same policy version
+  const policy = await getActivePolicy();
+
+  let promoted = 0;
+  let expired = 0;
+  for (const device of devices) {
+    try {
+      const result = await evaluatePendingDevice(device, { policy, now });
+      if (result.outcome === 'promoted') promoted++;
+      if (result.outcome === 'expired') expired++;
+    } catch (error) {
+      console.error(`[OTA_PENDING] Failed to evaluate ${device.deviceId}: ${error.message}`);
+    }
+  }
+
+  return { evaluated: devices.length, promoted, expired };
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+let pendingSchedulerTimer = null;
+let pendingSweepRunning = false;
+
+export const startPendingPromotionScheduler = (intervalMs = config.ota.pending.evaluationIntervalMs) => {
+  if (pendingSchedulerTimer) {
+    return;
+  }
+
+  pendingSchedulerTimer = setInterval(async () => {
+    if (pendingSweepRunning) return;
+    pendingSweepRunning = true;
+    try {
+      await sweepPendingAssignments();
+    } catch (error) {
+      console.error(`[OTA_PENDING] Sweep failed: ${error.message}`);
+    } finally {
+      pendingSweepRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`OTA pending promotion scheduler started (interval: ${intervalMs}ms)`);
+};
+
+export const stopPendingPromotionScheduler = () => {
+  if (pendingSchedulerTimer) {
+    clearInterval(pendingSchedulerTimer);
+    pendingSchedulerTimer = null;
+  }
+};
@@ -0,0 +1,475 @@
+// ============================================================================
+// OTA POLICY SERVICE
+// ============================================================================
+// Stored, versioned OTA policies and the decision context they are evaluated
+// against (see src/policy/policyEngine.js for rule semantics).
+//
+// - ota_policies holds one document per version; exactly one is active.
+//   Without an active version the built-in DEFAULT_POLICY (version 0) applies,
+//   also when the policy store cannot be read.
+// - Context variables are resolved lazily: only variables referenced by the
+//   policy's rules are loaded (e.g. battery reads InfluxDB only when used).
+//   Additional variables can be plugged in with registerPolicyVariable().
+// - Decisions record { policyVersion, ruleId } on devices.anomaly,
+//   anomaly_events and ota_events.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { getQueryApi } from '../clients/influxdb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { DEFAULT_POLICY, validatePolicy, evaluatePolicy, getPolicyVariables } from '../policy/policyEngine.js';
+import { computeAnomalyMonitor, getAnomalyMonitorForDevice } from './anomalyMonitorService.js';
+import { resolveSelectorDeviceIds } from './deviceGroupService.js';
+
+const LEGACY_DECISION_RISK = { allow: 'low', delay: 'medium', block: 'high' };
+
+/**
+ * Current risk level of a device; anomaly states stored before risk_level
+ * existed are mapped from their decision.
+ * @returns {string|null} "low" | "medium" | "high" | null
+ */
+export const getDeviceRiskLevel = (device) => {
+  const anomaly = device?.anomaly;
+  if (typeof anomaly?.risk_level === 'string') {
+    return anomaly.risk_level.trim().toLowerCase();
+  }
+  const decision = anomaly?.decision ?? anomaly?.action;
+  return typeof decision === 'string' ? LEGACY_DECISION_RISK[decision.toLowerCase()] ?? null : null;
+};
+
+const queryLastMetric = async (deviceId, fields) => {
+  try {
+    const queryApi = getQueryApi();
+    const fieldFilter = fields.map((f) => `r._field == "${f}"`).join(' or ');
+    const fluxQuery = `
+      from(bucket: "${config.influx.bucket}")
+        |> range(start: -30d)
+        |> filter(fn: (r) => r._measurement == "device_metrics")
+        |> filter(fn: (r) => r.deviceId == "${deviceId}")
+        |> filter(fn: (r) => ${fieldFilter})
+        |> last()
+    `;
+
+    let latest = null;
+    await new Promise((resolve, reject) => {
+      queryApi.queryRows(fluxQuery, {
+        next(row, tableMeta) {
+          const o = tableMeta.toObject(row);
+          if (typeof o._value === 'number' && (!latest || new Date(o._time) > new Date(latest._time))) {
+            latest = o;
+          }
+        },
+        error: reject,
+        complete: resolve,
+      });
+    });
+
+    return latest ? latest._value : null;
+  } catch {
+    return null;
+  }
+};
+
+const BATTERY_FIELDS = ['battery_level', 'battery'];
+
+const policyVariables = {
+  risk: ({ device }) => getDeviceRiskLevel(device),
+  trend: async ({ device }) => {
+    try {
+      return (await getAnomalyMonitorForDevice(device.deviceId)).trend.direction;
+    } catch {
+      return null;
+    }
+  },
+  battery: ({ device }) => queryLastMetric(device.deviceId, BATTERY_FIELDS),
+  criticality: ({ firmware }) => (firmware ? firmware.criticality || 'normal' : null),
+  groups: ({ device }) => device.groups || [],
+  tags: ({ device }) => device.tags || [],
+  model: ({ device }) => device.model || device.deviceType || null,
+  site: ({ device }) => device.site || null,
+};
+
+/**
+ * Names of the variables policy rules may reference.
+ * @returns {Array<string>}
+ */
+export const getPolicyVariableNames = () => Object.keys(policyVariables);
+
+/**
+ * Plug in an additional policy variable.
+ * @param {string} name - Identifier used in rules
+ * @param {Function} resolver - async ({ device, firmware }) => value
+ */
+export const registerPolicyVariable = (name, resolver) => {
+  if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name) || typeof resolver !== 'function') {
+    throw new Error(`Invalid policy variable "${name}"`);
+  }
+  policyVariables[name] = resolver;
+};
+
+/**
+ * Resolve the variables a policy references.
+ * @param {Object} params - { device, firmware?, variables }
+ * @returns {Object} Context for evaluatePolicy()
+ */
+export const buildPolicyContext = async ({ device, firmware = null, variables }) => {
+  const context = {};
+  for (const name of variables) {
+    const resolver = policyVariables[name];
+    context[name] = resolver ? (await resolver({ device, firmware })) ?? null : null;
+  }
+  return context;
+};
+
+const formatPolicy = ({ _id, ...policy }) => policy;
+
+/**
+ * The active policy (DEFAULT_POLICY when none is stored or the store is unreadable).
+ * @returns {Object} Policy with `source: "stored" | "default"`
+ */
+export const getActivePolicy = async () => {
+  try {
+    const db = await getDb();
+    // Newest activation wins while a concurrent activation is deactivating the previous one
+    const stored = await db.collection('ota_policies').findOne({ active: true }, { sort: { activatedAt: -1 } });
+    if (stored) {
+      return { ...formatPolicy(stored), source: 'stored' };
+    }
+  } catch (error) {
+    console.warn(`[OTA_POLICY] Falling back to the default policy: ${error.message}`);
+  }
+  return { ...DEFAULT_POLICY, source: 'default' };
+};
+
+/**
+ * Evaluate a policy for a device (and optionally the firmware being assigned).
+ * @param {Object} params - { device, firmware?, policy? (defaults to the active policy) }
+ * @returns {Object} { decision, reason, ruleId, policyVersion, context }
+ */
+export const decideOta = async ({ device, firmware = null, policy = null }) => {
+  const activePolicy = policy || await getActivePolicy();
+  const context = await buildPolicyContext({ device, firmware, variables: getPolicyVariables(activePolicy) });
+  return { ...evaluatePolicy(activePolicy, context), context };
+};
+
+/**
+ * Policy decision for an assignment in the { action, reason[] } shape used by
+ * the assignment paths; `policy` is recorded on the assign ota_event.
+ * @returns {Object} { action, reason: Array<string>, policy: { version, ruleId } }
+ */
+export const decideAssignment = async ({ device, firmware, policy = null }) => {
+  const result = await decideOta({ device, firmware, policy });
+  return {
+    action: result.decision,
+    reason: [result.reason],
+    policy: { version: result.policyVersion, ruleId: result.ruleId },
+  };
+};
+
+const validatePolicyInput = (input) => {
+  try {
+    return validatePolicy(input, getPolicyVariableNames());
+  } catch (error) {
+    throw new AppError(`Invalid policy: ${error.message}`, 400);
+  }
+};
+
+/**
+ * Resolve the policy to evaluate: a candidate definition (validated, not stored),
+ * a stored version (0 = built-in default) or, when neither is given, the active policy.
+ * @param {Object} params - { policy?, version? }
+ * @returns {Object} Policy (`version: null` for a candidate)
+ */
+export const resolvePolicy = async ({ policy: candidate = null, version = null } = {}) => {
+  if (candidate) {
+    return { version: null, ...validatePolicyInput(candidate) };
+  }
+  if (version === undefined || version === null) {
+    return getActivePolicy();
+  }
+  const target = Number(version);
+  if (target === 0) {
+    return DEFAULT_POLICY;
+  }
+  const db = await getDb();
+  const stored = await db.collection('ota_policies').findOne({ version: target });
+  if (!stored) {
+    throw new AppError(`Policy version ${version} not found`, 404);
+  }
+  return formatPolicy(stored);
+};
+
+// ============================================================================
+// VERSIONS
+// ============================================================================
+
+const DUPLICATE_KEY_ERROR = 11000;
+const MAX_VERSION_ATTEMPTS = 5;
+
+let versionIndexReady = null;
+
+// Version numbers are unique, so two concurrent creations cannot both take "latest + 1"
+const ensureVersionIndex = (collection) => {
+  if (!versionIndexReady) {
+    versionIndexReady = collection.createIndex({ version: 1 }, { unique: true }).catch((error) => {
+      versionIndexReady = null;
+      throw error;
+    });
+  }
+  return versionIndexReady;
+};
+
+/**
+ * Store a new policy version.
+ * @param {Object} input - { rules, defaultDecision?, defaultReason?, comment?, createdBy?, activate? (default true) }
+ * @returns {Object} Stored policy
+ */
+export const createPolicyVersion = async ({ comment, createdBy, activate = true, ...input }) => {
+  try {
+    const definition = validatePolicyInput(input);
+    const db = await getDb();
+    const collection = db.collection('ota_policies');
+    await ensureVersionIndex(collection);
+
+    let policy = null;
+    for (let attempt = 1; !policy; attempt++) {
+      const [latest] = await collection.find({}).sort({ version: -1 }).limit(1).toArray();
+      const candidate = {
+        version: (latest?.version || 0) + 1,
+        ...definition,
+        comment: comment ? String(comment) : null,
+        createdBy: createdBy || 'admin',
+        createdAt: new Date(),
+        active: false,
+      };
+      try {
+        await collection.insertOne(candidate);
+        policy = candidate;
+      } catch (error) {
+        // Another version was created concurrently: take the next number
+        if (error.code !== DUPLICATE_KEY_ERROR || attempt >= MAX_VERSION_ATTEMPTS) {
+          throw error;
+        }
+      }
+    }
+
+    if (activate) {
+      return activatePolicyVersion(policy.version);
+    }
+    return formatPolicy(policy);
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to create policy version: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Every stored policy version, newest first.
+ */
+export const getPolicyVersions = async () => {
+  try {
+    const db = await getDb();
+    const versions = await db.collection('ota_policies').find({}).sort({ version: -1 }).toArray();
+    return versions.map(formatPolicy);
+  } catch (error) {
+    throw new AppError(`Failed to get policy versions: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Make a stored version active. Version 0 reverts to the built-in default policy.
+ * The target is activated before the previous version is deactivated, and only
+ * versions activated earlier are deactivated, so concurrent activations leave
+ * the latest one active instead of none.
+ * @returns {Object} Active policy
+ */
+export const activatePolicyVersion = async (version) => {
+  try {
+    const target = Number(version);
+    if (!Number.isInteger(target) || target < 0) {
+      throw new AppError('version must be a non-negative integer', 400);
+    }
+    const db = await getDb();
+    const collection = db.collection('ota_policies');
+
+    const now = new Date();
+    if (target !== 0) {
+      const { matchedCount } = await collection.updateOne({ version: target }, { $set: { active: true, activatedAt: now } });
+      if (!matchedCount) {
+        throw new AppError(`Policy version ${target} not found`, 404);
+      }
+    }
+    await collection.updateMany(
+      { active: true, version: { $ne: target }, activatedAt: { $not: { $gt: now } } },
+      { $set: { active: false } }
+    );
+    if (target === 0) {
+      return { ...DEFAULT_POLICY, source: 'default' };
+    }
+    const active = await collection.findOne({ version: target });
+    return { ...formatPolicy(active), source: 'stored' };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to activate policy version: ${error.message}`, 500);
+  }
+};
+
+// ============================================================================
+// HISTORICAL TESTING
+// ============================================================================
+
+const fetchMetricHistory = async (deviceId, fields, since) => {
+  try {
+    const queryApi = getQueryApi();
+    const fieldFilter = fields.map((f) => `r._field == "${f}"`).join(' or ');
+    const fluxQuery = `
+      from(bucket: "${config.influx.bucket}")
+        |> range(start: ${since.toISOString()})
+        |> filter(fn: (r) => r._measurement == "device_metrics")
+        |> filter(fn: (r) => r.deviceId == "${deviceId}")
+        |> filter(fn: (r) => ${fieldFilter})
+    `;
+
+    const points = [];
+    await new Promise((resolve, reject) => {
+      queryApi.queryRows(fluxQuery, {
+        next(row, tableMeta) {
+          const o = tableMeta.toObject(row);
+          if (typeof o._value === 'number') points.push({ t: new Date(o._time).getTime(), value: o._value });
+        },
+        error: reject,
+        complete: resolve,
+      });
+    });
+
+    return points.sort((a, b) => a.t - b.t);
+  } catch {
+    return [];
+  }
+};
+
+const eventTime = (event) => new Date(event.decided_at || event.created_at || event.timestamp);
+
+/**
+ * Replay a device's anomaly_events through a policy (pure).
+ * Trend is recomputed from the events up to each point in time and battery is
+ * the last reading at or before it; device labels are taken as they are now.
+ * @param {Object} params - { policy, device, events (any order), batteryHistory?, criticality? }
+ * @returns {Array<Object>} [{ at, risk, recorded, decision, ruleId, changed }] oldest first
+ */
+export const replayPolicyDecisions = ({ policy, device, events, batteryHistory = [], criticality = null }) => {
+  const variables = getPolicyVariables(policy);
+  const sorted = events
+    .filter((e) => !Number.isNaN(eventTime(e).getTime()))
+    .sort((a, b) => eventTime(a) - eventTime(b));
+
+  return sorted.map((event, index) => {
+    const at = eventTime(event);
+    const context = {
+      risk: typeof event.risk_level === 'string' ? event.risk_level.toLowerCase() : null,
+      groups: device.groups || [],
+      tags: device.tags || [],
+      model: device.model || device.deviceType || null,
+      site: device.site || null,
+      criticality,
+      battery: null,
+      trend: null,
+    };
+    if (variables.includes('trend')) {
+      context.trend = computeAnomalyMonitor({ deviceId: device.deviceId, events: sorted.slice(0, index + 1), now: at }).trend.direction;
+    }
+    if (variables.includes('battery')) {
+      const reading = batteryHistory.filter((p) => p.t <= at.getTime()).pop();
+      context.battery = reading ? reading.value : null;
+    }
+
+    const result = evaluatePolicy(policy, context);
+    const recorded = typeof event.decision === 'string' ? event.decision.toLowerCase() : null;
+    return {
+      at,
+      risk: context.risk,
+      recorded,
+      decision: result.decision,
+      ruleId: result.ruleId,
+      changed: recorded !== null && recorded !== result.decision,
+    };
+  });
+};
+
+/**
+ * Test a candidate (or stored) policy against the recorded history of devices.
+ * @param {Object} params - { policy? (candidate definition), version?, deviceIds | selector,
+ *   days? (default 7), criticality?, limit? (events per device, default 200) }
+ * @returns {Object} { policyVersion, summary, devices: [...] }
+ */
+export const testPolicyAgainstHistory = async ({ policy: candidate, version, deviceIds, selector, days = 7, criticality = null, limit = 200 }) => {
+  try {
+    const policy = await resolvePolicy({ policy: candidate, version });
+
+    if (deviceIds && selector) {
+      throw new AppError('Provide either deviceIds or selector, not both', 400);
+    }
+    const ids = selector ? await resolveSelectorDeviceIds(selector) : deviceIds;
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('deviceIds array or selector is required', 400);
+    }
+    const windowDays = Number(days);
+    if (!Number.isFinite(windowDays) || windowDays <= 0) {
+      throw new AppError('days must be a positive number', 400);
+    }
+
+    const db = await getDb();
+    const since = new Date(Date.now() - windowDays * 86400000);
+    const usesBattery = getPolicyVariables(policy).includes('battery');
+    const summary = { devices: 0, evaluated: 0, changed: 0, decisions: { allow: 0, delay: 0, block: 0 } };
+    const devices = [];
+
+    for (const rawId of ids) {
+      const deviceId = String(rawId).trim();
+      const device = await db.collection('devices').findOne({ deviceId });
+      if (!device) {
+        devices.push({ deviceId, error: 'Device not found' });
+        continue;
+      }
+
+      const events = await db.collection('anomaly_events')
+        .find({ deviceId, decided_at: { $gte: since } })
+        .sort({ decided_at: -1 })
+        .limit(limit)
+        .toArray();
+      const batteryHistory = usesBattery ? await fetchMetricHistory(deviceId, BATTERY_FIELDS, since) : [];
+      const replay = replayPolicyDecisions({ policy, device, events, batteryHistory, criticality });
+
+      const decisions = { allow: 0, delay: 0, block: 0 };
+      replay.forEach((r) => { decisions[r.decision] += 1; });
+      const changed = replay.filter((r) => r.changed);
+      const latest = replay[replay.length - 1] || null;
+
+      summary.devices += 1;
+      summary.evaluated += replay.length;
+      summary.changed += changed.length;
+      Object.keys(decisions).forEach((d) => { summary.decisions[d] += decisions[d]; });
+
+      devices.push({
+        deviceId,
+        evaluated: replay.length,
+        decisions,
+        changed: changed.length,
+        latest,
+        changes: changed.slice(-20),
+      });
+    }
+
+    return { policyVersion: policy.version ?? null, days: windowDays, summary, devices };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to test policy: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,178 @@
+// ============================================================================
+// OTA PROGRESS REPORTING
+// ============================================================================
+// Devices report how far a download or install got while they are in
+// "downloading" or "updating" (POST /api/devices/:deviceId/progress).
+// A progress report is not a state transition: firmware.status is unchanged
+// and no ota_events are written. The latest report is stored on
+// firmware.progress (cleared on every transition) and published on the
+// ota_progress Socket.IO channel with action "progress" and an ETA.
+//
+//   firmware.progress: { stage, firmwareVersion, percent, bytesDownloaded,
+//     totalBytes, message, startedAt, startPercent, updatedAt, etaSeconds }
+//
+// Reports closer than config.ota.progress.minIntervalMs to the last stored one
+// are acknowledged but dropped, unless they complete the stage (100%) or
+// change the stage message.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+
+export const PROGRESS_STAGES = ['downloading', 'updating'];
+
+const MAX_MESSAGE_LENGTH = 200;
+
+const isNonNegativeInteger = (value) => Number.isInteger(value) && value >= 0;
+
+/**
+ * Validate a progress report and derive its percentage (pure).
+ * Either `percent` or `bytesDownloaded` with `totalBytes` is required.
+ * @param {Object} report - { percent?, bytesDownloaded?, totalBytes?, message? }
+ * @returns {Object} { percent, bytesDownloaded, totalBytes, message }
+ * @throws {AppError} 400 on invalid values
+ */
+export const normalizeProgressReport = ({ percent, bytesDownloaded, totalBytes, message } = {}) => {
+  if (percent !== undefined && percent !== null && (typeof percent !== 'number' || !(percent >= 0 && percent <= 100))) {
+    throw new AppError('percent must be a number between 0 and 100', 400);
+  }
+  if (bytesDownloaded !== undefined && bytesDownloaded !== null && !isNonNegativeInteger(bytesDownloaded)) {
+    throw new AppError('bytesDownloaded must be a non-negative integer', 400);
+  }
+  if (totalBytes !== undefined && totalBytes !== null && !(isNonNegativeInteger(totalBytes) && totalBytes > 0)) {
+    throw new AppError('totalBytes must be a positive integer', 400);
+  }
+  if (message !== undefined && message !== null && typeof message !== 'string') {
+    throw new AppError('message must be a string', 400);
+  }
+
+  const bytes = bytesDownloaded ?? null;
+  const total = totalBytes ?? null;
+  if (bytes !== null && total !== null && bytes > total) {
+    throw new AppError('bytesDownloaded cannot exceed totalBytes', 400);
+  }
+
+  let value = percent ?? null;
+  if (value === null) {
+    if (bytes === null || total === null) {
+      throw new AppError('percent or bytesDownloaded with totalBytes is required', 400);
+    }
+    value = (bytes / total) * 100;
+  }
+
+  return {
+    percent: Math.round(value * 10) / 10,
+    bytesDownloaded: bytes,
+    totalBytes: total,
+    message: message ? message.trim().slice(0, MAX_MESSAGE_LENGTH) || null : null,
+  };
+};
+
+/**
+ * Extend the stored progress of the stage with a new report and estimate the
+ * remaining time from the average rate since the stage's first report (pure).
+ * Progress going backwards (e.g. a restarted download) starts a new estimate.
+ * @param {Object|null} previous - Stored firmware.progress
+ * @param {Object} report - Normalized report with stage and firmwareVersion
+ * @returns {Object} New firmware.progress
+ */
+export const buildProgressState = (previous, report, now = new Date()) => {
+  const continues = previous &&
+    previous.stage === report.stage &&
+    previous.firmwareVersion === report.firmwareVersion &&
+    report.percent >= previous.percent;
+
+  const startedAt = continues ? new Date(previous.startedAt) : now;
+  const startPercent = continues ? previous.startPercent : report.percent;
+
+  let etaSeconds = null;
+  if (report.percent >= 100) {
+    etaSeconds = 0;
+  } else {
+    const elapsedMs = now.getTime() - startedAt.getTime();
+    const ratePerMs = elapsedMs > 0 ? (report.percent - startPercent) / elapsedMs : 0;
+    if (ratePerMs > 0) {
+      etaSeconds = Math.round((100 - report.percent) / ratePerMs / 1000);
+    }
+  }
+
+  return { ...report, startedAt, startPercent, updatedAt: now, etaSeconds };
+};
+
+/**
+ * Whether a report arrives too soon after the stored one to be published (pure).
+ */
+export const isProgressThrottled = (previous, report, now = new Date(), minIntervalMs = config.ota.progress.minIntervalMs) => {
+  if (!previous?.updatedAt || !minIntervalMs || minIntervalMs <= 0) return false;
+  if (previous.stage !== report.stage || report.percent >= 100) return false;
+  if (report.message && report.message !== previous.message) return false;
+  return now.getTime() - new Date(previous.updatedAt).getTime() < minIntervalMs;
+};
+
+/**
+ * Record a device's download/install progress and publish it.
+ * @param {Object} device - Authenticated device document
+ * @param {Object} body - { stage?, firmwareVersion?, percent?, bytesDownloaded?, totalBytes?, message? }
+ * @returns {Object} { published, progress }
+ * @throws {AppError} 400 outside downloading/updating or for another firmware version
+ */
+export const reportOTAProgress = async (device, body = {}, now = new Date()) => {
+  try {
+    const status = device.firmware?.status || 'idle';
+    if (!PROGRESS_STAGES.includes(status)) {
+      throw new AppError(
+        `Progress can only be reported while firmware.status is ${PROGRESS_STAGES.map((s) => `"${s}"`).join(' or ')} (current: "${status}")`,
+        400
+      );
+    }
+
+    const stage = body.stage ?? status;
+    if (stage !== status) {
+      throw new AppError(`stage "${stage}" does not match firmware.status "${status}"; report the transition first`, 400);
+    }
+
+    const firmwareVersion = device.firmware.desiredVersion;
+    if (body.firmwareVersion && body.firmwareVersion !== firmwareVersion) {
+      throw new AppError(`Progress for ${body.firmwareVersion} does not match desired version ${firmwareVersion}`, 400);
+    }
+
+    const report = { stage, firmwareVersion, ...normalizeProgressReport(body) };
+    const previous = device.firmware.progress || null;
+
+    if (isProgressThrottled(previous, report, now)) {
+      return { published: false, reason: 'throttled', progress: previous };
+    }
+
+    const progress = buildProgressState(previous, report, now);
+
+    // Guard on the observed state so a concurrent transition (which clears progress) wins
+    const db = await getDb();
+    const updateResult = await db.collection('devices').updateOne(
+      { deviceId: device.deviceId, 'firmware.status': status, 'firmware.desiredVersion': firmwareVersion },
+      { $set: { 'firmware.progress': progress, lastSeenAt: now } },
+    );
+    if (updateResult.matchedCount === 0) {
+      return { published: false, reason: 'state changed', progress: null };
+    }
+
+    emitOTAProgress(device.deviceId, {
+      action: 'progress',
+      status,
+      firmwareVersion,
+      percent: progress.percent,
+      bytesDownloaded: progress.bytesDownloaded,
+      totalBytes: progress.totalBytes,
+      message: progress.message,
+      etaSeconds: progress.etaSeconds,
+    });
+
+    return { published: true, progress };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to report OTA progress: ${error.message}`, 500);
+  }
+};
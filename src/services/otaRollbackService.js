@@ -0,0 +1,166 @@
+// ============================================================================
+// OTA AUTO-ROLLBACK SERVICE
+// ============================================================================
+// Moves a device back to its last-known-good firmware when an update goes bad.
+//
+// Triggers:
+// - "failures": firmware.failureCount reached the configured threshold
+// - "health_regression": probation flagged a regression ("regressed"), or high
+//   anomaly risk observed shortly after "success" (probation disabled)
+//
+// Architecture:
+// - evaluateRollbackPolicy() is pure (no side effects) and decides
+// - triggerAutoRollback() applies the decision through the unified assignment
+//   service (assignRollbackToDevice): the usual guards apply, the downgrade and
+//   policy guards are bypassed as a recorded system override, and a "rollback"
+//   event (source: system) is logged and emitted on ota_progress
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { assignRollbackToDevice } from './otaService.js';
+
+export const ROLLBACK_TRIGGERS = ['failures', 'health_regression'];
+
+/**
+ * Resolve the version a device should roll back to.
+ * - After failed updates the device is still running firmware.currentVersion,
+ *   which is the last version that reported success.
+ * - After a regression on a successful update, the previous good version is
+ *   kept in firmware.lastKnownGoodVersion.
+ */
+export const resolveLastKnownGoodVersion = (device, trigger) => {
+  const firmware = device?.firmware || {};
+  if (trigger === 'health_regression') {
+    return firmware.lastKnownGoodVersion || null;
+  }
+  return firmware.currentVersion || firmware.lastKnownGoodVersion || null;
+};
+
+/**
+ * Decide whether a device should be rolled back.
+ * @param {Object} params
+ * @param {Object} params.device - Device document (after the triggering update)
+ * @param {string} params.trigger - "failures" | "health_regression"
+ * @param {string} [params.riskLevel] - Latest anomaly risk level (health_regression only)
+ * @param {Date} [params.now]
+ * @param {Object} [params.policy] - { enabled, failureThreshold, regressionWindowMs }
+ * @returns {Object} { rollback: boolean, targetVersion?, fromVersion?, reason }
+ */
+export const evaluateRollbackPolicy = ({
+  device,
+  trigger,
+  riskLevel = null,
+  now = new Date(),
+  policy = config.ota.autoRollback,
+}) => {
+  if (!policy?.enabled) {
+    return { rollback: false, reason: 'Auto-rollback disabled' };
+  }
+
+  const firmware = device?.firmware || {};
+  const targetVersion = resolveLastKnownGoodVersion(device, trigger);
+
+  if (trigger === 'failures') {
+    const failureCount = firmware.failureCount || 0;
+    if (failureCount < policy.failureThreshold) {
+      return { rollback: false, reason: `failureCount ${failureCount} below threshold ${policy.failureThreshold}` };
+    }
+    const fromVersion = firmware.lastFailedFirmwareVersion || firmware.desiredVersion || null;
+    if (!targetVersion) {
+      return { rollback: false, reason: 'No last-known-good version recorded' };
+    }
+    if (fromVersion && fromVersion === targetVersion) {
+      return { rollback: false, reason: 'Failed version is the last-known-good version' };
+    }
+    return {
+      rollback: true,
+      targetVersion,
+      fromVersion,
+      reason: `Auto-rollback after ${failureCount} failed OTA attempts`,
+    };
+  }
+
+  if (trigger === 'health_regression') {
+    const fromVersion = firmware.currentVersion || null;
+    if (firmware.status === 'regressed') {
+      if (!targetVersion || targetVersion === fromVersion) {
+        return { rollback: false, reason: 'No last-known-good version recorded' };
+      }
+      return {
+        rollback: true,
+        targetVersion,
+        fromVersion,
+        reason: `Auto-rollback after post-update regression: ${firmware.probation?.regression?.reason || 'health check failed'}`,
+      };
+    }
+    if (firmware.status !== 'success') {
+      return { rollback: false, reason: 'Latest OTA is not in success state' };
+    }
+    const succeededAt = firmware.succeededAt ? new Date(firmware.succeededAt) : null;
+    if (!succeededAt || Number.isNaN(succeededAt.getTime())) {
+      return { rollback: false, reason: 'No successful OTA timestamp recorded' };
+    }
+    if (now.getTime() - succeededAt.getTime() > policy.regressionWindowMs) {
+      return { rollback: false, reason: 'Outside post-update regression window' };
+    }
+    if (typeof riskLevel !== 'string' || riskLevel.trim().toLowerCase() !== 'high') {
+      return { rollback: false, reason: 'No health regression' };
+    }
+    if (!targetVersion || targetVersion === fromVersion) {
+      return { rollback: false, reason: 'No last-known-good version recorded' };
+    }
+    return {
+      rollback: true,
+      targetVersion,
+      fromVersion,
+      reason: `Auto-rollback after health regression (risk_level=high) following update to ${fromVersion}`,
+    };
+  }
+
+  return { rollback: false, reason: `Unknown rollback trigger: ${trigger}` };
+};
+
+/**
+ * Evaluate the rollback policy for a device and apply it.
+ * Never throws: rollback must not fail the device report / inference that triggered it.
+ * @returns {Object|null} Applied rollback decision, or null if no rollback happened
+ */
+export const triggerAutoRollback = async (deviceId, trigger, { riskLevel = null } = {}) => {
+  try {
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+
+    const device = await devicesCollection.findOne({ deviceId });
+    if (!device) return null;
+
+    const decision = evaluateRollbackPolicy({ device, trigger, riskLevel });
+    if (!decision.rollback) return null;
+
+    let assignment;
+    try {
+      assignment = await assignRollbackToDevice(deviceId, {
+        targetVersion: decision.targetVersion,
+        fromVersion: decision.fromVersion,
+        trigger,
+        reason: decision.reason,
+        expectedStatus: device.firmware?.status ?? null,
+        metadata: {
+          failureCount: device.firmware?.failureCount || 0,
+          ...(riskLevel ? { riskLevel } : {}),
+        },
+      });
+    } catch (error) {
+      // A guard rejected the rollback (e.g. revoked or incompatible target) or
+      // another report already moved the device on
+      console.warn(`[OTA_ROLLBACK] ${deviceId}: rollback to ${decision.targetVersion} not applied: ${error.message}`);
+      return null;
+    }
+
+    console.warn(`[OTA_ROLLBACK] ${deviceId}: ${decision.fromVersion} → ${decision.targetVersion} (${decision.reason})`);
+    return { ...decision, status: assignment.status };
+  } catch (error) {
+    console.error(`Failed to apply auto-rollback for ${deviceId}: ${error.message}`);
+    return null;
+  }
+};
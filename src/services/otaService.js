@@ -1,251 +1,740 @@
 import { getDb } from '../clients/mongodb.js';
 import { AppError } from '../utils/errors.js';
 import { logOTAEvent } from './otaEventService.js';
+import { isVersionOlder } from '../utils/semver.js';
+import { resolveAssignmentSchedule } from './maintenanceWindowService.js';
+import { resolveSelectorDeviceIds } from './deviceGroupService.js';
+import { canTransition, buildTransitionFields } from './otaStateMachineService.js';
+import { assertFirmwareAssignable } from './firmwareLifecycleService.js';
+import { getSupportedModels, checkDeviceCompatibility, formatIncompatibility } from './firmwareCompatibilityService.js';
+import { getActivePolicy, decideAssignment, resolvePolicy } from './otaPolicyService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
 
 /**
- * Assign firmware to multiple devices using the new device.firmware{} schema
- * @param {Object} assignmentData - { deviceIds: string[], firmwareVersion: string }
- * @returns {Object} - { assigned: number, failed: number, results: Array }
+ * Validate an "allow downgrade" override. Downgrades are emergency rollbacks and
+ * must always carry a justification so they can be audited from ota_events.
+ * @returns {Object|null} { allowDowngrade: true, reason } or null when no override was requested
  */
-export const assignOTA = async (assignmentData) => {
-  try {
-    const { deviceIds, firmwareVersion } = assignmentData;
+export const validateDowngradeOverride = (allowDowngrade, downgradeReason) => {
+  if (allowDowngrade !== true) {
+    return null;
+  }
+  if (!downgradeReason || typeof downgradeReason !== 'string' || downgradeReason.trim().length === 0) {
+    throw new AppError('downgradeReason is required when allowDowngrade is true', 400);
+  }
+  return { allowDowngrade: true, reason: downgradeReason.trim() };
+};
 
-    if (!deviceIds || !Array.isArray(deviceIds) || deviceIds.length === 0) {
-      throw new AppError('deviceIds array is required and must not be empty', 400);
-    }
+/**
+ * Validate a critical-firmware override of a policy `delay`. Only firmware marked
+ * `critical` may skip the delay (a `block` is never bypassed), and the
+ * justification is mandatory so the override can be audited from ota_events.
+ * @param {Object} firmware - Firmware being assigned
+ * @returns {Object|null} { overrideDelay: true, reason } or null when no override was requested
+ */
+export const validateCriticalOverride = (firmware, overrideDelay, overrideReason) => {
+  if (overrideDelay !== true) {
+    return null;
+  }
+  if (!overrideReason || typeof overrideReason !== 'string' || overrideReason.trim().length === 0) {
+    throw new AppError('overrideReason is required when overrideDelay is true', 400);
+  }
+  if ((firmware.criticality || 'normal') !== 'critical') {
+    throw new AppError(`overrideDelay requires critical firmware (${firmware.version} is ${firmware.criticality || 'normal'})`, 400);
+  }
+  return { overrideDelay: true, reason: overrideReason.trim() };
+};
 
-    if (!firmwareVersion || typeof firmwareVersion !== 'string') {
-      throw new AppError('firmwareVersion is required', 400);
+/**
+ * Apply a critical override to a policy decision: `delay` becomes `allow` and
+ * the policy's original verdict is kept on `override`; any other decision is unchanged.
+ * @param {Object} otaDecision - { action, reason[], policy }
+ * @param {Object|null} criticalOverride - From validateCriticalOverride
+ * @returns {Object} Effective decision
+ */
+export const applyCriticalOverride = (otaDecision, criticalOverride) => {
+  if (!criticalOverride || otaDecision.action !== 'delay') {
+    return otaDecision;
+  }
+  return {
+    ...otaDecision,
+    action: 'allow',
+    override: { overriddenDecision: 'delay', policyReason: otaDecision.reason, reason: criticalOverride.reason },
+  };
+};
+
+/**
+ * Apply a system override (auto-rollback) to a policy decision: `delay` and
+ * `block` become `allow`, with the policy's verdict kept on `systemOverride`.
+ * @param {Object} otaDecision - Effective decision (after applyCriticalOverride)
+ * @param {Object|null} systemOverride - { reason }
+ * @returns {Object} Effective decision
+ */
+export const applySystemOverride = (otaDecision, systemOverride) => {
+  if (!systemOverride || otaDecision.action === 'allow') {
+    return otaDecision;
+  }
+  return {
+    ...otaDecision,
+    action: 'allow',
+    systemOverride: { overriddenDecision: otaDecision.action, policyReason: otaDecision.reason, reason: systemOverride.reason },
+  };
+};
+
+/**
+ * Build the ota_events reason for an assign event.
+ * @param {Object} otaDecision - { action, reason?, override? } (override: see applyCriticalOverride)
+ * @param {Object|null} downgradeOverride - Override applied to this assignment
+ * @param {Object|null} [schedule] - Maintenance window schedule when the assignment waits for a window
+ * @param {Object|null} [upgradePlan] - Upgrade plan when the assignment is one of its hops
+ */
+export const buildAssignEventReason = (otaDecision, downgradeOverride, schedule = null, upgradePlan = null) => {
+  const reasons = [];
+  if (upgradePlan) {
+    reasons.push(`Upgrade path step ${upgradePlan.currentStep + 1}/${upgradePlan.steps.length} toward ${upgradePlan.targetVersion}`);
+  }
+  if (downgradeOverride) {
+    reasons.push(`Downgrade override: ${downgradeOverride.reason}`);
+  }
+  if (otaDecision.override) {
+    reasons.push(`Critical override of delay (${otaDecision.override.policyReason?.join(', ') || 'policy'}): ${otaDecision.override.reason}`);
+  }
+  if (otaDecision.action === 'delay') {
+    reasons.push(`OTA delayed: ${otaDecision.reason?.join(', ') || 'Device unstable'}`);
+  }
+  if (schedule) {
+    reasons.push(`Scheduled: ${schedule.reason}`);
+  }
+  return reasons.length ? reasons.join('; ') : null;
+};
+
+/**
+ * Resolve the target devices of an assignment from deviceIds or a group selector.
+ * @param {Object} params - { deviceIds?: string[], selector?: string|Object }
+ * @returns {Promise<Array<string>>}
+ */
+const resolveAssignmentDeviceIds = async ({ deviceIds = null, selector = null }) => {
+  if (deviceIds && selector) {
+    throw new AppError('Provide either deviceIds or selector, not both', 400);
+  }
+
+  const ids = selector ? await resolveSelectorDeviceIds(selector) : deviceIds;
+  if (selector && ids.length === 0) {
+    throw new AppError('selector matched no devices', 400);
+  }
+
+  if (!ids || !Array.isArray(ids) || ids.length === 0) {
+    throw new AppError('deviceIds array is required and must not be empty', 400);
+  }
+  return ids;
+};
+
+/**
+ * Load a firmware that can be assigned (exists, not deprecated/revoked, has supported models).
+ * A rollback may return to a deprecated version, never to a revoked or purged one.
+ * @throws {AppError} 404 when the version is unknown, 400/409 when it cannot be assigned
+ */
+const loadAssignableFirmware = async (db, firmwareVersion, { allowDeprecated = false } = {}) => {
+  const firmware = await db.collection('firmwares').findOne({ version: firmwareVersion });
+  if (!firmware) {
+    throw new AppError('Firmware version not found', 404);
+  }
+  if (!(allowDeprecated && firmware.status === 'deprecated')) {
+    assertFirmwareAssignable(firmware);
+  }
+
+  // Supported models (compatibility.models or deviceType) are required for matching
+  if (getSupportedModels(firmware).length === 0) {
+    throw new AppError('Firmware deviceType is missing', 400);
+  }
+  return firmware;
+};
+
+/**
+ * Find a device by deviceId, falling back to a case/whitespace-insensitive match.
+ * @returns {Promise<Object|null>}
+ */
+const findAssignmentDevice = async (devicesCollection, normalizedDeviceId) => {
+  const device = await devicesCollection.findOne({ deviceId: normalizedDeviceId });
+  if (device) {
+    return device;
+  }
+  return devicesCollection.findOne({
+    deviceId: {
+      $regex: `^\\s*${normalizedDeviceId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`,
+      $options: 'i',
+    },
+  });
+};
+
+/**
+ * Run every assignment guard for one device without writing anything.
+ * Shared by assignOTA and the dry run (simulateAssignment) so both reach the same verdict.
+ * @param {Object} params - { device, firmware, downgradeOverride, criticalOverride, systemOverride, policy }
+ *   systemOverride ({ reason }) lets an auto-rollback through a policy delay or block
+ * @returns {Promise<Object>} { allowed: false, guard, error, incompatibilities? } or
+ *   { allowed: true, otaDecision, maintenance: { status, schedule }, isDowngrade, currentVersion }
+ */
+export const evaluateAssignmentGuards = async ({
+  device,
+  firmware,
+  downgradeOverride = null,
+  criticalOverride = null,
+  systemOverride = null,
+  policy,
+}) => {
+  // Compatibility rules: model, hardware revision, bootloader, upgrade path, storage
+  const compatibility = await checkDeviceCompatibility(firmware, device);
+  if (!compatibility.compatible) {
+    return {
+      allowed: false,
+      guard: 'compatibility',
+      error: formatIncompatibility(compatibility.failures),
+      incompatibilities: compatibility.failures,
+    };
+  }
+
+  // Get current firmware version (if exists) - ONLY from device.firmware{}
+  const currentVersion = device.firmware?.currentVersion || null;
+  const currentFirmwareStatus = device.firmware?.status || 'idle';
+
+  // ========================================================================
+  // STATE CONSISTENCY GUARDS
+  // ========================================================================
+  // Guard 1: Cannot assign firmware older than currentVersion (semver precedence),
+  // unless an explicit, audited downgrade override was requested
+  const isDowngrade = Boolean(currentVersion) && isVersionOlder(firmware.version, currentVersion);
+  if (isDowngrade && !downgradeOverride) {
+    return {
+      allowed: false,
+      guard: 'downgrade',
+      error: `Cannot assign firmware version ${firmware.version} older than current version ${currentVersion}`,
+    };
+  }
+
+  // Guard 2: the OTA state machine must allow a new assignment (not while updating)
+  if (!canTransition(currentFirmwareStatus, 'assign', 'assigned')) {
+    return {
+      allowed: false,
+      guard: 'state',
+      error: `Cannot assign firmware while device is ${currentFirmwareStatus}`,
+    };
+  }
+
+  // ========================================================================
+  // RETRY POLICY ENFORCEMENT (BLOCK AFTER 3 FAILURES)
+  // ========================================================================
+  const failureCount = device.firmware?.failureCount || 0;
+  const lastFailedFirmwareVersion = device.firmware?.lastFailedFirmwareVersion || null;
+  
+  // Block if failureCount >= 3 and trying to assign same firmware version
+  if (failureCount >= 3) {
+    // Check if we're trying to assign the same firmware version that failed
+    const isRetryingSameVersion = lastFailedFirmwareVersion === firmware.version || 
+                                 (device.firmware?.desiredVersion === firmware.version && !lastFailedFirmwareVersion);
+    
+    if (isRetryingSameVersion) {
+      return { allowed: false, guard: 'retry', error: 'OTA blocked after repeated failures' };
     }
+  }
 
-    const db = await getDb();
-    const firmwaresCollection = db.collection('firmwares');
-    const devicesCollection = db.collection('devices');
+  // ========================================================================
+  // OTA DECISION ENFORCEMENT
+  // ========================================================================
+  // Risk is read ONLY from devices.anomaly (set by /api/anomaly/:deviceId/infer);
+  // the active OTA policy turns it into allow/delay/block. The default policy
+  // fails closed (delay) when the device has no anomaly state yet. Critical
+  // firmware may bypass a delay (never a block) with a justified override.
+  const otaDecision = applySystemOverride(
+    applyCriticalOverride(await decideAssignment({ device, firmware, policy }), criticalOverride),
+    systemOverride,
+  );
+
+  // Enforce decision
+  if (otaDecision.action === 'block') {
+    return {
+      allowed: false,
+      guard: 'policy',
+      error: `OTA assignment blocked: ${otaDecision.reason?.join(', ') || 'Anomaly detected'}`,
+      otaDecision,
+    };
+  }
+
+  // ========================================================================
+  // MAINTENANCE WINDOWS: allowed assignments wait for the next open window
+  // ========================================================================
+  const maintenance = otaDecision.action === 'delay'
+    ? { status: 'pending', schedule: null }
+    : await resolveAssignmentSchedule(device);
+
+  return { allowed: true, otaDecision, maintenance, isDowngrade, currentVersion };
+};
+
+// HTTP status for a rejected guard when a single-device API surfaces it as an error
+const GUARD_STATUS_CODES = { compatibility: 400, downgrade: 400, state: 400, retry: 409, policy: 403 };
+
+/**
+ * Guards an auto-rollback bypassed for one device (recorded on the rollback event).
+ */
+const getBypassedGuards = ({ isDowngrade, otaDecision, firmware }) => [
+  ...(isDowngrade ? ['downgrade'] : []),
+  ...(otaDecision.systemOverride ? ['policy'] : []),
+  ...(firmware.status === 'deprecated' ? ['lifecycle'] : []),
+];
+
+/**
+ * Assign firmware to one device: guards, assign event, device update and
+ * realtime notification. The single write path behind every assignment API.
+ * @param {Object} params - { devicesCollection, deviceId, firmware, downgradeOverride, criticalOverride,
+ *   policy, campaignId, upgradePlan, rollback }
+ *   rollback ({ trigger, reason, fromVersion, expectedStatus, metadata }) makes it a system
+ *   "rollback" event and only applies while firmware.status is still expectedStatus
+ * @returns {Promise<Object>} { deviceId, success: true, firmwareVersion, status, criticalOverride? } or
+ *   { deviceId, success: false, error, statusCode, incompatibilities? }
+ */
+const assignDevice = async ({
+  devicesCollection,
+  deviceId,
+  firmware,
+  downgradeOverride,
+  criticalOverride,
+  policy,
+  campaignId,
+  upgradePlan,
+  rollback = null,
+}) => {
+  const normalizedDeviceId = String(deviceId).trim();
+
+  const device = await findAssignmentDevice(devicesCollection, normalizedDeviceId);
+
+  if (!device) {
+    return { deviceId: normalizedDeviceId, success: false, error: 'Device not found', statusCode: 404 };
+  }
+
+  const evaluation = await evaluateAssignmentGuards({
+    device,
+    firmware,
+    downgradeOverride,
+    criticalOverride,
+    systemOverride: rollback ? { reason: rollback.reason } : null,
+    policy,
+  });
+  if (!evaluation.allowed) {
+    return {
+      deviceId: normalizedDeviceId,
+      success: false,
+      error: evaluation.error,
+      statusCode: GUARD_STATUS_CODES[evaluation.guard] || 400,
+      ...(evaluation.incompatibilities ? { incompatibilities: evaluation.incompatibilities } : {}),
+    };
+  }
+  const { otaDecision, maintenance, isDowngrade, currentVersion } = evaluation;
+
+  // ========================================================================
+  // UPDATE DEVICE STATE
+  // ========================================================================
+  // Decision enforcement: delay → "pending", allow → "assigned" (or "scheduled" outside a maintenance window)
+  const firmwareStatus = maintenance.status;
+  const now = new Date();
+
+  // Reset failureCount if assigning different firmware version (fresh start)
+  const updatePayload = {
+    'firmware.desiredVersion': firmware.version,
+    ...buildTransitionFields(firmwareStatus, now),
+    'firmware.assignedAt': now,
+    'firmware.schedule': maintenance.schedule,
+    'firmware.upgradePlan': upgradePlan,
+    updatedAt: now,
+  };
+  if (rollback) {
+    updatePayload['firmware.rollback'] = {
+      fromVersion: rollback.fromVersion,
+      toVersion: firmware.version,
+      trigger: rollback.trigger,
+      reason: rollback.reason,
+      at: now,
+    };
+  }
+
+  // Reset failure tracking if assigning different firmware version
+  const lastFailedVersion = device.firmware?.lastFailedFirmwareVersion || null;
+  if (lastFailedVersion && lastFailedVersion !== firmware.version) {
+    updatePayload['firmware.failureCount'] = 0;
+    updatePayload['firmware.lastFailedFirmwareVersion'] = null;
+    updatePayload['firmware.lastFailureReason'] = null;
+  }
 
-    // Verify firmware exists
-    const firmware = await firmwaresCollection.findOne({ version: firmwareVersion });
-    if (!firmware) {
-      throw new AppError('Firmware version not found', 404);
+  // A rollback is guarded on the status it was decided from, so concurrent
+  // reports cannot trigger two rollbacks for the same incident
+  const updateResult = await devicesCollection.updateOne(
+    {
+      deviceId: device.deviceId,
+      ...(rollback ? { 'firmware.status': rollback.expectedStatus ?? null } : {}),
+    },
+    {
+      $set: updatePayload,
+      // Only set currentVersion if it doesn't exist
+      $setOnInsert: {
+        'firmware.currentVersion': currentVersion,
+      },
     }
+  );
+
+  if (updateResult.matchedCount === 0) {
+    return rollback
+      ? { deviceId: normalizedDeviceId, success: false, error: 'Device changed before rollback', statusCode: 409 }
+      : { deviceId: normalizedDeviceId, success: false, error: 'Device update failed', statusCode: 500 };
+  }
+
+  // ========================================================================
+  // LOG OTA EVENT (assign, or rollback for the system)
+  // ========================================================================
+  const metadata = {
+    decision: otaDecision.action,
+    policy: otaDecision.policy,
+    ...(campaignId ? { campaignId } : {}),
+    ...(upgradePlan ? {
+      upgradePlan: { targetVersion: upgradePlan.targetVersion, step: upgradePlan.currentStep + 1, steps: upgradePlan.steps },
+    } : {}),
+    ...(isDowngrade ? { downgrade: { fromVersion: currentVersion, ...downgradeOverride } } : {}),
+    ...(otaDecision.override ? { criticalOverride: { ...otaDecision.override, criticality: firmware.criticality } } : {}),
+    ...(maintenance.schedule ? { schedule: maintenance.schedule } : {}),
+  };
+
+  if (rollback) {
+    const bypassed = getBypassedGuards({ isDowngrade, otaDecision, firmware });
+    await logOTAEvent({
+      deviceId: normalizedDeviceId,
+      firmwareVersion: firmware.version,
+      action: 'rollback',
+      source: 'system',
+      reason: [rollback.reason, maintenance.schedule ? `Scheduled: ${maintenance.schedule.reason}` : null].filter(Boolean).join('; '),
+      metadata: {
+        ...metadata,
+        ...rollback.metadata,
+        trigger: rollback.trigger,
+        fromVersion: rollback.fromVersion,
+        ...(bypassed.length ? {
+          systemOverride: {
+            bypassed,
+            reason: rollback.reason,
+            ...(otaDecision.systemOverride ? { policyDecision: otaDecision.systemOverride.overriddenDecision, policyReason: otaDecision.systemOverride.policyReason } : {}),
+            ...(bypassed.includes('lifecycle') ? { firmwareStatus: firmware.status } : {}),
+          },
+        } : {}),
+      },
+    });
+
+    emitOTAProgress(device.deviceId, {
+      action: 'rollback',
+      status: firmwareStatus,
+      firmwareVersion: firmware.version,
+      fromVersion: rollback.fromVersion,
+      trigger: rollback.trigger,
+      reason: rollback.reason,
+    });
+
+    return { deviceId: normalizedDeviceId, success: true, firmwareVersion: firmware.version, status: firmwareStatus };
+  }
+
+  await logOTAEvent({
+    deviceId: normalizedDeviceId,
+    firmwareVersion: firmware.version,
+    action: 'assign',
+    source: 'admin',
+    reason: buildAssignEventReason(otaDecision, isDowngrade ? downgradeOverride : null, maintenance.schedule, upgradePlan),
+    metadata,
+  });
+
+  emitOTAProgress(device.deviceId, { action: 'assign', status: firmwareStatus, firmwareVersion: firmware.version });
+
+  return {
+    deviceId: normalizedDeviceId,
+    success: true,
+    firmwareVersion: firmware.version,
+    status: firmwareStatus,
+    ...(otaDecision.override ? { criticalOverride: true } : {}),
+  };
+};
 
-    // Get firmware deviceType (required for matching)
-    const firmwareDeviceType = firmware.deviceType || firmware.metadata?.deviceType;
-    if (!firmwareDeviceType) {
-      throw new AppError('Firmware deviceType is missing', 400);
+/**
+ * Run an assignment and keep the per-device HTTP status codes (see assignOTA).
+ */
+const runAssignment = async (assignmentData) => {
+  const {
+    selector = null,
+    firmwareVersion,
+    campaignId = null,
+    allowDowngrade = false,
+    downgradeReason = null,
+    overrideDelay = false,
+    overrideReason = null,
+    upgradePlan = null,
+    rollback = null,
+  } = assignmentData;
+
+  if (!firmwareVersion || typeof firmwareVersion !== 'string') {
+    throw new AppError('firmwareVersion is required', 400);
+  }
+
+  const deviceIds = await resolveAssignmentDeviceIds(assignmentData);
+
+  // A rollback is a downgrade by design; the system override carries its reason
+  const downgradeOverride = rollback
+    ? { allowDowngrade: true, reason: rollback.reason, source: 'system' }
+    : validateDowngradeOverride(allowDowngrade, downgradeReason);
+
+  const db = await getDb();
+  const devicesCollection = db.collection('devices');
+
+  const firmware = await loadAssignableFirmware(db, firmwareVersion, { allowDeprecated: Boolean(rollback) });
+  const criticalOverride = validateCriticalOverride(firmware, overrideDelay, overrideReason);
+
+  // Evaluated once so every device of this assignment sees the same policy version
+  const policy = await getActivePolicy();
+
+  const results = [];
+  for (const deviceId of deviceIds) {
+    try {
+      results.push(await assignDevice({
+        devicesCollection,
+        deviceId,
+        firmware,
+        downgradeOverride,
+        criticalOverride,
+        policy,
+        campaignId,
+        upgradePlan,
+        rollback,
+      }));
+    } catch (error) {
+      results.push({
+        deviceId: String(deviceId),
+        success: false,
+        error: error.message || 'Unknown error',
+        statusCode: 500,
+      });
     }
+  }
 
-    const results = [];
-    let assignedCount = 0;
-    let failedCount = 0;
+  return { results, firmware, selector };
+};
 
-    // Process each device
-    for (const deviceId of deviceIds) {
-      try {
-        const normalizedDeviceId = String(deviceId).trim();
+/**
+ * Assign firmware to multiple devices using the new device.firmware{} schema
+ * @param {Object} assignmentData - { deviceIds: string[] | selector: string|Object, firmwareVersion: string,
+ *   campaignId?: string, allowDowngrade?: boolean, downgradeReason?: string,
+ *   overrideDelay?: boolean, overrideReason?: string, upgradePlan?: Object }
+ *   - overrideDelay lets critical firmware skip a policy delay (see validateCriticalOverride);
+ *   upgradePlan is stored on the device for a planned hop
+ *   (see otaUpgradePathService.js); any other assignment clears the device's plan
+ * @returns {Object} - { assigned: number, failed: number, results: Array, selector? }
+ */
+export const assignOTA = async (assignmentData) => {
+  try {
+    const { results, selector } = await runAssignment(assignmentData);
+    const assigned = results.filter((result) => result.success).length;
 
-        // Find device by deviceId
-        let device = await devicesCollection.findOne({ deviceId: normalizedDeviceId });
+    return {
+      assigned,
+      failed: results.length - assigned,
+      results: results.map(({ statusCode, ...result }) => result),
+      ...(selector ? { selector } : {}),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to assign OTA: ${error.message}`, 500);
+  }
+};
 
-        if (!device) {
-          // Try case-insensitive regex search as fallback
-          device = await devicesCollection.findOne({
-            deviceId: {
-              $regex: `^\\s*${normalizedDeviceId.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\s*$`,
-              $options: 'i',
-            },
-          });
-        }
+/**
+ * Assign firmware to a single device through the same path as assignOTA; a
+ * rejected guard is thrown (404 device, 400 guard, 409 retry block, 403 policy block).
+ * Used by PATCH /api/devices/:deviceId/assign-firmware and the legacy /api/firmware/assign.
+ * @param {string} deviceId
+ * @param {string} firmwareVersion
+ * @param {Object} [options] - { allowDowngrade?, downgradeReason?, overrideDelay?, overrideReason? }
+ * @returns {Object} { deviceId, firmwareVersion, status, firmware (document), criticalOverride? }
+ */
+export const assignOTAToDevice = async (deviceId, firmwareVersion, options = {}) => {
+  try {
+    if (!deviceId || typeof deviceId !== 'string') {
+      throw new AppError('Device ID is required', 400);
+    }
+    const { allowDowngrade, downgradeReason, overrideDelay, overrideReason } = options;
+    const { results, firmware } = await runAssignment({
+      deviceIds: [deviceId],
+      firmwareVersion,
+      allowDowngrade,
+      downgradeReason,
+      overrideDelay,
+      overrideReason,
+    });
+
+    const [outcome] = results;
+    if (!outcome.success) {
+      throw new AppError(outcome.error, outcome.statusCode);
+    }
+    const { success, statusCode, ...assignment } = outcome;
+    return { ...assignment, firmware };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to assign firmware to device: ${error.message}`, 500);
+  }
+};
 
-        if (!device) {
-          results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: 'Device not found',
-          });
-          failedCount++;
-          continue;
-        }
+/**
+ * Roll a device back to its last-known-good version through the same path as
+ * every assignment, as a "rollback" event with source "system". Compatibility,
+ * state, retry and maintenance-window guards apply; the downgrade guard, a
+ * policy delay/block and a deprecated target are bypassed and recorded on the
+ * event (metadata.systemOverride). Revoked or purged firmware is never assigned.
+ * @param {string} deviceId
+ * @param {Object} rollback - { targetVersion, fromVersion, trigger, reason, expectedStatus, metadata? }
+ * @returns {Object} { deviceId, firmwareVersion, status }
+ * @throws {AppError} like assignOTAToDevice; 409 when firmware.status is no longer expectedStatus
+ */
+export const assignRollbackToDevice = async (deviceId, { targetVersion, ...rollback }) => {
+  try {
+    const { results } = await runAssignment({ deviceIds: [deviceId], firmwareVersion: targetVersion, rollback });
 
-        // Match device model with firmware deviceType
-        const deviceModel = device.model || device.deviceType;
-        if (deviceModel !== firmwareDeviceType) {
-          results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: `Device model "${deviceModel}" does not match firmware deviceType "${firmwareDeviceType}"`,
-          });
-          failedCount++;
-          continue;
-        }
+    const [outcome] = results;
+    if (!outcome.success) {
+      throw new AppError(outcome.error, outcome.statusCode);
+    }
+    const { success, statusCode, ...assignment } = outcome;
+    return assignment;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to roll back device: ${error.message}`, 500);
+  }
+};
 
-        // Get current firmware version (if exists) - ONLY from device.firmware{}
-        const currentVersion = device.firmware?.currentVersion || null;
-        const currentFirmwareStatus = device.firmware?.status || 'idle';
-
-        // ========================================================================
-        // STATE CONSISTENCY GUARDS
-        // ========================================================================
-        // Guard 1: Cannot assign firmware older than currentVersion
-        // NOTE: Using simple string comparison. For semantic versions (e.g., "1.10.0" vs "1.2.0"),
-        // this may not work correctly. Consider using a semver library if versions follow semantic versioning.
-        if (currentVersion && firmwareVersion < currentVersion) {
-          results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: `Cannot assign firmware version ${firmwareVersion} older than current version ${currentVersion}`,
-          });
-          failedCount++;
-          continue;
-        }
+// ============================================================================
+// DRY RUN
+// ============================================================================
 
-        // Guard 2: Cannot assign if status = updating
-        if (currentFirmwareStatus === 'updating') {
-          results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: 'Cannot assign firmware while device is updating',
-          });
-          failedCount++;
-          continue;
-        }
+const SIMULATION_OUTCOMES = ['assigned', 'scheduled', 'pending', 'rejected'];
 
-        // ========================================================================
-        // RETRY POLICY ENFORCEMENT (BLOCK AFTER 3 FAILURES)
-        // ========================================================================
-        const failureCount = device.firmware?.failureCount || 0;
-        const lastFailedFirmwareVersion = device.firmware?.lastFailedFirmwareVersion || null;
-        
-        // Block if failureCount >= 3 and trying to assign same firmwareVersion
-        if (failureCount >= 3) {
-          // Check if we're trying to assign the same firmware version that failed
-          const isRetryingSameVersion = lastFailedFirmwareVersion === firmwareVersion || 
-                                       (device.firmware?.desiredVersion === firmwareVersion && !lastFailedFirmwareVersion);
-          
-          if (isRetryingSameVersion) {
-            results.push({
-              deviceId: normalizedDeviceId,
-              success: false,
-              error: 'OTA blocked after repeated failures',
-            });
-            failedCount++;
-            continue;
-          }
-        }
+/**
+ * Aggregate per-device dry-run results.
+ * @param {Array<Object>} results - [{ outcome, guard?, decision? }]
+ * @returns {Object} { total, outcomes: { assigned, scheduled, pending, rejected },
+ *   rejectedBy: { [guard]: count }, decisions: { allow, delay, block } }
+ */
+export const summarizeSimulation = (results) => {
+  const summary = {
+    total: results.length,
+    outcomes: Object.fromEntries(SIMULATION_OUTCOMES.map((outcome) => [outcome, 0])),
+    rejectedBy: {},
+    decisions: { allow: 0, delay: 0, block: 0 },
+  };
+  for (const result of results) {
+    summary.outcomes[result.outcome] += 1;
+    if (result.outcome === 'rejected') {
+      summary.rejectedBy[result.guard] = (summary.rejectedBy[result.guard] || 0) + 1;
+    }
+    if (result.decision) {
+      summary.decisions[result.decision.action] += 1;
+    }
+  }
+  return summary;
+};
 
-        // ========================================================================
-        // OTA DECISION ENFORCEMENT
-        // ========================================================================
-        // Anomaly decision must be centralized in /api/anomaly/:deviceId/infer.
-        // OTA enforcement reads current anomaly decision ONLY from devices.anomaly.
-        let otaDecision = { action: 'delay' }; // Fail-closed if device has no anomaly state yet
-        const currentAnomaly = device.anomaly ?? null;
-        const policyDecision = currentAnomaly?.decision ?? currentAnomaly?.action ?? null;
-        if (policyDecision === 'allow' || policyDecision === 'ALLOW') {
-          otaDecision = { action: 'allow' };
-        } else if (policyDecision === 'delay' || policyDecision === 'DELAY') {
-          otaDecision = { action: 'delay' };
-        } else if (policyDecision === 'block' || policyDecision === 'BLOCK') {
-          otaDecision = { action: 'block' };
-        }
+/**
+ * Dry run of assignOTA: every guard (compatibility, downgrade, state machine,
+ * retry block, policy decision, maintenance window) is evaluated exactly as a
+ * real assignment would, but nothing is written (no device update, no ota_event).
+ * @param {Object} params - { deviceIds: string[] | selector: string|Object, firmwareVersion: string,
+ *   allowDowngrade?: boolean, downgradeReason?: string, overrideDelay?: boolean, overrideReason?: string,
+ *   policy?: Object (candidate policy definition), policyVersion?: number (stored version, 0 = default) }
+ *   - without policy/policyVersion the active policy is used
+ * @returns {Object} { firmwareVersion, policy: { version, candidate }, summary, results: Array }
+ */
+export const simulateAssignment = async ({
+  firmwareVersion,
+  deviceIds = null,
+  selector = null,
+  allowDowngrade = false,
+  downgradeReason = null,
+  overrideDelay = false,
+  overrideReason = null,
+  policy: candidatePolicy = null,
+  policyVersion = null,
+}) => {
+  try {
+    if (!firmwareVersion || typeof firmwareVersion !== 'string') {
+      throw new AppError('firmwareVersion is required', 400);
+    }
 
-        // Enforce decision
-        if (otaDecision.action === 'block') {
-          results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: `OTA assignment blocked: ${otaDecision.reason?.join(', ') || 'Anomaly detected'}`,
-          });
-          failedCount++;
-          continue;
-        }
+    const ids = await resolveAssignmentDeviceIds({ deviceIds, selector });
+    const downgradeOverride = validateDowngradeOverride(allowDowngrade, downgradeReason);
 
-        // ========================================================================
-        // LOG OTA EVENT (assign)
-        // ========================================================================
-        await logOTAEvent({
-          deviceId: normalizedDeviceId,
-          firmwareVersion: firmware.version,
-          action: 'assign',
-          source: 'admin',
-          reason: otaDecision.action === 'delay' 
-            ? `OTA delayed: ${otaDecision.reason?.join(', ') || 'Device unstable'}` 
-            : null,
-          metadata: {
-            decision: otaDecision.action,
-            confidence: otaDecision.confidence,
-          },
-        });
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+    const firmware = await loadAssignableFirmware(db, firmwareVersion);
+    const criticalOverride = validateCriticalOverride(firmware, overrideDelay, overrideReason);
+    const policy = await resolvePolicy({ policy: candidatePolicy, version: policyVersion });
 
-        // ========================================================================
-        // UPDATE DEVICE STATE
-        // ========================================================================
-        // Decision enforcement: delay → "pending", allow → "assigned"
-        const firmwareStatus = otaDecision.action === 'delay' ? 'pending' : 'assigned';
-
-        // Reset failureCount if assigning different firmware version (fresh start)
-        const updatePayload = {
-          'firmware.desiredVersion': firmware.version,
-          'firmware.status': firmwareStatus,
-          'firmware.assignedAt': new Date(),
-          updatedAt: new Date(),
-        };
-        
-        // Reset failure tracking if assigning different firmware version
-        const lastFailedVersion = device.firmware?.lastFailedFirmwareVersion || null;
-        if (lastFailedVersion && lastFailedVersion !== firmware.version) {
-          updatePayload['firmware.failureCount'] = 0;
-          updatePayload['firmware.lastFailedFirmwareVersion'] = null;
-          updatePayload['firmware.lastFailureReason'] = null;
+    const results = [];
+    for (const deviceId of ids) {
+      const normalizedDeviceId = String(deviceId).trim();
+      try {
+        const device = await findAssignmentDevice(devicesCollection, normalizedDeviceId);
+        if (!device) {
+          results.push({ deviceId: normalizedDeviceId, outcome: 'rejected', guard: 'not_found', reason: 'Device not found' });
+          continue;
         }
 
-        const updateResult = await devicesCollection.updateOne(
-          { deviceId: normalizedDeviceId },
-          {
-            $set: updatePayload,
-            // Only set currentVersion if it doesn't exist
-            $setOnInsert: {
-              'firmware.currentVersion': currentVersion,
-            },
-          }
-        );
-
-        if (updateResult.matchedCount === 0) {
+        const evaluation = await evaluateAssignmentGuards({ device, firmware, downgradeOverride, criticalOverride, policy });
+        const base = {
+          deviceId: device.deviceId,
+          currentVersion: device.firmware?.currentVersion || null,
+          ...(evaluation.otaDecision ? { decision: evaluation.otaDecision } : {}),
+        };
+        if (!evaluation.allowed) {
           results.push({
-            deviceId: normalizedDeviceId,
-            success: false,
-            error: 'Device update failed',
+            ...base,
+            outcome: 'rejected',
+            guard: evaluation.guard,
+            reason: evaluation.error,
+            ...(evaluation.incompatibilities ? { incompatibilities: evaluation.incompatibilities } : {}),
           });
-          failedCount++;
           continue;
         }
 
+        const { otaDecision, maintenance, isDowngrade } = evaluation;
         results.push({
-          deviceId: normalizedDeviceId,
-          success: true,
-          firmwareVersion: firmware.version,
+          ...base,
+          outcome: maintenance.status,
+          reason: buildAssignEventReason(otaDecision, isDowngrade ? downgradeOverride : null, maintenance.schedule),
+          ...(isDowngrade ? { downgrade: true } : {}),
+          ...(otaDecision.override ? { criticalOverride: true } : {}),
+          ...(maintenance.schedule ? { schedule: maintenance.schedule } : {}),
         });
-        assignedCount++;
       } catch (error) {
-        results.push({
-          deviceId: String(deviceId),
-          success: false,
-          error: error.message || 'Unknown error',
-        });
-        failedCount++;
+        results.push({ deviceId: normalizedDeviceId, outcome: 'rejected', guard: 'error', reason: error.message || 'Unknown error' });
       }
     }
 
     return {
-      assigned: assignedCount,
-      failed: failedCount,
+      firmwareVersion: firmware.version,
+      policy: { version: policy.version ?? null, candidate: Boolean(candidatePolicy) },
+      summary: summarizeSimulation(results),
       results,
+      ...(selector ? { selector } : {}),
     };
   } catch (error) {
     if (error.statusCode) {
       throw error;
     }
-    throw new AppError(`Failed to assign OTA: ${error.message}`, 500);
+    throw new AppError(`Failed to simulate OTA assignment: ${error.message}`, 500);
   }
 };
 
@@ -0,0 +1,289 @@
+// ============================================================================
+// OTA STATE MACHINE
+// ============================================================================
+// Single declarative definition of device.firmware.status transitions.
+// assignOTA / assignFirmwareToDevice ("assign"), reportDeviceFirmware
+// ("report"), retryOTAForDevice ("retry"), firmware revocation ("cancel")
+// the timeout sweeper ("timeout"), pending promotion ("promote", "expire") and
+// bulk operator actions ("cancel", "pause", "resume") all validate against
+// OTA_TRANSITIONS.
+//
+//   idle ──assign──► pending | scheduled | assigned
+//   assigned ──report──► downloading ──report──► updating ──report──► success | failed
+//   assigned | downloading | updating ──timeout──► timed_out
+//   failed | timed_out ──retry──► pending
+//   pending | scheduled | assigned | downloading | paused ──cancel──► cancelled | idle
+//   pending ──promote──► assigned | scheduled   pending ──expire──► expired
+//   pending | scheduled | assigned | downloading ──pause──► paused
+//   paused ──resume──► pending | scheduled | assigned
+//
+// Revocation cancels to "cancelled"; an operator's bulk cancel resets to "idle"
+// (see otaBulkService.js).
+//
+// A "success" report is stored as "probation" when post-update verification
+// is enabled (see otaVerificationService.js). Maintenance window release,
+// probation and auto-rollback are system transitions owned by their services.
+//
+// Timeouts: a device that stays in an in-flight state longer than
+// config.ota.stateTimeouts[state] is moved to "timed_out" by the sweeper, which
+// counts as a failed attempt (retry policy and auto-rollback apply) and logs a
+// system-sourced "timeout" event.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { logOTAEvent } from './otaEventService.js';
+import { triggerAutoRollback } from './otaRollbackService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+
+export const OTA_STATUSES = [
+  'idle', 'pending', 'scheduled', 'assigned', 'downloading', 'updating',
+  'success', 'failed', 'timed_out', 'cancelled', 'probation', 'verified', 'regressed', 'expired', 'paused',
+];
+
+const ASSIGN_TARGETS = ['pending', 'scheduled', 'assigned'];
+const CANCEL_TARGETS = ['cancelled', 'idle'];
+
+export const OTA_TRANSITIONS = {
+  idle: { assign: ASSIGN_TARGETS },
+  // Delayed assignments wait for the policy to allow them (see otaPendingService.js)
+  pending: { assign: ASSIGN_TARGETS, cancel: CANCEL_TARGETS, pause: ['paused'], promote: ['assigned', 'scheduled'], expire: ['expired'] },
+  scheduled: { assign: ASSIGN_TARGETS, cancel: CANCEL_TARGETS, pause: ['paused'] },
+  assigned: { assign: ASSIGN_TARGETS, report: ['downloading'], timeout: ['timed_out'], cancel: CANCEL_TARGETS, pause: ['paused'] },
+  downloading: { assign: ASSIGN_TARGETS, report: ['updating'], timeout: ['timed_out'], cancel: CANCEL_TARGETS, pause: ['paused'] },
+  // A paused download restarts from "assigned" (devices resume it with a Range request)
+  paused: { assign: ASSIGN_TARGETS, cancel: CANCEL_TARGETS, resume: ['pending', 'scheduled', 'assigned'] },
+  // Re-assigning mid-install would leave the device on an unknown image
+  updating: { report: ['success', 'failed'], timeout: ['timed_out'] },
+  success: { assign: ASSIGN_TARGETS },
+  failed: { assign: ASSIGN_TARGETS, retry: ['pending'] },
+  timed_out: { assign: ASSIGN_TARGETS, retry: ['pending'] },
+  cancelled: { assign: ASSIGN_TARGETS },
+  probation: { assign: ASSIGN_TARGETS },
+  verified: { assign: ASSIGN_TARGETS },
+  regressed: { assign: ASSIGN_TARGETS },
+  expired: { assign: ASSIGN_TARGETS },
+};
+
+export const REPORTABLE_STATUSES = ['downloading', 'updating', 'success', 'failed'];
+
+/**
+ * Statuses reachable from `from` through `event`.
+ * @returns {Array<string>}
+ */
+export const getAllowedTransitions = (from, event) => OTA_TRANSITIONS[from || 'idle']?.[event] || [];
+
+export const canTransition = (from, event, to) => getAllowedTransitions(from, event).includes(to);
+
+/**
+ * Statuses from which `event` is allowed.
+ * @returns {Array<string>}
+ */
+export const getStatesAccepting = (event) => Object.keys(OTA_TRANSITIONS).filter((state) => OTA_TRANSITIONS[state][event]);
+
+const describeRejection = (from, event, to) => {
+  switch (event) {
+    case 'assign':
+      return `Cannot assign firmware while device is ${from}`;
+    case 'cancel':
+      return `Cannot cancel OTA when firmware.status is "${from}"`;
+    case 'pause':
+      return `Cannot pause OTA when firmware.status is "${from}"`;
+    case 'resume':
+      return `Cannot resume OTA when firmware.status is "${from}"`;
+    case 'retry':
+      return `OTA retry is only allowed when firmware.status is ${getStatesAccepting('retry').map((s) => `"${s}"`).join(' or ')}`;
+    case 'report': {
+      const allowed = getAllowedTransitions(from, 'report');
+      if (allowed.length === 0) {
+        return `Invalid OTA state transition: cannot report OTA progress when firmware.status is "${from}". ` +
+          `Device must be in ${getStatesAccepting('report').map((s) => `"${s}"`).join(', ')} state to report OTA progress.`;
+      }
+      return `Invalid OTA state transition: cannot transition from "${from}" to "${to}". ` +
+        `Allowed transitions from "${from}": ${allowed.join(', ')}.`;
+    }
+    default:
+      return `Invalid OTA state transition: ${event} from "${from}" to "${to}"`;
+  }
+};
+
+/**
+ * Throw unless the transition is allowed.
+ * @throws {AppError} 400 with a message describing the allowed transitions
+ */
+export const assertTransition = (from, event, to) => {
+  const current = from || 'idle';
+  if (!canTransition(current, event, to)) {
+    throw new AppError(describeRejection(current, event, to), 400);
+  }
+};
+
+/**
+ * Fields to $set when entering a status. Reported progress belongs to the
+ * state it was reported in (see otaProgressService.js), so it is cleared.
+ */
+export const buildTransitionFields = (to, now = new Date()) => ({
+  'firmware.status': to,
+  'firmware.statusChangedAt': now,
+  'firmware.progress': null,
+});
+
+// ============================================================================
+// TIMEOUTS
+// ============================================================================
+
+/**
+ * When the device entered its current status. Every path into an in-flight
+ * status sets statusChangedAt or assignedAt, so the later of the two wins.
+ * @returns {Date|null}
+ */
+export const getStateEnteredAt = (firmware = {}) => {
+  const times = [firmware.statusChangedAt, firmware.assignedAt]
+    .map((t) => (t ? new Date(t) : null))
+    .filter((t) => t && !Number.isNaN(t.getTime()));
+  return times.length ? new Date(Math.max(...times.map((t) => t.getTime()))) : null;
+};
+
+/**
+ * Last sign of life in the current status: entry, or the latest progress
+ * report for that stage (see otaProgressService.js).
+ * @returns {Date|null}
+ */
+export const getLastActivityAt = (firmware = {}) => {
+  const enteredAt = getStateEnteredAt(firmware);
+  const progress = firmware.progress;
+  const reportedAt = progress?.stage === firmware.status && progress.updatedAt ? new Date(progress.updatedAt) : null;
+  if (!reportedAt || Number.isNaN(reportedAt.getTime())) return enteredAt;
+  return !enteredAt || reportedAt > enteredAt ? reportedAt : enteredAt;
+};
+
+/**
+ * Whether a device has overstayed its current status without reporting
+ * progress (pure).
+ * @returns {Object|null} { state, enteredAt, lastActivityAt, timeoutMs, deadline } or null
+ */
+export const findStalledState = (firmware, now = new Date(), timeouts = config.ota.stateTimeouts) => {
+  const state = firmware?.status;
+  const timeoutMs = timeouts[state];
+  if (!timeoutMs || timeoutMs <= 0 || !canTransition(state, 'timeout', 'timed_out')) {
+    return null;
+  }
+  const enteredAt = getStateEnteredAt(firmware);
+  const lastActivityAt = getLastActivityAt(firmware);
+  if (!lastActivityAt) return null;
+
+  const deadline = new Date(lastActivityAt.getTime() + timeoutMs);
+  return now.getTime() >= deadline.getTime() ? { state, enteredAt, lastActivityAt, timeoutMs, deadline } : null;
+};
+
+// A device that never started the download did not attempt the update; only
+// timeouts in these states count as failed attempts (retry policy, auto-rollback)
+const ATTEMPT_TIMEOUT_STATES = new Set(['downloading', 'updating']);
+
+const formatDuration = (ms) => (ms % 60000 === 0 ? `${ms / 60000} min` : `${Math.round(ms / 1000)} s`);
+
+/**
+ * Move every device that overstayed an in-flight status to "timed_out".
+ * @returns {Object} { evaluated, timedOut }
+ */
+export const sweepStalledDevices = async (now = new Date()) => {
+  const db = await getDb();
+  const devicesCollection = db.collection('devices');
+  const timedStates = Object.keys(config.ota.stateTimeouts).filter((s) => config.ota.stateTimeouts[s] > 0);
+  if (timedStates.length === 0) {
+    return { evaluated: 0, timedOut: 0 };
+  }
+
+  const devices = await devicesCollection.find({ 'firmware.status': { $in: timedStates } }).toArray();
+
+  let timedOut = 0;
+  for (const device of devices) {
+    try {
+      const stalled = findStalledState(device.firmware, now);
+      if (!stalled) continue;
+
+      const reason = `No progress in "${stalled.state}" for ${formatDuration(stalled.timeoutMs)}`;
+      const firmwareVersion = device.firmware.desiredVersion || null;
+      const failedAttempt = ATTEMPT_TIMEOUT_STATES.has(stalled.state);
+
+      // Guard on the observed status, its entry time and progress so a report
+      // or re-assignment racing the sweep wins
+      const updateResult = await devicesCollection.updateOne(
+        {
+          deviceId: device.deviceId,
+          'firmware.status': stalled.state,
+          'firmware.statusChangedAt': device.firmware.statusChangedAt ?? null,
+          'firmware.progress.updatedAt': device.firmware.progress?.updatedAt ?? null,
+        },
+        {
+          $set: {
+            ...buildTransitionFields('timed_out', now),
+            ...(failedAttempt
+              ? {
+                  'firmware.failureCount': (device.firmware.failureCount || 0) + 1,
+                  'firmware.lastFailedFirmwareVersion': firmwareVersion,
+                  'firmware.lastFailureReason': reason,
+                }
+              : {}),
+            'firmware.timeout': { state: stalled.state, enteredAt: stalled.enteredAt, at: now },
+            updatedAt: now,
+          },
+        },
+      );
+      if (updateResult.modifiedCount === 0) continue;
+
+      await logOTAEvent({
+        deviceId: device.deviceId,
+        firmwareVersion,
+        action: 'timeout',
+        source: 'system',
+        reason,
+        metadata: { state: stalled.state, enteredAt: stalled.enteredAt, lastActivityAt: stalled.lastActivityAt, timeoutMs: stalled.timeoutMs, failedAttempt },
+      });
+      emitOTAProgress(device.deviceId, { action: 'timeout', status: 'timed_out', firmwareVersion });
+      timedOut++;
+
+      if (failedAttempt) {
+        await triggerAutoRollback(device.deviceId, 'failures');
+      }
+    } catch (error) {
+      console.error(`[OTA_TIMEOUT] Failed to time out ${device.deviceId}: ${error.message}`);
+    }
+  }
+
+  return { evaluated: devices.length, timedOut };
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+let timeoutSchedulerTimer = null;
+let timeoutSweepRunning = false;
+
+export const startOtaTimeoutScheduler = (intervalMs = config.ota.timeoutSweepIntervalMs) => {
+  if (timeoutSchedulerTimer) {
+    return;
+  }
+
+  timeoutSchedulerTimer = setInterval(async () => {
+    if (timeoutSweepRunning) return;
+    timeoutSweepRunning = true;
+    try {
+      await sweepStalledDevices();
+    } catch (error) {
+      console.error(`[OTA_TIMEOUT] Sweep failed: ${error.message}`);
+    } finally {
+      timeoutSweepRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`OTA timeout sweeper started (interval: ${intervalMs}ms)`);
+};
+
+export const stopOtaTimeoutScheduler = () => {
+  if (timeoutSchedulerTimer) {
+    clearInterval(timeoutSchedulerTimer);
+    timeoutSchedulerTimer = null;
+  }
+};
@@ -0,0 +1,280 @@
+// ============================================================================
+// OTA UPGRADE PATHS
+// ============================================================================
+// A device that is several versions behind cannot always install the target
+// directly (compatibility.currentVersion, e.g. "must pass through 2.0.0").
+// The planner searches the firmware catalog for the shortest chain of
+// assignable, compatible versions ending at the target (preferring the
+// largest jumps) and stores it on the device:
+//
+//   devices.firmware.upgradePlan: {
+//     targetVersion, steps: ['2.0.0', '3.0.0', '4.1.0'], currentStep: 0,
+//     status: 'active' | 'completed' | 'blocked' | 'interrupted' | 'abandoned',
+//     lastError, createdAt, updatedAt, completedAt
+//   }
+//
+// Each hop is a normal assignOTA call (all guards apply). Once the current hop
+// is verified (or on its "success" report when probation is disabled) the
+// next one is assigned; a failed or regressed hop stays on its step so
+// the retry policy and auto-rollback apply. Any assignment made outside the
+// plan replaces it.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { config } from '../config/index.js';
+import { AppError } from '../utils/errors.js';
+import { compareVersions } from '../utils/semver.js';
+import { assignOTA } from './otaService.js';
+import { resolveSelectorDeviceIds } from './deviceGroupService.js';
+import { isFirmwareAssignable } from './firmwareLifecycleService.js';
+import { getSupportedModels, evaluateCompatibility, formatIncompatibility } from './firmwareCompatibilityService.js';
+
+/**
+ * Compatibility failures of installing `firmware` on a device running
+ * `fromVersion`. Storage is only known at assignment time, so it is ignored.
+ * @returns {Array<Object>} Failures ([] when the hop is allowed)
+ */
+export const getHopFailures = (firmware, device, fromVersion) => {
+  const { failures } = evaluateCompatibility({
+    firmware,
+    device: { ...device, firmware: { ...(device.firmware || {}), currentVersion: fromVersion } },
+  });
+  return failures.filter((f) => f.rule !== 'minStorageMb');
+};
+
+/**
+ * Shortest chain of firmware from the device's current version to the target (pure).
+ * @param {Object} params - { device, target (firmware doc), candidates (firmware docs), maxSteps }
+ * @returns {Object} { steps: Array<string> } or { steps: null, reason }
+ */
+export const planUpgradePath = ({ device, target, candidates, maxSteps = config.ota.upgradePath.maxSteps }) => {
+  const currentVersion = device.firmware?.currentVersion || null;
+  if (currentVersion && compareVersions(currentVersion, target.version) >= 0) {
+    return { steps: null, reason: `Device already runs ${currentVersion}, not older than ${target.version}` };
+  }
+
+  const targetFailures = getHopFailures(target, device, currentVersion);
+  if (targetFailures.length === 0) {
+    return { steps: [target.version] };
+  }
+  // Only the upgrade-path rule can be satisfied by intermediate versions
+  const blocking = targetFailures.filter((f) => f.rule !== 'currentVersion');
+  if (blocking.length > 0) {
+    return { steps: null, reason: formatIncompatibility(blocking) };
+  }
+
+  // Intermediate hops, newest first so each BFS layer tries the largest jump first
+  const hops = candidates
+    .filter((fw) => fw.version !== target.version &&
+      (!currentVersion || compareVersions(fw.version, currentVersion) > 0) &&
+      compareVersions(fw.version, target.version) < 0)
+    .sort((a, b) => compareVersions(b.version, a.version));
+
+  let frontier = [{ version: currentVersion, steps: [] }];
+  const visited = new Set([currentVersion]);
+  while (frontier.length > 0) {
+    const next = [];
+    for (const node of frontier) {
+      if (node.steps.length + 1 > maxSteps) continue;
+      if (node.steps.length > 0 && getHopFailures(target, device, node.version).length === 0) {
+        return { steps: [...node.steps, target.version] };
+      }
+      for (const hop of hops) {
+        if (visited.has(hop.version)) continue;
+        if (node.version && compareVersions(hop.version, node.version) <= 0) continue;
+        if (getHopFailures(hop, device, node.version).length > 0) continue;
+        visited.add(hop.version);
+        next.push({ version: hop.version, steps: [...node.steps, hop.version] });
+      }
+    }
+    frontier = next;
+  }
+
+  return {
+    steps: null,
+    reason: `No chain of compatible firmware from ${currentVersion || 'unknown version'} to ${target.version} ` +
+      `within ${maxSteps} steps (${targetFailures.map((f) => f.reason).join('; ')})`,
+  };
+};
+
+const loadCandidates = async (db, target) => {
+  const models = getSupportedModels(target);
+  const firmwares = await db.collection('firmwares')
+    .find(models.length > 0
+      ? { $or: [{ deviceType: { $in: models } }, { 'metadata.deviceType': { $in: models } }, { 'compatibility.models': { $in: models } }] }
+      : {})
+    .toArray();
+  return firmwares.filter(isFirmwareAssignable);
+};
+
+const assignStep = async (deviceId, plan) => {
+  const version = plan.steps[plan.currentStep];
+  const result = await assignOTA({ deviceIds: [deviceId], firmwareVersion: version, upgradePlan: plan });
+  return result.results[0];
+};
+
+/**
+ * Plan (and unless dryRun, start) upgrade paths to a target version.
+ * @param {Object} params - { deviceIds | selector, targetVersion, dryRun? }
+ * @returns {Object} { planned, failed, results: [{ deviceId, success, steps, status?, error? }] }
+ */
+export const createUpgradePaths = async ({ deviceIds, selector, targetVersion, dryRun = false }) => {
+  try {
+    if (!targetVersion || typeof targetVersion !== 'string') {
+      throw new AppError('targetVersion is required', 400);
+    }
+    if (deviceIds && selector) {
+      throw new AppError('Provide either deviceIds or selector, not both', 400);
+    }
+    let ids = deviceIds;
+    if (selector) {
+      ids = await resolveSelectorDeviceIds(selector);
+    }
+    if (!Array.isArray(ids) || ids.length === 0) {
+      throw new AppError('deviceIds array or selector is required', 400);
+    }
+
+    const db = await getDb();
+    const target = await db.collection('firmwares').findOne({ version: targetVersion });
+    if (!target) {
+      throw new AppError('Firmware version not found', 404);
+    }
+    if (!isFirmwareAssignable(target)) {
+      throw new AppError(`Firmware ${targetVersion} is ${target.status} and cannot be assigned`, 409);
+    }
+    const candidates = await loadCandidates(db, target);
+
+    const results = [];
+    for (const rawId of ids) {
+      const deviceId = String(rawId).trim();
+      const device = await db.collection('devices').findOne({ deviceId });
+      if (!device) {
+        results.push({ deviceId, success: false, steps: null, error: 'Device not found' });
+        continue;
+      }
+
+      const { steps, reason } = planUpgradePath({ device, target, candidates });
+      if (!steps) {
+        results.push({ deviceId, success: false, steps: null, error: reason });
+        continue;
+      }
+      if (dryRun) {
+        results.push({ deviceId, success: true, steps, fromVersion: device.firmware?.currentVersion || null });
+        continue;
+      }
+
+      const now = new Date();
+      const plan = {
+        targetVersion,
+        steps,
+        currentStep: 0,
+        status: 'active',
+        lastError: null,
+        createdAt: now,
+        updatedAt: now,
+        completedAt: null,
+      };
+      const assignment = await assignStep(deviceId, plan);
+      results.push(assignment.success
+        ? { deviceId, success: true, steps, status: assignment.status }
+        : { deviceId, success: false, steps, error: assignment.error });
+    }
+
+    const planned = results.filter((r) => r.success).length;
+    return {
+      targetVersion,
+      dryRun: Boolean(dryRun),
+      planned,
+      failed: results.length - planned,
+      results,
+      ...(selector ? { selector } : {}),
+    };
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to create upgrade paths: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Move an active plan past a successful hop. Called when the hop is verified
+ * (or on its "success" report without probation); never throws so the caller
+ * is not failed by the next hop.
+ * @returns {Object|null} Updated plan, or null when the device has no active plan
+ */
+export const advanceUpgradePlan = async (deviceId, installedVersion) => {
+  try {
+    return await advancePlan(deviceId, installedVersion);
+  } catch (error) {
+    console.error(`[OTA_UPGRADE_PATH] Failed to advance plan for ${deviceId}: ${error.message}`);
+    return null;
+  }
+};
+
+const advancePlan = async (deviceId, installedVersion) => {
+  const db = await getDb();
+  const devicesCollection = db.collection('devices');
+  const device = await devicesCollection.findOne({ deviceId });
+  const plan = device?.firmware?.upgradePlan;
+  if (!plan || plan.status !== 'active') {
+    return null;
+  }
+
+  const now = new Date();
+  const setPlan = async (fields) => {
+    const updated = { ...plan, ...fields, updatedAt: now };
+    await devicesCollection.updateOne({ deviceId }, { $set: { 'firmware.upgradePlan': updated } });
+    return updated;
+  };
+
+  // Something other than the plan (e.g. an auto-rollback) installed this version
+  if (plan.steps[plan.currentStep] !== installedVersion) {
+    return setPlan({ status: 'interrupted', lastError: `Installed ${installedVersion}, expected ${plan.steps[plan.currentStep]}` });
+  }
+
+  const nextStep = plan.currentStep + 1;
+  if (nextStep >= plan.steps.length) {
+    return setPlan({ status: 'completed', completedAt: now, lastError: null });
+  }
+
+  const nextPlan = { ...plan, currentStep: nextStep, lastError: null, updatedAt: now };
+  let assignment;
+  try {
+    assignment = await assignStep(deviceId, nextPlan);
+  } catch (error) {
+    assignment = { success: false, error: error.message };
+  }
+  if (!assignment.success) {
+    return setPlan({ currentStep: nextStep, status: 'blocked', lastError: assignment.error });
+  }
+  return nextPlan;
+};
+
+/**
+ * Stop following a device's upgrade plan. The hop in flight is not cancelled.
+ * @returns {Object} Abandoned plan
+ */
+export const abandonUpgradePlan = async (deviceId) => {
+  try {
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+    const device = await devicesCollection.findOne({ deviceId });
+    if (!device) {
+      throw new AppError('Device not found', 404);
+    }
+    const plan = device.firmware?.upgradePlan;
+    if (!plan || !['active', 'blocked'].includes(plan.status)) {
+      throw new AppError('Device has no active upgrade plan', 404);
+    }
+
+    const abandoned = { ...plan, status: 'abandoned', updatedAt: new Date() };
+    await devicesCollection.updateOne({ deviceId }, { $set: { 'firmware.upgradePlan': abandoned } });
+    return abandoned;
+  } catch (error) {
+    if (error.statusCode) {
+      throw error;
+    }
+    throw new AppError(`Failed to abandon upgrade plan: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,282 @@
+// ============================================================================
+// OTA POST-UPDATE VERIFICATION (PROBATION) SERVICE
+// ============================================================================
+// A device-reported "success" is not final: the device enters "probation" and
+// is watched for a configurable window before the update is promoted to
+// "verified".
+//
+// Regression signals during the window:
+// - Anomaly risk_level (from anomaly_events) rises above the pre-update baseline
+// - Heartbeats stop (no device_metrics point / report for heartbeatTimeoutMs)
+//
+// State flow: success (device report) → probation → verified | regressed
+// A regression logs a "regression" event and hands over to auto-rollback.
+// A verified hop of an upgrade plan assigns the plan's next step.
+// ============================================================================
+
+import { getDb } from '../clients/mongodb.js';
+import { getQueryApi } from '../clients/influxdb.js';
+import { config } from '../config/index.js';
+import { logOTAEvent } from './otaEventService.js';
+import { triggerAutoRollback } from './otaRollbackService.js';
+import { advanceUpgradePlan } from './otaUpgradePathService.js';
+import { emitOTAProgress } from '../realtime/socket.js';
+
+const RISK_RANK = { low: 0, medium: 1, warning: 1, high: 2 };
+
+const toDate = (value) => {
+  if (!value) return null;
+  const d = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(d.getTime()) ? null : d;
+};
+
+export const riskRank = (riskLevel) => {
+  if (typeof riskLevel !== 'string') return null;
+  const rank = RISK_RANK[riskLevel.trim().toLowerCase()];
+  return rank === undefined ? null : rank;
+};
+
+/**
+ * Build the device.firmware.probation document written on a "success" report.
+ * @param {Object} device - Device document before the success update
+ * @param {Date} now
+ * @param {Object} [policy] - config.ota.probation
+ */
+export const buildProbationState = (device, now = new Date(), policy = config.ota.probation) => ({
+  startedAt: now,
+  endsAt: new Date(now.getTime() + policy.windowMs),
+  baselineRiskLevel: device?.anomaly?.risk_level ?? null,
+  regression: null,
+});
+
+/**
+ * Decide the probation outcome for a device.
+ * @param {Object} params
+ * @param {Object} params.probation - device.firmware.probation
+ * @param {Array<string>} params.riskLevels - risk_level values inferred since probation start
+ * @param {Date|null} params.lastHeartbeatAt - Latest metric / report timestamp
+ * @param {Date} [params.now]
+ * @param {Object} [params.policy] - config.ota.probation
+ * @returns {Object} { outcome: 'pending'|'verified'|'regression', reason }
+ */
+export const evaluateProbation = ({
+  probation,
+  riskLevels = [],
+  lastHeartbeatAt = null,
+  now = new Date(),
+  policy = config.ota.probation,
+}) => {
+  const startedAt = toDate(probation?.startedAt);
+  const endsAt = toDate(probation?.endsAt);
+  if (!startedAt || !endsAt) {
+    return { outcome: 'pending', reason: 'Probation window not initialized' };
+  }
+
+  const baselineRank = riskRank(probation.baselineRiskLevel) ?? RISK_RANK.low;
+  const worstRisk = riskLevels
+    .map((level) => ({ level, rank: riskRank(level) }))
+    .filter((r) => r.rank !== null)
+    .sort((a, b) => b.rank - a.rank)[0];
+
+  if (worstRisk && worstRisk.rank > baselineRank) {
+    return {
+      outcome: 'regression',
+      reason: `Anomaly risk rose from ${probation.baselineRiskLevel || 'low'} to ${worstRisk.level} after update`,
+    };
+  }
+
+  const heartbeat = toDate(lastHeartbeatAt) || startedAt;
+  const silenceMs = now.getTime() - heartbeat.getTime();
+  if (silenceMs > policy.heartbeatTimeoutMs) {
+    return {
+      outcome: 'regression',
+      reason: `No heartbeat for ${Math.round(silenceMs / 1000)}s after update`,
+    };
+  }
+
+  if (now.getTime() >= endsAt.getTime()) {
+    return { outcome: 'verified', reason: 'No regression during verification window' };
+  }
+
+  return { outcome: 'pending', reason: null };
+};
+
+const getLastDeviceMetricTime = async (deviceId, since) => {
+  try {
+    const queryApi = getQueryApi();
+    const fluxQuery = `
+      from(bucket: "${config.influx.bucket}")
+        |> range(start: time(v: "${since.toISOString()}"))
+        |> filter(fn: (r) => r._measurement == "device_metrics")
+        |> filter(fn: (r) => r.deviceId == "${deviceId}")
+        |> keep(columns: ["_time"])
+        |> sort(columns: ["_time"], desc: true)
+        |> limit(n: 1)
+    `;
+
+    let lastTime = null;
+    await new Promise((resolve, reject) => {
+      queryApi.queryRows(fluxQuery, {
+        next(row, tableMeta) {
+          const o = tableMeta.toObject(row);
+          const t = toDate(o._time);
+          if (t && (!lastTime || t > lastTime)) lastTime = t;
+        },
+        error: reject,
+        complete: resolve,
+      });
+    });
+
+    return lastTime;
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Evaluate probation for one device and apply the outcome.
+ * Never throws: verification runs from background jobs and inference requests.
+ * @returns {Object|null} Applied outcome, or null if the device is not in probation
+ */
+export const evaluateProbationForDevice = async (deviceId, { now = new Date() } = {}) => {
+  try {
+    const db = await getDb();
+    const devicesCollection = db.collection('devices');
+
+    const device = await devicesCollection.findOne({ deviceId });
+    if (!device || device.firmware?.status !== 'probation') return null;
+
+    const probation = device.firmware.probation || {};
+    const startedAt = toDate(probation.startedAt) || now;
+
+    const anomalyEvents = await db
+      .collection('anomaly_events')
+      .find({ deviceId, decided_at: { $gte: startedAt } }, { projection: { risk_level: 1 } })
+      .toArray();
+
+    const lastMetricAt = await getLastDeviceMetricTime(deviceId, startedAt);
+    const lastSeenAt = toDate(device.lastSeenAt);
+    const lastHeartbeatAt = [lastMetricAt, lastSeenAt]
+      .filter(Boolean)
+      .sort((a, b) => b.getTime() - a.getTime())[0] || null;
+
+    const result = evaluateProbation({
+      probation,
+      riskLevels: anomalyEvents.map((e) => e.risk_level),
+      lastHeartbeatAt,
+      now,
+    });
+
+    if (result.outcome === 'pending') return result;
+
+    const version = device.firmware.currentVersion;
+
+    if (result.outcome === 'verified') {
+      const updateResult = await devicesCollection.updateOne(
+        { deviceId, 'firmware.status': 'probation' },
+        {
+          $set: {
+            'firmware.status': 'verified',
+            'firmware.verifiedAt': now,
+            updatedAt: now,
+          },
+        },
+      );
+      if (updateResult.modifiedCount === 0) return null;
+
+      await logOTAEvent({
+        deviceId,
+        firmwareVersion: version,
+        action: 'verify',
+        source: 'system',
+        reason: result.reason,
+        metadata: { probationStartedAt: probation.startedAt, probationEndsAt: probation.endsAt },
+      });
+      emitOTAProgress(deviceId, { action: 'verify', status: 'verified', firmwareVersion: version });
+
+      if (device.firmware.upgradePlan?.status === 'active') {
+        await advanceUpgradePlan(deviceId, version);
+      }
+      return result;
+    }
+
+    // Regression
+    const updateResult = await devicesCollection.updateOne(
+      { deviceId, 'firmware.status': 'probation' },
+      {
+        $set: {
+          'firmware.status': 'regressed',
+          'firmware.probation.regression': { reason: result.reason, at: now },
+          updatedAt: now,
+        },
+      },
+    );
+    if (updateResult.modifiedCount === 0) return null;
+
+    await logOTAEvent({
+      deviceId,
+      firmwareVersion: version,
+      action: 'regression',
+      source: 'system',
+      reason: result.reason,
+      metadata: {
+        baselineRiskLevel: probation.baselineRiskLevel ?? null,
+        lastHeartbeatAt,
+      },
+    });
+    emitOTAProgress(deviceId, { action: 'regression', status: 'regressed', firmwareVersion: version, reason: result.reason });
+
+    await triggerAutoRollback(deviceId, 'health_regression');
+    return result;
+  } catch (error) {
+    console.error(`Failed to evaluate OTA probation for ${deviceId}: ${error.message}`);
+    return null;
+  }
+};
+
+export const evaluateDevicesInProbation = async () => {
+  const db = await getDb();
+  const devices = await db
+    .collection('devices')
+    .find({ 'firmware.status': 'probation' }, { projection: { deviceId: 1 } })
+    .toArray();
+
+  for (const { deviceId } of devices) {
+    await evaluateProbationForDevice(deviceId);
+  }
+
+  return { evaluated: devices.length };
+};
+
+// ============================================================================
+// BACKGROUND SCHEDULER
+// ============================================================================
+let probationSchedulerTimer = null;
+let probationEvaluationRunning = false;
+
+export const startProbationScheduler = (intervalMs = config.ota.probation.evaluationIntervalMs) => {
+  if (probationSchedulerTimer || !config.ota.probation.enabled) {
+    return;
+  }
+
+  probationSchedulerTimer = setInterval(async () => {
+    if (probationEvaluationRunning) return;
+    probationEvaluationRunning = true;
+    try {
+      await evaluateDevicesInProbation();
+    } catch (error) {
+      console.error(`[OTA_PROBATION] Probation evaluation failed: ${error.message}`);
+    } finally {
+      probationEvaluationRunning = false;
+    }
+  }, intervalMs);
+
+  console.log(`OTA probation scheduler started (interval: ${intervalMs}ms)`);
+};
+
+export const stopProbationScheduler = () => {
+  if (probationSchedulerTimer) {
+    clearInterval(probationSchedulerTimer);
+    probationSchedulerTimer = null;
+  }
+};
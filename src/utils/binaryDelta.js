@@ -0,0 +1,204 @@
+// ============================================================================
+// BINARY DELTA (OTAD1)
+// ============================================================================
+// Copy/insert delta between two firmware images, in the spirit of rsync:
+// the old image is indexed in fixed-size blocks, the new image is scanned
+// with a rolling hash and matching regions become COPY operations.
+//
+// Format (all integers unsigned 32-bit big-endian):
+//   "OTAD" | version (u8 = 1) | oldSize | newSize | op*
+//   op 0x01 COPY   : offset, length       (bytes from the old image)
+//   op 0x02 INSERT : length, <length bytes>
+//
+// createDeltaAsync yields to the event loop every YIELD_INTERVAL scanned bytes
+// so large images do not stall request handling.
+// ============================================================================
+
+import { setImmediate as yieldToEventLoop } from 'timers/promises';
+
+const MAGIC = Buffer.from('OTAD');
+const FORMAT_VERSION = 1;
+const HEADER_SIZE = MAGIC.length + 1 + 4 + 4;
+const OP_COPY = 0x01;
+const OP_INSERT = 0x02;
+
+export const DEFAULT_BLOCK_SIZE = 32;
+
+const YIELD_INTERVAL = 256 * 1024;
+
+const HASH_BASE = 257;
+
+const powMod = (base, exp) => {
+  let result = 1;
+  for (let i = 0; i < exp; i++) result = Math.imul(result, base) >>> 0;
+  return result;
+};
+
+const hashBlock = (buf, start, length) => {
+  let h = 0;
+  for (let i = start; i < start + length; i++) {
+    h = (Math.imul(h, HASH_BASE) + buf[i]) >>> 0;
+  }
+  return h;
+};
+
+const matchForward = (oldBuf, oldPos, newBuf, newPos) => {
+  let length = 0;
+  while (oldPos + length < oldBuf.length && newPos + length < newBuf.length &&
+    oldBuf[oldPos + length] === newBuf[newPos + length]) {
+    length++;
+  }
+  return length;
+};
+
+// Pauses (yields) after every YIELD_INTERVAL bytes of work; returns the delta
+function* buildDelta(oldBuf, newBuf, blockSize) {
+  const chunks = [];
+  let nextYield = YIELD_INTERVAL;
+  const header = Buffer.alloc(HEADER_SIZE);
+  MAGIC.copy(header, 0);
+  header.writeUInt8(FORMAT_VERSION, 4);
+  header.writeUInt32BE(oldBuf.length, 5);
+  header.writeUInt32BE(newBuf.length, 9);
+  chunks.push(header);
+
+  // Index non-overlapping blocks of the old image (first occurrence wins)
+  const index = new Map();
+  for (let offset = 0; offset + blockSize <= oldBuf.length; offset += blockSize) {
+    const h = hashBlock(oldBuf, offset, blockSize);
+    if (!index.has(h)) index.set(h, offset);
+    if (offset >= nextYield) {
+      nextYield += YIELD_INTERVAL;
+      yield;
+    }
+  }
+  nextYield = YIELD_INTERVAL;
+
+  let pendingStart = 0;
+  const emitInsert = (end) => {
+    const length = end - pendingStart;
+    if (length <= 0) return;
+    const op = Buffer.alloc(5);
+    op.writeUInt8(OP_INSERT, 0);
+    op.writeUInt32BE(length, 1);
+    chunks.push(op, newBuf.subarray(pendingStart, end));
+  };
+  const emitCopy = (offset, length) => {
+    const op = Buffer.alloc(9);
+    op.writeUInt8(OP_COPY, 0);
+    op.writeUInt32BE(offset, 1);
+    op.writeUInt32BE(length, 5);
+    chunks.push(op);
+  };
+
+  const outPow = powMod(HASH_BASE, blockSize - 1);
+  let i = 0;
+  let h = newBuf.length >= blockSize ? hashBlock(newBuf, 0, blockSize) : 0;
+
+  while (i + blockSize <= newBuf.length) {
+    if (i >= nextYield) {
+      nextYield = i + YIELD_INTERVAL;
+      yield;
+    }
+    const candidate = index.get(h);
+    if (candidate !== undefined) {
+      let length = matchForward(oldBuf, candidate, newBuf, i);
+      if (length >= blockSize) {
+        // Extend backwards into bytes that would otherwise be inserted
+        let oldStart = candidate;
+        let newStart = i;
+        while (oldStart > 0 && newStart > pendingStart && oldBuf[oldStart - 1] === newBuf[newStart - 1]) {
+          oldStart--;
+          newStart--;
+          length++;
+        }
+        emitInsert(newStart);
+        emitCopy(oldStart, length);
+        i = newStart + length;
+        pendingStart = i;
+        if (i + blockSize <= newBuf.length) h = hashBlock(newBuf, i, blockSize);
+        continue;
+      }
+    }
+
+    // Roll the hash one byte forward
+    if (i + blockSize < newBuf.length) {
+      h = (h - Math.imul(newBuf[i], outPow)) >>> 0;
+      h = (Math.imul(h, HASH_BASE) + newBuf[i + blockSize]) >>> 0;
+    }
+    i++;
+  }
+
+  emitInsert(newBuf.length);
+  return Buffer.concat(chunks);
+}
+
+/**
+ * Create a delta that turns oldBuf into newBuf.
+ * @param {Buffer} oldBuf
+ * @param {Buffer} newBuf
+ * @param {Object} [options] - { blockSize }
+ * @returns {Buffer}
+ */
+export const createDelta = (oldBuf, newBuf, { blockSize = DEFAULT_BLOCK_SIZE } = {}) => {
+  const steps = buildDelta(oldBuf, newBuf, blockSize);
+  let step = steps.next();
+  while (!step.done) step = steps.next();
+  return step.value;
+};
+
+/**
+ * Same as createDelta, yielding to the event loop while it works.
+ * @returns {Promise<Buffer>}
+ */
+export const createDeltaAsync = async (oldBuf, newBuf, { blockSize = DEFAULT_BLOCK_SIZE } = {}) => {
+  const steps = buildDelta(oldBuf, newBuf, blockSize);
+  let step = steps.next();
+  while (!step.done) {
+    await yieldToEventLoop();
+    step = steps.next();
+  }
+  return step.value;
+};
+
+/**
+ * Apply a delta produced by createDelta (reference implementation for devices and tests).
+ * @returns {Buffer} The new image
+ * @throws {Error} when the delta is malformed or does not match oldBuf
+ */
+export const applyDelta = (oldBuf, delta) => {
+  if (delta.length < HEADER_SIZE || !delta.subarray(0, 4).equals(MAGIC)) {
+    throw new Error('Not an OTAD delta');
+  }
+  if (delta.readUInt8(4) !== FORMAT_VERSION) {
+    throw new Error(`Unsupported delta format version ${delta.readUInt8(4)}`);
+  }
+  if (delta.readUInt32BE(5) !== oldBuf.length) {
+    throw new Error('Delta was generated for a different base image');
+  }
+
+  const out = Buffer.alloc(delta.readUInt32BE(9));
+  let written = 0;
+  let pos = HEADER_SIZE;
+  while (pos < delta.length) {
+    const op = delta.readUInt8(pos);
+    if (op === OP_COPY) {
+      const offset = delta.readUInt32BE(pos + 1);
+      const length = delta.readUInt32BE(pos + 5);
+      if (offset + length > oldBuf.length) throw new Error('COPY out of range');
+      written += oldBuf.copy(out, written, offset, offset + length);
+      pos += 9;
+    } else if (op === OP_INSERT) {
+      const length = delta.readUInt32BE(pos + 1);
+      written += delta.copy(out, written, pos + 5, pos + 5 + length);
+      pos += 5 + length;
+    } else {
+      throw new Error(`Unknown delta op 0x${op.toString(16)}`);
+    }
+  }
+
+  if (written !== out.length) {
+    throw new Error('Delta output size mismatch');
+  }
+  return out;
+};
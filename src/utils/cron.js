@@ -0,0 +1,166 @@
+// ============================================================================
+// CRON SCHEDULE UTILITIES
+// ============================================================================
+// Minimal 5-field cron ("minute hour day-of-month month day-of-week")
+// evaluated in an IANA time zone. Supports "*", lists, ranges and steps
+// ("*/15", "1-5", "0,30", "8-18/2"). Day-of-week 0 and 7 are Sunday.
+// When both day fields are restricted, either may match (standard cron).
+// ============================================================================
+
+const FIELDS = [
+  { name: 'minute', min: 0, max: 59 },
+  { name: 'hour', min: 0, max: 23 },
+  { name: 'dayOfMonth', min: 1, max: 31 },
+  { name: 'month', min: 1, max: 12 },
+  { name: 'dayOfWeek', min: 0, max: 7 },
+];
+
+const WEEKDAYS = { Sun: 0, Mon: 1, Tue: 2, Wed: 3, Thu: 4, Fri: 5, Sat: 6 };
+const MINUTE_MS = 60 * 1000;
+
+const parseField = (expr, { name, min, max }) => {
+  const values = new Set();
+  for (const part of expr.split(',')) {
+    const match = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!match) {
+      throw new Error(`Invalid cron ${name} field "${expr}"`);
+    }
+    const step = match[4] ? parseInt(match[4], 10) : 1;
+    let start = min;
+    let end = max;
+    if (match[1] !== '*') {
+      start = parseInt(match[2], 10);
+      end = match[3] !== undefined ? parseInt(match[3], 10) : (match[4] ? max : start);
+    }
+    if (step < 1 || start < min || end > max || start > end) {
+      throw new Error(`Invalid cron ${name} field "${expr}" (allowed ${min}-${max})`);
+    }
+    for (let v = start; v <= end; v += step) {
+      values.add(name === 'dayOfWeek' && v === 7 ? 0 : v);
+    }
+  }
+  return values;
+};
+
+/**
+ * Parse a 5-field cron expression.
+ * @returns {Object} Parsed schedule
+ * @throws {Error} when the expression is invalid
+ */
+export const parseCron = (expression) => {
+  if (typeof expression !== 'string') {
+    throw new Error('Cron expression must be a string');
+  }
+  const parts = expression.trim().split(/\s+/);
+  if (parts.length !== 5) {
+    throw new Error(`Cron expression must have 5 fields, got ${parts.length}`);
+  }
+
+  const parsed = {};
+  FIELDS.forEach((field, i) => {
+    parsed[field.name] = parseField(parts[i], field);
+  });
+  parsed.dayOfMonthRestricted = parts[2] !== '*';
+  parsed.dayOfWeekRestricted = parts[4] !== '*';
+  return parsed;
+};
+
+export const isValidTimeZone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const formatters = new Map();
+
+/**
+ * Wall-clock parts of an instant in a time zone.
+ * @returns {Object} { year, month, day, hour, minute, weekday }
+ */
+export const getZonedParts = (date, timeZone) => {
+  let formatter = formatters.get(timeZone);
+  if (!formatter) {
+    formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone,
+      hourCycle: 'h23',
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      weekday: 'short',
+    });
+    formatters.set(timeZone, formatter);
+  }
+
+  const parts = {};
+  for (const { type, value } of formatter.formatToParts(date)) {
+    parts[type] = value;
+  }
+  return {
+    year: parseInt(parts.year, 10),
+    month: parseInt(parts.month, 10),
+    day: parseInt(parts.day, 10),
+    hour: parseInt(parts.hour, 10),
+    minute: parseInt(parts.minute, 10),
+    weekday: WEEKDAYS[parts.weekday],
+  };
+};
+
+const dayMatches = (parsed, parts) => {
+  const domMatch = parsed.dayOfMonth.has(parts.day);
+  const dowMatch = parsed.dayOfWeek.has(parts.weekday);
+  if (parsed.dayOfMonthRestricted && parsed.dayOfWeekRestricted) {
+    return domMatch || dowMatch;
+  }
+  return domMatch && dowMatch;
+};
+
+export const cronMatches = (parsed, parts) =>
+  parsed.minute.has(parts.minute) &&
+  parsed.hour.has(parts.hour) &&
+  parsed.month.has(parts.month) &&
+  dayMatches(parsed, parts);
+
+const floorToMinute = (date) => new Date(Math.floor(date.getTime() / MINUTE_MS) * MINUTE_MS);
+
+/**
+ * Most recent schedule start at or before `now`, looking back at most lookbackMinutes.
+ * @returns {Date|null}
+ */
+export const findPreviousStart = (parsed, timeZone, now, lookbackMinutes) => {
+  const base = floorToMinute(now).getTime();
+  for (let k = 0; k < lookbackMinutes; k++) {
+    const candidate = new Date(base - k * MINUTE_MS);
+    if (cronMatches(parsed, getZonedParts(candidate, timeZone))) {
+      return candidate;
+    }
+  }
+  return null;
+};
+
+/**
+ * Next schedule start strictly after `now`, within horizonMinutes.
+ * @returns {Date|null}
+ */
+export const findNextStart = (parsed, timeZone, now, horizonMinutes = 8 * 24 * 60) => {
+  const end = now.getTime() + horizonMinutes * MINUTE_MS;
+  let t = floorToMinute(now).getTime() + MINUTE_MS;
+  while (t <= end) {
+    const candidate = new Date(t);
+    const parts = getZonedParts(candidate, timeZone);
+    if (!parsed.month.has(parts.month) || !dayMatches(parsed, parts) || !parsed.hour.has(parts.hour)) {
+      // Skip to the next wall-clock hour
+      t += (60 - parts.minute) * MINUTE_MS;
+      continue;
+    }
+    if (parsed.minute.has(parts.minute)) {
+      return candidate;
+    }
+    t += MINUTE_MS;
+  }
+  return null;
+};
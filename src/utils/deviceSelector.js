@@ -0,0 +1,191 @@
+// ============================================================================
+// DEVICE SELECTORS
+// ============================================================================
+// A selector resolves to a set of devices for fleet operations.
+//
+// String form: space/semicolon separated terms, all of which must match;
+// comma-separated values match any of them.
+//   "model=gateway-v2 site=A version=1.3.x"
+//   "tag=outdoor,rooftop risk!=high group=pilot"
+//   "version>=1.2.0 version<2.0.0"
+//
+// Object form: { model, tag, group, site, risk, version } with string or
+// array values (equality only).
+//
+// Fields:
+//   model   → device.model (falls back to device.deviceType)
+//   tag     → device.tags
+//   group   → device.groups
+//   site    → device.site
+//   risk    → device.anomaly.risk_level ("unknown" when not evaluated)
+//   version → device.firmware.currentVersion (exact, "1.3.x" wildcard, or
+//             >, >=, <, <= by semver precedence)
+// ============================================================================
+
+import { AppError } from './errors.js';
+import { compareVersions, matchesVersionPattern } from './semver.js';
+
+export const SELECTOR_FIELDS = ['model', 'tag', 'group', 'site', 'risk', 'version'];
+
+const FIELD_ALIASES = { tags: 'tag', groups: 'group', firmware: 'version', fw: 'version', risk_level: 'risk' };
+const COMPARATORS = ['>=', '<=', '>', '<'];
+const TERM_PATTERN = /^([A-Za-z_]+)(!=|>=|<=|=|>|<)(.+)$/;
+
+const normalizeField = (field) => {
+  const name = FIELD_ALIASES[field.toLowerCase()] || field.toLowerCase();
+  if (!SELECTOR_FIELDS.includes(name)) {
+    throw new AppError(`Unknown selector field "${field}" (allowed: ${SELECTOR_FIELDS.join(', ')})`, 400);
+  }
+  return name;
+};
+
+const splitValues = (raw) => raw.split(',').map((v) => v.trim()).filter(Boolean);
+
+/**
+ * Parse a selector into terms.
+ * @param {string|Object} selector
+ * @returns {Array<Object>} [{ field, op, values }]
+ * @throws {AppError} 400 when the selector is malformed
+ */
+export const parseSelector = (selector) => {
+  if (selector === undefined || selector === null || selector === '') {
+    return [];
+  }
+
+  if (typeof selector === 'object' && !Array.isArray(selector)) {
+    return Object.entries(selector)
+      .filter(([, value]) => value !== undefined && value !== null && value !== '')
+      .map(([field, value]) => {
+        const values = (Array.isArray(value) ? value : [value]).map((v) => String(v).trim()).filter(Boolean);
+        if (values.length === 0) {
+          throw new AppError(`Selector field "${field}" has no values`, 400);
+        }
+        return { field: normalizeField(field), op: '=', values };
+      });
+  }
+
+  if (typeof selector !== 'string') {
+    throw new AppError('selector must be a string or an object', 400);
+  }
+
+  return selector
+    .split(/[\s;]+/)
+    .filter(Boolean)
+    .map((term) => {
+      const match = TERM_PATTERN.exec(term);
+      if (!match) {
+        throw new AppError(`Invalid selector term "${term}" (expected field=value)`, 400);
+      }
+      const field = normalizeField(match[1]);
+      const op = match[2];
+      const values = splitValues(match[3]);
+      if (values.length === 0) {
+        throw new AppError(`Selector term "${term}" has no values`, 400);
+      }
+      if (COMPARATORS.includes(op) && (field !== 'version' || values.length !== 1)) {
+        throw new AppError(`Operator "${op}" is only supported for a single version value`, 400);
+      }
+      return { field, op, values };
+    });
+};
+
+const getFieldValues = (device, field) => {
+  switch (field) {
+    case 'model':
+      return [device.model || device.deviceType].filter(Boolean);
+    case 'tag':
+      return Array.isArray(device.tags) ? device.tags : [];
+    case 'group':
+      return Array.isArray(device.groups) ? device.groups : [];
+    case 'site':
+      return [device.site].filter(Boolean);
+    case 'risk':
+      return [device.anomaly?.risk_level || 'unknown'];
+    case 'version':
+      return [device.firmware?.currentVersion].filter(Boolean);
+    default:
+      return [];
+  }
+};
+
+const termMatches = (device, { field, op, values }) => {
+  const actual = getFieldValues(device, field);
+
+  if (field === 'version' && COMPARATORS.includes(op)) {
+    if (actual.length === 0) return false;
+    const cmp = compareVersions(actual[0], values[0]);
+    return (op === '>' && cmp > 0) || (op === '>=' && cmp >= 0) || (op === '<' && cmp < 0) || (op === '<=' && cmp <= 0);
+  }
+
+  const valueMatches = (value) => (field === 'version'
+    ? actual.some((v) => matchesVersionPattern(v, value))
+    : actual.some((v) => String(v).toLowerCase() === value.toLowerCase()));
+
+  const matched = values.some(valueMatches);
+  return op === '!=' ? !matched : matched;
+};
+
+/**
+ * Whether a device matches every term (pure).
+ */
+export const deviceMatchesSelector = (device, terms) => terms.every((term) => termMatches(device, term));
+
+const escapeRegex = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const exactIgnoreCase = (value) => new RegExp(`^${escapeRegex(value)}$`, 'i');
+
+/**
+ * Build a MongoDB pre-filter for the terms that can be expressed as a query.
+ * Version terms are not expressible (semver ordering), so callers must also
+ * apply deviceMatchesSelector when needsPostFilter is true.
+ * @returns {Object} { filter, needsPostFilter }
+ */
+export const buildSelectorFilter = (terms) => {
+  const clauses = [];
+  let needsPostFilter = false;
+
+  for (const { field, op, values } of terms) {
+    const patterns = values.map(exactIgnoreCase);
+    let clause = null;
+    switch (field) {
+      case 'model':
+        // device.model takes precedence over the legacy deviceType
+        clause = {
+          $or: [
+            { model: { $in: patterns } },
+            { model: { $in: [null, ''] }, deviceType: { $in: patterns } },
+          ],
+        };
+        break;
+      case 'tag':
+        clause = { tags: { $in: patterns } };
+        break;
+      case 'group':
+        clause = { groups: { $in: patterns } };
+        break;
+      case 'site':
+        clause = { site: { $in: patterns } };
+        break;
+      case 'risk': {
+        const includesUnknown = values.some((v) => v.toLowerCase() === 'unknown');
+        clause = {
+          $or: [
+            { 'anomaly.risk_level': { $in: patterns } },
+            ...(includesUnknown ? [{ 'anomaly.risk_level': { $in: [null, ''] } }] : []),
+          ],
+        };
+        break;
+      }
+      case 'version':
+        needsPostFilter = true;
+        break;
+      default:
+        break;
+    }
+
+    if (clause) {
+      clauses.push(op === '!=' ? { $nor: [clause] } : clause);
+    }
+  }
+
+  return { filter: clauses.length ? { $and: clauses } : {}, needsPostFilter };
+};
@@ -0,0 +1,117 @@
+// ============================================================================
+// SEMANTIC VERSION HELPERS
+// ============================================================================
+// Firmware versions follow SemVer 2.0 (MAJOR.MINOR.PATCH[-PRERELEASE][+BUILD]).
+//
+// - A leading "v" and missing MINOR/PATCH ("1.2" → "1.2.0") are tolerated
+// - Pre-release versions have lower precedence than the release ("1.2.0-rc.1" < "1.2.0")
+// - Build metadata is kept but ignored for precedence
+// - Non-semver strings fall back to natural string ordering so legacy
+//   versions (e.g. timestamps) still sort deterministically
+// ============================================================================
+
+const SEMVER_PATTERN =
+  /^v?(0|[1-9]\d*)(?:\.(0|[1-9]\d*))?(?:\.(0|[1-9]\d*))?(?:-([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?(?:\+([0-9A-Za-z-]+(?:\.[0-9A-Za-z-]+)*))?$/;
+
+/**
+ * Parse a version string.
+ * @param {string} version
+ * @returns {Object|null} { major, minor, patch, prerelease: Array, build: Array, raw } or null if not semver
+ */
+export const parseSemver = (version) => {
+  if (typeof version !== 'string') return null;
+  const match = SEMVER_PATTERN.exec(version.trim());
+  if (!match) return null;
+
+  return {
+    major: Number(match[1]),
+    minor: Number(match[2] ?? 0),
+    patch: Number(match[3] ?? 0),
+    prerelease: match[4] ? match[4].split('.') : [],
+    build: match[5] ? match[5].split('.') : [],
+    raw: version.trim(),
+  };
+};
+
+export const isValidSemver = (version) => parseSemver(version) !== null;
+
+const comparePrereleaseIdentifiers = (a, b) => {
+  const aNumeric = /^\d+$/.test(a);
+  const bNumeric = /^\d+$/.test(b);
+
+  if (aNumeric && bNumeric) return Math.sign(Number(a) - Number(b));
+  // Numeric identifiers always have lower precedence than alphanumeric ones
+  if (aNumeric) return -1;
+  if (bNumeric) return 1;
+  return a < b ? -1 : a > b ? 1 : 0;
+};
+
+const comparePrerelease = (a, b) => {
+  // A version without pre-release has higher precedence
+  if (a.length === 0 && b.length === 0) return 0;
+  if (a.length === 0) return 1;
+  if (b.length === 0) return -1;
+
+  const length = Math.max(a.length, b.length);
+  for (let i = 0; i < length; i += 1) {
+    if (a[i] === undefined) return -1;
+    if (b[i] === undefined) return 1;
+    const cmp = comparePrereleaseIdentifiers(a[i], b[i]);
+    if (cmp !== 0) return cmp;
+  }
+  return 0;
+};
+
+/**
+ * Compare two versions by SemVer precedence.
+ * @param {string} a
+ * @param {string} b
+ * @returns {number} -1 if a < b, 0 if equal precedence, 1 if a > b
+ */
+export const compareVersions = (a, b) => {
+  const pa = parseSemver(a);
+  const pb = parseSemver(b);
+
+  if (!pa || !pb) {
+    // Semver versions sort above legacy (non-semver) versions
+    if (pa) return 1;
+    if (pb) return -1;
+    return Math.sign(String(a ?? '').localeCompare(String(b ?? ''), undefined, { numeric: true }));
+  }
+
+  if (pa.major !== pb.major) return Math.sign(pa.major - pb.major);
+  if (pa.minor !== pb.minor) return Math.sign(pa.minor - pb.minor);
+  if (pa.patch !== pb.patch) return Math.sign(pa.patch - pb.patch);
+  return comparePrerelease(pa.prerelease, pb.prerelease);
+};
+
+export const isVersionOlder = (candidate, reference) => compareVersions(candidate, reference) < 0;
+
+/**
+ * Sort items by version, newest first.
+ * @param {Array} items
+ * @param {Function} [getVersion] - Extract version from item (default: identity)
+ * @returns {Array} New sorted array
+ */
+export const sortByVersionDesc = (items, getVersion = (item) => item) =>
+  [...items].sort((a, b) => compareVersions(getVersion(b), getVersion(a)));
+
+/**
+ * Match a version against an exact version or an "x" wildcard pattern
+ * ("1.3.x", "1.x", "1.3.*"). Wildcards match any pre-release of the prefix.
+ * @returns {boolean}
+ */
+export const matchesVersionPattern = (version, pattern) => {
+  if (typeof version !== 'string' || typeof pattern !== 'string') return false;
+
+  const wildcard = /^v?(\d+)(?:\.(\d+|[xX*]))?(?:\.[xX*])?$/.exec(pattern.trim());
+  if (wildcard && /[xX*]$/.test(pattern.trim())) {
+    const parsed = parseSemver(version);
+    if (!parsed) return false;
+    if (parsed.major !== Number(wildcard[1])) return false;
+    const minor = wildcard[2];
+    return minor === undefined || /^[xX*]$/.test(minor) || parsed.minor === Number(minor);
+  }
+
+  return compareVersions(version, pattern) === 0;
+};